@@ -0,0 +1,83 @@
+/**
+ * Local stand-in for an HTTP assistant backend.
+ *
+ * Streams newline-delimited JSON events in the format expected by
+ * src/services/assistant/httpProvider.js so the HTTP provider can be tried
+ * without a real model:
+ *
+ *   npm run assistant:stand-in
+ *   REACT_APP_ASSISTANT_URL=http://localhost:8787/chat npm start
+ *
+ * Messages containing "vertical" get a format proposal, messages containing
+ * "fail" get an HTTP 500 so error handling and retry can be exercised.
+ */
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const WORD_DELAY = 40;
+
+const sendCorsHeaders = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+};
+
+const server = http.createServer((req, res) => {
+  sendCorsHeaders(res);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    res.end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400);
+      res.end();
+      return;
+    }
+
+    const lastUser = [...(payload.messages || [])].reverse().find(message => message.role === 'user');
+    const text = lastUser ? lastUser.content : '';
+    if (/fail/i.test(text)) {
+      res.writeHead(500);
+      res.end();
+      return;
+    }
+
+    const sceneCount = payload.project && Array.isArray(payload.project.scenes) ? payload.project.scenes.length : 0;
+    const reply = `Stand-in assistant here. You said "${text}" and the project has ${sceneCount} scenes.`;
+    const events = reply.split(/(\s+)/).map(word => ({ type: 'text', text: word }));
+    if (/vertical/i.test(text)) {
+      events.push({ type: 'proposal', commands: [{ type: 'setFormat', presetId: 'f4' }] });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+    const timer = setInterval(() => {
+      const event = events.shift();
+      if (!event) {
+        clearInterval(timer);
+        res.end();
+        return;
+      }
+      res.write(`${JSON.stringify(event)}\n`);
+    }, WORD_DELAY);
+    res.on('close', () => clearInterval(timer));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Assistant stand-in listening on http://localhost:${PORT}/chat`);
+});
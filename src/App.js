@@ -1,19 +1,38 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Sidebar from './components/Sidebar';
 import ConfigPanel from './components/ConfigPanel';
 import VideoPreview from './components/VideoPreview';
+import HomeView from './components/HomeView';
+import BrandView from './components/BrandView';
+import RestoreSessionPrompt from './components/RestoreSessionPrompt';
+import { ProjectProvider } from './context/ProjectContext';
+import { BrandKitProvider } from './context/BrandKitContext';
 import './App.css';
 
 function App() {
+  // Page shown in the main content area ('home', 'brand' or 'videovista')
+  const [activeView, setActiveView] = useState('videovista');
+
   return (
-    <div className="container">
-      <Sidebar />
-      <div className="main-content">
-        <ConfigPanel />
-        <VideoPreview />
-      </div>
-    </div>
+    <ProjectProvider>
+      <BrandKitProvider>
+        <div className="container">
+          <Sidebar activeView={activeView} onNavigate={setActiveView} />
+          <div className="main-content">
+            {activeView === 'home' && <HomeView onOpenEditor={() => setActiveView('videovista')} />}
+            {activeView === 'brand' && <BrandView />}
+            {activeView === 'videovista' && (
+              <>
+                <ConfigPanel />
+                <VideoPreview />
+              </>
+            )}
+          </div>
+        </div>
+        <RestoreSessionPrompt />
+      </BrandKitProvider>
+    </ProjectProvider>
   );
 }
 
-export default App; 
\ No newline at end of file
+export default App;
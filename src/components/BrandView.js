@@ -0,0 +1,394 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FaPlus, FaTrash, FaUpload, FaImage, FaVideo, FaCheck, FaExclamationTriangle } from 'react-icons/fa';
+import './BrandView.css';
+import './tool-panels/ToolPanels.css';
+import { useProject } from '../context/ProjectContext';
+import { useBrandKits } from '../context/BrandKitContext';
+import ColorPicker from './tool-panels/ColorPicker';
+import { createBrandKit } from '../state/projectModel';
+import { setBrandKit } from '../state/projectReducer';
+import { withHistoryLabel } from '../state/history';
+import { brandColorFields, fontOptions, musicTracks, voiceOptions } from '../data/catalog';
+import {
+  readMediaFile,
+  readLogoFile,
+  MediaUploadError,
+  MEDIA_UPLOAD_ACCEPT
+} from '../services/mediaUpload';
+import { storeMediaFile } from '../services/mediaFiles';
+import { getImagePalette } from '../services/colorSampling';
+import { formatContrast, getContrastRatio, MIN_TEXT_CONTRAST } from '../utils/color';
+
+/**
+ * BrandView Component
+ * 
+ * The "My Brand" page: lists the brand kits stored in this browser and edits
+ * the selected one (name, logo, colors, fonts, default music and voice, and
+ * brand assets). Kits are used by the current video from here or from the
+ * settings panel; saving a kit the video uses updates the video as well.
+ */
+const BrandView = () => {
+  const { project, dispatch } = useProject();
+  const { kits, loading, error, saveKit, removeKit } = useBrandKits();
+  const [selectedId, setSelectedId] = useState(null);
+  // Unsaved copy of the selected kit
+  const [draft, setDraft] = useState(null);
+  // Whether the draft has been edited since it was selected or saved
+  const [isDirty, setIsDirty] = useState(false);
+  // Problem with the last logo or asset file
+  const [fileError, setFileError] = useState(null);
+  // Whether asset files are being read
+  const [addingAssets, setAddingAssets] = useState(false);
+  const logoInputRef = useRef(null);
+  const assetInputRef = useRef(null);
+  // Main colors of the draft's logo, offered as color suggestions
+  const [logoPalette, setLogoPalette] = useState([]);
+  const selectedKit = kits.find(kit => kit.id === selectedId) || null;
+  const textContrast = draft ? getContrastRatio(draft.colors.textColor, draft.colors.primaryColor) : null;
+  const draftLogo = draft ? draft.logo : null;
+
+  const selectKit = (kit) => {
+    setSelectedId(kit ? kit.id : null);
+    setDraft(kit);
+    setIsDirty(false);
+    setFileError(null);
+  };
+
+  // Start with the kit of the current video, or the first kit
+  useEffect(() => {
+    if (loading || selectedId || kits.length === 0) return;
+    const kit = kits.find(item => item.id === project.brandKitId) || kits[0];
+    setSelectedId(kit.id);
+    setDraft(kit);
+  }, [loading, kits, selectedId, project.brandKitId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!draftLogo) {
+      setLogoPalette([]);
+      return undefined;
+    }
+    getImagePalette(draftLogo).then(colors => {
+      if (!cancelled) setLogoPalette(colors);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [draftLogo]);
+
+  const updateDraft = (changes) => {
+    setDraft(current => ({ ...current, ...changes }));
+    setIsDirty(true);
+  };
+
+  const confirmDiscard = () => !isDirty || window.confirm(`Discard unsaved changes to "${selectedKit.name}"?`);
+
+  const handleSelect = (kit) => {
+    if (kit.id === selectedId || !confirmDiscard()) return;
+    selectKit(kit);
+  };
+
+  // New kits start from the current video's branding
+  const handleNewKit = () => {
+    if (!confirmDiscard()) return;
+    const { branding } = project;
+    const kit = createBrandKit({
+      name: `Brand kit ${kits.length + 1}`,
+      logo: branding.logo.src || null,
+      colors: {
+        primaryColor: branding.primaryColor,
+        secondaryColor: branding.secondaryColor,
+        textColor: branding.textColor
+      },
+      fonts: { ...branding.fonts },
+      isDefault: kits.length === 0
+    });
+    saveKit(kit);
+    selectKit(kit);
+  };
+
+  const handleSave = async () => {
+    setIsDirty(false);
+    await saveKit(draft);
+    if (project.brandKitId === draft.id) {
+      dispatch(withHistoryLabel(setBrandKit(draft), `Update brand kit ${draft.name}`));
+    }
+  };
+
+  const handleUse = async () => {
+    if (isDirty) {
+      setIsDirty(false);
+      await saveKit(draft);
+    }
+    dispatch(withHistoryLabel(setBrandKit(draft), `Use brand kit ${draft.name}`));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the brand kit "${selectedKit.name}"?`)) return;
+    removeKit(selectedKit.id);
+    if (project.brandKitId === selectedKit.id) {
+      dispatch(withHistoryLabel(setBrandKit(null), 'Remove brand kit'));
+    }
+    selectKit(null);
+  };
+
+  const handleLogoUpload = async (file) => {
+    setFileError(null);
+    try {
+      updateDraft({ logo: await readLogoFile(file) });
+    } catch (logoError) {
+      setFileError(logoError instanceof MediaUploadError ? logoError.message : 'The logo could not be read.');
+    }
+  };
+
+  // Asset files are kept in browser storage so the kit still shows them after a reload
+  const handleAssetUpload = async (files) => {
+    setFileError(null);
+    setAddingAssets(true);
+    const added = [];
+    const problems = [];
+    for (const file of Array.from(files)) {
+      try {
+        added.push(await storeMediaFile(await readMediaFile(file), file));
+      } catch (assetError) {
+        problems.push(`${file.name}: ${assetError instanceof MediaUploadError ? assetError.message : 'The file could not be read.'}`);
+      }
+    }
+    if (added.length > 0) {
+      setDraft(current => ({ ...current, assets: [...current.assets, ...added] }));
+      setIsDirty(true);
+    }
+    setFileError(problems.length > 0 ? problems.join(' ') : null);
+    setAddingAssets(false);
+  };
+
+  const handleRemoveAsset = (assetId) => {
+    updateDraft({ assets: draft.assets.filter(asset => asset.id !== assetId) });
+  };
+
+  return (
+    <div className="brand-view">
+      <div className="brand-header">
+        <h2>My Brand</h2>
+        <button className="brand-new-button" onClick={handleNewKit}>
+          <FaPlus /> New Brand Kit
+        </button>
+      </div>
+
+      {error && <div className="brand-error" role="alert">{error}</div>}
+
+      {loading && <p className="brand-empty">Loading brand kits...</p>}
+
+      {!loading && kits.length === 0 && (
+        <p className="brand-empty">
+          Brand kits keep your logo, colors, fonts, music and voice together so every video starts on brand.
+        </p>
+      )}
+
+      {kits.length > 0 && (
+        <div className="brand-layout">
+          {/* Stored kits */}
+          <ul className="brand-kit-list" aria-label="Brand kits">
+            {kits.map(kit => (
+              <li key={kit.id}>
+                <button
+                  className={`brand-kit-item ${kit.id === selectedId ? 'active' : ''}`}
+                  onClick={() => handleSelect(kit)}
+                  aria-current={kit.id === selectedId ? 'true' : undefined}
+                >
+                  <span className="brand-kit-swatches" aria-hidden="true">
+                    {brandColorFields.map(field => (
+                      <span key={field.key} style={{ backgroundColor: kit.colors[field.key] }}></span>
+                    ))}
+                  </span>
+                  <span className="brand-kit-name">{kit.name}</span>
+                  {kit.isDefault && <span className="brand-kit-badge">Default</span>}
+                  {kit.id === project.brandKitId && <span className="brand-kit-badge">In use</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {/* Selected kit */}
+          {draft && (
+            <div className="brand-kit-editor">
+              <label className="brand-field">
+                <span className="brand-field-label">Name</span>
+                <input
+                  type="text"
+                  className="search-input"
+                  value={draft.name}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                />
+              </label>
+
+              <section className="brand-section">
+                <h4>Logo</h4>
+                <div className="brand-logo-row">
+                  <div className="brand-logo-preview">
+                    {draft.logo ? <img src={draft.logo} alt={`${draft.name} logo`} /> : <span>No logo</span>}
+                  </div>
+                  <input
+                    ref={logoInputRef}
+                    type="file"
+                    accept="image/jpeg,image/png,.jpg,.jpeg,.png"
+                    style={{ display: 'none' }}
+                    onChange={(e) => {
+                      if (e.target.files[0]) handleLogoUpload(e.target.files[0]);
+                      e.target.value = '';
+                    }}
+                  />
+                  <button className="secondary-button" onClick={() => logoInputRef.current.click()}>
+                    <FaUpload /> {draft.logo ? 'Replace' : 'Upload'}
+                  </button>
+                  {draft.logo && (
+                    <button className="secondary-button" onClick={() => updateDraft({ logo: null })}>Remove</button>
+                  )}
+                </div>
+              </section>
+
+              <section className="brand-section">
+                <h4>Colors</h4>
+                <div className="color-pickers brand-colors">
+                  {brandColorFields.map(field => (
+                    <ColorPicker
+                      key={field.key}
+                      label={field.name}
+                      value={draft.colors[field.key]}
+                      onChange={(color) => updateDraft({ colors: { ...draft.colors, [field.key]: color } })}
+                      suggestions={logoPalette}
+                    />
+                  ))}
+                </div>
+                {textContrast !== null && textContrast < MIN_TEXT_CONTRAST && (
+                  <div className="contrast-warning" role="alert">
+                    <FaExclamationTriangle aria-hidden="true" />
+                    <div>
+                      Text on Primary has a contrast of {formatContrast(textContrast)}, below
+                      the {formatContrast(MIN_TEXT_CONTRAST)} WCAG minimum.
+                    </div>
+                  </div>
+                )}
+              </section>
+
+              <section className="brand-section brand-selects">
+                <label className="brand-field">
+                  <span className="brand-field-label">Heading font</span>
+                  <select
+                    className="select-input"
+                    value={draft.fonts.heading}
+                    onChange={(e) => updateDraft({ fonts: { ...draft.fonts, heading: e.target.value } })}
+                  >
+                    {fontOptions.map(font => <option key={font.id} value={font.id}>{font.name}</option>)}
+                  </select>
+                </label>
+                <label className="brand-field">
+                  <span className="brand-field-label">Body font</span>
+                  <select
+                    className="select-input"
+                    value={draft.fonts.body}
+                    onChange={(e) => updateDraft({ fonts: { ...draft.fonts, body: e.target.value } })}
+                  >
+                    {fontOptions.map(font => <option key={font.id} value={font.id}>{font.name}</option>)}
+                  </select>
+                </label>
+                <label className="brand-field">
+                  <span className="brand-field-label">Default music</span>
+                  <select
+                    className="select-input"
+                    value={draft.musicTrackId || ''}
+                    onChange={(e) => updateDraft({ musicTrackId: e.target.value || null })}
+                  >
+                    <option value="">Keep the video's music</option>
+                    {musicTracks.map(track => <option key={track.id} value={track.id}>{track.name}</option>)}
+                  </select>
+                </label>
+                <label className="brand-field">
+                  <span className="brand-field-label">Default voice</span>
+                  <select
+                    className="select-input"
+                    value={draft.voiceId || ''}
+                    onChange={(e) => updateDraft({ voiceId: e.target.value || null })}
+                  >
+                    <option value="">Keep the video's voice</option>
+                    {voiceOptions.map(voice => <option key={voice.id} value={voice.id}>{voice.name}</option>)}
+                  </select>
+                </label>
+              </section>
+
+              <section className="brand-section">
+                <h4>Assets</h4>
+                <p className="section-description">Images and clips offered in the media panel's My Brand tab.</p>
+                <div className="media-grid">
+                  {draft.assets.map(asset => (
+                    <div key={asset.id} className="media-item brand-asset" title={asset.name}>
+                      <img src={asset.thumbnail} alt={asset.name} />
+                      <div className="media-item-type">
+                        {asset.type === 'video' ? <FaVideo /> : <FaImage />}
+                      </div>
+                      <button
+                        className="brand-asset-remove"
+                        onClick={() => handleRemoveAsset(asset.id)}
+                        aria-label={`Remove ${asset.name}`}
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  ))}
+                  <div
+                    className="media-item upload-item"
+                    role="button"
+                    aria-label="Add brand assets"
+                    aria-busy={addingAssets}
+                    onClick={() => !addingAssets && assetInputRef.current.click()}
+                  >
+                    <input
+                      ref={assetInputRef}
+                      type="file"
+                      multiple
+                      accept={MEDIA_UPLOAD_ACCEPT}
+                      style={{ display: 'none' }}
+                      onChange={(e) => {
+                        handleAssetUpload(e.target.files);
+                        e.target.value = '';
+                      }}
+                    />
+                    <FaUpload />
+                    <div>{addingAssets ? 'Adding...' : 'Add New'}</div>
+                  </div>
+                </div>
+              </section>
+
+              {fileError && <div className="brand-error" role="alert">{fileError}</div>}
+
+              <label className="platform-checkbox">
+                <input
+                  type="checkbox"
+                  checked={draft.isDefault}
+                  onChange={(e) => updateDraft({ isDefault: e.target.checked })}
+                />
+                <span>Use for new videos</span>
+              </label>
+
+              <div className="brand-actions">
+                <button className="brand-delete-button" onClick={handleDelete}>
+                  <FaTrash /> Delete
+                </button>
+                <div className="brand-actions-main">
+                  <button className="secondary-button" onClick={handleUse} disabled={!draft.name.trim()}>
+                    {project.brandKitId === draft.id ? <><FaCheck /> Used by this video</> : 'Use in current video'}
+                  </button>
+                  <button className="apply-button" onClick={handleSave} disabled={!isDirty || !draft.name.trim()}>
+                    Save Changes
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BrandView;
@@ -1,9 +1,26 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { FaTimes, FaPaperPlane, FaImage, FaVolumeUp, FaCog, FaArrowLeft } from 'react-icons/fa';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { FaTimes, FaPaperPlane, FaImage, FaPhotoVideo, FaVolumeUp, FaCog, FaFont, FaClosedCaptioning, FaArrowLeft, FaUndo, FaRedo, FaHistory, FaSave, FaFolderOpen, FaStop, FaRedoAlt } from 'react-icons/fa';
 import './ChatEditor.css';
 import ScenesPanel from './tool-panels/ScenesPanel';
 import AudioPanel from './tool-panels/AudioPanel';
 import SettingsPanel from './tool-panels/SettingsPanel';
+import TextPanel from './tool-panels/TextPanel';
+import SubtitlesPanel from './tool-panels/SubtitlesPanel';
+import MediaPanel from './tool-panels/MediaPanel';
+import ScenePlayer from './ScenePlayer';
+import { useProject } from '../context/ProjectContext';
+import { updateScene } from '../state/projectReducer';
+import { undo, redo, jumpToHistory, withHistoryLabel } from '../state/history';
+import { getSceneTimings } from '../state/projectModel';
+import { formatTime } from '../utils/time';
+import { downloadBlob, toFileStem } from '../utils/download';
+import { serializeProjectFile, readProjectFile, PROJECT_FILE_EXTENSION } from '../services/projectFile';
+import { embedMediaFiles, restoreMediaFiles } from '../services/mediaFiles';
+import { markProjectSaved, saveDraft } from '../services/projectStorage';
+import { applyEditCommands } from '../state/editCommands';
+import { getMusicLibrary } from '../services/playback/musicEngine';
+import { createAssistantProvider } from '../services/assistant';
+import useAssistantChat from '../hooks/useAssistantChat';
 
 /**
  * ChatEditor Component
@@ -14,114 +31,125 @@ import SettingsPanel from './tool-panels/SettingsPanel';
  * 
  * @param {Object} props Component props
  * @param {Function} props.onClose Function to close the editor
+ * @param {Object} [props.assistantProvider] Assistant backend (defaults to the configured provider)
  */
-const ChatEditor = ({ onClose }) => {
-  // Chat messages state
-  const [messages, setMessages] = useState([
-    { 
-      id: 1, 
-      type: 'ai', 
-      content: 'What would you like to change about your video?',
-      timestamp: new Date() 
-    }
-  ]);
+const ChatEditor = ({ onClose, assistantProvider }) => {
+  // Shared project document and dispatcher
+  const {
+    project,
+    dispatch,
+    history,
+    chatMessages: messages,
+    setChatMessages: setMessages,
+    openProject,
+    autosaveStatus
+  } = useProject();
+  const { scenes } = project;
   
   // User input state for chat
   const [input, setInput] = useState('');
   
   // Currently active scene
-  const [activeScene, setActiveScene] = useState(0);
+  const [activeScene, setActiveScene] = useState(() => scenes[0]?.id);
   
   // Currently active tool panel (null if no panel is open)
   const [activeToolPanel, setActiveToolPanel] = useState(null);
   
+  // Whether the edit history list is shown
+  const [showHistory, setShowHistory] = useState(false);
+  
+  // Unapplied script edits in chat script blocks, keyed by message and scene
+  const [scriptDrafts, setScriptDrafts] = useState({});
+  
+  // Problem reported while opening a project file
+  const [fileError, setFileError] = useState(null);
+  
+  // Hidden file input used by "Open project"
+  const projectInputRef = useRef(null);
+  
   // Reference to scroll chat to bottom
   const chatEndRef = useRef(null);
   
-  // Mock video scenes data (would come from API in real app)
-  const scenes = [
-    { id: 1, thumbnail: 'https://via.placeholder.com/120x68/333/fff?text=Scene+1', time: '0:00-0:04' },
-    { id: 2, thumbnail: 'https://via.placeholder.com/120x68/333/fff?text=Scene+2', time: '0:05-0:09' },
-    { id: 3, thumbnail: 'https://via.placeholder.com/120x68/333/fff?text=Scene+3', time: '0:10-0:14' }
-  ];
+  // Scene start/end times derived from scene durations
+  const sceneTimings = getSceneTimings(scenes);
 
   /**
-   * Automatically scroll chat to bottom when new messages arrive
+   * Keep the active scene valid when scenes are removed or replaced
    */
   useEffect(() => {
-    chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+    if (!scenes.some(scene => scene.id === activeScene)) {
+      setActiveScene(scenes[0]?.id);
+    }
+  }, [scenes, activeScene]);
 
   /**
-   * Process and send the user's message, then generate an AI response
+   * Undo/redo keyboard shortcuts (Ctrl+Z, Ctrl+Shift+Z, Ctrl+Y).
+   * Text fields keep their native undo behaviour.
    */
-  const handleSendMessage = () => {
-    if (input.trim() === '') return;
-    
-    // Create and add user message
-    const userMessage = {
-      id: messages.length + 1,
-      type: 'user',
-      content: input,
-      timestamp: new Date()
+  useEffect(() => {
+    const handleShortcut = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type === 'text')) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        dispatch(undo());
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        dispatch(redo());
+      }
     };
     
-    setMessages([...messages, userMessage]);
-    setInput('');
-    
-    // Generate AI response (simulated)
-    generateAIResponse(input);
-  };
+    window.addEventListener('keydown', handleShortcut);
+    return () => window.removeEventListener('keydown', handleShortcut);
+  }, [dispatch]);
+
+  /**
+   * Automatically scroll chat to bottom when new messages arrive
+   */
+  useEffect(() => {
+    chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  // Assistant backend answering chat messages
+  const provider = useMemo(() => assistantProvider || createAssistantProvider(), [assistantProvider]);
 
   /**
-   * Generate an AI response based on user input
-   * In a real app, this would call an API
+   * Apply edit commands proposed by the assistant as undoable steps
    * 
-   * @param {string} userInput - The user's message content
+   * @param {Array} commands - Edit commands
+   * @param {Object} currentProject - Project the commands refer to
+   * @returns {{summaries: string[], project: Object}} What changed and the resulting project
    */
-  const generateAIResponse = (userInput) => {
-    setTimeout(() => {
-      let aiResponse;
-      const lowerInput = userInput.toLowerCase();
-      
-      // Generate response based on keywords in user input
-      if (lowerInput.includes('replace') || lowerInput.includes('change scene')) {
-        aiResponse = {
-          id: messages.length + 2,
-          type: 'ai',
-          content: "I can help replace that scene. Here are 3 alternatives I've generated based on your video style:",
-          options: [
-            { type: 'scene', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Option+1' },
-            { type: 'scene', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Option+2' },
-            { type: 'scene', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Option+3' }
-          ],
-          timestamp: new Date()
-        };
-      } else if (lowerInput.includes('script') || lowerInput.includes('text')) {
-        aiResponse = {
-          id: messages.length + 2,
-          type: 'ai',
-          content: "Here's the current script for this scene. You can edit it directly:",
-          script: "Our product helps customers achieve their goals faster and with less effort than traditional methods.",
-          timestamp: new Date()
-        };
-      } else {
-        aiResponse = {
-          id: messages.length + 2,
-          type: 'ai',
-          content: "I can help you with that. Would you like to: 1) Change scenes, 2) Edit script, or 3) Adjust the storyboard?",
-          timestamp: new Date()
-        };
-      }
-      
-      setMessages(prev => [...prev, aiResponse]);
-    }, 1000);
+  const applyProposal = useCallback((commands, currentProject) => {
+    const result = applyEditCommands(currentProject, commands, getMusicLibrary(currentProject));
+    result.actions.forEach(action => dispatch(action));
+    return result;
+  }, [dispatch]);
+
+  const { isStreaming, ask, cancel, retry } = useAssistantChat({
+    provider,
+    project,
+    messages,
+    setMessages,
+    applyProposal
+  });
+
+  /**
+   * Send the user's message to the assistant
+   */
+  const handleSendMessage = () => {
+    if (input.trim() === '' || isStreaming) return;
+    ask(input);
+    setInput('');
   };
 
   /**
    * Handle scene selection
    * 
-   * @param {number} sceneId - ID of the selected scene
+   * @param {string} sceneId - ID of the selected scene
    */
   const handleSceneClick = (sceneId) => {
     setActiveScene(sceneId);
@@ -163,24 +191,121 @@ const ChatEditor = ({ onClose }) => {
   const getToolPanel = () => {
     switch (activeToolPanel) {
       case 'scenes':
-        return <ScenesPanel onClose={handleCloseToolPanel} scenes={scenes} activeScene={activeScene} />;
+        return <ScenesPanel onClose={handleCloseToolPanel} activeScene={activeScene} />;
+      case 'media':
+        return <MediaPanel onClose={handleCloseToolPanel} activeScene={activeScene} />;
+      case 'text':
+        return <TextPanel onClose={handleCloseToolPanel} activeScene={activeScene} />;
       case 'audio':
         return <AudioPanel onClose={handleCloseToolPanel} />;
+      case 'subtitles':
+        return <SubtitlesPanel onClose={handleCloseToolPanel} />;
       case 'settings':
-        return <SettingsPanel onClose={handleCloseToolPanel} />;
+        return <SettingsPanel onClose={handleCloseToolPanel} activeScene={activeScene} />;
       default:
         return null;
     }
   };
 
   /**
-   * Handle click on apply button in script editor
+   * Download the current editing state as a project file
+   */
+  const handleSaveProject = async () => {
+    let blob;
+    try {
+      // Uploads are copied into the file so it opens in any browser
+      blob = new Blob([serializeProjectFile(await embedMediaFiles(project), messages)], { type: 'application/json' });
+    } catch (error) {
+      setFileError({ message: `Could not save the project: ${error.message}`, details: [] });
+      return;
+    }
+    downloadBlob(blob, `${toFileStem(project.name)}${PROJECT_FILE_EXTENSION}`);
+    // The file now holds the latest changes, so the draft is no longer "unsaved"
+    saveDraft(project, messages).then(() => markProjectSaved(project.id)).catch(() => {});
+  };
+
+  /**
+   * Open a project file chosen by the user, reporting any problems
+   * 
+   * @param {FileList} files - Files from the hidden input
+   */
+  const handleOpenProject = async (files) => {
+    const file = files && files[0];
+    if (!file) return;
+    try {
+      const { project: loaded, chatHistory } = await readProjectFile(file);
+      openProject(await restoreMediaFiles(loaded), chatHistory);
+      setActiveToolPanel(null);
+      setFileError(null);
+    } catch (error) {
+      setFileError({
+        message: `Could not open "${file.name}": ${error.message}`,
+        details: error.details || []
+      });
+    } finally {
+      // Allow the same file to be chosen again after fixing it
+      projectInputRef.current.value = '';
+    }
+  };
+
+  // Scene whose script segment the chat script blocks edit
+  const activeSceneIndex = scenes.findIndex(scene => scene.id === activeScene);
+  const activeSceneScript = activeSceneIndex === -1 ? '' : scenes[activeSceneIndex].script;
+
+  /**
+   * Track edits in a chat script block until they are applied
+   * 
+   * @param {string} draftKey - Message and scene the draft belongs to
+   * @param {string} text - Edited script segment
+   */
+  const handleScriptDraftChange = (draftKey, text) => {
+    setScriptDrafts(drafts => ({ ...drafts, [draftKey]: text }));
+  };
+
+  /**
+   * Handle click on apply button in a chat script block
+   * 
+   * @param {string} draftKey - Message and scene the draft belongs to
+   */
+  const handleApplyScript = (draftKey) => {
+    if (activeSceneIndex === -1 || scriptDrafts[draftKey] === undefined) return;
+    dispatch(withHistoryLabel(
+      updateScene(activeScene, { script: scriptDrafts[draftKey] }),
+      `Edit scene ${activeSceneIndex + 1} script from chat`
+    ));
+    setScriptDrafts(({ [draftKey]: applied, ...drafts }) => drafts);
+  };
+
+  /**
+   * Script block shown in assistant messages, editing the active scene's
+   * segment of the voice-over script
    * 
-   * @param {string} updatedScript - The updated script content
+   * @param {Object} message - Chat message carrying the script block
+   * @returns {JSX.Element|null} Script editor
    */
-  const handleApplyScript = (updatedScript) => {
-    console.log('Applying script:', updatedScript);
-    // In a real app, would save the script and update the video
+  const renderScriptEditor = (message) => {
+    if (activeSceneIndex === -1) return null;
+    const draftKey = `${message.id}:${activeScene}`;
+    const draft = scriptDrafts[draftKey];
+    return (
+      <div className="script-editor">
+        <div className="script-editor-scene">Scene {activeSceneIndex + 1}</div>
+        <textarea 
+          value={draft === undefined ? activeSceneScript : draft}
+          onChange={(e) => handleScriptDraftChange(draftKey, e.target.value)}
+          rows={4}
+          placeholder="Edit script text here..."
+          aria-label={`Edit script for scene ${activeSceneIndex + 1}`}
+        />
+        <button 
+          className="apply-script"
+          onClick={() => handleApplyScript(draftKey)}
+          disabled={draft === undefined || draft === activeSceneScript}
+        >
+          Apply Changes
+        </button>
+      </div>
+    );
   };
 
   return (
@@ -189,15 +314,136 @@ const ChatEditor = ({ onClose }) => {
         {/* Editor header with title and close button */}
         <div className="chat-editor-header">
           <h3>Edit Video with AI</h3>
-          <button 
-            className="close-button" 
-            onClick={onClose}
-            aria-label="Close editor"
-          >
-            <FaTimes />
-          </button>
+          <div className="header-actions">
+            {/* Autosave status */}
+            <span className={`autosave-status ${autosaveStatus}`} aria-live="polite">
+              {{
+                pending: 'Unsaved changes',
+                saving: 'Saving…',
+                saved: 'Draft saved',
+                error: 'Autosave failed'
+              }[autosaveStatus] || ''}
+            </span>
+            
+            {/* Project file save/open */}
+            <button 
+              className="header-button" 
+              onClick={handleSaveProject}
+              aria-label="Save project file"
+              title="Save project file"
+            >
+              <FaSave />
+            </button>
+            <button 
+              className="header-button" 
+              onClick={() => projectInputRef.current.click()}
+              aria-label="Open project file"
+              title="Open project file"
+            >
+              <FaFolderOpen />
+            </button>
+            <input 
+              type="file" 
+              ref={projectInputRef}
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={(e) => handleOpenProject(e.target.files)}
+            />
+            
+            {/* Undo/redo and edit history */}
+            <button 
+              className="header-button" 
+              onClick={() => dispatch(undo())}
+              disabled={!history.canUndo}
+              aria-label="Undo"
+              title={history.canUndo ? `Undo ${history.done[history.done.length - 1]} (Ctrl+Z)` : 'Nothing to undo'}
+            >
+              <FaUndo />
+            </button>
+            <button 
+              className="header-button" 
+              onClick={() => dispatch(redo())}
+              disabled={!history.canRedo}
+              aria-label="Redo"
+              title={history.canRedo ? `Redo ${history.undone[0]} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            >
+              <FaRedo />
+            </button>
+            <button 
+              className={`header-button ${showHistory ? 'active' : ''}`} 
+              onClick={() => setShowHistory(!showHistory)}
+              aria-label="Show edit history"
+              aria-expanded={showHistory}
+            >
+              <FaHistory />
+            </button>
+            
+            {showHistory && (
+              <ol className="history-list" aria-label="Edit history">
+                <li>
+                  <button 
+                    className={`history-entry ${history.done.length === 0 ? 'current' : ''}`}
+                    onClick={() => dispatch(jumpToHistory(0))}
+                  >
+                    Original project
+                  </button>
+                </li>
+                {history.done.map((label, index) => (
+                  <li key={`done-${index}`}>
+                    <button 
+                      className={`history-entry ${index === history.done.length - 1 ? 'current' : ''}`}
+                      onClick={() => dispatch(jumpToHistory(index + 1))}
+                    >
+                      {label}
+                    </button>
+                  </li>
+                ))}
+                {history.undone.map((label, index) => (
+                  <li key={`undone-${index}`}>
+                    <button 
+                      className="history-entry undone"
+                      onClick={() => dispatch(jumpToHistory(history.done.length + index + 1))}
+                    >
+                      {label}
+                    </button>
+                  </li>
+                ))}
+              </ol>
+            )}
+            
+            <button 
+              className="close-button" 
+              onClick={onClose}
+              aria-label="Close editor"
+            >
+              <FaTimes />
+            </button>
+          </div>
         </div>
         
+        {/* Errors from opening a project file */}
+        {fileError && (
+          <div className="file-error" role="alert">
+            <div className="file-error-header">
+              <span>{fileError.message}</span>
+              <button 
+                className="close-button" 
+                onClick={() => setFileError(null)}
+                aria-label="Dismiss error"
+              >
+                <FaTimes />
+              </button>
+            </div>
+            {fileError.details.length > 0 && (
+              <ul className="file-error-details">
+                {fileError.details.map(detail => (
+                  <li key={detail}>{detail}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+        
         <div className="chat-editor-content">
           {activeToolPanel ? (
             // Render active tool panel when selected
@@ -208,26 +454,28 @@ const ChatEditor = ({ onClose }) => {
               <div className="video-preview-pane">
                 {/* Main video scene preview */}
                 <div className="video-scene">
-                  <img 
-                    src="https://images.unsplash.com/photo-1529156069898-49953e39b3ac?ixlib=rb-1.2.1&auto=format&fit=crop&w=1050&q=80" 
-                    alt="Video scene preview"
-                    className="scene-preview"
+                  <ScenePlayer
+                    activeSceneId={activeScene}
+                    onSceneChange={setActiveScene}
+                    maxSize={720}
                   />
                 </div>
                 
                 {/* Scene thumbnails navigation */}
                 <div className="scene-thumbnails">
-                  {scenes.map(scene => (
+                  {scenes.map((scene, index) => (
                     <div 
                       key={scene.id}
                       className={`scene-thumbnail ${activeScene === scene.id ? 'active' : ''}`}
                       onClick={() => handleSceneClick(scene.id)}
                       role="button"
-                      aria-label={`Select scene ${scene.id}`}
+                      aria-label={`Select scene ${index + 1}`}
                       aria-pressed={activeScene === scene.id}
                     >
-                      <img src={scene.thumbnail} alt={`Scene ${scene.id}`} />
-                      <div className="scene-time">{scene.time}</div>
+                      <img src={scene.thumbnail} alt={`Scene ${index + 1}`} />
+                      <div className="scene-time">
+                        {formatTime(sceneTimings[index].start)}-{formatTime(sceneTimings[index].end)}
+                      </div>
                     </div>
                   ))}
                 </div>
@@ -241,6 +489,20 @@ const ChatEditor = ({ onClose }) => {
                   >
                     <FaImage /> Scenes
                   </button>
+                  <button 
+                    className="tool-button" 
+                    onClick={() => handleToolClick('media')}
+                    aria-label="Media library tool"
+                  >
+                    <FaPhotoVideo /> Media
+                  </button>
+                  <button 
+                    className="tool-button" 
+                    onClick={() => handleToolClick('text')}
+                    aria-label="Text overlay tool"
+                  >
+                    <FaFont /> Text
+                  </button>
                   <button 
                     className="tool-button" 
                     onClick={() => handleToolClick('audio')}
@@ -248,6 +510,13 @@ const ChatEditor = ({ onClose }) => {
                   >
                     <FaVolumeUp /> Audio
                   </button>
+                  <button 
+                    className="tool-button" 
+                    onClick={() => handleToolClick('subtitles')}
+                    aria-label="Subtitles tool"
+                  >
+                    <FaClosedCaptioning /> Subtitles
+                  </button>
                   <button 
                     className="tool-button" 
                     onClick={() => handleToolClick('settings')}
@@ -271,6 +540,38 @@ const ChatEditor = ({ onClose }) => {
                       <div className="message-content">
                         {message.content}
                         
+                        {/* Typing indicator until the first words arrive */}
+                        {message.pending && message.content === '' && (
+                          <span className="typing-indicator" aria-label="Assistant is typing">
+                            <span></span><span></span><span></span>
+                          </span>
+                        )}
+                        
+                        {/* Failed reply with retry */}
+                        {message.error && (
+                          <div className="message-error" role="alert">
+                            <span>{message.error}</span>
+                            <button 
+                              className="retry-button"
+                              onClick={() => retry(message.id)}
+                              disabled={isStreaming}
+                            >
+                              <FaRedoAlt /> Retry
+                            </button>
+                          </div>
+                        )}
+                        
+                        {/* Changes applied from this message */}
+                        {message.changes && (message.changes.length > 0 ? (
+                          <ul className="change-list">
+                            {message.changes.map(change => (
+                              <li key={change}>{change}</li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <div className="change-list">Nothing needed changing — it was already set that way.</div>
+                        ))}
+                        
                         {/* AI-generated scene options */}
                         {message.options && (
                           <div className="option-grid">
@@ -288,22 +589,7 @@ const ChatEditor = ({ onClose }) => {
                         )}
                         
                         {/* Script editor within chat */}
-                        {message.script && (
-                          <div className="script-editor">
-                            <textarea 
-                              defaultValue={message.script}
-                              rows={4}
-                              placeholder="Edit script text here..."
-                              aria-label="Edit script text"
-                            />
-                            <button 
-                              className="apply-script"
-                              onClick={() => handleApplyScript(document.querySelector('.script-editor textarea').value)}
-                            >
-                              Apply Changes
-                            </button>
-                          </div>
-                        )}
+                        {message.script && renderScriptEditor(message)}
                       </div>
                       <div className="message-time">
                         {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
@@ -325,14 +611,24 @@ const ChatEditor = ({ onClose }) => {
                     rows={2}
                     aria-label="Message input"
                   />
-                  <button 
-                    className="send-button"
-                    onClick={handleSendMessage}
-                    disabled={input.trim() === ''}
-                    aria-label="Send message"
-                  >
-                    <FaPaperPlane />
-                  </button>
+                  {isStreaming ? (
+                    <button 
+                      className="send-button"
+                      onClick={cancel}
+                      aria-label="Stop reply"
+                    >
+                      <FaStop />
+                    </button>
+                  ) : (
+                    <button 
+                      className="send-button"
+                      onClick={handleSendMessage}
+                      disabled={input.trim() === ''}
+                      aria-label="Send message"
+                    >
+                      <FaPaperPlane />
+                    </button>
+                  )}
                 </div>
               </div>
             </>
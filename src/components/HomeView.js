@@ -0,0 +1,127 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { FaFolderOpen, FaTrash, FaPlus } from 'react-icons/fa';
+import './HomeView.css';
+import { useProject } from '../context/ProjectContext';
+import { useBrandKits } from '../context/BrandKitContext';
+import { createDefaultProject } from '../state/projectModel';
+import { projectReducer, setBrandKit } from '../state/projectReducer';
+import {
+  listRecentProjects,
+  loadStoredProject,
+  deleteStoredProject,
+  isStorageAvailable
+} from '../services/projectStorage';
+import { restoreMediaFiles } from '../services/mediaFiles';
+
+/**
+ * HomeView Component
+ * 
+ * Landing page listing projects autosaved in this browser so people can
+ * resume earlier editing sessions or start a new video.
+ * 
+ * @param {Object} props Component props
+ * @param {Function} props.onOpenEditor Called after a project has been opened
+ */
+const HomeView = ({ onOpenEditor }) => {
+  const { openProject } = useProject();
+  const { defaultKit } = useBrandKits();
+  // Autosaved projects, most recent first (null while loading)
+  const [recentProjects, setRecentProjects] = useState(null);
+  // Problem reported while listing or opening projects
+  const [error, setError] = useState(null);
+
+  const refreshProjects = useCallback(() => {
+    listRecentProjects()
+      .then(setRecentProjects)
+      .catch(() => {
+        setRecentProjects([]);
+        setError('Recent projects could not be loaded from browser storage.');
+      });
+  }, []);
+
+  useEffect(() => {
+    refreshProjects();
+  }, [refreshProjects]);
+
+  const handleOpen = async (record) => {
+    try {
+      const { project, chatHistory } = await loadStoredProject(record.id);
+      openProject(await restoreMediaFiles(project), chatHistory);
+      onOpenEditor();
+    } catch (openError) {
+      setError(`Could not open "${record.name}": ${openError.message}`);
+    }
+  };
+
+  const handleDelete = async (record) => {
+    if (!window.confirm(`Remove "${record.name}" from recent projects?`)) return;
+    try {
+      await deleteStoredProject(record.id);
+    } catch (deleteError) {
+      setError(`Could not remove "${record.name}": ${deleteError.message}`);
+    }
+    refreshProjects();
+  };
+
+  // New videos start with the default brand kit, if there is one
+  const handleNewProject = () => {
+    const project = createDefaultProject();
+    openProject(defaultKit ? projectReducer(project, setBrandKit(defaultKit)) : project);
+    onOpenEditor();
+  };
+
+  return (
+    <div className="home-view">
+      <div className="home-header">
+        <h2>Recent Projects</h2>
+        <button className="new-project-button" onClick={handleNewProject}>
+          <FaPlus /> New Video
+        </button>
+      </div>
+      
+      {error && <div className="home-error" role="alert">{error}</div>}
+      
+      {!isStorageAvailable() && (
+        <p className="home-empty">This browser does not support saving projects locally.</p>
+      )}
+      
+      {recentProjects && recentProjects.length === 0 && isStorageAvailable() && (
+        <p className="home-empty">Projects you edit are saved here automatically.</p>
+      )}
+      
+      {recentProjects && recentProjects.length > 0 && (
+        <ul className="recent-projects">
+          {recentProjects.map(record => (
+            <li key={record.id} className="recent-project">
+              <div className="recent-project-info">
+                <div className="recent-project-name">{record.name}</div>
+                <div className="recent-project-meta">
+                  {record.sceneCount} {record.sceneCount === 1 ? 'scene' : 'scenes'} · edited {new Date(record.updatedAt).toLocaleString()}
+                  {record.updatedAt > record.savedAt && <span className="unsaved-badge">Unsaved changes</span>}
+                </div>
+              </div>
+              <div className="recent-project-actions">
+                <button 
+                  className="recent-project-button" 
+                  onClick={() => handleOpen(record)}
+                  aria-label={`Open ${record.name}`}
+                >
+                  <FaFolderOpen /> Open
+                </button>
+                <button 
+                  className="recent-project-button icon-only" 
+                  onClick={() => handleDelete(record)}
+                  aria-label={`Remove ${record.name}`}
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HomeView;
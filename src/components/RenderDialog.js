@@ -0,0 +1,106 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './RenderDialog.css';
+import './tool-panels/ToolPanels.css';
+import { useProject } from '../context/ProjectContext';
+import { getSceneAtTime, getMediaCredits } from '../state/projectModel';
+import { getRenderSize, renderVideo } from '../services/playback/videoRenderer';
+import { downloadBlob } from '../utils/download';
+import { formatTime } from '../utils/time';
+
+/**
+ * RenderDialog Component
+ * 
+ * Renders the current project to a WebM file as soon as it opens, showing
+ * progress with a cancel button, and downloads the result when finished.
+ * 
+ * @param {Object} props Component props
+ * @param {Function} props.onClose Called when rendering finishes, fails and is dismissed, or is cancelled
+ */
+const RenderDialog = ({ onClose }) => {
+  const { project } = useProject();
+  // The project as it was when rendering started; later edits are not included
+  const [snapshot] = useState(project);
+  const [progress, setProgress] = useState({ elapsed: 0, total: 0 });
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    renderVideo(snapshot, {
+      signal: controller.signal,
+      onProgress: (elapsed, total) => setProgress({ elapsed, total })
+    })
+      .then(({ blob, fileName }) => {
+        downloadBlob(blob, fileName);
+        onCloseRef.current();
+      })
+      .catch(renderError => {
+        if (renderError.name !== 'AbortError') setError(renderError.message);
+      });
+    return () => controller.abort();
+  }, [snapshot]);
+
+  const handleCancel = () => {
+    controllerRef.current.abort();
+    onClose();
+  };
+
+  const { width, height } = getRenderSize(snapshot.format.presetId, snapshot.exportOptions.quality);
+  const percent = progress.total > 0 ? Math.round((progress.elapsed / progress.total) * 100) : 0;
+  const current = getSceneAtTime(snapshot.scenes, progress.elapsed);
+  // Generated speech is only spoken live, so it cannot be part of the file
+  const hasGeneratedSpeech = snapshot.scenes.some(scene => scene.narration && !scene.narration.src);
+  // Stock media licenses may ask for attribution wherever the video is published
+  const credits = getMediaCredits(snapshot.scenes);
+
+  return (
+    <div className="render-dialog-overlay">
+      <div className="render-dialog" role="dialog" aria-labelledby="render-dialog-title">
+        <h3 id="render-dialog-title">{error ? 'Rendering failed' : 'Rendering video'}</h3>
+        <p className="render-details">WebM, {width} x {height}px</p>
+
+        {error ? (
+          <p className="render-error" role="alert">{error}</p>
+        ) : (
+          <>
+            <div
+              className="render-progress"
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={percent}
+            >
+              <div className="render-progress-bar" style={{ width: `${percent}%` }}></div>
+            </div>
+            <p className="render-status">
+              {progress.total > 0
+                ? `${percent}% · Scene ${current.index + 1} of ${snapshot.scenes.length} · ${formatTime(progress.elapsed)} / ${formatTime(progress.total)}`
+                : 'Loading media...'}
+            </p>
+            {hasGeneratedSpeech && (
+              <p className="render-note">
+                Generated voice-over plays in the preview only. Record narration to include it in the download.
+              </p>
+            )}
+            {credits.length > 0 && (
+              <p className="render-note">
+                Stock media credits: {credits.map(credit => `${credit.author} (${credit.license})`).join(', ')}
+              </p>
+            )}
+          </>
+        )}
+
+        <div className="render-dialog-actions">
+          <button className="cancel-button" onClick={handleCancel}>
+            {error ? 'Close' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RenderDialog;
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react';
+import './RestoreSessionPrompt.css';
+import './tool-panels/ToolPanels.css';
+import { useProject } from '../context/ProjectContext';
+import { findUnsavedDraft, loadStoredProject, markProjectSaved } from '../services/projectStorage';
+import { restoreMediaFiles } from '../services/mediaFiles';
+
+/**
+ * RestoreSessionPrompt Component
+ * 
+ * Checks browser storage once on load and, when the most recently edited
+ * project has autosaved changes that were never saved to a file, offers to
+ * restore it.
+ */
+const RestoreSessionPrompt = () => {
+  const { openProject } = useProject();
+  // Unsaved draft found in storage (null when there is nothing to restore)
+  const [draft, setDraft] = useState(null);
+  // Problem reported while restoring
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    findUnsavedDraft()
+      .then(found => {
+        if (!cancelled) setDraft(found);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (!draft) return null;
+
+  const handleRestore = async () => {
+    try {
+      const { project, chatHistory } = await loadStoredProject(draft.id);
+      openProject(await restoreMediaFiles(project), chatHistory);
+      setDraft(null);
+    } catch (restoreError) {
+      setError(restoreError.message);
+    }
+  };
+
+  // Keep the draft in recent projects but stop offering it on load
+  const handleDismiss = () => {
+    markProjectSaved(draft.id).catch(() => {});
+    setDraft(null);
+  };
+
+  return (
+    <div className="restore-prompt-overlay">
+      <div className="restore-prompt" role="alertdialog" aria-labelledby="restore-prompt-title">
+        <h3 id="restore-prompt-title">Restore unsaved session?</h3>
+        <p>
+          "{draft.name}" has changes from {new Date(draft.updatedAt).toLocaleString()} that
+          were not saved to a file.
+        </p>
+        {error && <p className="restore-prompt-error" role="alert">{error}</p>}
+        <div className="restore-prompt-actions">
+          <button className="cancel-button" onClick={handleDismiss}>Start Fresh</button>
+          <button className="apply-button" onClick={handleRestore}>Restore</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RestoreSessionPrompt;
@@ -0,0 +1,284 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { FaPlay, FaPause, FaExpand, FaCompress, FaVolumeUp, FaVolumeMute, FaClosedCaptioning } from 'react-icons/fa';
+import './ScenePlayer.css';
+import { useProject } from '../context/ProjectContext';
+import { getSceneAtTime, getSceneTimings, getTotalDuration } from '../state/projectModel';
+import { getFormatPreset } from '../data/catalog';
+import { updateSubtitles } from '../state/projectReducer';
+import { withHistoryLabel } from '../state/history';
+import { createMediaCache } from '../services/playback/mediaCache';
+import { fitSize, renderFrame, syncVideos } from '../services/playback/frameRenderer';
+import { createTtsEngine } from '../services/tts';
+import usePlayback from '../hooks/usePlayback';
+import useMusicPlayback from '../hooks/useMusicPlayback';
+import { formatTime } from '../utils/time';
+
+/**
+ * ScenePlayer Component
+ * 
+ * Plays the project's scenes one after another on a canvas sized to the
+ * chosen format preset, with play/pause, scrubbing, volume, subtitles and
+ * fullscreen.
+ * 
+ * @param {Object} props Component props
+ * @param {Object} [props.playback] Shared playback clock from usePlayback (the player keeps its own otherwise)
+ * @param {string} [props.activeSceneId] Scene to jump to when it changes
+ * @param {Function} [props.onSceneChange] Called with the id of the scene under the playhead
+ * @param {number} [props.maxSize=960] Largest canvas side in pixels
+ */
+const ScenePlayer = ({ playback, activeSceneId, onSceneChange, maxSize = 960 }) => {
+  const { project, dispatch } = useProject();
+  const duration = getTotalDuration(project.scenes);
+  const ownPlayback = usePlayback(duration);
+  const { currentTime, isPlaying, toggle, seek } = playback || ownPlayback;
+  const [muted, setMuted] = useState(false);
+  const [volume, setVolume] = useState(1);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  // Bumped whenever a media element finishes loading so the frame is redrawn
+  const [mediaVersion, setMediaVersion] = useState(0);
+
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const progressRef = useRef(null);
+  const mediaRef = useRef(null);
+  if (!mediaRef.current) {
+    mediaRef.current = createMediaCache(() => setMediaVersion(version => version + 1));
+  }
+
+  const { width, height } = useMemo(
+    () => fitSize(getFormatPreset(project.format.presetId), maxSize),
+    [project.format.presetId, maxSize]
+  );
+  const currentSceneId = getSceneAtTime(project.scenes, currentTime)?.scene.id;
+
+  useMusicPlayback({ project, currentTime, isPlaying, volume, muted });
+
+  // Speaks generated narration that has no recorded audio
+  const ttsRef = useRef(null);
+  if (!ttsRef.current) ttsRef.current = createTtsEngine();
+
+  useEffect(() => {
+    const media = mediaRef.current;
+    const tts = ttsRef.current;
+    return () => {
+      media.dispose();
+      tts.stop();
+    };
+  }, []);
+
+  // Draw the current frame and keep clips in step with the clock
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext('2d');
+    const media = mediaRef.current;
+    const visible = renderFrame(ctx, {
+      project,
+      time: currentTime,
+      width,
+      height,
+      media,
+      showSubtitles: project.subtitles.showInPreview
+    });
+    media.videos().forEach(video => {
+      video.muted = muted;
+      video.volume = volume;
+    });
+    syncVideos(media, visible, isPlaying);
+  }, [project, currentTime, width, height, isPlaying, muted, volume, mediaVersion]);
+
+  // Jump to the active scene unless the playhead is already inside it
+  const timeRef = useRef(currentTime);
+  timeRef.current = currentTime;
+  const scenesRef = useRef(project.scenes);
+  scenesRef.current = project.scenes;
+  useEffect(() => {
+    if (!activeSceneId) return;
+    const timing = getSceneTimings(scenesRef.current).find(({ id }) => id === activeSceneId);
+    if (timing && (timeRef.current < timing.start || timeRef.current >= timing.end)) {
+      seek(timing.start);
+    }
+  }, [activeSceneId, seek]);
+
+  // Play each scene's narration as playback enters it. Recorded takes pick
+  // up where the playhead is; generated speech can only start from the top,
+  // so starting well into a scene skips it rather than reading out of step.
+  const volumeRef = useRef(volume);
+  volumeRef.current = volume;
+  const takeRef = useRef(null);
+  useEffect(() => {
+    if (!isPlaying || muted || !currentSceneId) return;
+    const scenes = scenesRef.current;
+    const index = scenes.findIndex(scene => scene.id === currentSceneId);
+    const { narration } = scenes[index];
+    const offset = timeRef.current - getSceneTimings(scenes)[index].start;
+    if (!narration || offset >= narration.duration) return;
+
+    if (narration.src) {
+      const take = new Audio(narration.src);
+      take.volume = volumeRef.current;
+      take.currentTime = offset;
+      takeRef.current = take;
+      take.play().catch(() => {
+        // Autoplay refused or the take could not be decoded
+      });
+      return () => {
+        take.pause();
+        takeRef.current = null;
+      };
+    }
+
+    if (offset > 0.5) return;
+    const tts = ttsRef.current;
+    tts.speak(narration.text, {
+      voiceId: narration.voiceId,
+      speed: narration.speed,
+      pitch: narration.pitch,
+      emphasis: narration.emphasis
+    }).catch(() => {
+      // Stopped by pausing or leaving the scene, or speech is unavailable
+    });
+    return () => tts.stop();
+  }, [isPlaying, muted, currentSceneId]);
+
+  // Follow volume changes while a take is playing
+  useEffect(() => {
+    if (takeRef.current) takeRef.current.volume = volume;
+  }, [volume]);
+
+  // Report the scene under the playhead as playback or scrubbing moves on
+  const reportedSceneRef = useRef(null);
+  useEffect(() => {
+    if (reportedSceneRef.current && currentSceneId && currentSceneId !== reportedSceneRef.current && onSceneChange) {
+      onSceneChange(currentSceneId);
+    }
+    reportedSceneRef.current = currentSceneId;
+  }, [currentSceneId, onSceneChange]);
+
+  useEffect(() => {
+    const handleChange = () => setIsFullscreen(document.fullscreenElement === containerRef.current);
+    document.addEventListener('fullscreenchange', handleChange);
+    return () => document.removeEventListener('fullscreenchange', handleChange);
+  }, []);
+
+  const seekToPointer = useCallback((event) => {
+    const rect = progressRef.current.getBoundingClientRect();
+    const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    seek(ratio * duration);
+  }, [seek, duration]);
+
+  const handleProgressPointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    seekToPointer(event);
+  };
+
+  const handleProgressPointerMove = (event) => {
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+      seekToPointer(event);
+    }
+  };
+
+  const handleProgressKeyDown = (event) => {
+    if (event.key === 'ArrowLeft') seek(currentTime - 1);
+    if (event.key === 'ArrowRight') seek(currentTime + 1);
+  };
+
+  const handleVolumeChange = (event) => {
+    const value = Number(event.target.value) / 100;
+    setVolume(value);
+    setMuted(value === 0);
+  };
+
+  const handleToggleMute = () => {
+    if (muted && volume === 0) setVolume(1);
+    setMuted(!muted);
+  };
+
+  const handleToggleSubtitles = () => {
+    const showInPreview = !project.subtitles.showInPreview;
+    dispatch(withHistoryLabel(
+      updateSubtitles({ showInPreview }),
+      showInPreview ? 'Show subtitles in preview' : 'Hide subtitles in preview'
+    ));
+  };
+
+  const handleToggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (containerRef.current.requestFullscreen) {
+      containerRef.current.requestFullscreen();
+    }
+  };
+
+  const progress = duration > 0 ? (currentTime / duration) * 100 : 0;
+
+  return (
+    <div className={`video-player scene-player ${isFullscreen ? 'fullscreen' : ''}`} ref={containerRef}>
+      <canvas
+        ref={canvasRef}
+        width={width}
+        height={height}
+        className="player-canvas"
+        onClick={toggle}
+      />
+      <div className="video-controls">
+        <div
+          className="video-progress"
+          ref={progressRef}
+          role="slider"
+          tabIndex={0}
+          aria-label="Seek"
+          aria-valuemin={0}
+          aria-valuemax={Math.round(duration)}
+          aria-valuenow={Math.round(currentTime)}
+          aria-valuetext={formatTime(currentTime)}
+          onPointerDown={handleProgressPointerDown}
+          onPointerMove={handleProgressPointerMove}
+          onKeyDown={handleProgressKeyDown}
+        >
+          <div className="progress-bar" style={{ width: `${progress}%` }}></div>
+        </div>
+        <div className="control-buttons">
+          <button className="play-button" onClick={toggle} aria-label={isPlaying ? 'Pause' : 'Play'}>
+            {isPlaying ? <FaPause /> : <FaPlay />}
+          </button>
+          <div className="time-display">{formatTime(currentTime)} / {formatTime(duration)}</div>
+          <div className="control-spacer"></div>
+          <button
+            className="control-button"
+            onClick={handleToggleMute}
+            aria-label={muted ? 'Unmute' : 'Mute'}
+          >
+            {muted ? <FaVolumeMute /> : <FaVolumeUp />}
+          </button>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={muted ? 0 : Math.round(volume * 100)}
+            onChange={handleVolumeChange}
+            className="volume-slider"
+            aria-label="Volume"
+          />
+          <button
+            className={`control-button ${project.subtitles.showInPreview ? 'active' : ''}`}
+            onClick={handleToggleSubtitles}
+            disabled={project.subtitles.cues.length === 0}
+            aria-pressed={project.subtitles.showInPreview}
+            aria-label="Subtitles"
+            title={project.subtitles.cues.length === 0 ? 'No subtitles yet' : 'Subtitles'}
+          >
+            <FaClosedCaptioning />
+          </button>
+          <button
+            className="control-button"
+            onClick={handleToggleFullscreen}
+            aria-label={isFullscreen ? 'Exit fullscreen' : 'Fullscreen'}
+          >
+            {isFullscreen ? <FaCompress /> : <FaExpand />}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScenePlayer;
@@ -2,15 +2,22 @@ import React from 'react';
 import { FaHome, FaPaintBrush, FaImages, FaPlug, FaImage, FaVideo, FaBullhorn, FaQuestionCircle } from 'react-icons/fa';
 import './Sidebar.css';
 
-const Sidebar = () => {
+/**
+ * Sidebar Component
+ * 
+ * @param {Object} props Component props
+ * @param {string} props.activeView Currently shown page
+ * @param {Function} props.onNavigate Called with the id of the page to show
+ */
+const Sidebar = ({ activeView, onNavigate }) => {
   return (
     <div className="sidebar">
-      <NavItem icon={<FaHome />} label="Home" />
-      <NavItem icon={<FaPaintBrush />} label="My Brand" />
+      <NavItem icon={<FaHome />} label="Home" active={activeView === 'home'} onClick={() => onNavigate('home')} />
+      <NavItem icon={<FaPaintBrush />} label="My Brand" active={activeView === 'brand'} onClick={() => onNavigate('brand')} />
       <NavItem icon={<FaImages />} label="Assets" />
       <NavItem icon={<FaPlug />} label="Integrations" />
       <NavItem icon={<FaImage />} label="ImageCraft AI" />
-      <NavItem icon={<FaVideo />} label="VideoVista AI" active />
+      <NavItem icon={<FaVideo />} label="VideoVista AI" active={activeView === 'videovista'} onClick={() => onNavigate('videovista')} />
       <NavItem icon={<FaBullhorn />} label="Campulse AI" />
       <div className="sidebar-spacer"></div>
       <NavItem icon={<FaQuestionCircle />} label="Help" />
@@ -18,13 +25,18 @@ const Sidebar = () => {
   );
 };
 
-const NavItem = ({ icon, label, active }) => {
+const NavItem = ({ icon, label, active, onClick }) => {
   return (
-    <div className={`nav-item ${active ? 'active' : ''}`}>
+    <div 
+      className={`nav-item ${active ? 'active' : ''}`}
+      onClick={onClick}
+      role={onClick ? 'button' : undefined}
+      aria-current={active ? 'page' : undefined}
+    >
       <div className="nav-icon">{icon}</div>
       <div className="nav-label">{label}</div>
     </div>
   );
 };
 
-export default Sidebar; 
\ No newline at end of file
+export default Sidebar;
@@ -0,0 +1,346 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FaSearchPlus, FaSearchMinus, FaMagnet, FaMicrophone, FaMusic } from 'react-icons/fa';
+import './Timeline.css';
+import { useProject } from '../context/ProjectContext';
+import { setScenes } from '../state/projectReducer';
+import { withHistoryLabel } from '../state/history';
+import {
+  getSceneTimings,
+  getTotalDuration,
+  MIN_SCENE_SECONDS,
+  MAX_SCENE_SECONDS
+} from '../state/projectModel';
+import { voiceOptions } from '../data/catalog';
+import { getMusicEnd, getProjectTrack } from '../services/playback/musicEngine';
+import { formatTime } from '../utils/time';
+
+// Zoom levels in pixels per second
+const ZOOM_LEVELS = [10, 20, 40, 80, 160];
+const DEFAULT_ZOOM_INDEX = 2;
+// Distance in pixels within which an edge snaps to a target
+const SNAP_DISTANCE_PX = 8;
+// Edges are kept on this grid, in seconds
+const TIME_STEP = 0.1;
+
+const roundToStep = (time) => Number((Math.round(time / TIME_STEP) * TIME_STEP).toFixed(1));
+const clampDuration = (duration) => Math.min(Math.max(duration, MIN_SCENE_SECONDS), MAX_SCENE_SECONDS);
+
+/**
+ * Snap a time to the nearest target within the snap distance
+ * 
+ * @param {number} time - Proposed time in seconds
+ * @param {number[]} targets - Times to snap to
+ * @param {number} pixelsPerSecond - Current zoom
+ * @returns {number} Snapped time
+ */
+const snapTime = (time, targets, pixelsPerSecond) => {
+  let best = time;
+  let bestDistance = SNAP_DISTANCE_PX / pixelsPerSecond;
+  targets.forEach(target => {
+    const distance = Math.abs(target - time);
+    if (distance <= bestDistance) {
+      best = target;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+/**
+ * Blocks shown in the voice-over lane, one per scene with narration. Clips
+ * are as long as the narration; scripts without a clip span the scene and
+ * are drawn as pending.
+ */
+const getVoiceLaneItems = (project) => {
+  const voice = voiceOptions.find(option => option.id === project.voice.voiceId);
+  const voiceName = voice ? voice.name : 'Voice';
+  const timings = getSceneTimings(project.scenes);
+  return project.scenes
+    .map((scene, index) => ({ scene, index }))
+    .filter(({ scene }) => scene.narration || scene.script.trim())
+    .map(({ scene, index }) => {
+      const { start, end } = timings[index];
+      if (!scene.narration) {
+        return { id: `voice-${scene.id}`, start, end, label: `Scene ${index + 1} · Not generated`, pending: true };
+      }
+      return {
+        id: `voice-${scene.id}`,
+        start,
+        end: Math.min(start + Math.max(scene.narration.duration, 0.1), end),
+        label: `${scene.narration.source === 'recording' ? 'Recording' : voiceName} · Scene ${index + 1}`
+      };
+    });
+};
+
+/**
+ * Blocks shown in the background music lane
+ */
+const getMusicLaneItems = (project) => {
+  const track = getProjectTrack(project);
+  if (!track) return [];
+  const ducking = project.music.ducking ? ' · ducked under voice' : '';
+  return [{ id: 'music', start: 0, end: getMusicEnd(project), label: `${track.name} · ${project.music.volume}%${ducking}` }];
+};
+
+/**
+ * Timeline Component
+ * 
+ * Horizontal timeline under the preview. Each scene is a block as wide as
+ * its duration; dragging a block's right edge trims or extends that scene and
+ * shifts the ones after it, dragging its left edge moves the cut between it
+ * and the previous scene. The playhead follows playback and can be dragged
+ * by its handle or along the ruler. Voice-over and background music have
+ * their own lanes.
+ * 
+ * Edges snap to whole seconds, the playhead and other cuts unless snapping is
+ * turned off or Alt is held while dragging.
+ * 
+ * @param {Object} props Component props
+ * @param {Object} props.playback Playback clock shared with the player
+ */
+const Timeline = ({ playback }) => {
+  const { project, dispatch } = useProject();
+  const { scenes } = project;
+  const { currentTime, isPlaying, seek } = playback;
+  const [zoomIndex, setZoomIndex] = useState(DEFAULT_ZOOM_INDEX);
+  const [snapping, setSnapping] = useState(true);
+  // Edge being dragged: { sceneIndex, edge: 'start'|'end', startX, scenes }
+  const dragRef = useRef(null);
+  const scrollRef = useRef(null);
+
+  const pixelsPerSecond = ZOOM_LEVELS[zoomIndex];
+  const timings = getSceneTimings(scenes);
+  const duration = getTotalDuration(scenes);
+  const trackWidth = Math.max(duration, 1) * pixelsPerSecond;
+  const tickEvery = pixelsPerSecond >= 40 ? 1 : pixelsPerSecond >= 20 ? 2 : 5;
+  const ticks = [];
+  for (let time = 0; time <= duration; time += tickEvery) ticks.push(time);
+
+  // Keep the playhead in view while playing
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!isPlaying || !container) return;
+    const x = currentTime * pixelsPerSecond;
+    if (x < container.scrollLeft || x > container.scrollLeft + container.clientWidth - 20) {
+      container.scrollLeft = Math.max(0, x - 20);
+    }
+  }, [currentTime, isPlaying, pixelsPerSecond]);
+
+  const timeFromPointer = (event) => {
+    const rect = scrollRef.current.getBoundingClientRect();
+    const x = event.clientX - rect.left + scrollRef.current.scrollLeft;
+    return Math.min(Math.max(x / pixelsPerSecond, 0), duration);
+  };
+
+  // Ruler and playhead handle: click or drag to move the playhead
+  const handleScrubPointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    seek(timeFromPointer(event));
+  };
+
+  const handleScrubPointerMove = (event) => {
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+      seek(timeFromPointer(event));
+    }
+  };
+
+  const handlePlayheadKeyDown = (event) => {
+    const step = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+    if (!step) return;
+    event.preventDefault();
+    seek(Math.min(Math.max(currentTime + step, 0), duration));
+  };
+
+  // Scene edges
+  const handleEdgePointerDown = (event, sceneIndex, edge) => {
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    dragRef.current = { sceneIndex, edge, startX: event.clientX, scenes };
+  };
+
+  const handleEdgePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag || !event.currentTarget.hasPointerCapture(event.pointerId)) return;
+
+    const original = drag.scenes;
+    const originalTimings = getSceneTimings(original);
+    const { sceneIndex, edge } = drag;
+    const edgeIndex = edge === 'end' ? sceneIndex : sceneIndex - 1;
+    const originalEdge = originalTimings[edgeIndex].end;
+    let time = originalEdge + (event.clientX - drag.startX) / pixelsPerSecond;
+
+    if (snapping && !event.altKey) {
+      const targets = [Math.round(time), currentTime, ...originalTimings.map(timing => timing.end)];
+      time = snapTime(time, targets, pixelsPerSecond);
+    }
+    time = roundToStep(time);
+
+    const target = original[edgeIndex];
+    const next = original.map(scene => ({ ...scene }));
+    if (edge === 'end') {
+      // Ripple: later scenes move with the edge
+      next[edgeIndex].duration = roundToStep(clampDuration(time - originalTimings[edgeIndex].start));
+    } else {
+      // Roll: the cut moves, the total length stays the same
+      const pairStart = originalTimings[edgeIndex].start;
+      const pairLength = target.duration + original[sceneIndex].duration;
+      const before = Math.min(
+        Math.max(clampDuration(time - pairStart), pairLength - MAX_SCENE_SECONDS),
+        pairLength - MIN_SCENE_SECONDS
+      );
+      next[edgeIndex].duration = roundToStep(before);
+      next[sceneIndex].duration = roundToStep(pairLength - before);
+    }
+
+    if (next.every((scene, index) => scene.duration === scenes[index]?.duration)) return;
+    const label = edge === 'end'
+      ? `Set scene ${edgeIndex + 1} to ${next[edgeIndex].duration}s`
+      : `Move cut between scenes ${edgeIndex + 1} and ${sceneIndex + 1}`;
+    dispatch(withHistoryLabel(setScenes(next), label, `timeline.${edge}.${target.id}`));
+  };
+
+  const handleEdgePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const zoomIn = () => setZoomIndex(Math.min(zoomIndex + 1, ZOOM_LEVELS.length - 1));
+  const zoomOut = () => setZoomIndex(Math.max(zoomIndex - 1, 0));
+
+  const renderLane = (items, className, icon, emptyLabel) => (
+    <div className={`timeline-lane ${className}`}>
+      {items.length === 0 && <div className="lane-empty">{emptyLabel}</div>}
+      {items.map(item => (
+        <div
+          key={item.id}
+          className={`lane-item ${item.pending ? 'pending' : ''}`}
+          style={{ left: item.start * pixelsPerSecond, width: (item.end - item.start) * pixelsPerSecond }}
+          title={item.label}
+        >
+          {icon}
+          <span>{item.label}</span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="timeline">
+      <div className="timeline-toolbar">
+        <span className="timeline-title">Timeline</span>
+        <span className="timeline-duration">{formatTime(currentTime)} / {formatTime(duration)}</span>
+        <div className="control-spacer"></div>
+        <button
+          className={`timeline-button ${snapping ? 'active' : ''}`}
+          onClick={() => setSnapping(!snapping)}
+          aria-pressed={snapping}
+          title="Snap edges (hold Alt to bypass)"
+        >
+          <FaMagnet />
+        </button>
+        <button className="timeline-button" onClick={zoomOut} disabled={zoomIndex === 0} title="Zoom out">
+          <FaSearchMinus />
+        </button>
+        <button
+          className="timeline-button"
+          onClick={zoomIn}
+          disabled={zoomIndex === ZOOM_LEVELS.length - 1}
+          title="Zoom in"
+        >
+          <FaSearchPlus />
+        </button>
+      </div>
+
+      <div className="timeline-scroll" ref={scrollRef}>
+        <div className="timeline-content" style={{ width: trackWidth }}>
+          {/* Ruler */}
+          <div
+            className="timeline-ruler"
+            onPointerDown={handleScrubPointerDown}
+            onPointerMove={handleScrubPointerMove}
+          >
+            {ticks.map(time => (
+              <div key={time} className="ruler-tick" style={{ left: time * pixelsPerSecond }}>
+                <span>{formatTime(time)}</span>
+              </div>
+            ))}
+          </div>
+
+          {/* Scene lane */}
+          <div className="timeline-lane scene-lane">
+            {scenes.map((scene, index) => (
+              <div
+                key={scene.id}
+                className="scene-block"
+                style={{
+                  left: timings[index].start * pixelsPerSecond,
+                  width: scene.duration * pixelsPerSecond
+                }}
+                onClick={() => seek(timings[index].start)}
+                title={`Scene ${index + 1}: ${formatTime(timings[index].start)}-${formatTime(timings[index].end)}`}
+              >
+                {index > 0 && (
+                  <div
+                    className="scene-edge start"
+                    onPointerDown={(event) => handleEdgePointerDown(event, index, 'start')}
+                    onPointerMove={handleEdgePointerMove}
+                    onPointerUp={handleEdgePointerUp}
+                    onClick={(event) => event.stopPropagation()}
+                    aria-label={`Move the start of scene ${index + 1}`}
+                  ></div>
+                )}
+                <span className="scene-block-label">
+                  {index + 1} · {scene.duration}s
+                </span>
+                <div
+                  className="scene-edge end"
+                  onPointerDown={(event) => handleEdgePointerDown(event, index, 'end')}
+                  onPointerMove={handleEdgePointerMove}
+                  onPointerUp={handleEdgePointerUp}
+                  onClick={(event) => event.stopPropagation()}
+                  aria-label={`Trim or extend scene ${index + 1}`}
+                ></div>
+              </div>
+            ))}
+            {/* Transitions centred on the cuts they belong to */}
+            {scenes.slice(0, -1).map((scene, index) => {
+              if (scene.transition.type === 'cut') return null;
+              const length = Math.min(scene.transition.duration, scene.duration, scenes[index + 1].duration);
+              return (
+                <div
+                  key={`transition-${scene.id}`}
+                  className="transition-marker"
+                  style={{
+                    left: (timings[index].end - length / 2) * pixelsPerSecond,
+                    width: length * pixelsPerSecond
+                  }}
+                  title={`${scene.transition.type} · ${scene.transition.duration}s`}
+                ></div>
+              );
+            })}
+          </div>
+
+          {renderLane(getVoiceLaneItems(project), 'voice-lane', <FaMicrophone />, 'No voice-over')}
+          {renderLane(getMusicLaneItems(project), 'music-lane', <FaMusic />, 'No background music')}
+
+          <div className="timeline-playhead" style={{ left: currentTime * pixelsPerSecond }}>
+            <div
+              className="timeline-playhead-handle"
+              onPointerDown={handleScrubPointerDown}
+              onPointerMove={handleScrubPointerMove}
+              onKeyDown={handlePlayheadKeyDown}
+              role="slider"
+              tabIndex={0}
+              aria-label="Playhead"
+              aria-valuemin={0}
+              aria-valuemax={duration}
+              aria-valuenow={currentTime}
+              aria-valuetext={formatTime(currentTime)}
+            ></div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Timeline;
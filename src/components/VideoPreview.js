@@ -1,12 +1,24 @@
 import React, { useState } from 'react';
-import { FaDownload, FaCopy, FaShareAlt, FaThumbsUp, FaPlay, FaExpand, FaVolumeUp, FaEdit } from 'react-icons/fa';
+import { FaDownload, FaCopy, FaShareAlt, FaThumbsUp, FaEdit } from 'react-icons/fa';
 import './VideoPreview.css';
 import ChatEditor from './ChatEditor';
+import ScenePlayer from './ScenePlayer';
+import RenderDialog from './RenderDialog';
+import Timeline from './Timeline';
+import { useProject } from '../context/ProjectContext';
+import { getTotalDuration } from '../state/projectModel';
+import usePlayback from '../hooks/usePlayback';
 
 const VideoPreview = () => {
+  const { project } = useProject();
+  // Shared by the player and the timeline so the playhead follows playback
+  const playback = usePlayback(getTotalDuration(project.scenes));
   const [showChatEditor, setShowChatEditor] = useState(false);
+  const [isRendering, setIsRendering] = useState(false);
   
   const handleOpenEditor = () => {
+    // The editor has its own player; stop this one so the music is not heard twice
+    playback.pause();
     setShowChatEditor(true);
   };
   
@@ -19,27 +31,11 @@ const VideoPreview = () => {
       <h2>Generated Video</h2>
       
       <div className="video-container">
-        <div className="video-player">
-          <img 
-            src="https://images.unsplash.com/photo-1529156069898-49953e39b3ac?ixlib=rb-1.2.1&auto=format&fit=crop&w=1050&q=80" 
-            alt="Preview of a couple sitting on a couch looking at their phones"
-            className="preview-image"
-          />
-          <div className="video-controls">
-            <div className="video-progress">
-              <div className="progress-bar"></div>
-            </div>
-            <div className="control-buttons">
-              <button className="play-button"><FaPlay /></button>
-              <div className="time-display">0:00 / 0:15</div>
-              <div className="control-spacer"></div>
-              <button className="control-button"><FaVolumeUp /></button>
-              <button className="control-button"><FaExpand /></button>
-            </div>
-          </div>
-        </div>
+        <ScenePlayer playback={playback} />
       </div>
       
+      <Timeline playback={playback} />
+      
       <div className="action-buttons">
         <div className="left-buttons">
           <button className="canvas-button">Open with Brand Canvas</button>
@@ -49,13 +45,25 @@ const VideoPreview = () => {
           </button>
         </div>
         <div className="right-buttons">
-          <button className="icon-button"><FaDownload /></button>
+          <button
+            className="icon-button"
+            onClick={() => setIsRendering(true)}
+            disabled={isRendering}
+            aria-label="Download video"
+            title="Download video"
+          >
+            <FaDownload />
+          </button>
           <button className="icon-button"><FaCopy /></button>
           <button className="icon-button"><FaShareAlt /></button>
           <button className="icon-button"><FaThumbsUp /></button>
         </div>
       </div>
       
+      {isRendering && (
+        <RenderDialog onClose={() => setIsRendering(false)} />
+      )}
+      
       {showChatEditor && (
         <ChatEditor onClose={handleCloseEditor} />
       )}
@@ -1,6 +1,38 @@
-import React, { useState } from 'react';
-import { FaArrowLeft, FaPlay, FaPause, FaMusic, FaMicrophone, FaPlus } from 'react-icons/fa';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { FaArrowLeft, FaPlay, FaPause, FaMusic, FaMicrophone, FaPlus, FaStop, FaMagic, FaCheck, FaTrash } from 'react-icons/fa';
+import NarrationRecorder from './NarrationRecorder';
+import TrackWaveform from './TrackWaveform';
 import './ToolPanels.css';
+import { useProject } from '../../context/ProjectContext';
+import usePanelTransaction from '../../hooks/usePanelTransaction';
+import {
+  setNarrations,
+  setSceneScripts,
+  updateVoice,
+  updateMusic,
+  addCustomTrack,
+  updateCustomTrack,
+  removeCustomTrack
+} from '../../state/projectReducer';
+import { withHistoryLabel } from '../../state/history';
+import { voiceOptions, musicFitOptions, musicDurationRanges, musicSortOptions } from '../../data/catalog';
+import { getMusicLibrary, playTrackPreview } from '../../services/playback/musicEngine';
+import { readMusicFile, MusicUploadError, MUSIC_UPLOAD_MAX_BYTES } from '../../services/musicUpload';
+import {
+  DEFAULT_MUSIC_FILTERS,
+  filterTracks,
+  fitsVideo,
+  getTrackCategories,
+  getTrackMoods
+} from '../../services/musicLibrary';
+import { formatScriptWithDividers, parseScriptWithDividers } from '../../services/scriptSegments';
+import { createId, getFullScript, getTotalDuration } from '../../state/projectModel';
+import {
+  createTtsEngine,
+  generateNarration,
+  isNarrationCurrent,
+  VOICE_SAMPLE_TEXT
+} from '../../services/tts';
 
 /**
  * AudioPanel Component
@@ -11,78 +43,306 @@ import './ToolPanels.css';
  * 
  * @param {Object} props Component props
  * @param {Function} props.onClose Function to close the panel
+ * @param {Object} [props.ttsEngine] Text-to-speech engine (defaults to the browser's)
  */
-const AudioPanel = ({ onClose }) => {
+const AudioPanel = ({ onClose, ttsEngine }) => {
+  const { project, dispatch } = useProject();
+  const { scenes, voice, music, customTracks } = project;
+  // Edits apply live; "Cancel" rolls back to the state when the panel opened
+  const { apply, cancel } = usePanelTransaction();
   // Active tab state for the audio panel sections
   const [activeTab, setActiveTab] = useState('voice');
   // Playing state to track currently playing audio preview
   const [playing, setPlaying] = useState(null);
-  // Voice script state for text-to-speech
-  const [script, setScript] = useState(
-    "Our product helps customers achieve their goals faster and with less effort than traditional methods."
-  );
-  
-  // Sample voice synthesis options
-  const voiceOptions = [
-    { id: 'v1', name: 'Professional Male', sample: 'sample1.mp3' },
-    { id: 'v2', name: 'Professional Female', sample: 'sample2.mp3' },
-    { id: 'v3', name: 'Casual Male', sample: 'sample3.mp3' },
-    { id: 'v4', name: 'Casual Female', sample: 'sample4.mp3' },
-    { id: 'v5', name: 'Energetic', sample: 'sample5.mp3' },
-    { id: 'v6', name: 'Soft Spoken', sample: 'sample6.mp3' },
-  ];
+  // Engine reading voice samples, the script and narration aloud
+  const engine = useMemo(() => ttsEngine || createTtsEngine(), [ttsEngine]);
+  // Whether narration clips are being generated
+  const [generating, setGenerating] = useState(false);
+  // Problem reported by the speech engine
+  const [speechError, setSpeechError] = useState(null);
+  // Scene whose narration is being recorded from the microphone
+  const [recordingSceneId, setRecordingSceneId] = useState(null);
+  // Element playing a recorded take
+  const takeAudioRef = useRef(null);
+  // Music track being auditioned ({ stop })
+  const musicPreviewRef = useRef(null);
+  // Bumped by every stop so a track that finishes loading late stays silent
+  const previewIdRef = useRef(0);
+  // Whether uploaded music files are being decoded
+  const [uploading, setUploading] = useState(false);
+  // One message per uploaded file that could not be used
+  const [uploadErrors, setUploadErrors] = useState([]);
+  // Search, filters and sort order of the music list
+  const [musicFilters, setMusicFilters] = useState(DEFAULT_MUSIC_FILTERS);
+  const videoDuration = getTotalDuration(scenes);
+  const musicLibrary = getMusicLibrary(project);
+  const trackCategories = getTrackCategories(musicLibrary);
+  const trackMoods = getTrackMoods(musicLibrary);
+  // A category or mood whose last track was deleted falls back to all tracks
+  const activeFilters = {
+    ...musicFilters,
+    category: trackCategories.includes(musicFilters.category) ? musicFilters.category : 'all',
+    mood: trackMoods.includes(musicFilters.mood) ? musicFilters.mood : 'all'
+  };
+  const visibleTracks = filterTracks(musicLibrary, activeFilters, videoDuration);
+  // Full script with a divider line before each scene's segment
+  const formattedScript = formatScriptWithDividers(scenes);
+  // Text being typed; kept separately so a half-edited divider is not
+  // immediately restored while the user is still typing
+  const [scriptDraft, setScriptDraft] = useState(formattedScript);
+
+  /**
+   * Pick up script changes made elsewhere (chat, undo, scene edits)
+   */
+  useEffect(() => {
+    setScriptDraft(draft => {
+      const segments = parseScriptWithDividers(draft, scenes.length);
+      const draftScenes = segments.map(script => ({ script }));
+      return formatScriptWithDividers(draftScenes) === formattedScript ? draft : formattedScript;
+    });
+  }, [formattedScript, scenes.length]);
   
-  // Sample music tracks
-  const musicTracks = [
-    { id: 'm1', name: 'Inspiring Corporate', duration: '2:30', category: 'Corporate' },
-    { id: 'm2', name: 'Upbeat Pop', duration: '3:15', category: 'Energetic' },
-    { id: 'm3', name: 'Emotional Piano', duration: '2:45', category: 'Emotional' },
-    { id: 'm4', name: 'Tech Innovation', duration: '3:05', category: 'Technology' },
-    { id: 'm5', name: 'Ambient Chill', duration: '4:20', category: 'Relaxed' },
-  ];
+  // Stop any spoken, recorded or music preview
+  const stopPreviews = () => {
+    previewIdRef.current += 1;
+    engine.stop();
+    if (takeAudioRef.current) {
+      takeAudioRef.current.pause();
+      takeAudioRef.current = null;
+    }
+    if (musicPreviewRef.current) {
+      musicPreviewRef.current.stop();
+      musicPreviewRef.current = null;
+    }
+  };
+
+  // Stop previews when the panel closes
+  const stopPreviewsRef = useRef(stopPreviews);
+  stopPreviewsRef.current = stopPreviews;
+  useEffect(() => () => stopPreviewsRef.current(), []);
+
+  /**
+   * Read text aloud, or stop if the same preview is already playing
+   * 
+   * @param {string} key - Identifies the preview for the play/pause buttons
+   * @param {string} text - Text to read
+   * @param {Object} settings - Voice settings to read it with
+   */
+  const speak = async (key, text, settings) => {
+    stopPreviews();
+    if (playing === key) return;
+    setPlaying(key);
+    setSpeechError(null);
+    try {
+      await engine.speak(text, settings);
+    } catch (error) {
+      if (error.name !== 'AbortError') setSpeechError(error.message);
+    } finally {
+      setPlaying(current => (current === key ? null : current));
+    }
+  };
 
   // Audio playback handlers
   const handlePlayVoice = (voiceId) => {
-    if (playing === voiceId) {
-      setPlaying(null);
-    } else {
-      setPlaying(voiceId);
-      // In a real app, would play the actual voice sample
-      console.log(`Playing voice sample ${voiceId}`);
-      
-      // Auto-stop after 3 seconds (simulating short sample)
-      setTimeout(() => {
+    speak(voiceId, VOICE_SAMPLE_TEXT, { ...voice, voiceId });
+  };
+
+  const handlePlayScript = () => {
+    speak('script', getFullScript(scenes), voice);
+  };
+
+  // Recorded takes play their audio; generated clips keep the settings they
+  // were generated with
+  const handlePlayNarration = (scene) => {
+    const { narration } = scene;
+    const key = `narration-${scene.id}`;
+    if (narration.src) {
+      stopPreviews();
+      if (playing === key) {
         setPlaying(null);
-      }, 3000);
+        return;
+      }
+      const audio = new Audio(narration.src);
+      audio.onended = () => setPlaying(current => (current === key ? null : current));
+      takeAudioRef.current = audio;
+      setPlaying(key);
+      audio.play().catch(() => setPlaying(null));
+      return;
     }
+    speak(key, narration.text, {
+      voiceId: narration.voiceId,
+      speed: narration.speed,
+      pitch: narration.pitch,
+      emphasis: narration.emphasis
+    });
+  };
+
+  /**
+   * Generate narration clips for scenes with the current voice settings.
+   * Scenes without a script lose their clip.
+   * 
+   * @param {Array} targets - Scenes to generate narration for
+   */
+  const handleGenerateNarration = async (targets) => {
+    const recorded = targets.filter(scene => scene.narration?.source === 'recording');
+    if (recorded.length > 0 && !window.confirm('Replace the recorded narration with a generated voice?')) return;
+    setGenerating(true);
+    setSpeechError(null);
+    try {
+      const narrations = {};
+      for (const scene of targets) {
+        narrations[scene.id] = scene.script.trim()
+          ? await generateNarration(engine, scene.script, voice)
+          : null;
+      }
+      const label = targets.length === 1
+        ? `Generate narration for scene ${scenes.indexOf(targets[0]) + 1}`
+        : 'Generate narration';
+      dispatch(withHistoryLabel(setNarrations(narrations), label));
+    } catch (error) {
+      setSpeechError(error.message);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  // Scenes whose generated narration is missing or no longer matches script
+  // and voice; recorded takes are left alone
+  const outdatedScenes = scenes.filter(scene => (
+    scene.script.trim() ? !isNarrationCurrent(scene.narration, scene.script, voice) : scene.narration?.source === 'tts'
+  ));
+
+  /**
+   * Store a recorded take as the scene's narration in place of generated speech
+   * 
+   * @param {Object} scene - Scene the take was recorded for
+   * @param {Object} take - Processed take ({ src, duration })
+   */
+  const handleSaveTake = (scene, take) => {
+    const narration = {
+      id: createId('narration'),
+      source: 'recording',
+      text: scene.script,
+      duration: take.duration,
+      src: take.src
+    };
+    dispatch(withHistoryLabel(
+      setNarrations({ [scene.id]: narration }),
+      `Record narration for scene ${scenes.indexOf(scene) + 1}`
+    ));
+    setRecordingSceneId(null);
   };
 
-  const handlePlayMusic = (trackId) => {
-    if (playing === trackId) {
+  // Audition a track at the project's music volume
+  const handlePlayMusic = async (track) => {
+    stopPreviews();
+    if (playing === track.id) {
       setPlaying(null);
-    } else {
-      setPlaying(trackId);
-      // In a real app, would play the actual music sample
-      console.log(`Playing music track ${trackId}`);
+      return;
+    }
+    setPlaying(track.id);
+    const previewId = previewIdRef.current;
+    try {
+      const preview = await playTrackPreview(track, music.volume);
+      // Another preview may have started while the track was loading
+      if (previewIdRef.current === previewId) musicPreviewRef.current = preview;
+      else preview.stop();
+    } catch (error) {
+      setPlaying(current => (current === track.id ? null : current));
     }
   };
   
-  // Handler for script changes
+  // Handler for script changes (typing bursts become one undo step)
   const handleScriptChange = (e) => {
-    setScript(e.target.value);
+    setScriptDraft(e.target.value);
+    dispatch(withHistoryLabel(
+      setSceneScripts(parseScriptWithDividers(e.target.value, scenes.length)),
+      'Edit script',
+      'script'
+    ));
+  };
+
+  const handleMusicFilterChange = (filter, value) => {
+    setMusicFilters(filters => ({ ...filters, [filter]: value }));
+  };
+
+  // Handlers for voice and music choices
+  const handleVoiceSelect = (voiceId) => {
+    dispatch(withHistoryLabel(updateVoice({ voiceId }), 'Change voice'));
+  };
+
+  // Slider drags are coalesced into a single undo step per setting
+  const handleVoiceSettingChange = (setting, value) => {
+    dispatch(withHistoryLabel(
+      updateVoice({ [setting]: Number(value) }),
+      `Change voice ${setting}`,
+      `voice.${setting}`
+    ));
+  };
+
+  const handleTrackSelect = (trackId) => {
+    dispatch(withHistoryLabel(
+      updateMusic({ trackId }),
+      trackId ? 'Change music track' : 'Remove music'
+    ));
+  };
+
+  // Slider drags are coalesced like the voice settings
+  const handleMusicSettingChange = (setting, value, label) => {
+    dispatch(withHistoryLabel(updateMusic({ [setting]: value }), label, `music.${setting}`));
+  };
+
+  // Keep the panel's edits and close it
+  const handleApply = () => {
+    apply();
+    onClose();
+  };
+
+  // Discard the panel's edits and close it
+  const handleCancel = () => {
+    cancel();
+    onClose();
   };
   
-  // Handler for uploading custom music
-  const handleMusicUpload = (files) => {
-    // Logic to handle music file upload
-    console.log('Music files uploaded', files);
+  // Decode uploaded music files and add the usable ones to the track list
+  const handleMusicUpload = async (files) => {
+    setUploadErrors([]);
+    setUploading(true);
+    const errors = [];
+    for (const file of Array.from(files)) {
+      try {
+        const track = await readMusicFile(file);
+        dispatch(withHistoryLabel(addCustomTrack(track), `Upload music "${track.name}"`));
+      } catch (error) {
+        errors.push(error instanceof MusicUploadError ? error.message : `"${file.name}" could not be read.`);
+      }
+    }
+    setUploadErrors(errors);
+    setUploading(false);
+  };
+
+  const handleRemoveCustomTrack = (track) => {
+    if (playing === track.id) {
+      stopPreviews();
+      setPlaying(null);
+    }
+    dispatch(withHistoryLabel(removeCustomTrack(track.id), `Remove music "${track.name}"`));
+  };
+
+  // Dragging the offset is coalesced into a single undo step per track
+  const handleStartOffsetChange = (track, startOffset) => {
+    dispatch(withHistoryLabel(
+      updateCustomTrack(track.id, { startOffset }),
+      'Change music start offset',
+      `customTrack.${track.id}.startOffset`
+    ));
   };
 
   return (
     <div className="tool-panel">
       {/* Panel header with back button */}
       <div className="tool-panel-header">
-        <button className="back-button" onClick={onClose} aria-label="Go back">
+        <button className="back-button" onClick={handleCancel} aria-label="Go back">
           <FaArrowLeft />
         </button>
         <h3>Audio Settings</h3>
@@ -116,13 +376,23 @@ const AudioPanel = ({ onClose }) => {
           <div id="voice-tab" role="tabpanel" className="voice-section">
             {/* Script Editor Section */}
             <div className="tool-section">
-              <h4>Script</h4>
+              <div className="section-heading">
+                <h4>Script</h4>
+                <button
+                  className="secondary-button"
+                  onClick={handlePlayScript}
+                  disabled={!getFullScript(scenes)}
+                >
+                  {playing === 'script' ? <><FaStop /> Stop</> : <><FaPlay /> Preview</>}
+                </button>
+              </div>
+              <p className="section-description">Each [Scene N] line starts the narration for that scene</p>
               <textarea 
                 className="script-textarea"
                 placeholder="Enter or edit your voiceover script here..."
-                value={script}
+                value={scriptDraft}
                 onChange={handleScriptChange}
-                rows={5}
+                rows={Math.max(5, scenes.length * 3)}
                 aria-label="Voice over script"
               />
             </div>
@@ -133,21 +403,25 @@ const AudioPanel = ({ onClose }) => {
               <p className="section-description">Choose a voice style for your video</p>
               
               <div className="voice-options">
-                {voiceOptions.map(voice => (
+                {voiceOptions.map(option => (
                   <div 
-                    key={voice.id} 
-                    className={`voice-option ${voice.id === 'v1' ? 'active' : ''}`}
+                    key={option.id} 
+                    className={`voice-option ${option.id === voice.voiceId ? 'active' : ''}`}
+                    onClick={() => handleVoiceSelect(option.id)}
                     role="radio"
-                    aria-checked={voice.id === 'v1'}
+                    aria-checked={option.id === voice.voiceId}
                   >
                     <div className="voice-info">
-                      <div className="voice-name">{voice.name}</div>
+                      <div className="voice-name">{option.name}</div>
                       <button 
                         className="voice-play-btn"
-                        onClick={() => handlePlayVoice(voice.id)}
-                        aria-label={`Play ${voice.name} sample`}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handlePlayVoice(option.id);
+                        }}
+                        aria-label={`Play ${option.name} sample`}
                       >
-                        {playing === voice.id ? <FaPause /> : <FaPlay />}
+                        {playing === option.id ? <FaPause /> : <FaPlay />}
                       </button>
                     </div>
                   </div>
@@ -167,7 +441,8 @@ const AudioPanel = ({ onClose }) => {
                     type="range" 
                     min="0" 
                     max="100" 
-                    defaultValue="50" 
+                    value={voice.speed} 
+                    onChange={(e) => handleVoiceSettingChange('speed', e.target.value)}
                     className="slider"
                     aria-label="Voice speed"
                   />
@@ -182,7 +457,8 @@ const AudioPanel = ({ onClose }) => {
                     type="range" 
                     min="0" 
                     max="100" 
-                    defaultValue="50" 
+                    value={voice.pitch} 
+                    onChange={(e) => handleVoiceSettingChange('pitch', e.target.value)}
                     className="slider"
                     aria-label="Voice pitch"
                   />
@@ -197,13 +473,82 @@ const AudioPanel = ({ onClose }) => {
                     type="range" 
                     min="0" 
                     max="100" 
-                    defaultValue="50" 
+                    value={voice.emphasis} 
+                    onChange={(e) => handleVoiceSettingChange('emphasis', e.target.value)}
                     className="slider"
                     aria-label="Voice emphasis"
                   />
                 </div>
               </div>
             </div>
+            
+            {/* Narration Section */}
+            <div className="tool-section">
+              <div className="section-heading">
+                <h4>Narration</h4>
+                <button
+                  className="secondary-button"
+                  onClick={() => handleGenerateNarration(outdatedScenes)}
+                  disabled={generating || outdatedScenes.length === 0}
+                >
+                  <FaMagic /> {generating ? 'Generating…' : 'Generate All'}
+                </button>
+              </div>
+              <p className="section-description">Voice-over clips read from each scene's script with the settings above</p>
+              
+              {speechError && <div className="speech-error" role="alert">{speechError}</div>}
+              
+              <div className="narration-list">
+                {scenes.map((scene, index) => {
+                  const current = isNarrationCurrent(scene.narration, scene.script, voice);
+                  let status = 'Not generated';
+                  if (scene.narration?.source === 'recording') status = `Recorded · ${scene.narration.duration.toFixed(1)}s`;
+                  else if (!scene.script.trim()) status = 'No script';
+                  else if (current) status = `${scene.narration.duration.toFixed(1)}s`;
+                  else if (scene.narration) status = 'Out of date';
+                  return (
+                    <React.Fragment key={scene.id}>
+                      <div className={`narration-item ${current ? 'ready' : ''}`}>
+                        <span className="narration-scene">Scene {index + 1}</span>
+                        <span className="narration-status">{status}</span>
+                        <button
+                          className="voice-play-btn"
+                          onClick={() => handlePlayNarration(scene)}
+                          disabled={!scene.narration}
+                          aria-label={`Play narration for scene ${index + 1}`}
+                        >
+                          {playing === `narration-${scene.id}` ? <FaPause /> : <FaPlay />}
+                        </button>
+                        <button
+                          className="voice-play-btn"
+                          onClick={() => handleGenerateNarration([scene])}
+                          disabled={generating || (!scene.script.trim() && scene.narration?.source !== 'tts')}
+                          aria-label={`Generate narration for scene ${index + 1}`}
+                        >
+                          <FaMagic />
+                        </button>
+                        <button
+                          className={`voice-play-btn ${recordingSceneId === scene.id ? 'active' : ''}`}
+                          onClick={() => setRecordingSceneId(recordingSceneId === scene.id ? null : scene.id)}
+                          aria-label={`Record narration for scene ${index + 1}`}
+                          aria-expanded={recordingSceneId === scene.id}
+                        >
+                          <FaMicrophone />
+                        </button>
+                      </div>
+                      {recordingSceneId === scene.id && (
+                        <NarrationRecorder
+                          sceneNumber={index + 1}
+                          script={scene.script}
+                          onSave={(take) => handleSaveTake(scene, take)}
+                          onCancel={() => setRecordingSceneId(null)}
+                        />
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </div>
+            </div>
           </div>
         )}
         
@@ -217,69 +562,257 @@ const AudioPanel = ({ onClose }) => {
                 placeholder="Search music tracks..." 
                 className="search-input"
                 aria-label="Search music tracks"
+                value={musicFilters.query}
+                onChange={(e) => handleMusicFilterChange('query', e.target.value)}
               />
               <div className="music-filters" role="radiogroup" aria-label="Music category filter">
-                <button className="music-filter active" role="radio" aria-checked="true">All</button>
-                <button className="music-filter" role="radio" aria-checked="false">Corporate</button>
-                <button className="music-filter" role="radio" aria-checked="false">Energetic</button>
-                <button className="music-filter" role="radio" aria-checked="false">Emotional</button>
+                {['all', ...trackCategories].map(category => (
+                  <button
+                    key={category}
+                    className={`music-filter ${activeFilters.category === category ? 'active' : ''}`}
+                    role="radio"
+                    aria-checked={activeFilters.category === category}
+                    onClick={() => handleMusicFilterChange('category', category)}
+                  >
+                    {category === 'all' ? 'All' : category}
+                  </button>
+                ))}
+              </div>
+              <div className="music-filter-selects">
+                <select
+                  className="select-input"
+                  value={musicFilters.durationRange}
+                  onChange={(e) => handleMusicFilterChange('durationRange', e.target.value)}
+                  aria-label="Filter by track length"
+                >
+                  {musicDurationRanges.map(range => (
+                    <option key={range.id} value={range.id}>{range.name}</option>
+                  ))}
+                </select>
+                <select
+                  className="select-input"
+                  value={activeFilters.mood}
+                  onChange={(e) => handleMusicFilterChange('mood', e.target.value)}
+                  aria-label="Filter by mood"
+                >
+                  <option value="all">Any mood</option>
+                  {trackMoods.map(mood => <option key={mood} value={mood}>{mood}</option>)}
+                </select>
+                <select
+                  className="select-input"
+                  value={musicFilters.sort}
+                  onChange={(e) => handleMusicFilterChange('sort', e.target.value)}
+                  aria-label="Sort music tracks"
+                >
+                  {musicSortOptions.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
               </div>
             </div>
             
             {/* Music Tracks List */}
             <div className="music-tracks">
-              {musicTracks.map(track => (
+              {visibleTracks.length === 0 && (
+                <div className="music-empty">
+                  <p className="section-description">No tracks match your search.</p>
+                  <button className="secondary-button" onClick={() => setMusicFilters(DEFAULT_MUSIC_FILTERS)}>
+                    Clear filters
+                  </button>
+                </div>
+              )}
+              {visibleTracks.map(track => (
                 <div 
                   key={track.id} 
-                  className={`music-track ${track.id === 'm1' ? 'active' : ''}`}
+                  className={`music-track ${track.id === music.trackId ? 'active' : ''}`}
                   role="radio"
-                  aria-checked={track.id === 'm1'}
+                  aria-checked={track.id === music.trackId}
                 >
                   <div className="track-info">
                     <div>
                       <div className="track-name">{track.name}</div>
-                      <div className="track-category">{track.category}</div>
+                      <div className="track-category">
+                        {track.mood ? `${track.category} · ${track.mood}` : track.category}
+                      </div>
+                    </div>
+                    <div className="track-duration">
+                      {track.duration}
+                      {fitsVideo(track, videoDuration)
+                        ? <span className="track-fit fits">Fits video</span>
+                        : <span className="track-fit short">Shorter than video</span>}
                     </div>
-                    <div className="track-duration">{track.duration}</div>
                   </div>
                   <div className="track-controls">
                     <button 
                       className="track-play-btn"
-                      onClick={() => handlePlayMusic(track.id)}
+                      onClick={() => handlePlayMusic(track)}
                       aria-label={`Play ${track.name}`}
                     >
                       {playing === track.id ? <FaPause /> : <FaPlay />}
                     </button>
                     <button 
                       className="track-add-btn"
-                      aria-label={`Add ${track.name} to video`}
+                      onClick={() => handleTrackSelect(track.id === music.trackId ? null : track.id)}
+                      aria-label={track.id === music.trackId ? `Remove ${track.name} from video` : `Add ${track.name} to video`}
                     >
-                      <FaPlus />
+                      {track.id === music.trackId ? <FaCheck /> : <FaPlus />}
                     </button>
                   </div>
                 </div>
               ))}
             </div>
             
+            {/* Music Mix Settings */}
+            <div className="tool-section">
+              <h4>Music Settings</h4>
+              {!music.trackId && <p className="section-description">No background music selected</p>}
+              
+              <div className="settings-row">
+                <div className="setting-label">Volume</div>
+                <div className="setting-control with-value">
+                  <input 
+                    type="range" 
+                    min="0" 
+                    max="100" 
+                    value={music.volume} 
+                    onChange={(e) => handleMusicSettingChange('volume', Number(e.target.value), 'Change music volume')}
+                    className="slider"
+                    aria-label="Music volume"
+                  />
+                  <span className="setting-value">{music.volume}%</span>
+                </div>
+              </div>
+              
+              <div className="settings-row">
+                <div className="setting-label">Fade in</div>
+                <div className="setting-control with-value">
+                  <input 
+                    type="range" 
+                    min="0" 
+                    max="5" 
+                    step="0.5"
+                    value={music.fadeIn} 
+                    onChange={(e) => handleMusicSettingChange('fadeIn', Number(e.target.value), 'Change music fade-in')}
+                    className="slider"
+                    aria-label="Music fade-in length"
+                  />
+                  <span className="setting-value">{music.fadeIn}s</span>
+                </div>
+              </div>
+              
+              <div className="settings-row">
+                <div className="setting-label">Fade out</div>
+                <div className="setting-control with-value">
+                  <input 
+                    type="range" 
+                    min="0" 
+                    max="5" 
+                    step="0.5"
+                    value={music.fadeOut} 
+                    onChange={(e) => handleMusicSettingChange('fadeOut', Number(e.target.value), 'Change music fade-out')}
+                    className="slider"
+                    aria-label="Music fade-out length"
+                  />
+                  <span className="setting-value">{music.fadeOut}s</span>
+                </div>
+              </div>
+              
+              <div className="music-fit-options" role="radiogroup" aria-label="Fit music to video">
+                {musicFitOptions.map(option => (
+                  <label key={option.id} className="platform-checkbox">
+                    <input
+                      type="radio"
+                      name="music-fit"
+                      checked={music.fit === option.id}
+                      onChange={() => dispatch(withHistoryLabel(updateMusic({ fit: option.id }), 'Change music fitting'))}
+                    />
+                    <span>{option.name}</span>
+                  </label>
+                ))}
+              </div>
+              
+              <label className="platform-checkbox music-ducking">
+                <input
+                  type="checkbox"
+                  checked={music.ducking}
+                  onChange={() => dispatch(withHistoryLabel(updateMusic({ ducking: !music.ducking }), 'Toggle music ducking'))}
+                />
+                <span>Lower music under voice-over</span>
+              </label>
+              {music.ducking && (
+                <div className="settings-row">
+                  <div className="setting-label">Duck to</div>
+                  <div className="setting-control with-value">
+                    <input 
+                      type="range" 
+                      min="0" 
+                      max="100" 
+                      value={music.duckLevel} 
+                      onChange={(e) => handleMusicSettingChange('duckLevel', Number(e.target.value), 'Change music ducking level')}
+                      className="slider"
+                      aria-label="Music level under voice-over"
+                    />
+                    <span className="setting-value">{music.duckLevel}%</span>
+                  </div>
+                </div>
+              )}
+            </div>
+            
             {/* Custom Music Upload */}
             <div className="tool-section">
               <h4>Custom Music</h4>
+              {customTracks.map(track => (
+                <div key={track.id} className="custom-track">
+                  <div className="custom-track-header">
+                    <div>
+                      <div className="track-name">{track.name}</div>
+                      <div className="track-category">{track.duration}</div>
+                    </div>
+                    <button
+                      className="track-add-btn"
+                      onClick={() => handleRemoveCustomTrack(track)}
+                      aria-label={`Delete ${track.name}`}
+                    >
+                      <FaTrash />
+                    </button>
+                  </div>
+                  <TrackWaveform
+                    track={track}
+                    videoDuration={videoDuration}
+                    fit={music.fit}
+                    onOffsetChange={(offset) => handleStartOffsetChange(track, offset)}
+                  />
+                </div>
+              ))}
               <div 
                 className="upload-area small"
-                onClick={() => document.getElementById('music-upload').click()}
+                onClick={() => !uploading && document.getElementById('music-upload').click()}
               >
                 <input 
                   type="file" 
                   id="music-upload" 
                   accept="audio/*" 
+                  multiple
                   style={{ display: 'none' }}
-                  onChange={(e) => handleMusicUpload(e.target.files)}
+                  onChange={(e) => {
+                    handleMusicUpload(e.target.files);
+                    // Let the same file be chosen again after an error
+                    e.target.value = '';
+                  }}
                 />
                 <div className="upload-box">
                   <FaMusic className="upload-icon" />
-                  <div>Upload your own music track</div>
+                  <div>{uploading ? 'Decoding audio…' : 'Upload your own music track'}</div>
+                  <div className="upload-formats">
+                    MP3, WAV, OGG, M4A, AAC or FLAC up to {MUSIC_UPLOAD_MAX_BYTES / 1024 / 1024}MB
+                  </div>
                 </div>
               </div>
+              {uploadErrors.length > 0 && (
+                <ul className="upload-errors" role="alert">
+                  {uploadErrors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              )}
             </div>
           </div>
         )}
@@ -287,8 +820,8 @@ const AudioPanel = ({ onClose }) => {
       
       {/* Panel footer with action buttons */}
       <div className="tool-panel-footer">
-        <button className="cancel-button" onClick={onClose}>Cancel</button>
-        <button className="apply-button">Apply Audio Changes</button>
+        <button className="cancel-button" onClick={handleCancel}>Cancel</button>
+        <button className="apply-button" onClick={handleApply}>Apply Audio Changes</button>
       </div>
     </div>
   );
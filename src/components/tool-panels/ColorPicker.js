@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { FaEyeDropper } from 'react-icons/fa';
+import { colorFormats, formatColor, hexToRgb, parseColor, toHex } from '../../utils/color';
+
+/**
+ * ColorPicker Component
+ * 
+ * Edits one color: a swatch that opens the browser's color chooser, a text
+ * field taking HEX, RGB or HSL, optional suggested colors and an optional
+ * eyedropper. Text that is not a valid color is flagged and never applied;
+ * every valid edit is passed to `onChange` as a hex code straight away.
+ * 
+ * @param {Object} props Component props
+ * @param {string} props.label Name of the color, e.g. "Primary"
+ * @param {string} props.value Current color as a hex code
+ * @param {Function} props.onChange Called with the new hex code
+ * @param {Function} [props.onEyedropper] Starts picking the color from the preview
+ * @param {boolean} [props.picking=false] Whether the eyedropper is picking this color
+ * @param {string[]} [props.suggestions] Hex codes offered as one-click choices
+ */
+const ColorPicker = ({ label, value, onChange, onEyedropper, picking = false, suggestions = [] }) => {
+  // Notation of the text field
+  const [format, setFormat] = useState('hex');
+  // Text being typed; null shows the current value
+  const [draft, setDraft] = useState(null);
+  const invalid = draft !== null && parseColor(draft, format) === null;
+  const example = colorFormats.find(option => option.id === format).example;
+  const errorId = `color-error-${label.toLowerCase()}`;
+  // The native chooser only understands six-digit hex codes
+  const swatchValue = hexToRgb(value) ? toHex(hexToRgb(value)) : '#000000';
+
+  const handleTextChange = (text) => {
+    setDraft(text);
+    const hex = parseColor(text, format);
+    if (hex && hex !== value) onChange(hex);
+  };
+
+  const handleFormatChange = (formatId) => {
+    setFormat(formatId);
+    setDraft(null);
+  };
+
+  return (
+    <div className="color-picker">
+      <div className="color-label">{label}</div>
+      <label className="color-preview" style={{ backgroundColor: swatchValue }} title="Choose a color">
+        <input
+          type="color"
+          className="color-native"
+          value={swatchValue}
+          onChange={(e) => onChange(e.target.value)}
+          aria-label={`${label} color`}
+        />
+      </label>
+
+      <div className="color-format-tabs" role="radiogroup" aria-label={`${label} color notation`}>
+        {colorFormats.map(option => (
+          <button
+            key={option.id}
+            className={`color-format-tab ${format === option.id ? 'active' : ''}`}
+            onClick={() => handleFormatChange(option.id)}
+            role="radio"
+            aria-checked={format === option.id}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="color-input-row">
+        <input
+          type="text"
+          value={draft ?? formatColor(value, format)}
+          onChange={(e) => handleTextChange(e.target.value)}
+          onBlur={() => setDraft(null)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !invalid) e.target.blur();
+          }}
+          className={`color-input ${invalid ? 'invalid' : ''}`}
+          aria-label={`${label} color ${format.toUpperCase()} value`}
+          aria-invalid={invalid}
+          aria-describedby={invalid ? errorId : undefined}
+          spellCheck="false"
+        />
+        {onEyedropper && (
+          <button
+            className={`color-eyedropper ${picking ? 'active' : ''}`}
+            onClick={onEyedropper}
+            aria-pressed={picking}
+            aria-label={`Pick the ${label} color from the preview`}
+            title="Pick from the preview"
+          >
+            <FaEyeDropper />
+          </button>
+        )}
+      </div>
+      {invalid && (
+        <div className="color-input-error" id={errorId} role="alert">Use a color like {example}</div>
+      )}
+
+      {suggestions.length > 0 && (
+        <div className="color-suggestions" aria-label={`Suggested ${label} colors`}>
+          {suggestions.map(color => (
+            <button
+              key={color}
+              className={`color-suggestion ${color === value ? 'active' : ''}`}
+              style={{ backgroundColor: color }}
+              onClick={() => onChange(color)}
+              aria-label={`Use ${color} as the ${label} color`}
+              title={color}
+            ></button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColorPicker;
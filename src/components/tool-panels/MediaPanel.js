@@ -1,6 +1,25 @@
-import React, { useState } from 'react';
-import { FaArrowLeft, FaUpload, FaImage, FaVideo, FaLink } from 'react-icons/fa';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { FaArrowLeft, FaUpload, FaImage, FaVideo, FaLink, FaTimes, FaTrash } from 'react-icons/fa';
 import './ToolPanels.css';
+import { useProject } from '../../context/ProjectContext';
+import { useBrandKits } from '../../context/BrandKitContext';
+import useMediaUploads from '../../hooks/useMediaUploads';
+import useStockMediaSearch from '../../hooks/useStockMediaSearch';
+import useMediaLinkImport from '../../hooks/useMediaLinkImport';
+import { addMediaItems, setScenes } from '../../state/projectReducer';
+import { withHistoryLabel } from '../../state/history';
+import {
+  appendMediaScenes,
+  replaceSceneMedia,
+  addMediaLayers,
+  updateMediaLayer,
+  removeMediaLayer
+} from '../../state/sceneOperations';
+import { mediaInsertModes, pipPositions } from '../../data/catalog';
+import { MEDIA_UPLOAD_ACCEPT } from '../../services/mediaUpload';
+import { createStockMediaProvider, getFormatOrientation } from '../../services/stockMedia';
+import { classifyMediaUrl, createMediaLookup, VIDEO_SITES } from '../../services/mediaLinks';
+import { formatTime } from '../../utils/time';
 
 /**
  * MediaPanel Component
@@ -8,52 +27,204 @@ import './ToolPanels.css';
  * Provides an interface for adding and managing media in the video:
  * - Upload custom media (images/videos)
  * - Browse and search stock media
- * - Access previously used brand assets
+ * - Access the logo and assets of the video's brand kit
+ * 
+ * Selected items are inserted in the order they were selected: as new
+ * scenes, as the active scene's visual, or as picture-in-picture layers on
+ * the active scene. Stock media keeps its attribution and license when
+ * inserted.
  * 
  * @param {Object} props Component props
  * @param {Function} props.onClose Function to close the panel
+ * @param {string} props.activeScene ID of the scene selected in the editor
+ * @param {Object} [props.stockProvider] Stock media provider (defaults to the configured provider)
+ * @param {Object} [props.mediaLookup] Link details lookup (defaults to the configured lookup)
  */
-const MediaPanel = ({ onClose }) => {
+const MediaPanel = ({ onClose, activeScene, stockProvider, mediaLookup }) => {
+  const { project, dispatch } = useProject();
+  const { getKit, addKitAssets } = useBrandKits();
+  const provider = useMemo(() => stockProvider || createStockMediaProvider(), [stockProvider]);
+  const lookup = useMemo(() => mediaLookup || createMediaLookup(), [mediaLookup]);
   // Track the active tab in the media panel
   const [activeTab, setActiveTab] = useState('upload');
-  // Track selected media items (would be used in a real implementation)
+  // IDs of the selected media items, in the order they were selected
   const [selectedMedia, setSelectedMedia] = useState([]);
+  // How the selection is inserted (see mediaInsertModes)
+  const [insertMode, setInsertMode] = useState('append');
+  const sceneIndex = project.scenes.findIndex(scene => scene.id === activeScene);
+  const scene = project.scenes[sceneIndex];
   
-  // Sample stock media items for demonstration
-  const stockMedia = [
-    { id: 's1', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Stock+1', type: 'image' },
-    { id: 's2', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Stock+2', type: 'video' },
-    { id: 's3', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Stock+3', type: 'image' },
-    { id: 's4', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Stock+4', type: 'video' },
-    { id: 's5', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Stock+5', type: 'image' },
-    { id: 's6', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Stock+6', type: 'video' },
-    { id: 's7', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Stock+7', type: 'image' },
-    { id: 's8', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Stock+8', type: 'video' },
-  ];
+  // Stock search: free text, media type, and whether to only show media
+  // shaped like the video
+  const [stockQuery, setStockQuery] = useState('');
+  const [stockType, setStockType] = useState('all');
+  const [matchFormat, setMatchFormat] = useState(true);
+  const stock = useStockMediaSearch(provider, {
+    query: stockQuery,
+    type: stockType,
+    orientation: matchFormat ? getFormatOrientation(project.format.presetId) : null
+  });
+  // Selected stock items, kept when a new search replaces the results
+  const [stockPicks, setStockPicks] = useState({});
+  // Video item playing its hover preview
+  const [previewId, setPreviewId] = useState(null);
+  // End of the stock grid; reaching it loads the next page
+  const stockEndRef = useRef(null);
+  const loadMoreRef = useRef(stock.loadMore);
+  loadMoreRef.current = stock.loadMore;
+
+  useEffect(() => {
+    const sentinel = stockEndRef.current;
+    if (activeTab !== 'stock' || !sentinel || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) loadMoreRef.current();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [activeTab, stock.items.length]);
+  
+  // The video's brand kit: its logo and assets are offered in the My Brand tab
+  const brandKit = getKit(project.brandKitId);
+  const brandMedia = brandKit
+    ? [
+      ...(brandKit.logo
+        ? [{ id: `${brandKit.id}-logo`, name: `${brandKit.name} logo`, type: 'image', src: brandKit.logo, thumbnail: brandKit.logo }]
+        : []),
+      ...brandKit.assets
+    ]
+    : [];
+
+  // Uploaded files join the project's media library as they finish processing
+  const { uploads, upload: handleFileUpload, dismiss } = useMediaUploads(item => {
+    dispatch(withHistoryLabel(addMediaItems([item]), `Upload ${item.name}`));
+  });
+  // Files added from the My Brand tab are stored with the brand kit instead
+  const brandUploads = useMediaUploads(async item => {
+    await addKitAssets(brandKit.id, [item]);
+  });
   
-  // Sample brand media items for demonstration
-  const brandMedia = [
-    { id: 'b1', thumbnail: 'https://via.placeholder.com/160x90/333/fff?text=Logo', type: 'image' },
-    { id: 'b2', thumbnail: 'https://via.placeholder.com/160x90/333/fff?text=Product', type: 'image' },
-    { id: 'b3', thumbnail: 'https://via.placeholder.com/160x90/333/fff?text=Team', type: 'image' },
-  ];
+  // Pasted links are looked up and join the media library the same way
+  const [urlInput, setUrlInput] = useState('');
+  const linkImport = useMediaLinkImport(lookup, item => {
+    dispatch(withHistoryLabel(addMediaItems([item]), `Import ${item.name}`));
+  });
+  // What the link in the field points to, shown while typing
+  let urlKind = null;
+  try {
+    const link = classifyMediaUrl(urlInput);
+    urlKind = VIDEO_SITES[link.kind] ? `${VIDEO_SITES[link.kind]} video` : `${link.kind === 'image' ? 'Image' : 'Video'} file`;
+  } catch (error) {
+    // Only reported when the link is imported
+  }
 
-  // Handlers for media interaction (would be implemented in real application)
-  const handleFileUpload = (files) => {
-    // Logic to handle file upload
-    console.log('Files uploaded', files);
+  // Progress and errors of an upload queue
+  const renderUploads = (entries, onDismiss) => (
+    entries.length > 0 && (
+      <ul className="upload-progress-list" aria-live="polite">
+        {entries.map(entry => (
+          <li key={entry.id} className={`upload-progress ${entry.error ? 'failed' : ''}`}>
+            <div className="upload-progress-header">
+              <span className="upload-progress-name">{entry.name}</span>
+              {entry.error && (
+                <button
+                  className="upload-dismiss"
+                  onClick={() => onDismiss(entry.id)}
+                  aria-label={`Dismiss error for ${entry.name}`}
+                >
+                  <FaTimes />
+                </button>
+              )}
+            </div>
+            {entry.error ? (
+              <div className="upload-progress-error" role="alert">{entry.error}</div>
+            ) : (
+              <div
+                className="upload-progress-bar"
+                role="progressbar"
+                aria-valuemin="0"
+                aria-valuemax="100"
+                aria-valuenow={Math.round(entry.progress * 100)}
+                aria-label={`Processing ${entry.name}`}
+              >
+                <div className="upload-progress-fill" style={{ width: `${entry.progress * 100}%` }}></div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    )
+  );
+
+  const mediaById = new Map([
+    ...project.mediaLibrary.map(item => [item.id, item]),
+    ...[...Object.values(stockPicks), ...stock.items].map(item => [item.id, item]),
+    ...brandMedia.map(item => [item.id, item])
+  ]);
+  const selectedItems = selectedMedia.map(id => mediaById.get(id)).filter(Boolean);
+
+  // Why the selection cannot be inserted with the chosen mode, if it cannot
+  let insertProblem = null;
+  if (selectedItems.length === 0) insertProblem = 'Select media to insert.';
+  else if (insertMode !== 'append' && !scene) insertProblem = 'Select a scene in the editor first.';
+  else if (insertMode === 'replace' && selectedItems.length > 1) insertProblem = 'Select a single item to replace the scene\'s visual.';
+
+  const handleInsert = () => {
+    if (insertProblem) return;
+    const sceneNumber = sceneIndex + 1;
+    let scenes;
+    let label;
+    if (insertMode === 'replace') {
+      scenes = replaceSceneMedia(project.scenes, activeScene, selectedItems[0]);
+      label = `Replace scene ${sceneNumber} media`;
+    } else if (insertMode === 'pip') {
+      scenes = addMediaLayers(project.scenes, activeScene, selectedItems);
+      label = `Add picture-in-picture to scene ${sceneNumber}`;
+    } else {
+      scenes = appendMediaScenes(project.scenes, selectedItems);
+      label = selectedItems.length === 1 ? 'Add media scene' : `Add ${selectedItems.length} media scenes`;
+    }
+    dispatch(withHistoryLabel(setScenes(scenes), label));
+    setSelectedMedia([]);
+    onClose();
+  };
+
+  const handleLayerPositionChange = (layerId, position) => {
+    dispatch(withHistoryLabel(
+      setScenes(updateMediaLayer(project.scenes, activeScene, layerId, { position })),
+      'Move picture-in-picture'
+    ));
   };
 
-  const handleUrlImport = (url) => {
-    // Logic to import media from URL
-    console.log('Import from URL', url);
+  const handleRemoveLayer = (layerId) => {
+    dispatch(withHistoryLabel(
+      setScenes(removeMediaLayer(project.scenes, activeScene, layerId)),
+      'Remove picture-in-picture'
+    ));
+  };
+
+  // Position of a selected item in the insertion order
+  const renderSelectionOrder = (mediaId) => (
+    selectedMedia.includes(mediaId) && (
+      <div className="media-item-order" aria-hidden="true">{selectedMedia.indexOf(mediaId) + 1}</div>
+    )
+  );
+
+  const handleUrlImport = async (e) => {
+    e.preventDefault();
+    if (await linkImport.importLink(urlInput)) setUrlInput('');
+  };
+
+  const handleUrlChange = (value) => {
+    setUrlInput(value);
+    linkImport.clearError();
+  };
+
+  const handleStockSelect = (item) => {
+    setStockPicks(picks => ({ ...picks, [item.id]: item }));
+    handleMediaSelect(item.id);
   };
 
   const handleMediaSelect = (mediaId) => {
-    // Logic to select/deselect a media item
-    console.log('Media selected', mediaId);
-    
-    // Toggle selection (in a real implementation)
     setSelectedMedia(prev => {
       if (prev.includes(mediaId)) {
         return prev.filter(id => id !== mediaId);
@@ -124,9 +295,13 @@ const MediaPanel = ({ onClose }) => {
                   type="file" 
                   id="file-upload" 
                   multiple 
-                  accept="image/*, video/*" 
+                  accept={MEDIA_UPLOAD_ACCEPT}
                   style={{ display: 'none' }}
-                  onChange={(e) => handleFileUpload(e.target.files)}
+                  onChange={(e) => {
+                    handleFileUpload(e.target.files);
+                    // Let the same file be chosen again after an error
+                    e.target.value = '';
+                  }}
                 />
                 <FaUpload className="upload-icon" />
                 <div className="upload-text">
@@ -137,25 +312,70 @@ const MediaPanel = ({ onClose }) => {
               </div>
             </div>
             
+            {/* Files being processed, and files that were rejected */}
+            {renderUploads(uploads, dismiss)}
+            
+            {/* Grid of media already uploaded to this project */}
+            {project.mediaLibrary.length > 0 && (
+              <div className="media-grid">
+                {project.mediaLibrary.map(item => (
+                  <div 
+                    key={item.id} 
+                    className={`media-item ${selectedMedia.includes(item.id) ? 'selected' : ''}`}
+                    onClick={() => handleMediaSelect(item.id)}
+                    role="checkbox"
+                    aria-checked={selectedMedia.includes(item.id)}
+                    aria-label={`${item.source === 'link' ? 'Imported' : 'Uploaded'} ${item.type} ${item.name}`}
+                    title={item.name}
+                  >
+                    <img src={item.thumbnail} alt={item.name} />
+                    {renderSelectionOrder(item.id)}
+                    <div className="media-item-type">
+                      {item.type === 'video' ? <FaVideo /> : <FaImage />}
+                    </div>
+                    {item.site ? (
+                      <div className="media-item-meta">
+                        {VIDEO_SITES[item.site]} still
+                        {item.duration && ` · ${formatTime(item.duration)}`}
+                      </div>
+                    ) : item.width && (
+                      <div className="media-item-meta">
+                        {item.width}×{item.height} · {item.orientation}
+                        {item.duration !== null && ` · ${formatTime(item.duration)}`}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            
             {/* URL Import section */}
-            <div className="url-import">
+            <form className="url-import" onSubmit={handleUrlImport} noValidate>
               <h4>Import from URL</h4>
               <div className="url-input-group">
                 <input 
-                  type="text" 
+                  type="url" 
                   placeholder="Paste link to media (YouTube, Vimeo, etc.)" 
-                  className="url-input"
+                  className={`url-input ${linkImport.error ? 'invalid' : ''}`}
                   aria-label="Media URL"
-                  id="url-input"
+                  aria-invalid={Boolean(linkImport.error)}
+                  aria-describedby="url-import-status"
+                  value={urlInput}
+                  onChange={(e) => handleUrlChange(e.target.value)}
+                  disabled={linkImport.importing}
                 />
-                <button 
-                  className="url-btn"
-                  onClick={() => handleUrlImport(document.getElementById('url-input').value)}
-                >
-                  <FaLink /> Import
+                <button type="submit" className="url-btn" disabled={linkImport.importing}>
+                  <FaLink /> {linkImport.importing ? 'Importing…' : 'Import'}
                 </button>
               </div>
-            </div>
+              <div id="url-import-status" className="url-import-status" aria-live="polite">
+                {linkImport.error ? (
+                  <span className="url-import-error" role="alert">{linkImport.error}</span>
+                ) : urlKind && (
+                  <span className="url-import-hint">{urlKind}</span>
+                )}
+              </div>
+            </form>
           </div>
         )}
         
@@ -168,88 +388,218 @@ const MediaPanel = ({ onClose }) => {
                 placeholder="Search stock media..." 
                 className="search-input"
                 aria-label="Search stock media"
+                value={stockQuery}
+                onChange={(e) => setStockQuery(e.target.value)}
               />
               {/* Filter buttons for stock media types */}
               <div className="stock-filters" role="radiogroup" aria-label="Media type filter">
-                <button className="stock-filter active" role="radio" aria-checked="true">All</button>
-                <button className="stock-filter" role="radio" aria-checked="false">Images</button>
-                <button className="stock-filter" role="radio" aria-checked="false">Videos</button>
+                {[
+                  { id: 'all', name: 'All' },
+                  { id: 'image', name: 'Images' },
+                  { id: 'video', name: 'Videos' }
+                ].map(option => (
+                  <button
+                    key={option.id}
+                    className={`stock-filter ${stockType === option.id ? 'active' : ''}`}
+                    role="radio"
+                    aria-checked={stockType === option.id}
+                    onClick={() => setStockType(option.id)}
+                  >
+                    {option.name}
+                  </button>
+                ))}
               </div>
+              <label className="platform-checkbox stock-format-toggle">
+                <input
+                  type="checkbox"
+                  checked={matchFormat}
+                  onChange={(e) => setMatchFormat(e.target.checked)}
+                />
+                <span>Only {getFormatOrientation(project.format.presetId)} media to match the video format</span>
+              </label>
             </div>
             
             {/* Grid of stock media items */}
             <div className="media-grid">
-              {stockMedia.map(item => (
+              {stock.items.map(item => (
                 <div 
                   key={item.id} 
-                  className="media-item"
-                  onClick={() => handleMediaSelect(item.id)}
+                  className={`media-item stock ${selectedMedia.includes(item.id) ? 'selected' : ''}`}
+                  onClick={() => handleStockSelect(item)}
+                  onMouseEnter={() => item.previewSrc && setPreviewId(item.id)}
+                  onMouseLeave={() => setPreviewId(null)}
                   role="checkbox"
                   aria-checked={selectedMedia.includes(item.id)}
-                  aria-label={`Stock ${item.type} ${item.id}`}
+                  aria-label={`Stock ${item.type} ${item.name}`}
+                  title={item.credit ? `${item.name} by ${item.credit.author} (${item.credit.license})` : item.name}
                 >
-                  <img src={item.thumbnail} alt={`Stock media ${item.id}`} />
+                  <img src={item.thumbnail} alt={item.name} />
+                  {previewId === item.id && (
+                    <video
+                      className="media-item-preview"
+                      src={item.previewSrc}
+                      muted
+                      autoPlay
+                      loop
+                      playsInline
+                      aria-hidden="true"
+                    />
+                  )}
+                  {renderSelectionOrder(item.id)}
                   <div className="media-item-type">
                     {item.type === 'video' ? <FaVideo /> : <FaImage />}
                   </div>
+                  <div className="media-item-meta">
+                    {item.credit ? item.credit.author : item.orientation}
+                    {item.duration !== null && ` · ${formatTime(item.duration)}`}
+                  </div>
                 </div>
               ))}
             </div>
+            
+            {/* Search status; scrolling to it loads the next page */}
+            <div ref={stockEndRef} className="stock-status" aria-live="polite">
+              {stock.error ? (
+                <div className="music-empty">
+                  <p className="section-description" role="alert">{stock.error}</p>
+                  <button className="secondary-button" onClick={stock.retry}>Try again</button>
+                </div>
+              ) : stock.loading ? (
+                <p className="section-description">Searching…</p>
+              ) : stock.items.length === 0 ? (
+                <p className="section-description">No stock media matches your search.</p>
+              ) : stock.hasMore ? (
+                <button className="secondary-button" onClick={stock.loadMore}>Load more</button>
+              ) : (
+                <p className="section-description">
+                  {stock.total} result{stock.total === 1 ? '' : 's'} from {provider.name}
+                </p>
+              )}
+            </div>
           </div>
         )}
         
         {/* Brand Media Tab Content */}
         {activeTab === 'brand' && (
           <div id="brand-tab" role="tabpanel" className="brand-media-section">
-            <h4>Your Brand Media</h4>
-            <p className="section-description">Previously uploaded brand assets</p>
-            
-            {/* Grid of brand media items */}
-            <div className="media-grid">
-              {brandMedia.map(item => (
-                <div 
-                  key={item.id} 
-                  className="media-item"
-                  onClick={() => handleMediaSelect(item.id)}
-                  role="checkbox"
-                  aria-checked={selectedMedia.includes(item.id)}
-                  aria-label={`Brand ${item.type} ${item.id}`}
-                >
-                  <img src={item.thumbnail} alt={`Brand media ${item.id}`} />
-                  <div className="media-item-type">
-                    {item.type === 'video' ? <FaVideo /> : <FaImage />}
+            {brandKit ? (
+              <>
+                <h4>{brandKit.name}</h4>
+                <p className="section-description">Logo and assets of this video's brand kit</p>
+
+                {/* Grid of brand media items */}
+                <div className="media-grid">
+                  {brandMedia.map(item => (
+                    <div 
+                      key={item.id} 
+                      className={`media-item ${selectedMedia.includes(item.id) ? 'selected' : ''}`}
+                      onClick={() => handleMediaSelect(item.id)}
+                      role="checkbox"
+                      aria-checked={selectedMedia.includes(item.id)}
+                      aria-label={`Brand ${item.type} ${item.name}`}
+                      title={item.name}
+                    >
+                      <img src={item.thumbnail} alt={item.name} />
+                      {renderSelectionOrder(item.id)}
+                      <div className="media-item-type">
+                        {item.type === 'video' ? <FaVideo /> : <FaImage />}
+                      </div>
+                    </div>
+                  ))}
+                  {/* Add new brand media button */}
+                  <div 
+                    className="media-item upload-item"
+                    role="button"
+                    aria-label={`Add media to ${brandKit.name}`}
+                    onClick={() => document.getElementById('brand-upload').click()}
+                  >
+                    <input 
+                      type="file" 
+                      id="brand-upload" 
+                      multiple 
+                      accept={MEDIA_UPLOAD_ACCEPT}
+                      style={{ display: 'none' }}
+                      onChange={(e) => {
+                        brandUploads.upload(e.target.files);
+                        e.target.value = '';
+                      }}
+                    />
+                    <FaUpload />
+                    <div>Add New</div>
                   </div>
                 </div>
-              ))}
-              {/* Add new brand media button */}
-              <div 
-                className="media-item upload-item"
-                role="button"
-                aria-label="Add new brand media"
-                onClick={() => document.getElementById('brand-upload').click()}
-              >
-                <input 
-                  type="file" 
-                  id="brand-upload" 
-                  multiple 
-                  accept="image/*, video/*" 
-                  style={{ display: 'none' }}
-                  onChange={(e) => handleFileUpload(e.target.files)}
-                />
-                <FaUpload />
-                <div>Add New</div>
-              </div>
-            </div>
+                {renderUploads(brandUploads.uploads, brandUploads.dismiss)}
+              </>
+            ) : (
+              <>
+                <h4>Your Brand Media</h4>
+                <p className="section-description">
+                  This video has no brand kit. Choose one in Settings, or create one on the My Brand page.
+                </p>
+              </>
+            )}
           </div>
         )}
       </div>
       
+      {/* How the selected media is inserted */}
+      <div className="media-insert-options">
+        <div className="media-insert-modes" role="radiogroup" aria-label="Insert selected media">
+          {mediaInsertModes.map(mode => (
+            <label key={mode.id} className="platform-checkbox">
+              <input
+                type="radio"
+                name="media-insert-mode"
+                checked={insertMode === mode.id}
+                onChange={() => setInsertMode(mode.id)}
+              />
+              <span>{mode.name}</span>
+            </label>
+          ))}
+        </div>
+        
+        {/* Picture-in-picture layers already on the active scene */}
+        {insertMode === 'pip' && scene && scene.mediaLayers.length > 0 && (
+          <ul className="media-layer-list" aria-label={`Picture-in-picture on scene ${sceneIndex + 1}`}>
+            {scene.mediaLayers.map((layer, index) => (
+              <li key={layer.id} className="media-layer-item">
+                <span>{layer.type === 'video' ? <FaVideo /> : <FaImage />} Layer {index + 1}</span>
+                <select
+                  className="select-input"
+                  value={layer.position}
+                  onChange={(e) => handleLayerPositionChange(layer.id, e.target.value)}
+                  aria-label={`Position of layer ${index + 1}`}
+                >
+                  {pipPositions.map(position => (
+                    <option key={position.id} value={position.id}>{position.name}</option>
+                  ))}
+                </select>
+                <button
+                  className="scene-action-btn"
+                  onClick={() => handleRemoveLayer(layer.id)}
+                  aria-label={`Remove layer ${index + 1}`}
+                >
+                  <FaTrash />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        
+        <p className="section-description" aria-live="polite">
+          {insertProblem || (insertMode === 'append'
+            ? `${selectedItems.length} new scene${selectedItems.length === 1 ? '' : 's'} will be added at the end.`
+            : `Applies to scene ${sceneIndex + 1}.`)}
+        </p>
+      </div>
+      
       {/* Panel footer with action buttons */}
       <div className="tool-panel-footer">
         <button className="cancel-button" onClick={onClose}>Cancel</button>
         <button 
           className="apply-button"
-          disabled={selectedMedia.length === 0}
+          disabled={Boolean(insertProblem)}
+          onClick={handleInsert}
         >
           Insert Selected Media
         </button>
@@ -0,0 +1,83 @@
+import React from 'react';
+import { FaMicrophone, FaStop, FaRedo, FaCheck, FaTimes } from 'react-icons/fa';
+import './ToolPanels.css';
+import useMicrophoneRecorder from '../../hooks/useMicrophoneRecorder';
+
+/**
+ * NarrationRecorder Component
+ * 
+ * Records a narration take for one scene from the microphone: a countdown,
+ * a live level meter while recording, then playback of the trimmed take
+ * with options to re-take it or keep it.
+ * 
+ * @param {Object} props Component props
+ * @param {number} props.sceneNumber One-based number of the scene being narrated
+ * @param {string} props.script Script segment to read
+ * @param {Function} props.onSave Called with the take ({ src, duration, trimmed })
+ * @param {Function} props.onCancel Called when the recorder is closed without saving
+ */
+const NarrationRecorder = ({ sceneNumber, script, onSave, onCancel }) => {
+  const { status, countdown, level, take, error, start, stop, reset } = useMicrophoneRecorder();
+
+  const handleCancel = () => {
+    reset();
+    onCancel();
+  };
+
+  return (
+    <div className="narration-recorder">
+      <div className="recorder-script">
+        {script.trim() || `Scene ${sceneNumber} has no script yet — say whatever fits the scene.`}
+      </div>
+      
+      {/* Input level while the microphone is open */}
+      {(status === 'countdown' || status === 'recording') && (
+        <div className="level-meter" aria-hidden="true">
+          <div className="level-meter-fill" style={{ width: `${Math.min(level * 100, 100)}%` }}></div>
+        </div>
+      )}
+      
+      <div className="recorder-status" aria-live="polite">
+        {status === 'idle' && 'Press record and read the script when the countdown ends.'}
+        {status === 'countdown' && `Recording in ${countdown}…`}
+        {status === 'recording' && <span className="recording-indicator">Recording</span>}
+        {status === 'processing' && 'Trimming silence…'}
+        {status === 'done' && `Take is ${take.duration.toFixed(1)}s long` +
+          (take.trimmed > 0 ? ` (${take.trimmed.toFixed(1)}s of silence trimmed)` : '')}
+        {status === 'error' && <span className="recorder-error">{error}</span>}
+      </div>
+      
+      {status === 'done' && (
+        <audio className="recorder-playback" src={take.src} controls aria-label="Recorded take" />
+      )}
+      
+      <div className="recorder-actions">
+        {(status === 'idle' || status === 'error') && (
+          <button className="secondary-button" onClick={start}>
+            <FaMicrophone /> Record
+          </button>
+        )}
+        {(status === 'countdown' || status === 'recording') && (
+          <button className="secondary-button" onClick={stop}>
+            <FaStop /> Stop
+          </button>
+        )}
+        {status === 'done' && (
+          <>
+            <button className="secondary-button" onClick={start}>
+              <FaRedo /> Re-take
+            </button>
+            <button className="secondary-button" onClick={() => onSave(take)}>
+              <FaCheck /> Use Take
+            </button>
+          </>
+        )}
+        <button className="secondary-button" onClick={handleCancel} disabled={status === 'processing'}>
+          <FaTimes /> Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NarrationRecorder;
@@ -0,0 +1,96 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FaTimes } from 'react-icons/fa';
+import { getFormatPreset } from '../../data/catalog';
+import { createMediaCache } from '../../services/playback/mediaCache';
+import { fitSize, renderFrame } from '../../services/playback/frameRenderer';
+import { getSceneSampleTime, readPixel } from '../../services/colorSampling';
+
+/**
+ * PreviewEyedropper Component
+ * 
+ * Shows the preview frame of a scene and picks the color under the pointer
+ * when it is clicked. Frames showing media from hosts that refuse CORS
+ * cannot be read, which is explained instead.
+ * 
+ * @param {Object} props Component props
+ * @param {Object} props.project Project document
+ * @param {string} props.sceneId Scene whose frame is shown
+ * @param {string} props.label Name of the color being picked
+ * @param {Function} props.onPick Called with the picked hex code
+ * @param {Function} props.onCancel Called when picking is abandoned
+ */
+const PreviewEyedropper = ({ project, sceneId, label, onPick, onCancel }) => {
+  const canvasRef = useRef(null);
+  const mediaRef = useRef(null);
+  // Bumped whenever media finishes loading so the frame is redrawn
+  const [mediaVersion, setMediaVersion] = useState(0);
+  if (!mediaRef.current) {
+    mediaRef.current = createMediaCache(() => setMediaVersion(version => version + 1));
+  }
+  // Color under the pointer, and whether the frame can be read at all
+  const [hoverColor, setHoverColor] = useState(null);
+  const [unreadable, setUnreadable] = useState(false);
+  const { width, height } = fitSize(getFormatPreset(project.format.presetId), 480, 270);
+
+  useEffect(() => {
+    const media = mediaRef.current;
+    return () => media.dispose();
+  }, []);
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext('2d');
+    renderFrame(ctx, {
+      project,
+      time: getSceneSampleTime(project, sceneId),
+      width,
+      height,
+      media: mediaRef.current
+    });
+    setUnreadable(readPixel(ctx, 0, 0) === null);
+  }, [project, sceneId, width, height, mediaVersion]);
+
+  // Pointer position in canvas pixels
+  const colorAt = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) / rect.width) * canvas.width;
+    const y = ((event.clientY - rect.top) / rect.height) * canvas.height;
+    return readPixel(canvas.getContext('2d'), x, y);
+  };
+
+  return (
+    <div className="color-eyedropper-panel">
+      <div className="color-eyedropper-header">
+        <span>Click the preview to pick the {label} color</span>
+        <button className="upload-dismiss" onClick={onCancel} aria-label="Stop picking">
+          <FaTimes />
+        </button>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={width}
+        height={height}
+        className="color-eyedropper-frame"
+        onMouseMove={(e) => setHoverColor(colorAt(e))}
+        onMouseLeave={() => setHoverColor(null)}
+        onClick={(e) => {
+          const color = colorAt(e);
+          if (color) onPick(color);
+        }}
+        aria-label={`Preview frame; click to pick the ${label} color`}
+      />
+      {unreadable ? (
+        <p className="color-input-error" role="alert">
+          This frame shows media from a site that does not allow its colors to be read. Upload the file to pick from it.
+        </p>
+      ) : (
+        <div className="color-eyedropper-readout" aria-live="polite">
+          <span className="color-eyedropper-swatch" style={{ backgroundColor: hoverColor || 'transparent' }}></span>
+          {hoverColor || 'Move over the frame'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PreviewEyedropper;
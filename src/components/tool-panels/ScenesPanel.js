@@ -1,53 +1,147 @@
-import React from 'react';
-import { FaArrowLeft, FaPlus, FaTrash, FaArrowUp, FaArrowDown, FaCopy, FaToggleOn, FaToggleOff } from 'react-icons/fa';
+import React, { useState } from 'react';
+import { FaArrowLeft, FaPlus, FaTrash, FaArrowUp, FaArrowDown, FaCopy } from 'react-icons/fa';
 import './ToolPanels.css';
+import { useProject } from '../../context/ProjectContext';
+import usePanelTransaction from '../../hooks/usePanelTransaction';
+import { setScenes, updateScene } from '../../state/projectReducer';
+import {
+  getSceneTimings,
+  DEFAULT_TRANSITION,
+  MIN_TRANSITION_SECONDS,
+  MAX_TRANSITION_SECONDS
+} from '../../state/projectModel';
+import { transitionTypes } from '../../data/catalog';
+import { moveScene, duplicateScene, deleteScene, insertScene, reorderScenes } from '../../state/sceneOperations';
+import { withHistoryLabel } from '../../state/history';
+import { formatTime } from '../../utils/time';
 
 /**
  * ScenesPanel Component
  * 
  * Provides an interface for managing video scenes including:
- * - Reordering, deleting, and duplicating existing scenes
- * - Configuring transitions between scenes
+ * - Reordering (buttons or drag-and-drop), deleting, and duplicating existing scenes
+ * - Choosing the transition and its duration at each scene boundary
  * 
  * @param {Object} props Component props
  * @param {Function} props.onClose Function to close the panel
- * @param {Array} props.scenes List of current video scenes
- * @param {Number} props.activeScene ID of the currently active scene
+ * @param {string} props.activeScene ID of the currently active scene
  */
-const ScenesPanel = ({ onClose, scenes, activeScene }) => {
-  // Handlers would be implemented here in a real application
+const ScenesPanel = ({ onClose, activeScene }) => {
+  const { project, dispatch } = useProject();
+  const { scenes } = project;
+  // Edits apply live; "Cancel" rolls back to the state when the panel opened
+  const { apply, cancel } = usePanelTransaction();
+  // Start/end times of the scenes
+  const sceneTimings = getSceneTimings(scenes);
+  // Index of the scene being dragged and the tile it is hovering over
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  // Boundary being edited, as the index of the scene before it (starts at the active scene)
+  const [boundaryIndex, setBoundaryIndex] = useState(() =>
+    Math.max(0, scenes.findIndex(scene => scene.id === activeScene))
+  );
+  const boundaryCount = scenes.length - 1;
+  const selectedBoundary = Math.min(boundaryIndex, Math.max(boundaryCount - 1, 0));
+  const boundaryScene = scenes[selectedBoundary];
+  const boundaryTransition = boundaryScene.transition;
+
+  // Replace the scene list as a single labelled history step
+  const commitScenes = (nextScenes, label) => {
+    if (nextScenes === scenes) return;
+    dispatch(withHistoryLabel(setScenes(nextScenes), label));
+  };
+
   const handleMoveScene = (direction, sceneId) => {
-    // Logic to move scene up or down
-    console.log(`Move scene ${sceneId} ${direction}`);
+    commitScenes(moveScene(scenes, sceneId, direction), `Move scene ${direction}`);
   };
 
   const handleDuplicateScene = (sceneId) => {
-    // Logic to duplicate a scene
-    console.log(`Duplicate scene ${sceneId}`);
+    commitScenes(duplicateScene(scenes, sceneId), 'Duplicate scene');
   };
 
-  const handleDeleteScene = (sceneId) => {
-    // Logic to delete a scene
-    console.log(`Delete scene ${sceneId}`);
+  const handleDeleteScene = (sceneId, sceneNumber) => {
+    if (scenes.length <= 1) return;
+    if (!window.confirm(`Delete scene ${sceneNumber}?`)) return;
+    commitScenes(deleteScene(scenes, sceneId), 'Delete scene');
   };
 
   const handleAddScene = () => {
-    // Logic to add a new blank scene
-    console.log('Add new scene');
+    commitScenes(insertScene(scenes), 'Add scene');
+  };
+
+  // Drag-and-drop handlers for reordering scene tiles
+  const handleDragStart = (e, index) => {
+    setDragIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e, index) => {
+    if (dragIndex === null) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropIndex(index);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex !== null) {
+      commitScenes(reorderScenes(scenes, dragIndex, index), 'Reorder scenes');
+    }
+    handleDragEnd();
+  };
+
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const boundaryLabel = `scenes ${selectedBoundary + 1} and ${selectedBoundary + 2}`;
+
+  const handleTransitionTypeSelect = (type) => {
+    if (type === boundaryTransition.type) return;
+    // Give a transition a usable length when switching away from a cut
+    const duration = type === 'cut' || boundaryTransition.duration >= MIN_TRANSITION_SECONDS
+      ? boundaryTransition.duration
+      : DEFAULT_TRANSITION.duration;
+    const name = transitionTypes.find(option => option.id === type).name;
+    dispatch(withHistoryLabel(
+      updateScene(boundaryScene.id, { transition: { type, duration } }),
+      `Set ${name.toLowerCase()} between ${boundaryLabel}`
+    ));
+  };
+
+  const handleTransitionDurationChange = (value) => {
+    dispatch(withHistoryLabel(
+      updateScene(boundaryScene.id, { transition: { ...boundaryTransition, duration: Number(value) } }),
+      `Change transition length between ${boundaryLabel}`,
+      `transition.duration.${boundaryScene.id}`
+    ));
   };
 
-  const [transitionsEnabled, setTransitionsEnabled] = React.useState(true);
+  const handleApplyTransitionToAll = () => {
+    commitScenes(
+      scenes.map(scene => ({ ...scene, transition: { ...boundaryTransition } })),
+      'Apply transition to all scenes'
+    );
+  };
 
-  const toggleTransitions = () => {
-    setTransitionsEnabled(!transitionsEnabled);
-    console.log('Transitions enabled:', !transitionsEnabled);
+  // Keep the panel's edits and close it
+  const handleApply = () => {
+    apply();
+    onClose();
+  };
+
+  // Discard the panel's edits and close it
+  const handleCancel = () => {
+    cancel();
+    onClose();
   };
 
   return (
     <div className="tool-panel">
       {/* Panel header with back button */}
       <div className="tool-panel-header">
-        <button className="back-button" onClick={onClose} aria-label="Go back">
+        <button className="back-button" onClick={handleCancel} aria-label="Go back">
           <FaArrowLeft />
         </button>
         <h3>Scene Management</h3>
@@ -57,23 +151,36 @@ const ScenesPanel = ({ onClose, scenes, activeScene }) => {
         {/* Current Scenes Section */}
         <div className="tool-section">
           <h4>Current Scenes</h4>
-          <p className="section-description">Rearrange scenes or edit individual scenes</p>
+          <p className="section-description">Rearrange scenes by dragging them or using the arrows</p>
           
           <div className="current-scenes">
             {/* Map through and render each existing scene */}
-            {scenes.map(scene => (
+            {scenes.map((scene, index) => (
               <div 
                 key={scene.id} 
-                className={`scene-item ${scene.id === activeScene ? 'active' : ''}`}
-                aria-label={`Scene ${scene.id}`}
+                className={[
+                  'scene-item',
+                  scene.id === activeScene ? 'active' : '',
+                  index === dragIndex ? 'dragging' : '',
+                  index === dropIndex && index !== dragIndex ? 'drag-over' : ''
+                ].join(' ')}
+                draggable
+                onDragStart={(e) => handleDragStart(e, index)}
+                onDragOver={(e) => handleDragOver(e, index)}
+                onDrop={(e) => handleDrop(e, index)}
+                onDragEnd={handleDragEnd}
+                aria-label={`Scene ${index + 1}`}
               >
-                <img src={scene.thumbnail} alt={`Scene ${scene.id}`} />
+                <img src={scene.thumbnail} alt={`Scene ${index + 1}`} draggable={false} />
                 <div className="scene-item-overlay">
-                  <span className="scene-number">Scene {scene.id}</span>
+                  <span className="scene-number">
+                    Scene {index + 1} · {formatTime(sceneTimings[index].start)}-{formatTime(sceneTimings[index].end)}
+                  </span>
                   <div className="scene-actions">
                     <button 
                       className="scene-action-btn" 
                       onClick={() => handleMoveScene('up', scene.id)}
+                      disabled={index === 0}
                       aria-label="Move scene up"
                     >
                       <FaArrowUp />
@@ -81,6 +188,7 @@ const ScenesPanel = ({ onClose, scenes, activeScene }) => {
                     <button 
                       className="scene-action-btn" 
                       onClick={() => handleMoveScene('down', scene.id)}
+                      disabled={index === scenes.length - 1}
                       aria-label="Move scene down"
                     >
                       <FaArrowDown />
@@ -94,7 +202,9 @@ const ScenesPanel = ({ onClose, scenes, activeScene }) => {
                     </button>
                     <button 
                       className="scene-action-btn" 
-                      onClick={() => handleDeleteScene(scene.id)}
+                      onClick={() => handleDeleteScene(scene.id, index + 1)}
+                      disabled={scenes.length <= 1}
+                      title={scenes.length <= 1 ? 'A video needs at least one scene' : undefined}
                       aria-label="Delete scene"
                     >
                       <FaTrash />
@@ -116,31 +226,81 @@ const ScenesPanel = ({ onClose, scenes, activeScene }) => {
           </div>
         </div>
         
-        {/* Scene Transitions Section - Simplified to toggle */}
+        {/* Scene Transitions Section */}
         <div className="tool-section">
           <h4>Scene Transitions</h4>
-          <p className="section-description">Enable or disable transitions between scenes</p>
-          
-          <div className="transition-toggle">
-            <button 
-              className="toggle-button" 
-              onClick={toggleTransitions}
-              aria-pressed={transitionsEnabled}
-              aria-label="Toggle scene transitions"
-            >
-              {transitionsEnabled ? <FaToggleOn size={24} /> : <FaToggleOff size={24} />}
-              <span className="toggle-label">
-                Transitions {transitionsEnabled ? 'Enabled' : 'Disabled'}
-              </span>
-            </button>
-          </div>
+          {boundaryCount === 0 ? (
+            <p className="section-description">Add another scene to choose a transition</p>
+          ) : (
+            <>
+              <p className="section-description">Choose how each scene hands over to the next</p>
+              
+              {/* Boundary picker */}
+              <div className="transition-boundaries" role="radiogroup" aria-label="Scene boundary">
+                {scenes.slice(0, -1).map((scene, index) => (
+                  <button
+                    key={scene.id}
+                    className={`transition-boundary ${index === selectedBoundary ? 'active' : ''}`}
+                    onClick={() => setBoundaryIndex(index)}
+                    role="radio"
+                    aria-checked={index === selectedBoundary}
+                  >
+                    {index + 1} → {index + 2}
+                  </button>
+                ))}
+              </div>
+              
+              {/* Transition types with animated previews */}
+              <div className="transition-options" role="radiogroup" aria-label="Transition type">
+                {transitionTypes.map(option => (
+                  <div
+                    key={option.id}
+                    className={`transition-item ${boundaryTransition.type === option.id ? 'active' : ''}`}
+                    onClick={() => handleTransitionTypeSelect(option.id)}
+                    role="radio"
+                    aria-checked={boundaryTransition.type === option.id}
+                  >
+                    <div className={`transition-preview ${option.id}`}>
+                      <div className="preview-from"></div>
+                      <div className="preview-to"></div>
+                    </div>
+                    <div className="transition-name">{option.name}</div>
+                  </div>
+                ))}
+              </div>
+              
+              <div className="settings-row transition-duration">
+                <div className="setting-label">Duration</div>
+                <div className="setting-control with-value">
+                  <input
+                    type="range"
+                    min={MIN_TRANSITION_SECONDS}
+                    max={MAX_TRANSITION_SECONDS}
+                    step="0.1"
+                    value={boundaryTransition.duration}
+                    onChange={(e) => handleTransitionDurationChange(e.target.value)}
+                    disabled={boundaryTransition.type === 'cut'}
+                    className="slider"
+                    aria-label="Transition duration"
+                  />
+                  <span className="setting-value">
+                    {boundaryTransition.type === 'cut' ? '-' : `${boundaryTransition.duration}s`}
+                  </span>
+                </div>
+              </div>
+              
+              <button className="secondary-button" onClick={handleApplyTransitionToAll}>
+                Apply to all scenes
+              </button>
+            </>
+          )}
         </div>
       </div>
       
       {/* Panel footer with action buttons */}
       <div className="tool-panel-footer">
-        <button className="cancel-button" onClick={onClose}>Cancel</button>
-        <button className="apply-button">Apply Changes</button>
+        <button className="cancel-button" onClick={handleCancel}>Cancel</button>
+        <button className="apply-button" onClick={handleApply}>Apply Changes</button>
       </div>
     </div>
   );
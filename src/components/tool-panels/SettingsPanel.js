@@ -1,56 +1,144 @@
-import React, { useState } from 'react';
-import { FaArrowLeft, FaCog, FaCheck } from 'react-icons/fa';
+import React, { useEffect, useState } from 'react';
+import { FaArrowLeft, FaCog, FaCheck, FaExclamationTriangle } from 'react-icons/fa';
 import './ToolPanels.css';
+import { useProject } from '../../context/ProjectContext';
+import { useBrandKits } from '../../context/BrandKitContext';
+import usePanelTransaction from '../../hooks/usePanelTransaction';
+import useTextContrast from '../../hooks/useTextContrast';
+import ColorPicker from './ColorPicker';
+import PreviewEyedropper from './PreviewEyedropper';
+import { updateFormat, updateBranding, setBrandKit, updateExportOptions } from '../../state/projectReducer';
+import { withHistoryLabel } from '../../state/history';
+import { getTotalDuration } from '../../state/projectModel';
+import { formatPresets, qualityOptions, fontOptions, brandColorFields } from '../../data/catalog';
+import { getImagePalette } from '../../services/colorSampling';
+import { formatTime } from '../../utils/time';
+import { formatContrast, getContrastRatio, MIN_TEXT_CONTRAST } from '../../utils/color';
 
 /**
  * SettingsPanel Component
  * 
  * Provides an interface for configuring video settings:
  * - Format settings (aspect ratio, dimensions)
- * - Brand customization (colors, logo placement)
+ * - Brand customization (brand kit, colors, fonts, logo placement), with
+ *   an eyedropper, logo palette suggestions and text contrast checks
  * - Export options (quality, format, platform optimizations)
  * 
  * @param {Object} props Component props
  * @param {Function} props.onClose Function to close the panel
+ * @param {string} [props.activeScene] ID of the scene selected in the editor (the eyedropper's frame)
  */
-const SettingsPanel = ({ onClose }) => {
+const SettingsPanel = ({ onClose, activeScene }) => {
+  const { project, dispatch } = useProject();
+  const { format, branding, exportOptions } = project;
+  const { kits, getKit } = useBrandKits();
+  // Edits apply live; "Cancel" rolls back to the state when the panel opened
+  const { apply, cancel } = usePanelTransaction();
   // Active tab state for settings panel
   const [activeTab, setActiveTab] = useState('format');
-  // Selected format state
-  const [selectedFormat, setSelectedFormat] = useState('f3'); // Default to 16:9
-  // Duration settings state
-  const [videoDuration, setVideoDuration] = useState(15);
-  const [sceneDuration, setSceneDuration] = useState(5);
+  const { presetId: selectedFormat } = format;
+  // Brand color being picked from the preview, if any
+  const [pickingColor, setPickingColor] = useState(null);
+  const pickingField = brandColorFields.find(field => field.key === pickingColor);
+  // Main colors of the logo, offered as suggestions
+  const [logoPalette, setLogoPalette] = useState([]);
+  const contrast = useTextContrast(project);
+  // Black or white, whichever reads better on the Primary color
+  const readableTextColor = getContrastRatio('#ffffff', branding.primaryColor) >= getContrastRatio('#000000', branding.primaryColor)
+    ? '#ffffff'
+    : '#000000';
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!branding.logo.src) {
+      setLogoPalette([]);
+      return undefined;
+    }
+    getImagePalette(branding.logo.src).then(colors => {
+      if (!cancelled) setLogoPalette(colors);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [branding.logo.src]);
   
-  // Format presets for video aspects
-  const formatPresets = [
-    { id: 'f1', name: 'Square 1:1', dimensions: '1080 x 1080px', platform: 'Instagram, Facebook' },
-    { id: 'f2', name: 'Portrait 4:5', dimensions: '1080 x 1350px', platform: 'Instagram, Pinterest' },
-    { id: 'f3', name: 'Landscape 16:9', dimensions: '1920 x 1080px', platform: 'YouTube, Web' },
-    { id: 'f4', name: 'Vertical 9:16', dimensions: '1080 x 1920px', platform: 'TikTok, Instagram Stories' },
-    { id: 'f5', name: 'Widescreen 21:9', dimensions: '2560 x 1080px', platform: 'Cinematic Web' },
+  // Platforms that optimized versions can be generated for
+  const platformOptions = [
+    { id: 'youtube', name: 'YouTube' },
+    { id: 'instagram', name: 'Instagram' },
+    { id: 'tiktok', name: 'TikTok' },
+    { id: 'facebook', name: 'Facebook' },
+    { id: 'twitter', name: 'Twitter' },
+    { id: 'linkedin', name: 'LinkedIn' },
   ];
 
   // Handler for format selection
   const handleFormatSelect = (formatId) => {
-    setSelectedFormat(formatId);
+    dispatch(withHistoryLabel(updateFormat({ presetId: formatId }), 'Change format'));
+  };
+
+  // Using a kit replaces the branding, music and voice with the kit's
+  const handleBrandKitChange = (kitId) => {
+    const kit = getKit(kitId);
+    dispatch(withHistoryLabel(setBrandKit(kit), kit ? `Use brand kit ${kit.name}` : 'Remove brand kit'));
+  };
+
+  const handleFontChange = (role, fontId) => {
+    dispatch(withHistoryLabel(updateBranding({ fonts: { ...branding.fonts, [role]: fontId } }), 'Change brand font'));
+  };
+
+  // Handler for brand color changes
+  const handleColorChange = (colorKey, value) => {
+    dispatch(withHistoryLabel(
+      updateBranding({ [colorKey]: value }),
+      'Change brand color',
+      `branding.${colorKey}`
+    ));
+  };
+
+  const handleEyedropperPick = (color) => {
+    dispatch(withHistoryLabel(updateBranding({ [pickingColor]: color }), 'Pick brand color'));
+    setPickingColor(null);
   };
 
-  // Handler for video duration changes
-  const handleVideoDurationChange = (e) => {
-    setVideoDuration(e.target.value);
+  // Logo slider drags are coalesced into a single undo step
+  const handleLogoChange = (setting, value) => {
+    dispatch(withHistoryLabel(
+      updateBranding({ logo: { ...branding.logo, [setting]: value } }),
+      `Change logo ${setting}`,
+      `branding.logo.${setting}`
+    ));
   };
 
-  // Handler for scene duration changes
-  const handleSceneDurationChange = (e) => {
-    setSceneDuration(e.target.value);
+  // Handlers for export options
+  const handleQualitySelect = (quality) => {
+    dispatch(withHistoryLabel(updateExportOptions({ quality }), 'Change export quality'));
+  };
+
+  const handlePlatformToggle = (platformId) => {
+    const platforms = exportOptions.platforms.includes(platformId)
+      ? exportOptions.platforms.filter(id => id !== platformId)
+      : [...exportOptions.platforms, platformId];
+    dispatch(withHistoryLabel(updateExportOptions({ platforms }), 'Change platforms'));
+  };
+
+  // Keep the panel's edits and close it
+  const handleApply = () => {
+    apply();
+    onClose();
+  };
+
+  // Discard the panel's edits and close it
+  const handleCancel = () => {
+    cancel();
+    onClose();
   };
 
   return (
     <div className="tool-panel">
       {/* Panel header with back button */}
       <div className="tool-panel-header">
-        <button className="back-button" onClick={onClose} aria-label="Go back">
+        <button className="back-button" onClick={handleCancel} aria-label="Go back">
           <FaArrowLeft />
         </button>
         <h3>Video Settings</h3>
@@ -121,50 +209,16 @@ const SettingsPanel = ({ onClose }) => {
               </div>
             </div>
             
-            {/* Duration Controls */}
+            {/* Length of the video, which follows the scene durations */}
             <div className="tool-section">
               <h4>Duration</h4>
-              <div className="duration-control">
-                {/* Video Length Slider */}
-                <div className="setting-row">
-                  <div className="setting-label">Video Length</div>
-                  <div className="setting-control with-value">
-                    <input 
-                      type="range" 
-                      min="5" 
-                      max="120" 
-                      value={videoDuration} 
-                      onChange={handleVideoDurationChange}
-                      className="slider"
-                      aria-label="Video length in seconds"
-                      aria-valuemin="5"
-                      aria-valuemax="120"
-                      aria-valuenow={videoDuration}
-                    />
-                    <div className="setting-value">{videoDuration} sec</div>
-                  </div>
-                </div>
-                
-                {/* Scene Duration Slider */}
-                <div className="setting-row">
-                  <div className="setting-label">Scene Duration</div>
-                  <div className="setting-control with-value">
-                    <input 
-                      type="range" 
-                      min="1" 
-                      max="20" 
-                      value={sceneDuration} 
-                      onChange={handleSceneDurationChange}
-                      className="slider"
-                      aria-label="Scene duration in seconds"
-                      aria-valuemin="1"
-                      aria-valuemax="20"
-                      aria-valuenow={sceneDuration}
-                    />
-                    <div className="setting-value">{sceneDuration} sec</div>
-                  </div>
+              <div className="setting-row">
+                <div className="setting-label">Video Length</div>
+                <div className="setting-value">
+                  {formatTime(getTotalDuration(project.scenes))} ({project.scenes.length} scene{project.scenes.length === 1 ? '' : 's'})
                 </div>
               </div>
+              <p className="section-description">Drag the scene edges on the timeline to change how long each scene lasts.</p>
             </div>
           </div>
         )}
@@ -172,46 +226,128 @@ const SettingsPanel = ({ onClose }) => {
         {/* Branding Tab Content */}
         {activeTab === 'branding' && (
           <div id="branding-tab" role="tabpanel" className="branding-section">
+            {/* Brand Kit Section */}
+            <div className="tool-section">
+              <h4>Brand Kit</h4>
+              <select
+                className="select-input"
+                value={project.brandKitId || ''}
+                onChange={(e) => handleBrandKitChange(e.target.value)}
+                aria-label="Brand kit"
+              >
+                <option value="">No brand kit</option>
+                {project.brandKitId && !getKit(project.brandKitId) && (
+                  <option value={project.brandKitId}>Kit not stored in this browser</option>
+                )}
+                {kits.map(kit => (
+                  <option key={kit.id} value={kit.id}>{kit.name}</option>
+                ))}
+              </select>
+              <p className="section-description">
+                Brand kits are created and edited on the My Brand page. Changes below apply to this video only.
+              </p>
+            </div>
+            
             {/* Brand Colors Section */}
             <div className="tool-section">
               <h4>Brand Colors</h4>
               <div className="color-pickers">
-                {/* Primary Color Picker */}
-                <div className="color-picker">
-                  <div className="color-label">Primary</div>
-                  <div className="color-preview" style={{backgroundColor: '#3498db'}}></div>
-                  <input 
-                    type="text" 
-                    defaultValue="#3498db" 
-                    className="color-input"
-                    aria-label="Primary color hexcode" 
+                {brandColorFields.map(field => (
+                  <ColorPicker
+                    key={field.key}
+                    label={field.name}
+                    value={branding[field.key]}
+                    onChange={(color) => handleColorChange(field.key, color)}
+                    onEyedropper={() => setPickingColor(pickingColor === field.key ? null : field.key)}
+                    picking={pickingColor === field.key}
+                    suggestions={logoPalette}
                   />
-                </div>
-                
-                {/* Secondary Color Picker */}
-                <div className="color-picker">
-                  <div className="color-label">Secondary</div>
-                  <div className="color-preview" style={{backgroundColor: '#e74c3c'}}></div>
-                  <input 
-                    type="text" 
-                    defaultValue="#e74c3c" 
-                    className="color-input"
-                    aria-label="Secondary color hexcode"
-                  />
-                </div>
-                
-                {/* Text Color Picker */}
-                <div className="color-picker">
-                  <div className="color-label">Text</div>
-                  <div className="color-preview" style={{backgroundColor: '#ffffff'}}></div>
-                  <input 
-                    type="text" 
-                    defaultValue="#ffffff" 
-                    className="color-input"
-                    aria-label="Text color hexcode"
-                  />
-                </div>
+                ))}
               </div>
+              {logoPalette.length > 0 && (
+                <p className="section-description">Suggested colors are taken from your logo.</p>
+              )}
+
+              {/* Eyedropper over the active scene's preview frame */}
+              {pickingField && (
+                <PreviewEyedropper
+                  project={project}
+                  sceneId={activeScene}
+                  label={pickingField.name}
+                  onPick={handleEyedropperPick}
+                  onCancel={() => setPickingColor(null)}
+                />
+              )}
+
+              {/* WCAG contrast of the Text color */}
+              <div className="contrast-check" aria-live="polite">
+                {contrast.primaryRatio !== null && contrast.primaryRatio < MIN_TEXT_CONTRAST && (
+                  <div className="contrast-warning" role="alert">
+                    <FaExclamationTriangle aria-hidden="true" />
+                    <div>
+                      Text on Primary has a contrast of {formatContrast(contrast.primaryRatio)}, below
+                      the {formatContrast(MIN_TEXT_CONTRAST)} WCAG minimum. Title cards and text with the
+                      brand background will be hard to read.
+                      <button className="contrast-fix" onClick={() => handleColorChange('textColor', readableTextColor)}>
+                        Use {readableTextColor === '#ffffff' ? 'white' : 'black'} text
+                      </button>
+                    </div>
+                  </div>
+                )}
+                {contrast.issues.length > 0 && (
+                  <div className="contrast-warning" role="alert">
+                    <FaExclamationTriangle aria-hidden="true" />
+                    <div>
+                      Text overlays in the Text color are hard to read against what is behind them:
+                      <ul>
+                        {contrast.issues.map(issue => (
+                          <li key={issue.layerId}>
+                            Scene {issue.sceneIndex + 1}, &ldquo;{issue.text}&rdquo;: {formatContrast(issue.ratio)} against
+                            the {issue.source === 'background' ? 'text background' : 'image'}
+                            <span className="contrast-swatch" style={{ backgroundColor: issue.backdrop }} aria-hidden="true"></span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  </div>
+                )}
+                {contrast.unchecked > 0 && (
+                  <p className="section-description">
+                    {contrast.unchecked} text overlay{contrast.unchecked === 1 ? ' is' : 's are'} over media from a site
+                    that does not allow its colors to be read, so {contrast.unchecked === 1 ? 'its' : 'their'} contrast was not checked.
+                  </p>
+                )}
+                {!contrast.checking && contrast.primaryRatio >= MIN_TEXT_CONTRAST && contrast.issues.length === 0 && (
+                  <p className="contrast-ok">
+                    <FaCheck aria-hidden="true" /> Text color meets WCAG AA contrast ({formatContrast(contrast.primaryRatio)} on Primary).
+                  </p>
+                )}
+              </div>
+            </div>
+            
+            {/* Brand Fonts Section */}
+            <div className="tool-section">
+              <h4>Fonts</h4>
+              {[
+                { role: 'heading', name: 'Headings' },
+                { role: 'body', name: 'Subtitles' }
+              ].map(({ role, name }) => (
+                <div key={role} className="setting-row">
+                  <div className="setting-label">{name}</div>
+                  <div className="setting-control">
+                    <select
+                      className="select-input"
+                      value={branding.fonts[role]}
+                      onChange={(e) => handleFontChange(role, e.target.value)}
+                      aria-label={`${name} font`}
+                    >
+                      {fontOptions.map(font => (
+                        <option key={font.id} value={font.id}>{font.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              ))}
             </div>
             
             {/* Logo Settings Section */}
@@ -220,7 +356,11 @@ const SettingsPanel = ({ onClose }) => {
               <div className="logo-settings">
                 {/* Logo Preview */}
                 <div className="logo-preview">
-                  <div className="logo-placeholder">Your Logo</div>
+                  {branding.logo.src ? (
+                    <img src={branding.logo.src} alt="Brand logo" />
+                  ) : (
+                    <div className="logo-placeholder">Your Logo</div>
+                  )}
                 </div>
                 
                 {/* Logo Controls */}
@@ -231,13 +371,15 @@ const SettingsPanel = ({ onClose }) => {
                     <div className="setting-control">
                       <select 
                         className="select-input"
+                        value={branding.logo.position}
+                        onChange={(e) => handleLogoChange('position', e.target.value)}
                         aria-label="Logo position"
                       >
-                        <option>Bottom Right</option>
-                        <option>Bottom Left</option>
-                        <option>Top Right</option>
-                        <option>Top Left</option>
-                        <option>Center</option>
+                        <option value="bottom-right">Bottom Right</option>
+                        <option value="bottom-left">Bottom Left</option>
+                        <option value="top-right">Top Right</option>
+                        <option value="top-left">Top Left</option>
+                        <option value="center">Center</option>
                       </select>
                     </div>
                   </div>
@@ -250,14 +392,15 @@ const SettingsPanel = ({ onClose }) => {
                         type="range" 
                         min="5" 
                         max="50" 
-                        defaultValue="15" 
+                        value={branding.logo.size} 
+                        onChange={(e) => handleLogoChange('size', Number(e.target.value))}
                         className="slider"
                         aria-label="Logo size percentage"
                         aria-valuemin="5"
                         aria-valuemax="50"
-                        aria-valuenow="15"
+                        aria-valuenow={branding.logo.size}
                       />
-                      <div className="setting-value">15%</div>
+                      <div className="setting-value">{branding.logo.size}%</div>
                     </div>
                   </div>
                   
@@ -269,14 +412,15 @@ const SettingsPanel = ({ onClose }) => {
                         type="range" 
                         min="10" 
                         max="100" 
-                        defaultValue="100" 
+                        value={branding.logo.opacity} 
+                        onChange={(e) => handleLogoChange('opacity', Number(e.target.value))}
                         className="slider"
                         aria-label="Logo opacity percentage"
                         aria-valuemin="10"
                         aria-valuemax="100"
-                        aria-valuenow="100"
+                        aria-valuenow={branding.logo.opacity}
                       />
-                      <div className="setting-value">100%</div>
+                      <div className="setting-value">{branding.logo.opacity}%</div>
                     </div>
                   </div>
                 </div>
@@ -292,72 +436,27 @@ const SettingsPanel = ({ onClose }) => {
             <div className="tool-section">
               <h4>Quality Settings</h4>
               <div className="quality-options" role="radiogroup" aria-label="Video quality">
-                {/* Standard Quality Option */}
-                <div 
-                  className="quality-option active" 
-                  role="radio" 
-                  aria-checked="true"
-                >
-                  <div className="quality-name">Standard</div>
-                  <div className="quality-info">720p, good for social sharing</div>
-                </div>
-                
-                {/* High Quality Option */}
-                <div 
-                  className="quality-option" 
-                  role="radio" 
-                  aria-checked="false"
-                >
-                  <div className="quality-name">High</div>
-                  <div className="quality-info">1080p, ideal for most uses</div>
-                </div>
-                
-                {/* Ultra Quality Option */}
-                <div 
-                  className="quality-option" 
-                  role="radio" 
-                  aria-checked="false"
-                >
-                  <div className="quality-name">Ultra</div>
-                  <div className="quality-info">4K, for professional distribution</div>
-                </div>
+                {qualityOptions.map(option => (
+                  <div 
+                    key={option.id}
+                    className={`quality-option ${exportOptions.quality === option.id ? 'active' : ''}`}
+                    onClick={() => handleQualitySelect(option.id)}
+                    role="radio" 
+                    aria-checked={exportOptions.quality === option.id}
+                  >
+                    <div className="quality-name">{option.name}</div>
+                    <div className="quality-info">{option.info}</div>
+                  </div>
+                ))}
               </div>
             </div>
             
             {/* Output Format Section */}
             <div className="tool-section">
               <h4>Output Format</h4>
-              <div className="format-options" role="radiogroup" aria-label="Output format">
-                {/* MP4 Format Option */}
-                <div 
-                  className="format-option active" 
-                  role="radio" 
-                  aria-checked="true"
-                >
-                  <div className="format-name">MP4</div>
-                  <div className="format-info">Best compatibility</div>
-                </div>
-                
-                {/* GIF Format Option */}
-                <div 
-                  className="format-option" 
-                  role="radio" 
-                  aria-checked="false"
-                >
-                  <div className="format-name">GIF</div>
-                  <div className="format-info">For short, looping clips</div>
-                </div>
-                
-                {/* WebM Format Option */}
-                <div 
-                  className="format-option" 
-                  role="radio" 
-                  aria-checked="false"
-                >
-                  <div className="format-name">WebM</div>
-                  <div className="format-info">For web embedding</div>
-                </div>
-              </div>
+              <p className="section-description">
+                Videos are rendered in your browser as WebM files, which play on the web and can be uploaded to most platforms.
+              </p>
             </div>
             
             {/* Platforms Section */}
@@ -367,35 +466,17 @@ const SettingsPanel = ({ onClose }) => {
               
               {/* Platform Checkboxes */}
               <div className="platform-checkboxes">
-                <label className="platform-checkbox">
-                  <input type="checkbox" defaultChecked aria-label="YouTube platform" />
-                  <span className="checkbox-label">YouTube</span>
-                </label>
-                
-                <label className="platform-checkbox">
-                  <input type="checkbox" defaultChecked aria-label="Instagram platform" />
-                  <span className="checkbox-label">Instagram</span>
-                </label>
-                
-                <label className="platform-checkbox">
-                  <input type="checkbox" aria-label="TikTok platform" />
-                  <span className="checkbox-label">TikTok</span>
-                </label>
-                
-                <label className="platform-checkbox">
-                  <input type="checkbox" aria-label="Facebook platform" />
-                  <span className="checkbox-label">Facebook</span>
-                </label>
-                
-                <label className="platform-checkbox">
-                  <input type="checkbox" aria-label="Twitter platform" />
-                  <span className="checkbox-label">Twitter</span>
-                </label>
-                
-                <label className="platform-checkbox">
-                  <input type="checkbox" aria-label="LinkedIn platform" />
-                  <span className="checkbox-label">LinkedIn</span>
-                </label>
+                {platformOptions.map(platform => (
+                  <label key={platform.id} className="platform-checkbox">
+                    <input 
+                      type="checkbox" 
+                      checked={exportOptions.platforms.includes(platform.id)}
+                      onChange={() => handlePlatformToggle(platform.id)}
+                      aria-label={`${platform.name} platform`} 
+                    />
+                    <span className="checkbox-label">{platform.name}</span>
+                  </label>
+                ))}
               </div>
             </div>
           </div>
@@ -404,8 +485,8 @@ const SettingsPanel = ({ onClose }) => {
       
       {/* Panel footer with action buttons */}
       <div className="tool-panel-footer">
-        <button className="cancel-button" onClick={onClose}>Cancel</button>
-        <button className="apply-button">Apply Settings</button>
+        <button className="cancel-button" onClick={handleCancel}>Cancel</button>
+        <button className="apply-button" onClick={handleApply}>Apply Settings</button>
       </div>
     </div>
   );
@@ -0,0 +1,244 @@
+import React, { useRef, useState } from 'react';
+import { FaArrowLeft, FaPlus, FaTrash, FaFileImport, FaFileExport, FaMagic } from 'react-icons/fa';
+import './ToolPanels.css';
+import { useProject } from '../../context/ProjectContext';
+import usePanelTransaction from '../../hooks/usePanelTransaction';
+import { updateSubtitles } from '../../state/projectReducer';
+import { withHistoryLabel } from '../../state/history';
+import { getFullScript, getTotalDuration } from '../../state/projectModel';
+import {
+  createCue,
+  formatSrt,
+  formatVtt,
+  generateCuesFromScenes,
+  readSubtitleFile
+} from '../../services/subtitles';
+import { downloadBlob, toFileStem } from '../../utils/download';
+
+/**
+ * SubtitlesPanel Component
+ * 
+ * Manages the subtitle track of the voice-over:
+ * - Generating cues from the script or importing .srt/.vtt files
+ * - Editing cues one by one with their start and end times
+ * - Exporting .srt/.vtt files and choosing where subtitles are shown
+ * 
+ * @param {Object} props Component props
+ * @param {Function} props.onClose Function to close the panel
+ */
+const SubtitlesPanel = ({ onClose }) => {
+  const { project, dispatch } = useProject();
+  const { subtitles } = project;
+  const { cues } = subtitles;
+  // Edits apply live; "Cancel" rolls back to the state when the panel opened
+  const { apply, cancel } = usePanelTransaction();
+  // Problem reported while importing a file ({ message, details })
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+  const duration = getTotalDuration(project.scenes);
+
+  const commitCues = (nextCues, label, coalesceKey) => {
+    dispatch(withHistoryLabel(updateSubtitles({ cues: nextCues }), label, coalesceKey));
+  };
+
+  const handleGenerate = () => {
+    if (cues.length > 0 && !window.confirm('Replace the current subtitles with cues generated from the script?')) return;
+    commitCues(generateCuesFromScenes(project.scenes), 'Generate subtitles from script');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = await readSubtitleFile(file);
+      setImportError(null);
+      commitCues(imported, `Import ${file.name}`);
+    } catch (error) {
+      setImportError({ message: error.message, details: error.details || [] });
+    }
+  };
+
+  const handleExport = (format) => {
+    const text = format === 'srt' ? formatSrt(cues) : formatVtt(cues);
+    const type = format === 'srt' ? 'application/x-subrip' : 'text/vtt';
+    downloadBlob(new Blob([text], { type }), `${toFileStem(project.name)}.${format}`);
+  };
+
+  const handleAddCue = () => {
+    const start = cues.length > 0 ? Math.max(...cues.map(cue => cue.end)) : 0;
+    commitCues([...cues, createCue({ start, end: start + 2 })], 'Add subtitle');
+  };
+
+  const handleRemoveCue = (cueId) => {
+    commitCues(cues.filter(cue => cue.id !== cueId), 'Remove subtitle');
+  };
+
+  // Typing is coalesced into one undo step per cue
+  const handleCueTextChange = (cueId, text) => {
+    commitCues(
+      cues.map(cue => (cue.id === cueId ? { ...cue, text } : cue)),
+      'Edit subtitle text',
+      `subtitles.${cueId}.text`
+    );
+  };
+
+  // Times that would end a cue before it starts are ignored
+  const handleCueTimeChange = (cueId, field, value) => {
+    const seconds = Math.max(0, Math.round((Number(value) || 0) * 1000) / 1000);
+    const cue = cues.find(item => item.id === cueId);
+    const next = { ...cue, [field]: seconds };
+    if (next.end <= next.start) return;
+    commitCues(
+      cues.map(item => (item.id === cueId ? next : item)).sort((a, b) => a.start - b.start),
+      'Change subtitle timing',
+      `subtitles.${cueId}.${field}`
+    );
+  };
+
+  const handleOptionToggle = (option, label) => {
+    dispatch(withHistoryLabel(updateSubtitles({ [option]: !subtitles[option] }), label));
+  };
+
+  // Keep the panel's edits and close it
+  const handleApply = () => {
+    apply();
+    onClose();
+  };
+
+  // Discard the panel's edits and close it
+  const handleCancel = () => {
+    cancel();
+    onClose();
+  };
+
+  return (
+    <div className="tool-panel">
+      {/* Panel header with back button */}
+      <div className="tool-panel-header">
+        <button className="back-button" onClick={handleCancel} aria-label="Go back">
+          <FaArrowLeft />
+        </button>
+        <h3>Subtitles</h3>
+      </div>
+      
+      <div className="tool-panel-content">
+        {/* Creating and sharing subtitle files */}
+        <div className="tool-section">
+          <h4>Subtitle Track</h4>
+          <p className="section-description">Generate captions from the voice-over script or import an existing file</p>
+          <div className="subtitle-actions">
+            <button className="secondary-button" onClick={handleGenerate} disabled={!getFullScript(project.scenes)}>
+              <FaMagic /> From Script
+            </button>
+            <button className="secondary-button" onClick={() => fileInputRef.current.click()}>
+              <FaFileImport /> Import .srt / .vtt
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".srt,.vtt"
+              onChange={handleImport}
+              hidden
+            />
+            <button className="secondary-button" onClick={() => handleExport('srt')} disabled={cues.length === 0}>
+              <FaFileExport /> Export .srt
+            </button>
+            <button className="secondary-button" onClick={() => handleExport('vtt')} disabled={cues.length === 0}>
+              <FaFileExport /> Export .vtt
+            </button>
+          </div>
+          
+          {importError && (
+            <div className="subtitle-error" role="alert">
+              <div>{importError.message}</div>
+              {importError.details.length > 0 && (
+                <ul>
+                  {importError.details.map(detail => <li key={detail}>{detail}</li>)}
+                </ul>
+              )}
+            </div>
+          )}
+          
+          <div className="platform-checkboxes subtitle-options">
+            <label className="platform-checkbox">
+              <input
+                type="checkbox"
+                checked={subtitles.showInPreview}
+                onChange={() => handleOptionToggle('showInPreview', 'Toggle subtitles in preview')}
+              />
+              <span>Show in preview</span>
+            </label>
+            <label className="platform-checkbox">
+              <input
+                type="checkbox"
+                checked={subtitles.burnIn}
+                onChange={() => handleOptionToggle('burnIn', 'Toggle burned-in subtitles')}
+              />
+              <span>Burn into video</span>
+            </label>
+          </div>
+        </div>
+        
+        {/* Cue editor */}
+        <div className="tool-section">
+          <h4>Cues</h4>
+          <p className="section-description">Times are in seconds from the start of the video ({duration}s long)</p>
+          <div className="subtitle-cues">
+            {cues.map((cue, index) => (
+              <div key={cue.id} className="subtitle-cue">
+                <div className="subtitle-cue-header">
+                  <span className="subtitle-cue-number">{index + 1}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={cue.start}
+                    onChange={(e) => handleCueTimeChange(cue.id, 'start', e.target.value)}
+                    className="select-input"
+                    aria-label={`Cue ${index + 1} start`}
+                  />
+                  <span>to</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={cue.end}
+                    onChange={(e) => handleCueTimeChange(cue.id, 'end', e.target.value)}
+                    className="select-input"
+                    aria-label={`Cue ${index + 1} end`}
+                  />
+                  <button
+                    className="scene-action-btn"
+                    onClick={() => handleRemoveCue(cue.id)}
+                    aria-label={`Remove cue ${index + 1}`}
+                  >
+                    <FaTrash />
+                  </button>
+                </div>
+                <textarea
+                  className="script-textarea"
+                  value={cue.text}
+                  onChange={(e) => handleCueTextChange(cue.id, e.target.value)}
+                  rows={2}
+                  aria-label={`Cue ${index + 1} text`}
+                />
+              </div>
+            ))}
+            <button className="secondary-button add-text-button" onClick={handleAddCue}>
+              <FaPlus /> Add Cue
+            </button>
+          </div>
+        </div>
+      </div>
+      
+      {/* Panel footer with action buttons */}
+      <div className="tool-panel-footer">
+        <button className="cancel-button" onClick={handleCancel}>Cancel</button>
+        <button className="apply-button" onClick={handleApply}>Apply Changes</button>
+      </div>
+    </div>
+  );
+};
+
+export default SubtitlesPanel;
@@ -0,0 +1,341 @@
+import React, { useState } from 'react';
+import { FaArrowLeft, FaPlus, FaTrash, FaAlignLeft, FaAlignCenter, FaAlignRight } from 'react-icons/fa';
+import './ToolPanels.css';
+import { useProject } from '../../context/ProjectContext';
+import usePanelTransaction from '../../hooks/usePanelTransaction';
+import { setScenes } from '../../state/projectReducer';
+import { withHistoryLabel } from '../../state/history';
+import { createTextLayer, resolveBrandColor } from '../../state/projectModel';
+import { addTextLayer, updateTextLayer, removeTextLayer } from '../../state/sceneOperations';
+import { brandColorFields, fontOptions, textAnimations, textPositions } from '../../data/catalog';
+
+// Horizontal alignments with their toolbar icons
+const alignOptions = [
+  { id: 'left', name: 'Left', icon: <FaAlignLeft /> },
+  { id: 'center', name: 'Center', icon: <FaAlignCenter /> },
+  { id: 'right', name: 'Right', icon: <FaAlignRight /> },
+];
+
+/**
+ * TextPanel Component
+ * 
+ * Adds and edits the text overlays of a scene: headline, price callouts,
+ * calls to action. Each layer has its own position, font, size, alignment,
+ * brand colors, entry/exit animation and timing within the scene.
+ * 
+ * @param {Object} props Component props
+ * @param {Function} props.onClose Function to close the panel
+ * @param {string} props.activeScene ID of the scene shown when the panel opens
+ */
+const TextPanel = ({ onClose, activeScene }) => {
+  const { project, dispatch } = useProject();
+  const { scenes, branding } = project;
+  // Edits apply live; "Cancel" rolls back to the state when the panel opened
+  const { apply, cancel } = usePanelTransaction();
+  const [sceneId, setSceneId] = useState(activeScene);
+  const scene = scenes.find(item => item.id === sceneId) || scenes[0];
+  const sceneNumber = scenes.indexOf(scene) + 1;
+  const [selectedLayerId, setSelectedLayerId] = useState(scene.textLayers[0]?.id || null);
+  const layer = scene.textLayers.find(item => item.id === selectedLayerId) || null;
+
+  const commitScenes = (nextScenes, label, coalesceKey) => {
+    dispatch(withHistoryLabel(setScenes(nextScenes), label, coalesceKey));
+  };
+
+  const handleSceneSelect = (id) => {
+    setSceneId(id);
+    const nextScene = scenes.find(item => item.id === id);
+    setSelectedLayerId(nextScene.textLayers[0]?.id || null);
+  };
+
+  const handleAddLayer = () => {
+    const newLayer = createTextLayer({ fontId: branding.fonts.heading });
+    commitScenes(addTextLayer(scenes, scene.id, newLayer), `Add text to scene ${sceneNumber}`);
+    setSelectedLayerId(newLayer.id);
+  };
+
+  const handleRemoveLayer = (layerId) => {
+    commitScenes(removeTextLayer(scenes, scene.id, layerId), `Remove text from scene ${sceneNumber}`);
+    if (layerId === selectedLayerId) setSelectedLayerId(null);
+  };
+
+  // Typing and slider drags are coalesced into one undo step per field
+  const handleLayerChange = (changes, label) => {
+    const field = Object.keys(changes)[0];
+    commitScenes(
+      updateTextLayer(scenes, scene.id, layer.id, changes),
+      label,
+      `text.${layer.id}.${field}`
+    );
+  };
+
+  // Timing is kept inside the scene; an empty end means "until the scene ends"
+  const handleTimingChange = (field, value) => {
+    if (field === 'end' && value === '') {
+      handleLayerChange({ end: null }, 'Change text timing');
+      return;
+    }
+    const seconds = Math.min(Math.max(Number(value) || 0, 0), scene.duration);
+    if (field === 'start' && layer.end !== null && seconds >= layer.end) return;
+    if (field === 'end' && seconds <= layer.start) return;
+    handleLayerChange({ [field]: seconds }, 'Change text timing');
+  };
+
+  // Keep the panel's edits and close it
+  const handleApply = () => {
+    apply();
+    onClose();
+  };
+
+  // Discard the panel's edits and close it
+  const handleCancel = () => {
+    cancel();
+    onClose();
+  };
+
+  const renderColorSwatches = (value, onSelect, allowNone) => (
+    <div className="text-color-swatches">
+      {allowNone && (
+        <button
+          className={`text-color-swatch none ${value === null ? 'active' : ''}`}
+          onClick={() => onSelect(null)}
+          aria-pressed={value === null}
+          title="None"
+        >
+          None
+        </button>
+      )}
+      {brandColorFields.map(field => (
+        <button
+          key={field.key}
+          className={`text-color-swatch ${value === field.key ? 'active' : ''}`}
+          onClick={() => onSelect(field.key)}
+          aria-pressed={value === field.key}
+          title={`${field.name} (${branding[field.key]})`}
+        >
+          <span className="swatch-color" style={{ backgroundColor: resolveBrandColor(field.key, branding) }}></span>
+          {field.name}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="tool-panel">
+      {/* Panel header with back button */}
+      <div className="tool-panel-header">
+        <button className="back-button" onClick={handleCancel} aria-label="Go back">
+          <FaArrowLeft />
+        </button>
+        <h3>Text Overlays</h3>
+      </div>
+      
+      <div className="tool-panel-content">
+        {/* Scene picker */}
+        <div className="tool-section">
+          <h4>Scene</h4>
+          <div className="transition-boundaries" role="radiogroup" aria-label="Scene">
+            {scenes.map((item, index) => (
+              <button
+                key={item.id}
+                className={`transition-boundary ${item.id === scene.id ? 'active' : ''}`}
+                onClick={() => handleSceneSelect(item.id)}
+                role="radio"
+                aria-checked={item.id === scene.id}
+              >
+                Scene {index + 1}{item.textLayers.length > 0 ? ` · ${item.textLayers.length}` : ''}
+              </button>
+            ))}
+          </div>
+        </div>
+        
+        {/* Layers of the selected scene */}
+        <div className="tool-section">
+          <h4>Text Layers</h4>
+          <p className="section-description">Headlines, price callouts and calls to action shown on scene {sceneNumber}</p>
+          <div className="text-layers">
+            {scene.textLayers.map(item => (
+              <div
+                key={item.id}
+                className={`text-layer-item ${item.id === selectedLayerId ? 'active' : ''}`}
+                onClick={() => setSelectedLayerId(item.id)}
+                role="button"
+                aria-pressed={item.id === selectedLayerId}
+              >
+                <span className="text-layer-label">{item.text || 'Empty text'}</span>
+                <button
+                  className="scene-action-btn"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleRemoveLayer(item.id);
+                  }}
+                  aria-label="Remove text"
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            ))}
+            <button className="secondary-button add-text-button" onClick={handleAddLayer}>
+              <FaPlus /> Add Text
+            </button>
+          </div>
+        </div>
+        
+        {/* Selected layer settings */}
+        {layer && (
+          <div className="tool-section">
+            <h4>Edit Text</h4>
+            <textarea
+              className="script-textarea text-layer-input"
+              value={layer.text}
+              onChange={(e) => handleLayerChange({ text: e.target.value }, 'Edit text')}
+              rows={2}
+              aria-label="Text"
+            />
+            
+            <div className="settings-row">
+              <div className="setting-label">Position</div>
+              <div className="setting-control text-option-group">
+                {textPositions.map(option => (
+                  <button
+                    key={option.id}
+                    className={`transition-boundary ${layer.position === option.id ? 'active' : ''}`}
+                    onClick={() => handleLayerChange({ position: option.id }, 'Move text')}
+                    aria-pressed={layer.position === option.id}
+                  >
+                    {option.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+            
+            <div className="settings-row">
+              <div className="setting-label">Alignment</div>
+              <div className="setting-control text-option-group">
+                {alignOptions.map(option => (
+                  <button
+                    key={option.id}
+                    className={`transition-boundary ${layer.align === option.id ? 'active' : ''}`}
+                    onClick={() => handleLayerChange({ align: option.id }, 'Align text')}
+                    aria-pressed={layer.align === option.id}
+                    aria-label={`Align ${option.name.toLowerCase()}`}
+                  >
+                    {option.icon}
+                  </button>
+                ))}
+              </div>
+            </div>
+            
+            <div className="settings-row">
+              <div className="setting-label">Font</div>
+              <div className="setting-control">
+                <select
+                  className="select-input"
+                  value={layer.fontId}
+                  onChange={(e) => handleLayerChange({ fontId: e.target.value }, 'Change text font')}
+                  aria-label="Font"
+                >
+                  {fontOptions.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            
+            <div className="settings-row">
+              <div className="setting-label">Size</div>
+              <div className="setting-control with-value">
+                <input
+                  type="range"
+                  min="3"
+                  max="20"
+                  value={layer.size}
+                  onChange={(e) => handleLayerChange({ size: Number(e.target.value) }, 'Resize text')}
+                  className="slider"
+                  aria-label="Text size"
+                />
+                <span className="setting-value">{layer.size}%</span>
+              </div>
+            </div>
+            
+            <div className="settings-row">
+              <div className="setting-label">Text color</div>
+              <div className="setting-control">
+                {renderColorSwatches(layer.color, color => handleLayerChange({ color }, 'Change text color'), false)}
+              </div>
+            </div>
+            
+            <div className="settings-row">
+              <div className="setting-label">Background</div>
+              <div className="setting-control">
+                {renderColorSwatches(layer.background, background => handleLayerChange({ background }, 'Change text background'), true)}
+              </div>
+            </div>
+            
+            <div className="settings-row">
+              <div className="setting-label">Animation</div>
+              <div className="setting-control text-animation-selects">
+                <select
+                  className="select-input"
+                  value={layer.animationIn}
+                  onChange={(e) => handleLayerChange({ animationIn: e.target.value }, 'Change text animation')}
+                  aria-label="Entry animation"
+                >
+                  {textAnimations.map(option => (
+                    <option key={option.id} value={option.id}>In: {option.name}</option>
+                  ))}
+                </select>
+                <select
+                  className="select-input"
+                  value={layer.animationOut}
+                  onChange={(e) => handleLayerChange({ animationOut: e.target.value }, 'Change text animation')}
+                  aria-label="Exit animation"
+                >
+                  {textAnimations.map(option => (
+                    <option key={option.id} value={option.id}>Out: {option.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            
+            <div className="settings-row">
+              <div className="setting-label">Timing</div>
+              <div className="setting-control text-timing">
+                <input
+                  type="number"
+                  min="0"
+                  max={scene.duration}
+                  step="0.1"
+                  value={layer.start}
+                  onChange={(e) => handleTimingChange('start', e.target.value)}
+                  className="select-input"
+                  aria-label="Show from (seconds)"
+                />
+                <span>to</span>
+                <input
+                  type="number"
+                  min="0"
+                  max={scene.duration}
+                  step="0.1"
+                  value={layer.end === null ? '' : layer.end}
+                  placeholder={`${scene.duration} (end)`}
+                  onChange={(e) => handleTimingChange('end', e.target.value)}
+                  className="select-input"
+                  aria-label="Show until (seconds)"
+                />
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+      
+      {/* Panel footer with action buttons */}
+      <div className="tool-panel-footer">
+        <button className="cancel-button" onClick={handleCancel}>Cancel</button>
+        <button className="apply-button" onClick={handleApply}>Apply Changes</button>
+      </div>
+    </div>
+  );
+};
+
+export default TextPanel;
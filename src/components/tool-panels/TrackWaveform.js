@@ -0,0 +1,91 @@
+import React, { useRef } from 'react';
+import './ToolPanels.css';
+import { formatTime } from '../../utils/time';
+
+// Offsets snap to this step, in seconds
+const OFFSET_STEP = 0.1;
+
+/**
+ * TrackWaveform Component
+ * 
+ * Waveform of an uploaded music track with its start offset. The part of the
+ * track that plays under the video is highlighted; clicking or dragging on
+ * the waveform, or using the slider below it, moves the start offset.
+ * 
+ * @param {Object} props Component props
+ * @param {Object} props.track Custom music track ({ name, seconds, peaks, startOffset })
+ * @param {number} props.videoDuration Length of the video in seconds
+ * @param {string} props.fit How the music is fitted to the video ('loop' or 'trim')
+ * @param {Function} props.onOffsetChange Called with the new start offset in seconds
+ */
+const TrackWaveform = ({ track, videoDuration, fit, onOffsetChange }) => {
+  const waveformRef = useRef(null);
+  // Leave at least a second of music after the offset
+  const maxOffset = Math.max(0, Number((Math.floor((track.seconds - 1) / OFFSET_STEP) * OFFSET_STEP).toFixed(1)));
+  const windowEnd = Math.min(track.startOffset + videoDuration, track.seconds);
+
+  const setOffsetFromPointer = (event) => {
+    const bounds = waveformRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((event.clientX - bounds.left) / bounds.width, 0), 1);
+    const offset = Math.round((fraction * track.seconds) / OFFSET_STEP) * OFFSET_STEP;
+    onOffsetChange(Math.min(Number(offset.toFixed(1)), maxOffset));
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setOffsetFromPointer(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) setOffsetFromPointer(event);
+  };
+
+  return (
+    <div className="track-waveform-editor">
+      <div
+        ref={waveformRef}
+        className="track-waveform"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        aria-hidden="true"
+      >
+        {track.peaks.map((peak, index) => (
+          <div key={index} className="waveform-bar" style={{ height: `${Math.max(peak * 100, 2)}%` }}></div>
+        ))}
+        {/* Part of the track heard under the video */}
+        <div
+          className="waveform-window"
+          style={{
+            left: `${(track.startOffset / track.seconds) * 100}%`,
+            width: `${((windowEnd - track.startOffset) / track.seconds) * 100}%`
+          }}
+        ></div>
+      </div>
+
+      <div className="settings-row">
+        <div className="setting-label">Start at</div>
+        <div className="setting-control with-value">
+          <input
+            type="range"
+            min="0"
+            max={maxOffset}
+            step={OFFSET_STEP}
+            value={track.startOffset}
+            onChange={(e) => onOffsetChange(Number(e.target.value))}
+            className="slider"
+            aria-label={`Start offset of ${track.name}`}
+          />
+          <span className="setting-value">{formatTime(track.startOffset)}</span>
+        </div>
+      </div>
+      <div className="track-waveform-note">
+        Plays {formatTime(track.startOffset)}–{formatTime(windowEnd)} of {formatTime(track.seconds)} under
+        the {formatTime(videoDuration)} video
+        {track.seconds - track.startOffset < videoDuration &&
+          (fit === 'loop' ? ', then loops' : ', then the music ends')}
+      </div>
+    </div>
+  );
+};
+
+export default TrackWaveform;
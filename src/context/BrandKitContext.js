@@ -0,0 +1,126 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { listBrandKits, saveBrandKit, deleteBrandKit } from '../services/projectStorage';
+import { restoreBrandKitFiles } from '../services/mediaFiles';
+
+const BrandKitContext = createContext(null);
+
+/**
+ * BrandKitProvider Component
+ * 
+ * Loads the brand kits stored in this browser and shares them with the
+ * brand page, the settings panel and the media panel. Changes are written to
+ * storage as they are made; without storage the kits last for the session.
+ * 
+ * @param {Object} props Component props
+ * @param {React.ReactNode} props.children Child components
+ */
+export const BrandKitProvider = ({ children }) => {
+  const [kits, setKits] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Problem reported while loading or storing kits
+  const [error, setError] = useState(null);
+  // Latest kits, so changes made in quick succession build on each other
+  const kitsRef = useRef(kits);
+
+  const commitKits = useCallback((next) => {
+    kitsRef.current = next;
+    setKits(next);
+  }, []);
+
+  const storeKits = useCallback(async (changed) => {
+    try {
+      setError(null);
+      await Promise.all(changed.map(saveBrandKit));
+    } catch (saveError) {
+      setError('The brand kit could not be saved in browser storage.');
+    }
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    listBrandKits()
+      .then(stored => Promise.all(stored.map(restoreBrandKitFiles)))
+      .then(stored => {
+        if (!cancelled) commitKits(stored);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Brand kits could not be loaded from browser storage.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [commitKits]);
+
+  /**
+   * Add or update a kit. Marking a kit as the default clears the flag on the
+   * others so there is only ever one.
+   */
+  const saveKit = useCallback(async (kit) => {
+    const current = kitsRef.current;
+    const changed = [
+      kit,
+      ...(kit.isDefault
+        ? current.filter(other => other.id !== kit.id && other.isDefault).map(other => ({ ...other, isDefault: false }))
+        : [])
+    ];
+    const byId = new Map(changed.map(update => [update.id, update]));
+    const next = current.map(other => byId.get(other.id) || other);
+    commitKits(current.some(other => other.id === kit.id) ? next : [...next, kit]);
+    await storeKits(changed);
+  }, [commitKits, storeKits]);
+
+  /**
+   * Append assets (uploaded media items) to a kit
+   */
+  const addKitAssets = useCallback(async (kitId, assets) => {
+    const kit = kitsRef.current.find(other => other.id === kitId);
+    if (!kit) return;
+    const updated = { ...kit, assets: [...kit.assets, ...assets] };
+    commitKits(kitsRef.current.map(other => (other.id === kitId ? updated : other)));
+    await storeKits([updated]);
+  }, [commitKits, storeKits]);
+
+  const removeKit = useCallback(async (kitId) => {
+    commitKits(kitsRef.current.filter(kit => kit.id !== kitId));
+    try {
+      setError(null);
+      await deleteBrandKit(kitId);
+    } catch (deleteError) {
+      setError('The brand kit could not be removed from browser storage.');
+    }
+  }, [commitKits]);
+
+  const value = useMemo(() => ({
+    kits,
+    loading,
+    error,
+    saveKit,
+    addKitAssets,
+    removeKit,
+    defaultKit: kits.find(kit => kit.isDefault) || null,
+    getKit: (kitId) => kits.find(kit => kit.id === kitId) || null
+  }), [kits, loading, error, saveKit, addKitAssets, removeKit]);
+
+  return (
+    <BrandKitContext.Provider value={value}>
+      {children}
+    </BrandKitContext.Provider>
+  );
+};
+
+/**
+ * Access the stored brand kits and the functions changing them
+ * 
+ * @returns {{kits: Array, loading: boolean, error: string|null, saveKit: Function,
+ *   addKitAssets: Function, removeKit: Function, defaultKit: Object|null, getKit: Function}} Brand kit store
+ */
+export const useBrandKits = () => {
+  const context = useContext(BrandKitContext);
+  if (!context) {
+    throw new Error('useBrandKits must be used within a BrandKitProvider');
+  }
+  return context;
+};
@@ -0,0 +1,80 @@
+import React, { createContext, useCallback, useContext, useMemo, useReducer, useRef, useState } from 'react';
+import { projectReducer, loadProject } from '../state/projectReducer';
+import { createDefaultProject, createInitialChatHistory } from '../state/projectModel';
+import { createHistory, withHistory } from '../state/history';
+import useAutosave from '../hooks/useAutosave';
+
+const ProjectContext = createContext(null);
+
+// Project reducer with undo/redo support
+const historyReducer = withHistory(projectReducer);
+
+/**
+ * ProjectProvider Component
+ * 
+ * Holds the project document, its edit history and the editor chat history
+ * for the whole app and exposes them, together with the dispatch function, to
+ * every component below it.
+ * 
+ * @param {Object} props Component props
+ * @param {Object} [props.initialProject] Project to start with (defaults to a new project)
+ * @param {React.ReactNode} props.children Child components
+ */
+export const ProjectProvider = ({ initialProject, children }) => {
+  const [state, dispatch] = useReducer(
+    historyReducer,
+    initialProject,
+    (initial) => createHistory(initial || createDefaultProject())
+  );
+  // Chat history lives beside the project (it is saved with it but not undoable)
+  const [chatMessages, setChatMessages] = useState(createInitialChatHistory);
+  // State as last created or opened; autosave only starts once it changes
+  const baselineRef = useRef({ project: state.present, chatMessages });
+  const autosaveStatus = useAutosave(state.present, chatMessages, baselineRef);
+
+  /**
+   * Replace the whole editing state, e.g. after opening a project file
+   */
+  const openProject = useCallback((project, chatHistory) => {
+    const messages = chatHistory && chatHistory.length > 0 ? chatHistory : createInitialChatHistory();
+    baselineRef.current = { project, chatMessages: messages };
+    dispatch(loadProject(project));
+    setChatMessages(messages);
+  }, []);
+
+  const value = useMemo(() => ({
+    project: state.present,
+    dispatch,
+    chatMessages,
+    setChatMessages,
+    openProject,
+    autosaveStatus,
+    history: {
+      canUndo: state.past.length > 0,
+      canRedo: state.future.length > 0,
+      // Labels of applied steps followed by undone steps
+      done: state.past.map(entry => entry.label),
+      undone: state.future.map(entry => entry.label)
+    }
+  }), [state, chatMessages, openProject, autosaveStatus]);
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {children}
+    </ProjectContext.Provider>
+  );
+};
+
+/**
+ * Access the shared project, its history, the chat history and the dispatch function
+ * 
+ * @returns {{project: Object, dispatch: Function, history: Object, chatMessages: Array,
+ *   setChatMessages: Function, openProject: Function, autosaveStatus: string}} Project store
+ */
+export const useProject = () => {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error('useProject must be used within a ProjectProvider');
+  }
+  return context;
+};
@@ -0,0 +1,165 @@
+/**
+ * Catalog
+ * 
+ * Built-in choices offered by the editor. Project documents refer to these
+ * entries by id.
+ */
+
+// Format presets for video aspects
+export const formatPresets = [
+  { id: 'f1', name: 'Square 1:1', ratio: '1:1', width: 1080, height: 1080, dimensions: '1080 x 1080px', platform: 'Instagram, Facebook' },
+  { id: 'f2', name: 'Portrait 4:5', ratio: '4:5', width: 1080, height: 1350, dimensions: '1080 x 1350px', platform: 'Instagram, Pinterest' },
+  { id: 'f3', name: 'Landscape 16:9', ratio: '16:9', width: 1920, height: 1080, dimensions: '1920 x 1080px', platform: 'YouTube, Web' },
+  { id: 'f4', name: 'Vertical 9:16', ratio: '9:16', width: 1080, height: 1920, dimensions: '1080 x 1920px', platform: 'TikTok, Instagram Stories' },
+  { id: 'f5', name: 'Widescreen 21:9', ratio: '21:9', width: 2560, height: 1080, dimensions: '2560 x 1080px', platform: 'Cinematic Web' },
+];
+
+/**
+ * Look up a format preset, falling back to landscape 16:9
+ * 
+ * @param {string} presetId - Preset id
+ * @returns {Object} Format preset
+ */
+export const getFormatPreset = (presetId) =>
+  formatPresets.find(preset => preset.id === presetId) || formatPresets[2];
+
+// Export quality choices; the short side of the rendered frame and the target video bitrate
+export const qualityOptions = [
+  { id: 'standard', name: 'Standard', info: '720p, good for social sharing', shortSide: 720, bitrate: 5000000 },
+  { id: 'high', name: 'High', info: '1080p, ideal for most uses', shortSide: 1080, bitrate: 8000000 },
+  { id: 'ultra', name: 'Ultra', info: '4K, for professional distribution', shortSide: 2160, bitrate: 20000000 },
+];
+
+/**
+ * Look up an export quality option, falling back to standard
+ * 
+ * @param {string} qualityId - Quality option id
+ * @returns {Object} Quality option
+ */
+export const getQualityOption = (qualityId) =>
+  qualityOptions.find(option => option.id === qualityId) || qualityOptions[0];
+
+// Transitions that can be placed between scenes
+export const transitionTypes = [
+  { id: 'cut', name: 'Cut' },
+  { id: 'crossfade', name: 'Crossfade' },
+  { id: 'fade-black', name: 'Fade to Black' },
+  { id: 'slide', name: 'Slide' },
+  { id: 'wipe', name: 'Wipe' },
+  { id: 'zoom', name: 'Zoom' },
+];
+
+// Fonts available for text overlays
+export const fontOptions = [
+  { id: 'inter', name: 'Inter', family: 'Inter, sans-serif', weight: 700 },
+  { id: 'serif', name: 'Georgia', family: 'Georgia, serif', weight: 700 },
+  { id: 'condensed', name: 'Impact', family: 'Impact, "Arial Narrow", sans-serif', weight: 400 },
+  { id: 'mono', name: 'Mono', family: '"Courier New", monospace', weight: 700 },
+];
+
+/**
+ * Look up a font option, falling back to the first font
+ * 
+ * @param {string} fontId - Font id
+ * @returns {Object} Font option
+ */
+export const getFontOption = (fontId) =>
+  fontOptions.find(option => option.id === fontId) || fontOptions[0];
+
+// Entry and exit animations for text overlays
+export const textAnimations = [
+  { id: 'none', name: 'None' },
+  { id: 'fade', name: 'Fade' },
+  { id: 'slide', name: 'Slide' },
+  { id: 'pop', name: 'Pop' },
+];
+
+// Vertical slots a text overlay can occupy
+export const textPositions = [
+  { id: 'top', name: 'Top' },
+  { id: 'middle', name: 'Middle' },
+  { id: 'bottom', name: 'Bottom' },
+];
+
+// Corners a picture-in-picture layer can sit in
+export const pipPositions = [
+  { id: 'top-left', name: 'Top Left' },
+  { id: 'top-right', name: 'Top Right' },
+  { id: 'bottom-left', name: 'Bottom Left' },
+  { id: 'bottom-right', name: 'Bottom Right' },
+];
+
+// Ways selected media can be inserted into the project
+export const mediaInsertModes = [
+  { id: 'append', name: 'Add as new scenes' },
+  { id: 'replace', name: 'Replace active scene' },
+  { id: 'pip', name: 'Picture-in-picture' },
+];
+
+// Narrator voices; lang, gender and variant pick an installed browser voice
+// and tone scales its rate and pitch
+export const voiceOptions = [
+  { id: 'v1', name: 'Professional Male', lang: 'en', gender: 'male', variant: 0, tone: { rate: 0.95, pitch: 0.9 } },
+  { id: 'v2', name: 'Professional Female', lang: 'en', gender: 'female', variant: 0, tone: { rate: 0.95, pitch: 1 } },
+  { id: 'v3', name: 'Casual Male', lang: 'en', gender: 'male', variant: 1, tone: { rate: 1.05, pitch: 1 } },
+  { id: 'v4', name: 'Casual Female', lang: 'en', gender: 'female', variant: 1, tone: { rate: 1.05, pitch: 1.1 } },
+  { id: 'v5', name: 'Energetic', lang: 'en', gender: 'female', variant: 2, tone: { rate: 1.2, pitch: 1.2 } },
+  { id: 'v6', name: 'Soft Spoken', lang: 'en', gender: 'male', variant: 2, tone: { rate: 0.85, pitch: 0.85 } },
+];
+
+// Built-in music tracks. They are synthesized in the browser from `synth`:
+// one chord per bar at `bpm`, played in `style` ('pad', 'arpeggio' or
+// 'pulse') with the given oscillator wave. `mood` is used by the library's
+// mood filter.
+export const musicTracks = [
+  {
+    id: 'm1', name: 'Inspiring Corporate', duration: '2:30', category: 'Corporate', mood: 'Uplifting',
+    synth: { bpm: 100, chords: ['C', 'G', 'Am', 'F'], style: 'arpeggio', wave: 'triangle' }
+  },
+  {
+    id: 'm2', name: 'Upbeat Pop', duration: '3:15', category: 'Energetic', mood: 'Happy',
+    synth: { bpm: 120, chords: ['G', 'D', 'Em', 'C'], style: 'pulse', wave: 'square' }
+  },
+  {
+    id: 'm3', name: 'Emotional Piano', duration: '2:45', category: 'Emotional', mood: 'Reflective',
+    synth: { bpm: 72, chords: ['Am', 'F', 'C', 'G'], style: 'arpeggio', wave: 'sine' }
+  },
+  {
+    id: 'm4', name: 'Tech Innovation', duration: '3:05', category: 'Technology', mood: 'Driving',
+    synth: { bpm: 110, chords: ['Dm', 'Bb', 'C', 'Am'], style: 'pulse', wave: 'sawtooth' }
+  },
+  {
+    id: 'm5', name: 'Ambient Chill', duration: '4:20', category: 'Relaxed', mood: 'Calm',
+    synth: { bpm: 60, chords: ['Cmaj7', 'Fmaj7', 'Am7', 'Fmaj7'], style: 'pad', wave: 'sine' }
+  },
+];
+
+// How background music is fitted to the video length
+export const musicFitOptions = [
+  { id: 'loop', name: 'Loop to fill the video' },
+  { id: 'trim', name: 'Play once, trimmed at the end' },
+];
+
+// Track length filters in the music library, in seconds (max exclusive)
+export const musicDurationRanges = [
+  { id: 'any', name: 'Any length', min: 0, max: Infinity },
+  { id: 'short', name: 'Under 2:30', min: 0, max: 150 },
+  { id: 'medium', name: '2:30 to 3:30', min: 150, max: 210 },
+  { id: 'long', name: 'Over 3:30', min: 210, max: Infinity },
+];
+
+// Orders the music library can be sorted in
+export const musicSortOptions = [
+  { id: 'featured', name: 'Featured' },
+  { id: 'name', name: 'Name' },
+  { id: 'shortest', name: 'Shortest first' },
+  { id: 'longest', name: 'Longest first' },
+  { id: 'fit', name: 'Best fit for video' },
+];
+
+// Brand colors that can be edited, keyed by project field
+export const brandColorFields = [
+  { key: 'primaryColor', name: 'Primary' },
+  { key: 'secondaryColor', name: 'Secondary' },
+  { key: 'textColor', name: 'Text' },
+];
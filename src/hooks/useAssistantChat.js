@@ -0,0 +1,108 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { toConversation } from '../services/assistant';
+import { createId } from '../state/projectModel';
+
+/**
+ * Drive a streamed conversation with an assistant provider.
+ * 
+ * Adds the user's message and a pending assistant reply to the chat, fills the
+ * reply in as text streams in, hands edit proposals to `applyProposal`, and
+ * turns failures into a visible error on the reply that can be retried.
+ * 
+ * @param {Object} options - Hook options
+ * @param {Object} options.provider - Assistant provider
+ * @param {Object} options.project - Current project
+ * @param {Array} options.messages - Chat messages
+ * @param {Function} options.setMessages - Chat messages setter
+ * @param {Function} options.applyProposal - (commands, project) => { summaries, project }
+ * @returns {{isStreaming: boolean, ask: Function, cancel: Function, retry: Function}} Chat controls
+ */
+const useAssistantChat = ({ provider, project, messages, setMessages, applyProposal }) => {
+  const [isStreaming, setIsStreaming] = useState(false);
+  const controllerRef = useRef(null);
+  // Latest values for use inside the streaming callbacks
+  const projectRef = useRef(project);
+  const messagesRef = useRef(messages);
+  projectRef.current = project;
+  messagesRef.current = messages;
+
+  // Cancel any reply still streaming when the editor closes
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const run = useCallback(async (conversation) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    const replyId = createId('message');
+    const updateReply = (changes) => setMessages(prev => prev.map(message => (
+      message.id === replyId
+        ? { ...message, ...(typeof changes === 'function' ? changes(message) : changes) }
+        : message
+    )));
+
+    setMessages(prev => [...prev, { id: replyId, type: 'ai', content: '', pending: true, timestamp: new Date() }]);
+    setIsStreaming(true);
+
+    try {
+      await provider.send(
+        { messages: toConversation(conversation), project: projectRef.current, signal: controller.signal },
+        {
+          onText: (delta) => updateReply(message => ({ content: message.content + delta })),
+          onProposal: (commands) => {
+            const result = applyProposal(commands, projectRef.current);
+            projectRef.current = result.project;
+            updateReply(message => ({ changes: [...(message.changes || []), ...result.summaries] }));
+          },
+          onAttachment: (fields) => updateReply(fields)
+        }
+      );
+      updateReply({ pending: false });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        updateReply(message => ({ pending: false, content: message.content || 'Reply cancelled.' }));
+      } else {
+        updateReply({ pending: false, error: error.message || 'Something went wrong.' });
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsStreaming(false);
+      }
+    }
+  }, [provider, setMessages, applyProposal]);
+
+  /**
+   * Send a user message and stream the assistant's reply
+   */
+  const ask = useCallback((content) => {
+    const userMessage = { id: createId('message'), type: 'user', content, timestamp: new Date() };
+    const conversation = [...messagesRef.current, userMessage];
+    setMessages(prev => [...prev, userMessage]);
+    run(conversation);
+  }, [run, setMessages]);
+
+  /**
+   * Stop the reply that is currently streaming
+   */
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Replace a failed reply with a new attempt
+   * 
+   * @param {string} failedMessageId - ID of the reply that failed
+   */
+  const retry = useCallback((failedMessageId) => {
+    const index = messagesRef.current.findIndex(message => message.id === failedMessageId);
+    if (index === -1) return;
+    const conversation = messagesRef.current.slice(0, index);
+    setMessages(prev => prev.filter(message => message.id !== failedMessageId));
+    run(conversation);
+  }, [run, setMessages]);
+
+  return { isStreaming, ask, cancel, retry };
+};
+
+export default useAssistantChat;
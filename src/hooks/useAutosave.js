@@ -0,0 +1,58 @@
+import { useEffect, useRef, useState } from 'react';
+import { saveDraft, isStorageAvailable } from '../services/projectStorage';
+
+// Quiet period after the last edit before the project is written
+export const AUTOSAVE_DELAY_MS = 1500;
+
+/**
+ * Debounced autosave of the editing state to browser storage.
+ * 
+ * Nothing is written until the project or chat differs from `baselineRef`
+ * (the state that was created or opened), so simply opening the app or a
+ * project does not create a draft. A pending save is flushed immediately when
+ * the page is hidden.
+ * 
+ * @param {Object} project - Project document
+ * @param {Array} chatMessages - Chat history
+ * @param {{current: {project: Object, chatMessages: Array}}} baselineRef - Last opened state
+ * @returns {'idle'|'pending'|'saving'|'saved'|'error'} Autosave status
+ */
+const useAutosave = (project, chatMessages, baselineRef) => {
+  const [status, setStatus] = useState('idle');
+  const pendingRef = useRef(null);
+
+  useEffect(() => {
+    if (!isStorageAvailable()) return undefined;
+    const baseline = baselineRef.current;
+    if (project === baseline.project && chatMessages === baseline.chatMessages) return undefined;
+
+    const save = () => {
+      pendingRef.current = null;
+      setStatus('saving');
+      saveDraft(project, chatMessages).then(
+        () => setStatus('saved'),
+        () => setStatus('error')
+      );
+    };
+
+    setStatus('pending');
+    pendingRef.current = save;
+    const timer = setTimeout(save, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [project, chatMessages, baselineRef]);
+
+  // Write any pending changes before the page goes away
+  useEffect(() => {
+    const flush = () => {
+      if (document.visibilityState === 'hidden' && pendingRef.current) {
+        pendingRef.current();
+      }
+    };
+    document.addEventListener('visibilitychange', flush);
+    return () => document.removeEventListener('visibilitychange', flush);
+  }, []);
+
+  return status;
+};
+
+export default useAutosave;
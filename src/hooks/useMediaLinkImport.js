@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { importMediaLink, MediaLinkError } from '../services/mediaLinks';
+
+/**
+ * Import of media from a pasted link.
+ * 
+ * `importLink` checks the link, looks up its details and hands the finished
+ * media item to `onAdd`. `error` holds the reason the last link could not be
+ * imported until the next attempt or `clearError`. Starting a new import, or
+ * unmounting, cancels a lookup still running. `importLink` resolves to
+ * whether the item was added.
+ * 
+ * @param {Object} lookup - Media lookup (see services/mediaLinks)
+ * @param {Function} onAdd - Called with each imported media item
+ * @returns {{importing: boolean, error: string|null, importLink: Function, clearError: Function}} Import state and controls
+ */
+const useMediaLinkImport = (lookup, onAdd) => {
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+  const onAddRef = useRef(onAdd);
+  onAddRef.current = onAdd;
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const importLink = useCallback(async (input) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError(null);
+    setImporting(true);
+    let item = null;
+    try {
+      item = await importMediaLink(lookup, input, { signal: controller.signal });
+    } catch (importError) {
+      if (importError.name !== 'AbortError') {
+        setError(importError instanceof MediaLinkError ? importError.message : 'The link could not be imported.');
+      }
+    }
+    if (controllerRef.current !== controller) return false;
+    controllerRef.current = null;
+    setImporting(false);
+    if (item) onAddRef.current(item);
+    return Boolean(item);
+  }, [lookup]);
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return { importing, error, importLink, clearError };
+};
+
+export default useMediaLinkImport;
@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { readMediaFile, MediaUploadError } from '../services/mediaUpload';
+import { storeMediaFile } from '../services/mediaFiles';
+
+/**
+ * Upload queue for the media library.
+ * 
+ * Files are checked and processed one at a time. Each file gets an entry in
+ * `uploads` ({ id, name, progress, error }) while it is processed; files that
+ * succeed are handed to `onAdd` and leave the list, files that fail stay in
+ * it with their error until dismissed. Finished items keep their file in
+ * browser storage (see mediaFiles), so projects and brand kits that store
+ * them still work after a reload. When `onAdd` returns a promise, the file
+ * stays in the list until it settles and fails if it rejects.
+ * 
+ * @param {Function} onAdd - Called with each finished media item
+ * @returns {{uploads: Array, upload: Function, dismiss: Function}} Queue state and controls
+ */
+const useMediaUploads = (onAdd) => {
+  const [uploads, setUploads] = useState([]);
+  const onAddRef = useRef(onAdd);
+  onAddRef.current = onAdd;
+  // Files waiting to be processed, and whether the queue is running
+  const queueRef = useRef([]);
+  const runningRef = useRef(false);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const updateEntry = useCallback((id, changes) => {
+    if (!mountedRef.current) return;
+    setUploads(entries => entries.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  }, []);
+
+  const processQueue = useCallback(async () => {
+    if (runningRef.current) return;
+    runningRef.current = true;
+    while (queueRef.current.length > 0) {
+      const { id, file } = queueRef.current.shift();
+      try {
+        const item = await readMediaFile(file, progress => updateEntry(id, { progress }));
+        await onAddRef.current(await storeMediaFile(item, file));
+        if (mountedRef.current) setUploads(entries => entries.filter(entry => entry.id !== id));
+      } catch (error) {
+        updateEntry(id, {
+          error: error instanceof MediaUploadError ? error.message : 'The file could not be read.'
+        });
+      }
+    }
+    runningRef.current = false;
+  }, [updateEntry]);
+
+  const upload = useCallback((files) => {
+    const entries = Array.from(files).map((file, index) => ({
+      id: `${Date.now()}-${index}-${file.name}`,
+      name: file.name,
+      progress: 0,
+      error: null,
+      file
+    }));
+    queueRef.current.push(...entries.map(({ id, file }) => ({ id, file })));
+    setUploads(current => [...current, ...entries.map(({ file, ...entry }) => entry)]);
+    processQueue();
+  }, [processQueue]);
+
+  const dismiss = useCallback((id) => {
+    setUploads(entries => entries.filter(entry => entry.id !== id));
+  }, []);
+
+  return { uploads, upload, dismiss };
+};
+
+export default useMediaUploads;
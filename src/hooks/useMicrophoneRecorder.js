@@ -0,0 +1,145 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { processRecording } from '../services/playback/audioClips';
+
+// Seconds counted down before recording starts
+const COUNTDOWN_SECONDS = 3;
+
+/**
+ * Microphone recorder for narration takes.
+ * 
+ * `start` asks for the microphone, counts down and records until `stop` is
+ * called; the recording is then trimmed and returned as `take`. While the
+ * microphone is open `level` holds the input level from 0 to 1 for a meter.
+ * 
+ * Status goes idle → countdown → recording → processing → done (or error).
+ * 
+ * @returns {{status: string, countdown: number, level: number, take: Object|null, error: string|null,
+ *   start: Function, stop: Function, reset: Function}} Recorder state and controls
+ */
+const useMicrophoneRecorder = () => {
+  const [status, setStatus] = useState('idle');
+  const [countdown, setCountdown] = useState(0);
+  const [level, setLevel] = useState(0);
+  const [take, setTake] = useState(null);
+  const [error, setError] = useState(null);
+  // Microphone stream, meter and recorder of the current session
+  const sessionRef = useRef(null);
+
+  // Release the microphone and stop the meter and countdown
+  const closeSession = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    sessionRef.current = null;
+    clearInterval(session.countdownTimer);
+    cancelAnimationFrame(session.meterFrame);
+    if (session.recorder && session.recorder.state !== 'inactive') {
+      session.recorder.onstop = null;
+      session.recorder.stop();
+    }
+    session.stream.getTracks().forEach(track => track.stop());
+    session.context.close();
+    setLevel(0);
+  }, []);
+
+  useEffect(() => closeSession, [closeSession]);
+
+  const fail = useCallback((message) => {
+    closeSession();
+    setError(message);
+    setStatus('error');
+  }, [closeSession]);
+
+  const beginRecording = useCallback(() => {
+    const session = sessionRef.current;
+    const chunks = [];
+    const recorder = new MediaRecorder(session.stream);
+    session.recorder = recorder;
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = async () => {
+      closeSession();
+      setStatus('processing');
+      try {
+        setTake(await processRecording(new Blob(chunks, { type: recorder.mimeType })));
+        setStatus('done');
+      } catch (processingError) {
+        setError(processingError.message);
+        setStatus('error');
+      }
+    };
+    recorder.start();
+    setStatus('recording');
+  }, [closeSession]);
+
+  const start = useCallback(async () => {
+    closeSession();
+    setTake(null);
+    setError(null);
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+      fail('This browser cannot record audio.');
+      return;
+    }
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (permissionError) {
+      fail(permissionError.name === 'NotAllowedError'
+        ? 'Microphone access was blocked. Allow it in the browser to record narration.'
+        : 'No microphone could be opened.');
+      return;
+    }
+
+    // Input level meter from the loudest recent sample
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    context.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+    const session = { stream, context, recorder: null, countdownTimer: null, meterFrame: null };
+    sessionRef.current = session;
+
+    const measure = () => {
+      analyser.getFloatTimeDomainData(samples);
+      setLevel(samples.reduce((peak, sample) => Math.max(peak, Math.abs(sample)), 0));
+      session.meterFrame = requestAnimationFrame(measure);
+    };
+    measure();
+
+    let remaining = COUNTDOWN_SECONDS;
+    setCountdown(remaining);
+    setStatus('countdown');
+    session.countdownTimer = setInterval(() => {
+      remaining -= 1;
+      setCountdown(remaining);
+      if (remaining === 0) {
+        clearInterval(session.countdownTimer);
+        beginRecording();
+      }
+    }, 1000);
+  }, [beginRecording, closeSession, fail]);
+
+  const stop = useCallback(() => {
+    const session = sessionRef.current;
+    if (session?.recorder && session.recorder.state === 'recording') {
+      session.recorder.stop();
+    } else {
+      // Stopped during the countdown: nothing was recorded
+      closeSession();
+      setStatus('idle');
+    }
+  }, [closeSession]);
+
+  const reset = useCallback(() => {
+    closeSession();
+    setTake(null);
+    setError(null);
+    setStatus('idle');
+  }, [closeSession]);
+
+  return { status, countdown, level, take, error, start, stop, reset };
+};
+
+export default useMicrophoneRecorder;
@@ -0,0 +1,105 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { getProjectTrack, loadTrackBuffer, getNarrationRanges, scheduleMusic } from '../services/playback/musicEngine';
+import { getTotalDuration } from '../state/projectModel';
+
+// Drift between the playback clock and the music that triggers a restart, in seconds
+const RESYNC_SECONDS = 0.3;
+
+/**
+ * Background music for the scene player.
+ * 
+ * Plays the project's music in step with the playback clock, restarting it
+ * from the playhead after seeks and whenever the music settings, narration
+ * timing or video length change. Volume and mute apply on top of the
+ * project's own music volume.
+ * 
+ * @param {Object} options - Player state
+ * @param {Object} options.project - Project document
+ * @param {number} options.currentTime - Playhead position in seconds
+ * @param {boolean} options.isPlaying - Whether playback is running
+ * @param {number} options.volume - Player volume from 0 to 1
+ * @param {boolean} options.muted - Whether the player is muted
+ */
+const useMusicPlayback = ({ project, currentTime, isPlaying, volume, muted }) => {
+  const [buffer, setBuffer] = useState(null);
+  const contextRef = useRef(null);
+  const masterRef = useRef(null);
+  // Playing music: { handle, contextStart, offset }
+  const sessionRef = useRef(null);
+  const timeRef = useRef(currentTime);
+  timeRef.current = currentTime;
+  const projectRef = useRef(project);
+  projectRef.current = project;
+
+  const track = getProjectTrack(project);
+  const duration = getTotalDuration(project.scenes);
+  // Changes only when narration moves, so typing a script does not restart the music
+  const rangesKey = useMemo(() => JSON.stringify(getNarrationRanges(project.scenes)), [project.scenes]);
+
+  useEffect(() => {
+    setBuffer(null);
+    if (!track) return;
+    let cancelled = false;
+    loadTrackBuffer(track)
+      .then(loaded => {
+        if (!cancelled) setBuffer(loaded);
+      })
+      .catch(() => {
+        // The player stays silent when the track cannot be loaded
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [track]);
+
+  useEffect(() => () => {
+    if (contextRef.current) contextRef.current.close();
+  }, []);
+
+  useEffect(() => {
+    if (masterRef.current) masterRef.current.gain.value = muted ? 0 : volume;
+  }, [volume, muted]);
+
+  // (Re)start the music from the playhead while playing
+  const restartRef = useRef(() => {});
+  restartRef.current = () => {
+    if (sessionRef.current) sessionRef.current.handle.stop();
+    sessionRef.current = null;
+    if (!isPlaying || !buffer) return;
+
+    if (!contextRef.current) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
+      contextRef.current = new AudioContextClass();
+      masterRef.current = contextRef.current.createGain();
+      masterRef.current.connect(contextRef.current.destination);
+    }
+    const context = contextRef.current;
+    masterRef.current.gain.value = muted ? 0 : volume;
+    context.resume();
+    const offset = timeRef.current;
+    sessionRef.current = {
+      handle: scheduleMusic(context, masterRef.current, buffer, projectRef.current, { offset }),
+      contextStart: context.currentTime,
+      offset
+    };
+  };
+
+  useEffect(() => {
+    restartRef.current();
+    return () => {
+      if (sessionRef.current) sessionRef.current.handle.stop();
+      sessionRef.current = null;
+    };
+  }, [isPlaying, buffer, project.music, rangesKey, duration]);
+
+  // Follow seeks made while playing
+  useEffect(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    const expected = session.offset + (contextRef.current.currentTime - session.contextStart);
+    if (Math.abs(expected - currentTime) > RESYNC_SECONDS) restartRef.current();
+  }, [currentTime]);
+};
+
+export default useMusicPlayback;
@@ -0,0 +1,44 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useProject } from '../context/ProjectContext';
+import { beginTransaction, commitTransaction, rollbackTransaction } from '../state/history';
+
+/**
+ * Group every edit made while a tool panel is open into a transaction.
+ * 
+ * Edits are applied to the project immediately (and appear as separate undo
+ * steps), but "Cancel" rolls the project back to how it was when the panel
+ * opened. A panel that unmounts without applying is treated as cancelled.
+ * 
+ * @returns {{apply: Function, cancel: Function}} Transaction controls
+ */
+const usePanelTransaction = () => {
+  const { dispatch } = useProject();
+  const openRef = useRef(false);
+
+  useEffect(() => {
+    dispatch(beginTransaction());
+    openRef.current = true;
+    return () => {
+      if (openRef.current) {
+        dispatch(rollbackTransaction());
+        openRef.current = false;
+      }
+    };
+  }, [dispatch]);
+
+  const apply = useCallback(() => {
+    if (!openRef.current) return;
+    dispatch(commitTransaction());
+    openRef.current = false;
+  }, [dispatch]);
+
+  const cancel = useCallback(() => {
+    if (!openRef.current) return;
+    dispatch(rollbackTransaction());
+    openRef.current = false;
+  }, [dispatch]);
+
+  return { apply, cancel };
+};
+
+export default usePanelTransaction;
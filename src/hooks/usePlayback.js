@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * Playback clock for the scene player.
+ * 
+ * Advances `currentTime` on every animation frame while playing and stops at
+ * the end of the video. Playing again from the end restarts from zero.
+ * 
+ * @param {number} duration - Total running time in seconds
+ * @returns {{currentTime: number, isPlaying: boolean, play: Function, pause: Function, toggle: Function, seek: Function}}
+ *   Playback state and controls
+ */
+const usePlayback = (duration) => {
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const timeRef = useRef(0);
+  const durationRef = useRef(duration);
+  durationRef.current = duration;
+
+  const update = useCallback((time) => {
+    timeRef.current = time;
+    setCurrentTime(time);
+  }, []);
+
+  // Keep the playhead inside the video when scenes get shorter
+  useEffect(() => {
+    if (timeRef.current > duration) update(duration);
+  }, [duration, update]);
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+    let frame;
+    let last = performance.now();
+
+    const tick = (now) => {
+      const next = timeRef.current + (now - last) / 1000;
+      last = now;
+      if (next >= durationRef.current) {
+        update(durationRef.current);
+        setIsPlaying(false);
+        return;
+      }
+      update(next);
+      frame = requestAnimationFrame(tick);
+    };
+
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, update]);
+
+  const play = useCallback(() => {
+    if (durationRef.current <= 0) return;
+    if (timeRef.current >= durationRef.current) update(0);
+    setIsPlaying(true);
+  }, [update]);
+
+  const pause = useCallback(() => setIsPlaying(false), []);
+
+  const toggle = useCallback(() => {
+    if (isPlaying) {
+      pause();
+    } else {
+      play();
+    }
+  }, [isPlaying, play, pause]);
+
+  const seek = useCallback((time) => {
+    update(Math.min(Math.max(0, time), durationRef.current));
+  }, [update]);
+
+  return { currentTime, isPlaying, play, pause, toggle, seek };
+};
+
+export default usePlayback;
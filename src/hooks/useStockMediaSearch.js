@@ -0,0 +1,87 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { STOCK_PAGE_SIZE } from '../services/stockMedia';
+
+// Pause after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Paged stock media search.
+ * 
+ * The query is debounced; changing the query or filters starts a new search
+ * from the first page and cancels any request still running. `loadMore`
+ * fetches the next page and appends it to `items`.
+ * 
+ * @param {Object} provider - Stock media provider
+ * @param {Object} params - { query, type, orientation }
+ * @returns {{items: Array, total: number, loading: boolean, error: string|null, hasMore: boolean, loadMore: Function, retry: Function}} Search state and controls
+ */
+const useStockMediaSearch = (provider, { query, type, orientation }) => {
+  const [debouncedQuery, setDebouncedQuery] = useState(query);
+  const [results, setResults] = useState({ items: [], total: 0, page: 0, hasMore: false });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Request in flight, cancelled when a newer one starts or on unmount
+  const controllerRef = useRef(null);
+  // Filters of the current result list
+  const paramsRef = useRef(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const fetchPage = useCallback(async (params, page) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await provider.search({ ...params, page, perPage: STOCK_PAGE_SIZE, signal: controller.signal });
+      setResults(current => ({
+        items: page === 1 ? response.items : [...current.items, ...response.items],
+        total: response.total,
+        page: response.page,
+        hasMore: response.hasMore
+      }));
+    } catch (searchError) {
+      if (searchError.name === 'AbortError') return;
+      setError(searchError.message || 'Stock media could not be loaded.');
+    }
+    if (controllerRef.current === controller) {
+      controllerRef.current = null;
+      setLoading(false);
+    }
+  }, [provider]);
+
+  useEffect(() => {
+    const params = { query: debouncedQuery, type, orientation };
+    paramsRef.current = params;
+    setResults({ items: [], total: 0, page: 0, hasMore: false });
+    fetchPage(params, 1);
+  }, [fetchPage, debouncedQuery, type, orientation]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const loadMore = useCallback(() => {
+    if (loading || error || !results.hasMore) return;
+    fetchPage(paramsRef.current, results.page + 1);
+  }, [fetchPage, loading, error, results]);
+
+  // Repeat the request that failed
+  const retry = useCallback(() => {
+    fetchPage(paramsRef.current, results.page + 1);
+  }, [fetchPage, results.page]);
+
+  return {
+    items: results.items,
+    total: results.total,
+    loading,
+    error,
+    hasMore: results.hasMore,
+    loadMore,
+    retry
+  };
+};
+
+export default useStockMediaSearch;
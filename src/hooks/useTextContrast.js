@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from 'react';
+import { createMediaCache } from '../services/playback/mediaCache';
+import { getTextBackdrops } from '../services/colorSampling';
+import { getContrastRatio, MIN_TEXT_CONTRAST } from '../utils/color';
+
+// Pause after the last edit before the scenes are sampled again
+const CHECK_DELAY_MS = 400;
+
+/**
+ * WCAG contrast of the brand Text color.
+ * 
+ * Compares it with the Primary color (title cards and default text
+ * backgrounds) straight away, and with what is behind every text overlay that
+ * uses it once the scenes have been drawn and sampled. `issues` lists the
+ * overlays below MIN_TEXT_CONTRAST; `unchecked` counts overlays whose imagery
+ * could not be read.
+ * 
+ * @param {Object} project - Project document
+ * @returns {{primaryRatio: number|null, issues: Array, unchecked: number, checking: boolean}} Contrast state
+ */
+const useTextContrast = (project) => {
+  const { branding, scenes, format } = project;
+  const [backdrops, setBackdrops] = useState([]);
+  const [checking, setChecking] = useState(false);
+  // Media stays loaded between checks
+  const mediaRef = useRef(null);
+  if (!mediaRef.current) mediaRef.current = createMediaCache();
+  const projectRef = useRef(project);
+  projectRef.current = project;
+
+  useEffect(() => {
+    const media = mediaRef.current;
+    return () => media.dispose();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setChecking(true);
+    const timer = setTimeout(() => {
+      getTextBackdrops(projectRef.current, mediaRef.current)
+        .then(results => {
+          if (!cancelled) setBackdrops(results);
+        })
+        .catch(() => {
+          if (!cancelled) setBackdrops([]);
+        })
+        .finally(() => {
+          if (!cancelled) setChecking(false);
+        });
+    }, CHECK_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [branding, scenes, format.presetId]);
+
+  return {
+    primaryRatio: getContrastRatio(branding.textColor, branding.primaryColor),
+    issues: backdrops.filter(entry => entry.ratio !== null && entry.ratio < MIN_TEXT_CONTRAST),
+    unchecked: backdrops.filter(entry => entry.ratio === null).length,
+    checking
+  };
+};
+
+export default useTextContrast;
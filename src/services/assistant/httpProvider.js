@@ -0,0 +1,144 @@
+/**
+ * HTTP assistant provider.
+ * 
+ * POSTs `{ messages, project }` as JSON to the configured URL. The project is
+ * sent without its media: images, clips, audio, waveforms and the logo are
+ * left out (they can be tens of megabytes as data URLs), keeping the ids,
+ * names, durations and settings an assistant needs to propose edits. The
+ * server answers with newline-delimited JSON events, one per line:
+ * 
+ *   { "type": "text", "text": "Sure, " }
+ *   { "type": "proposal", "commands": [{ "type": "setFormat", "presetId": "f4" }] }
+ *   { "type": "attachment", "fields": { "script": true } }
+ *   { "type": "error", "message": "Model overloaded" }
+ * 
+ * A plain JSON response `{ text, commands?, fields? }` is accepted as well for
+ * servers that do not stream.
+ */
+
+/**
+ * The parts of a project sent with each message
+ */
+const toRequestProject = (project) => ({
+  id: project.id,
+  name: project.name,
+  format: { presetId: project.format.presetId },
+  brandKitId: project.brandKitId,
+  scenes: project.scenes.map(scene => ({
+    id: scene.id,
+    duration: scene.duration,
+    script: scene.script,
+    transition: scene.transition,
+    media: scene.media ? { type: scene.media.type } : null,
+    textLayers: scene.textLayers,
+    mediaLayers: scene.mediaLayers.map(({ id, type }) => ({ id, type })),
+    narration: scene.narration
+      ? { source: scene.narration.source, text: scene.narration.text, duration: scene.narration.duration }
+      : null
+  })),
+  voice: project.voice,
+  music: project.music,
+  customTracks: project.customTracks.map(({ id, name, seconds }) => ({ id, name, seconds })),
+  branding: {
+    primaryColor: project.branding.primaryColor,
+    secondaryColor: project.branding.secondaryColor,
+    textColor: project.branding.textColor,
+    fonts: project.branding.fonts,
+    logo: {
+      hasLogo: Boolean(project.branding.logo.src),
+      position: project.branding.logo.position,
+      size: project.branding.logo.size,
+      opacity: project.branding.logo.opacity
+    }
+  },
+  exportOptions: project.exportOptions,
+  subtitles: project.subtitles,
+  mediaLibrary: project.mediaLibrary.map(({ id, name, type, duration }) => ({ id, name, type, duration }))
+});
+
+/**
+ * Dispatch one decoded event to the stream handlers
+ */
+const handleEvent = (event, { onText, onProposal, onAttachment }) => {
+  switch (event.type) {
+    case 'text':
+      onText(String(event.text || ''));
+      break;
+    case 'proposal':
+      if (Array.isArray(event.commands)) onProposal(event.commands);
+      break;
+    case 'attachment':
+      if (event.fields) onAttachment(event.fields);
+      break;
+    case 'error':
+      throw new Error(event.message || 'The assistant reported an error.');
+    default:
+      // Unknown events are ignored so servers can add new ones
+      break;
+  }
+};
+
+const parseLine = (line) => {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw new Error('The assistant sent a response that could not be read.');
+  }
+};
+
+/**
+ * Create a provider talking to an HTTP assistant
+ * 
+ * @param {Object} options - Provider options
+ * @param {string} options.url - Endpoint receiving the conversation
+ * @param {Object} [options.headers] - Extra request headers
+ * @returns {Object} Assistant provider
+ */
+export const createHttpProvider = ({ url, headers = {} }) => ({
+  id: 'http',
+  name: `Assistant at ${url}`,
+
+  async send({ messages, project, signal }, handlers) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ messages, project: toRequestProject(project) }),
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new Error('Could not reach the assistant. Check your connection and try again.');
+    }
+
+    if (!response.ok) {
+      throw new Error(`The assistant responded with an error (${response.status}).`);
+    }
+
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('application/json') || !response.body) {
+      const data = await response.json();
+      if (data.text) handlers.onText(String(data.text));
+      if (Array.isArray(data.commands)) handlers.onProposal(data.commands);
+      if (data.fields) handlers.onAttachment(data.fields);
+      return;
+    }
+
+    // Stream newline-delimited JSON events as they arrive
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+      const lines = buffer.split('\n');
+      buffer = done ? '' : lines.pop();
+      lines
+        .map(line => line.trim())
+        .filter(Boolean)
+        .forEach(line => handleEvent(parseLine(line), handlers));
+      if (done) break;
+    }
+  }
+});
@@ -0,0 +1,49 @@
+/**
+ * Assistant Providers
+ * 
+ * The chat assistant behind ChatEditor is pluggable. A provider receives the
+ * conversation and the current project and streams its reply back through
+ * handlers:
+ * 
+ *   provider.send(request, handlers) => Promise<void>
+ * 
+ *   request  = { messages: [{ role: 'user'|'assistant', content }], project, signal }
+ *   handlers = {
+ *     onText(delta)          - append streamed reply text
+ *     onProposal(commands)   - structured edit commands (see commandParser.js)
+ *     onAttachment(fields)   - extra message fields, e.g. { options }, or
+ *                              { script: true } to show a script editor for
+ *                              the scene selected in the editor
+ *   }
+ * 
+ * `send` resolves when the reply is complete and rejects on failure. Aborting
+ * `signal` cancels the request and rejects with an AbortError.
+ */
+import mockProvider from './mockProvider';
+import { createHttpProvider } from './httpProvider';
+
+/**
+ * Create the provider configured for this build. Setting
+ * REACT_APP_ASSISTANT_URL points the editor at an HTTP assistant; otherwise
+ * the offline mock provider is used.
+ * 
+ * @param {Object} [config] - Overrides for the environment configuration
+ * @param {string} [config.url] - HTTP endpoint of the assistant
+ * @returns {Object} Assistant provider
+ */
+export const createAssistantProvider = ({ url = process.env.REACT_APP_ASSISTANT_URL } = {}) => (
+  url ? createHttpProvider({ url }) : mockProvider
+);
+
+/**
+ * Convert editor chat messages into the provider conversation format
+ * 
+ * @param {Array} messages - Chat messages from the editor
+ * @returns {Array<{role: string, content: string}>} Conversation
+ */
+export const toConversation = (messages) => messages
+  .filter(message => !message.error && !message.pending)
+  .map(message => ({
+    role: message.type === 'user' ? 'user' : 'assistant',
+    content: message.content
+  }));
@@ -0,0 +1,95 @@
+/**
+ * Offline mock assistant.
+ * 
+ * Understands the edit instructions supported by the command parser and
+ * otherwise falls back to canned replies. Replies are streamed word by word
+ * to behave like a real backend.
+ */
+import { parseEditRequest } from '../commandParser';
+import { getMusicLibrary } from '../playback/musicEngine';
+
+// Delay before the first word and between words, in milliseconds
+const THINKING_DELAY = 600;
+const WORD_DELAY = 30;
+
+// Same error shape fetch() uses when a request is aborted
+const createAbortError = () => {
+  const error = new Error('The request was cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  }, { once: true });
+});
+
+/**
+ * Work out the reply for the latest user message
+ * 
+ * @returns {{text: string, commands?: Array, attachment?: Object}} Reply
+ */
+const buildReply = (userInput, project) => {
+  const { commands, clarifications } = parseEditRequest(userInput, {
+    sceneCount: project.scenes.length,
+    tracks: getMusicLibrary(project)
+  });
+  const lowerInput = userInput.toLowerCase();
+
+  if (commands.length > 0 || clarifications.length > 0) {
+    const intro = commands.length > 0 ? 'Done! Here is what I changed:' : '';
+    return { text: [intro, ...clarifications].filter(Boolean).join(' '), commands };
+  }
+  if (lowerInput.includes('replace') || lowerInput.includes('change scene')) {
+    return {
+      text: "I can help replace that scene. Here are 3 alternatives I've generated based on your video style:",
+      attachment: {
+        options: [
+          { type: 'scene', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Option+1' },
+          { type: 'scene', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Option+2' },
+          { type: 'scene', thumbnail: 'https://via.placeholder.com/160x90/444/fff?text=Option+3' }
+        ]
+      }
+    };
+  }
+  if (lowerInput.includes('script') || lowerInput.includes('text')) {
+    return {
+      text: "Here's the current script for this scene. You can edit it directly:",
+      attachment: { script: true }
+    };
+  }
+  return {
+    text: 'I can help you with that. Would you like to: 1) Change scenes, 2) Edit script, or 3) Adjust the storyboard? ' +
+      'You can also ask for specific edits like "move scene 3 before scene 1", "make scene 2 six seconds", ' +
+      '"switch to vertical 9:16" or "add \'Shop now\' at the bottom of scene 3".'
+  };
+};
+
+const mockProvider = {
+  id: 'mock',
+  name: 'Offline assistant',
+
+  async send({ messages, project, signal }, { onText, onProposal, onAttachment }) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const reply = buildReply(lastUserMessage ? lastUserMessage.content : '', project);
+
+    await wait(THINKING_DELAY, signal);
+    const words = reply.text.split(/(\s+)/);
+    for (const word of words) {
+      onText(word);
+      await wait(WORD_DELAY, signal);
+    }
+
+    if (reply.commands && reply.commands.length > 0) onProposal(reply.commands);
+    if (reply.attachment) onAttachment(reply.attachment);
+  }
+};
+
+export default mockProvider;
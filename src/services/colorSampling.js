@@ -0,0 +1,144 @@
+/**
+ * Color Sampling
+ * 
+ * Reads colors out of the video and the brand logo for the color pickers:
+ * single pixels of a preview frame (the eyedropper), the main colors of a
+ * logo (palette suggestions), and the imagery behind text overlays that use
+ * the brand Text color (contrast checks). Canvases that draw media from hosts
+ * refusing CORS cannot be read, so those samples come back empty.
+ */
+import { getSceneTimings, resolveBrandColor } from '../state/projectModel';
+import { getFormatPreset } from '../data/catalog';
+import { fitSize, renderFrame } from './playback/frameRenderer';
+import { layoutTextLayer } from './playback/textRenderer';
+import { preloadMedia } from './playback/videoRenderer';
+import { getAverageColor, getContrastRatio, getDominantColors, toHex } from '../utils/color';
+
+// Longest side of the frames rendered for sampling, in pixels
+const SAMPLE_SIZE = 320;
+// Logos are scaled down to this many pixels across before their colors are counted
+const PALETTE_SAMPLE_SIZE = 64;
+
+/**
+ * Time at which a scene is shown for sampling: its middle, away from
+ * transitions
+ * 
+ * @param {Object} project - Project document
+ * @param {string} sceneId - Scene id
+ * @returns {number} Time in seconds (0 when the scene does not exist)
+ */
+export const getSceneSampleTime = (project, sceneId) => {
+  const timing = getSceneTimings(project.scenes).find(({ id }) => id === sceneId);
+  return timing ? (timing.start + timing.end) / 2 : 0;
+};
+
+/**
+ * Read one pixel of a canvas
+ * 
+ * @param {CanvasRenderingContext2D} ctx - Context to read
+ * @param {number} x - Horizontal position in canvas pixels
+ * @param {number} y - Vertical position in canvas pixels
+ * @returns {string|null} Hex code, or null when the canvas cannot be read
+ */
+export const readPixel = (ctx, x, y) => {
+  try {
+    const [r, g, b] = ctx.getImageData(Math.floor(x), Math.floor(y), 1, 1).data;
+    return toHex({ r, g, b });
+  } catch (error) {
+    return null;
+  }
+};
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Main colors of an image, for palette suggestions
+ * 
+ * @param {string} src - Image URL
+ * @param {number} [count=5] - Largest number of colors
+ * @returns {Promise<string[]>} Hex codes, most common first (empty when the image cannot be read)
+ */
+export const getImagePalette = (src, count = 5) => new Promise(resolve => {
+  const image = new Image();
+  image.crossOrigin = 'anonymous';
+  image.onload = () => {
+    const scale = Math.min(1, PALETTE_SAMPLE_SIZE / Math.max(image.naturalWidth, image.naturalHeight, 1));
+    const width = Math.max(1, Math.round(image.naturalWidth * scale));
+    const height = Math.max(1, Math.round(image.naturalHeight * scale));
+    const ctx = createCanvas(width, height).getContext('2d');
+    try {
+      ctx.drawImage(image, 0, 0, width, height);
+      resolve(getDominantColors(ctx.getImageData(0, 0, width, height).data, count));
+    } catch (error) {
+      resolve([]);
+    }
+  };
+  image.onerror = () => resolve([]);
+  image.src = src;
+});
+
+/**
+ * Work out what is behind each text overlay drawn in the brand Text color:
+ * its background color when it has one, otherwise the average color of the
+ * scene imagery under the text.
+ * 
+ * @param {Object} project - Project document
+ * @param {Object} media - Media cache used to draw the scenes
+ * @returns {Promise<Array<{sceneIndex: number, layerId: string, text: string,
+ *   backdrop: string|null, ratio: number|null, source: 'background'|'imagery'}>>}
+ *   One entry per overlay; backdrop and ratio are null when the imagery cannot be read
+ */
+export const getTextBackdrops = async (project, media) => {
+  const { branding } = project;
+  const overlays = project.scenes.flatMap((scene, sceneIndex) => (
+    scene.textLayers
+      .filter(layer => layer.color === 'textColor' && layer.text.trim())
+      .map(layer => ({ scene, sceneIndex, layer }))
+  ));
+  if (overlays.length === 0) return [];
+
+  await preloadMedia(project, media);
+  const { width, height } = fitSize(getFormatPreset(project.format.presetId), SAMPLE_SIZE);
+  const ctx = createCanvas(width, height).getContext('2d');
+  // Scenes are drawn without their text so only the imagery is measured
+  const imagery = {
+    ...project,
+    scenes: project.scenes.map(scene => ({ ...scene, textLayers: [] }))
+  };
+  const timings = getSceneTimings(project.scenes);
+
+  return overlays.map(({ scene, sceneIndex, layer }) => {
+    const entry = { sceneIndex, layerId: layer.id, text: layer.text };
+    const background = resolveBrandColor(layer.background, branding);
+    if (background) {
+      return { ...entry, backdrop: background, ratio: getContrastRatio(branding.textColor, background), source: 'background' };
+    }
+
+    const end = layer.end === null ? scene.duration : Math.min(layer.end, scene.duration);
+    renderFrame(ctx, { project: imagery, time: timings[sceneIndex].start + (layer.start + end) / 2, width, height, media });
+    const box = layoutTextLayer(ctx, layer, width, height);
+    let backdrop = null;
+    try {
+      const data = ctx.getImageData(
+        Math.max(0, Math.floor(box.x)),
+        Math.max(0, Math.floor(box.y)),
+        Math.max(1, Math.min(width, Math.ceil(box.blockWidth))),
+        Math.max(1, Math.min(height, Math.ceil(box.blockHeight)))
+      ).data;
+      backdrop = getAverageColor(data);
+    } catch (error) {
+      // Tainted by media from a host without CORS
+    }
+    return {
+      ...entry,
+      backdrop,
+      ratio: backdrop ? getContrastRatio(branding.textColor, backdrop) : null,
+      source: 'imagery'
+    };
+  });
+};
@@ -0,0 +1,358 @@
+/**
+ * Edit Command Parser
+ * 
+ * Turns chat messages such as "move scene 3 before scene 1" or "use Upbeat
+ * Pop at 30% volume" into typed edit commands. A message may contain several
+ * instructions ("make scene 2 six seconds and switch to vertical 9:16").
+ * 
+ * When an instruction is recognised but a reference is missing, out of range
+ * or ambiguous, a clarifying question is returned instead of a command.
+ * 
+ * Command shapes (scene indexes are zero-based):
+ * - { type: 'moveScene', sceneIndex, position: 'before'|'after'|'start'|'end', targetIndex? }
+ * - { type: 'setSceneDuration', sceneIndex, seconds }
+ * - { type: 'deleteScene', sceneIndex }
+ * - { type: 'duplicateScene', sceneIndex }
+ * - { type: 'addScene', index? } (index defaults to the end)
+ * - { type: 'setFormat', presetId }
+ * - { type: 'setMusic', trackId?, volume? } (trackId null removes music)
+ * - { type: 'setBrandColor', colorKey, value }
+ * - { type: 'addText', sceneIndex, text, position: 'top'|'middle'|'bottom' }
+ *
+ * Quoted text ("Shop now") keeps its original case and is never mistaken for
+ * an instruction.
+ */
+import { formatPresets, musicTracks, brandColorFields } from '../data/catalog';
+import { MIN_SCENE_SECONDS, MAX_SCENE_SECONDS } from '../state/projectModel';
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, sixty: 60
+};
+
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+const NUMBER_PATTERN = `(\\d+(?:\\.\\d+)?|${Object.keys(NUMBER_WORDS).join('|')})`;
+const ORDINAL_PATTERN = `(${Object.keys(ORDINAL_WORDS).join('|')}|last|\\d+(?:st|nd|rd|th))`;
+
+// Verbs that start a new instruction after "and"
+const INSTRUCTION_VERBS = 'move|make|set|change|switch|use|delete|remove|duplicate|copy|add|put|turn|lower|raise';
+
+// Stands in for quoted text while a message is split and matched
+const QUOTE_MARK = '\u0001';
+
+const toNumber = (word) => (word in NUMBER_WORDS ? NUMBER_WORDS[word] : Number(word));
+
+/**
+ * Split a message into individual instructions
+ * 
+ * @param {string} message - Chat message
+ * @returns {string[]} Lowercased clauses
+ */
+export const splitInstructions = (message) => message
+  .toLowerCase()
+  .split(new RegExp(`\\s*(?:;|\\.(?=\\s|$)|,?\\s+(?:and\\s+)?then\\s+|,?\\s+and\\s+(?=(?:${INSTRUCTION_VERBS})\\b))\\s*`))
+  .map(clause => clause.trim())
+  .filter(Boolean);
+
+/**
+ * Find every scene reference in a clause, in order of appearance
+ * 
+ * @param {string} clause - Lowercased instruction
+ * @param {number} sceneCount - Number of scenes in the project
+ * @returns {Array<{number: number, text: string, offset: number}>} One-based scene numbers
+ */
+const findSceneReferences = (clause, sceneCount) => {
+  const references = [];
+  const numbered = new RegExp(`\\bscene\\s+(?:#|number\\s+)?${NUMBER_PATTERN}\\b`, 'g');
+  const ordinal = new RegExp(`\\b(?:the\\s+)?${ORDINAL_PATTERN}\\s+scene\\b`, 'g');
+  let match;
+  while ((match = numbered.exec(clause))) {
+    references.push({ number: toNumber(match[1]), text: match[0], offset: match.index });
+  }
+  while ((match = ordinal.exec(clause))) {
+    const word = match[1];
+    const number = word === 'last'
+      ? sceneCount
+      : ORDINAL_WORDS[word] || parseInt(word, 10);
+    references.push({ number, text: match[0], offset: match.index });
+  }
+  return references.sort((a, b) => a.offset - b.offset);
+};
+
+/**
+ * Check that a scene reference exists, producing a clarifying question if not
+ */
+const resolveScene = (reference, sceneCount, missingQuestion) => {
+  if (!reference) return { clarification: missingQuestion };
+  const { number } = reference;
+  if (!Number.isInteger(number) || number < 1 || number > sceneCount) {
+    return {
+      clarification: `There is no scene ${number} — the video has ${sceneCount} ${sceneCount === 1 ? 'scene' : 'scenes'}. Which scene did you mean?`
+    };
+  }
+  return { index: number - 1 };
+};
+
+const parseMove = (clause, sceneCount) => {
+  if (!/\b(move|put|place)\b/.test(clause)) return null;
+  const refs = findSceneReferences(clause, sceneCount);
+  const source = resolveScene(refs[0], sceneCount, 'Which scene would you like to move? For example: "move scene 3 before scene 1".');
+  if (source.clarification) return source;
+
+  const relative = /\b(before|after|ahead of|behind)\b/.exec(clause);
+  if (relative) {
+    const target = resolveScene(refs[1], sceneCount, `Where should scene ${refs[0].number} go? Tell me which scene to put it ${relative[1]}.`);
+    if (target.clarification) return target;
+    const position = ['before', 'ahead of'].includes(relative[1]) ? 'before' : 'after';
+    return { command: { type: 'moveScene', sceneIndex: source.index, position, targetIndex: target.index } };
+  }
+  if (/\b(start|beginning|front|first)\b/.test(clause.replace(refs[0].text, ''))) {
+    return { command: { type: 'moveScene', sceneIndex: source.index, position: 'start' } };
+  }
+  if (/\b(end|last)\b/.test(clause.replace(refs[0].text, ''))) {
+    return { command: { type: 'moveScene', sceneIndex: source.index, position: 'end' } };
+  }
+  const positionRef = /\b(?:to|into)\s+(?:position|slot|place)\s+(\d+)\b/.exec(clause);
+  if (positionRef) {
+    const target = resolveScene({ number: Number(positionRef[1]) }, sceneCount);
+    if (target.clarification) return target;
+    return { command: { type: 'moveScene', sceneIndex: source.index, position: 'before', targetIndex: target.index } };
+  }
+  if (/\bup\b/.test(clause) || /\bdown\b/.test(clause)) {
+    const offset = /\bup\b/.test(clause) ? -1 : 1;
+    const target = source.index + offset;
+    if (target < 0 || target >= sceneCount) {
+      return { clarification: `Scene ${refs[0].number} is already the ${offset < 0 ? 'first' : 'last'} scene. Where should it go instead?` };
+    }
+    return {
+      command: { type: 'moveScene', sceneIndex: source.index, position: offset < 0 ? 'before' : 'after', targetIndex: target }
+    };
+  }
+  return { clarification: `Where should scene ${refs[0].number} go? For example: "move scene ${refs[0].number} before scene 1" or "to the end".` };
+};
+
+const parseDuration = (clause, sceneCount) => {
+  const seconds = new RegExp(`\\b${NUMBER_PATTERN}[\\s-]*(?:seconds?|secs?|s)\\b`).exec(clause);
+  if (!seconds) return null;
+  const refs = findSceneReferences(clause, sceneCount);
+  // Without a scene this is probably about the whole video, which is not a scene edit
+  if (refs.length === 0 && !/\b(it|this|that)\b/.test(clause)) return null;
+
+  const value = toNumber(seconds[1]);
+  const scene = resolveScene(refs[0], sceneCount, `Which scene should be ${value} seconds long?`);
+  if (scene.clarification) return scene;
+  if (!(value >= MIN_SCENE_SECONDS && value <= MAX_SCENE_SECONDS)) {
+    return { clarification: `Scenes can be between ${MIN_SCENE_SECONDS} and ${MAX_SCENE_SECONDS} seconds long. How long should scene ${refs[0].number} be?` };
+  }
+  return { command: { type: 'setSceneDuration', sceneIndex: scene.index, seconds: value } };
+};
+
+const parseSceneEdit = (clause, sceneCount) => {
+  if (/\b(add|insert|create)\b.*\b(new|blank|another|a)\s+scene\b/.test(clause)) {
+    const relative = /\b(before|after)\b/.exec(clause);
+    const refs = findSceneReferences(clause, sceneCount);
+    if (!relative) return { command: { type: 'addScene' } };
+    const target = resolveScene(refs[0], sceneCount, `Which scene should the new scene go ${relative[1]}?`);
+    if (target.clarification) return target;
+    return { command: { type: 'addScene', index: relative[1] === 'before' ? target.index : target.index + 1 } };
+  }
+  const verb = /\b(delete|remove|duplicate|copy|clone)\b/.exec(clause);
+  if (!verb || !/\bscene\b/.test(clause)) return null;
+  const type = ['delete', 'remove'].includes(verb[1]) ? 'deleteScene' : 'duplicateScene';
+  const refs = findSceneReferences(clause, sceneCount);
+  const scene = resolveScene(refs[0], sceneCount, `Which scene would you like to ${verb[1]}?`);
+  if (scene.clarification) return scene;
+  if (type === 'deleteScene' && sceneCount <= 1) {
+    return { clarification: 'The video needs at least one scene, so I can\'t delete the only one. Would you like to replace it instead?' };
+  }
+  return { command: { type, sceneIndex: scene.index } };
+};
+
+const parseFormat = (clause, presets) => {
+  const ratio = /\b(\d{1,2})\s*[:x/]\s*(\d{1,2})\b/.exec(clause);
+  if (ratio) {
+    const preset = presets.find(item => item.ratio === `${ratio[1]}:${ratio[2]}`);
+    if (preset) return { command: { type: 'setFormat', presetId: preset.id } };
+    if (/\b(format|aspect|ratio)\b/.test(clause)) {
+      return {
+        clarification: `${ratio[1]}:${ratio[2]} isn't one of the available formats. Choose one of: ${presets.map(item => item.name).join(', ')}.`
+      };
+    }
+  }
+  const keywords = [
+    ['vertical', 'f4'], ['square', 'f1'], ['portrait', 'f2'], ['widescreen', 'f5'], ['landscape', 'f3'], ['horizontal', 'f3']
+  ];
+  const keyword = keywords.find(([word]) => new RegExp(`\\b${word}\\b`).test(clause));
+  if (keyword && /\b(format|switch|make|change|use|convert|aspect|video|it)\b/.test(clause)) {
+    return { command: { type: 'setFormat', presetId: keyword[1] } };
+  }
+  return null;
+};
+
+/**
+ * Match track names mentioned in a clause
+ * 
+ * @returns {Array} Tracks sharing the most words with the clause
+ */
+const matchTracks = (clause, tracks) => {
+  const exact = tracks.filter(track => clause.includes(track.name.toLowerCase()));
+  if (exact.length > 0) return exact;
+
+  let best = [];
+  let bestScore = 0;
+  tracks.forEach(track => {
+    const words = `${track.name} ${track.category}`.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+    const score = words.filter(word => new RegExp(`\\b${word}\\b`).test(clause)).length;
+    if (score > bestScore) {
+      best = [track];
+      bestScore = score;
+    } else if (score === bestScore && score > 0) {
+      best.push(track);
+    }
+  });
+  return best;
+};
+
+const parseMusic = (clause, tracks) => {
+  const isMusic = /\b(music|track|song|soundtrack)\b/.test(clause);
+  const volumeMatch = /\b(\d{1,3})\s*%/.exec(clause);
+  const mentionsVolume = /\bvolume\b/.test(clause);
+
+  if (isMusic && /\b(no|remove|without|mute|turn off)\b/.test(clause) && !volumeMatch) {
+    return { command: { type: 'setMusic', trackId: null } };
+  }
+
+  const matches = matchTracks(clause, tracks);
+  if (!isMusic && matches.length === 0 && !(mentionsVolume && volumeMatch)) return null;
+  if (!isMusic && matches.length === 0) {
+    // A bare "volume 30%" is taken to mean the music volume
+    return { command: { type: 'setMusic', volume: Math.min(100, Number(volumeMatch[1])) } };
+  }
+  if (!isMusic && !/\b(use|play|switch|change|set)\b/.test(clause)) return null;
+
+  const command = { type: 'setMusic' };
+  if (volumeMatch) {
+    const volume = Number(volumeMatch[1]);
+    if (volume > 100) {
+      return { clarification: 'Music volume goes from 0% to 100%. What volume would you like?' };
+    }
+    command.volume = volume;
+  }
+
+  if (matches.length > 1) {
+    return {
+      clarification: `Which track did you mean: ${matches.map(track => `"${track.name}"`).join(' or ')}?`
+    };
+  }
+  if (matches.length === 1) {
+    command.trackId = matches[0].id;
+  } else if (command.volume === undefined) {
+    return {
+      clarification: `Which track would you like? Available tracks: ${tracks.map(track => track.name).join(', ')}.`
+    };
+  }
+  return { command };
+};
+
+/**
+ * Replace quoted text with numbered placeholders
+ * 
+ * @param {string} message - Chat message
+ * @returns {{message: string, quotes: string[]}} Message with placeholders and the quoted texts
+ */
+const extractQuotes = (message) => {
+  const quotes = [];
+  const replace = (prefix, text) => {
+    quotes.push(text.trim());
+    return `${prefix}${QUOTE_MARK}${quotes.length - 1}${QUOTE_MARK}`;
+  };
+  const replaced = message
+    .replace(/"([^"]+)"|\u201c([^\u201d]+)\u201d|\u2018([^\u2019]+)\u2019/g, (match, straight, curly, single) =>
+      replace('', straight || curly || single))
+    // Single quotes only count around whole words, so apostrophes are left alone
+    .replace(/(^|\s)'([^']+)'(?=[\s.,;!?]|$)/g, (match, prefix, text) => replace(prefix, text));
+  return { message: replaced, quotes };
+};
+
+const parseText = (clause, sceneCount, quotes) => {
+  if (!/\b(add|put|place|show|write|display)\b/.test(clause)) return null;
+  if (/\b(new|blank|another)\s+scene\b/.test(clause)) return null;
+  const quoted = new RegExp(`${QUOTE_MARK}(\\d+)${QUOTE_MARK}`).exec(clause);
+  if (!quoted) {
+    if (!/\b(text|title|headline|caption|callout|cta|label)\b/.test(clause)) return null;
+    return { clarification: 'What should the text say? Put it in quotes, for example: add "Shop now" at the bottom of scene 3.' };
+  }
+
+  const text = quotes[Number(quoted[1])];
+  const refs = findSceneReferences(clause, sceneCount);
+  const scene = resolveScene(refs[0], sceneCount, `Which scene should show "${text}"?`);
+  if (scene.clarification) return scene;
+  const position = /\b(top|upper)\b/.test(clause) ? 'top'
+    : /\b(middle|center|centre)\b/.test(clause) ? 'middle'
+      : 'bottom';
+  return { command: { type: 'addText', sceneIndex: scene.index, text, position } };
+};
+
+const parseColor = (clause, colorFields) => {
+  const hex = /#([0-9a-f]{6}|[0-9a-f]{3})\b/.exec(clause);
+  const mentionsColor = /\bcolou?r\b/.test(clause);
+  if (!hex && !mentionsColor) return null;
+  const field = colorFields.find(item => new RegExp(`\\b${item.name.toLowerCase()}\\b`).test(clause));
+
+  if (!hex) {
+    if (!field) return null;
+    return { clarification: `What should the ${field.name.toLowerCase()} color be? Please give a hex code such as #112233.` };
+  }
+  if (!field) {
+    return {
+      clarification: `Which color should be ${hex[0]}: ${colorFields.map(item => item.name.toLowerCase()).join(', ')}?`
+    };
+  }
+  return { command: { type: 'setBrandColor', colorKey: field.key, value: hex[0] } };
+};
+
+/**
+ * Parse a chat message into edit commands
+ * 
+ * @param {string} message - Chat message
+ * @param {Object} context - Project context
+ * @param {number} context.sceneCount - Number of scenes in the project
+ * @param {Array} [context.tracks] - Music tracks that can be chosen
+ * @param {Array} [context.presets] - Format presets that can be chosen
+ * @returns {{commands: Array, clarifications: string[], unrecognized: string[]}} Parse result
+ */
+export const parseEditRequest = (message, { sceneCount, tracks = musicTracks, presets = formatPresets }) => {
+  const result = { commands: [], clarifications: [], unrecognized: [] };
+  // Scene counts change as earlier commands in the same message are applied
+  let scenes = sceneCount;
+  const { message: unquoted, quotes } = extractQuotes(message);
+  const restoreQuotes = (clause) =>
+    clause.replace(new RegExp(`${QUOTE_MARK}(\\d+)${QUOTE_MARK}`, 'g'), (match, index) => `"${quotes[index]}"`);
+
+  splitInstructions(unquoted).forEach(clause => {
+    const parsed =
+      parseText(clause, scenes, quotes) ||
+      parseMove(clause, scenes) ||
+      parseSceneEdit(clause, scenes) ||
+      parseDuration(clause, scenes) ||
+      parseFormat(clause, presets) ||
+      parseColor(clause, brandColorFields) ||
+      parseMusic(clause, tracks);
+
+    if (!parsed) {
+      result.unrecognized.push(restoreQuotes(clause));
+    } else if (parsed.clarification) {
+      result.clarifications.push(parsed.clarification);
+    } else {
+      result.commands.push(parsed.command);
+      if (parsed.command.type === 'addScene' || parsed.command.type === 'duplicateScene') scenes += 1;
+      if (parsed.command.type === 'deleteScene') scenes -= 1;
+    }
+  });
+
+  return result;
+};
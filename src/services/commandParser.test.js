@@ -0,0 +1,76 @@
+import { parseEditRequest, splitInstructions } from './commandParser';
+
+const parse = (message, context = {}) => parseEditRequest(message, { sceneCount: 3, ...context });
+
+describe('parseEditRequest', () => {
+  test.each([
+    ['move scene 3 before scene 1', { type: 'moveScene', sceneIndex: 2, position: 'before', targetIndex: 0 }],
+    ['move the second scene after scene 3', { type: 'moveScene', sceneIndex: 1, position: 'after', targetIndex: 2 }],
+    ['move scene 2 to the end', { type: 'moveScene', sceneIndex: 1, position: 'end' }],
+    ['make scene 2 six seconds', { type: 'setSceneDuration', sceneIndex: 1, seconds: 6 }],
+    ['make the last scene 2.5s', { type: 'setSceneDuration', sceneIndex: 2, seconds: 2.5 }],
+    ['switch to vertical 9:16', { type: 'setFormat', presetId: 'f4' }],
+    ['make it square', { type: 'setFormat', presetId: 'f1' }],
+    ['use Upbeat Pop at 30% volume', { type: 'setMusic', trackId: 'm2', volume: 30 }],
+    ['remove the music', { type: 'setMusic', trackId: null }],
+    ['change the primary color to #112233', { type: 'setBrandColor', colorKey: 'primaryColor', value: '#112233' }],
+    ['delete scene 1', { type: 'deleteScene', sceneIndex: 0 }],
+    ['duplicate the second scene', { type: 'duplicateScene', sceneIndex: 1 }],
+    ['add a new scene after scene 2', { type: 'addScene', index: 2 }],
+    ['add a blank scene', { type: 'addScene' }],
+    ['add "Shop NOW" at the top of scene 3', { type: 'addText', sceneIndex: 2, text: 'Shop NOW', position: 'top' }],
+  ])('%s', (message, command) => {
+    expect(parse(message)).toEqual({ commands: [command], clarifications: [], unrecognized: [] });
+  });
+
+  test('reads several instructions from one message', () => {
+    expect(parse('make scene 2 six seconds and switch to vertical 9:16').commands).toEqual([
+      { type: 'setSceneDuration', sceneIndex: 1, seconds: 6 },
+      { type: 'setFormat', presetId: 'f4' }
+    ]);
+  });
+
+  test('counts scenes added earlier in the same message', () => {
+    expect(parse('add a new scene and then delete scene 4').commands).toEqual([
+      { type: 'addScene' },
+      { type: 'deleteScene', sceneIndex: 3 }
+    ]);
+  });
+
+  test.each([
+    ['move scene 5 before scene 1', {}, 'There is no scene 5 — the video has 3 scenes. Which scene did you mean?'],
+    ['move scene 2', {}, 'Where should scene 2 go? For example: "move scene 2 before scene 1" or "to the end".'],
+    ['make it 6 seconds', {}, 'Which scene should be 6 seconds long?'],
+    ['make scene 1 90 seconds', {}, 'Scenes can be between 1 and 60 seconds long. How long should scene 1 be?'],
+    ['switch to 3:2 format', {}, '3:2 isn\'t one of the available formats. Choose one of: Square 1:1, Portrait 4:5, Landscape 16:9, Vertical 9:16, Widescreen 21:9.'],
+    ['change the color to #112233', {}, 'Which color should be #112233: primary, secondary, text?'],
+    ['set the music volume to 150%', {}, 'Music volume goes from 0% to 100%. What volume would you like?'],
+    ['add a headline to scene 1', {}, 'What should the text say? Put it in quotes, for example: add "Shop now" at the bottom of scene 3.'],
+    ['delete scene 1', { sceneCount: 1 }, 'The video needs at least one scene, so I can\'t delete the only one. Would you like to replace it instead?'],
+    [
+      'use the piano music',
+      { tracks: [{ id: 'a', name: 'Calm Piano', category: 'Ambient' }, { id: 'b', name: 'Piano Dreams', category: 'Ambient' }] },
+      'Which track did you mean: "Calm Piano" or "Piano Dreams"?'
+    ],
+  ])('asks about "%s"', (message, context, clarification) => {
+    expect(parse(message, context)).toEqual({ commands: [], clarifications: [clarification], unrecognized: [] });
+  });
+
+  test('reports instructions it does not understand with their quotes restored', () => {
+    expect(parse('hello there; say "Hi"')).toEqual({
+      commands: [],
+      clarifications: [],
+      unrecognized: ['hello there', 'say "Hi"']
+    });
+  });
+});
+
+describe('splitInstructions', () => {
+  test.each([
+    ['Move scene 1 to the end. Delete scene 2', ['move scene 1 to the end', 'delete scene 2']],
+    ['make scene 1 longer, then switch to square', ['make scene 1 longer', 'switch to square']],
+    ['use calm and relaxing music', ['use calm and relaxing music']],
+  ])('%s', (message, clauses) => {
+    expect(splitInstructions(message)).toEqual(clauses);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Media Files
+ * 
+ * Uploaded images and videos are kept out of the project document so that
+ * autosaves and undo steps stay small. Their files live in browser storage;
+ * library items, scene media and media layers showing an upload carry its
+ * `fileId` next to a `src` object URL that lasts as long as the page.
+ * 
+ * Projects and brand kits read back from storage or from a file get fresh
+ * object URLs through `restoreMediaFiles`. Project files written for
+ * download get the files copied in as data URLs through `embedMediaFiles`,
+ * and opening such a file moves them back into storage.
+ */
+import { saveMediaFile, loadMediaFile } from './projectStorage';
+import { MediaUploadError } from './mediaUpload';
+import { blobToDataUrl } from './playback/audioClips';
+
+// Object URLs of the files used in this page, by file id
+const objectUrls = new Map();
+
+const fetchBlob = async (src) => (await fetch(src)).blob();
+
+/**
+ * Store the file of an uploaded item and reference it from the item
+ * 
+ * @param {Object} item - Item from readMediaFile, whose src is an object URL of `file`
+ * @param {Blob} file - Uploaded file
+ * @returns {Promise<Object>} Item with a fileId
+ * @throws {MediaUploadError} When browser storage refuses the file
+ */
+export const storeMediaFile = async (item, file) => {
+  try {
+    await saveMediaFile(item.id, file);
+  } catch (error) {
+    URL.revokeObjectURL(item.src);
+    throw new MediaUploadError('The file could not be stored in this browser. Free up some space and try again.');
+  }
+  objectUrls.set(item.id, Promise.resolve(item.src));
+  return { ...item, fileId: item.id };
+};
+
+// Object URL for a stored file, or null when the file is missing
+const getObjectUrl = (fileId, src) => {
+  if (!objectUrls.has(fileId)) {
+    const loading = (async () => {
+      let blob;
+      if (src.startsWith('data:')) {
+        // Embedded by a downloaded project file
+        blob = await fetchBlob(src);
+        await saveMediaFile(fileId, blob);
+      } else {
+        blob = await loadMediaFile(fileId);
+      }
+      return blob ? URL.createObjectURL(blob) : null;
+    })();
+    objectUrls.set(fileId, loading);
+    loading.then(url => {
+      if (!url) objectUrls.delete(fileId);
+    }, () => objectUrls.delete(fileId));
+  }
+  return objectUrls.get(fileId);
+};
+
+// Missing or unreadable files keep their old src, which shows as broken media
+const restoreEntry = async (entry) => {
+  if (!entry || !entry.fileId) return entry;
+  try {
+    const src = await getObjectUrl(entry.fileId, entry.src);
+    return src ? { ...entry, src } : entry;
+  } catch (error) {
+    return entry;
+  }
+};
+
+const embedEntry = async (entry) => {
+  if (!entry || !entry.fileId || !entry.src.startsWith('blob:')) return entry;
+  return { ...entry, src: await blobToDataUrl(await fetchBlob(entry.src)) };
+};
+
+// Apply `update` to every part of a project that can show an upload
+const mapMediaEntries = async (project, update) => ({
+  ...project,
+  mediaLibrary: await Promise.all(project.mediaLibrary.map(update)),
+  scenes: await Promise.all(project.scenes.map(async scene => ({
+    ...scene,
+    media: await update(scene.media),
+    mediaLayers: await Promise.all(scene.mediaLayers.map(update))
+  })))
+});
+
+/**
+ * Point the uploads of a project read from storage or a file at their
+ * stored files
+ * 
+ * @param {Object} project - Project document
+ * @returns {Promise<Object>} Project whose uploads have working sources
+ */
+export const restoreMediaFiles = (project) => mapMediaEntries(project, restoreEntry);
+
+/**
+ * Point the assets of a stored brand kit at their stored files
+ * 
+ * @param {Object} kit - Brand kit
+ * @returns {Promise<Object>} Kit whose assets have working sources
+ */
+export const restoreBrandKitFiles = async (kit) => ({
+  ...kit,
+  assets: await Promise.all(kit.assets.map(restoreEntry))
+});
+
+/**
+ * Copy the files of a project's uploads into it, for writing a project file
+ * that can be opened in another browser
+ * 
+ * @param {Object} project - Project document
+ * @returns {Promise<Object>} Project whose uploads have data URL sources
+ */
+export const embedMediaFiles = (project) => mapMediaEntries(project, embedEntry);
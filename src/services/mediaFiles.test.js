@@ -0,0 +1,141 @@
+import { embedMediaFiles, restoreBrandKitFiles, restoreMediaFiles, storeMediaFile } from './mediaFiles';
+import { saveMediaFile, loadMediaFile } from './projectStorage';
+import { MediaUploadError } from './mediaUpload';
+import { createDefaultProject, createMediaLayer } from '../state/projectModel';
+
+jest.mock('./projectStorage', () => ({
+  saveMediaFile: jest.fn(),
+  loadMediaFile: jest.fn()
+}));
+
+// Stand-ins for browser storage and the URLs the page can fetch
+let storedFiles;
+let urlContents;
+let urlCount;
+
+beforeEach(() => {
+  storedFiles = new Map();
+  urlContents = new Map();
+  urlCount = 0;
+  saveMediaFile.mockImplementation(async (fileId, blob) => {
+    storedFiles.set(fileId, blob);
+  });
+  loadMediaFile.mockImplementation(async (fileId) => storedFiles.get(fileId) || null);
+  global.fetch = jest.fn(async (src) => ({
+    blob: async () => (src.startsWith('data:') ? new Blob([atob(src.split(',')[1])]) : urlContents.get(src))
+  }));
+  URL.createObjectURL = jest.fn(blob => {
+    urlCount += 1;
+    const url = `blob:test/${urlCount}`;
+    urlContents.set(url, blob);
+    return url;
+  });
+  URL.revokeObjectURL = jest.fn();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const uploadItem = (id, text) => {
+  const file = new Blob([text], { type: 'image/png' });
+  return { item: { id, name: `${id}.png`, type: 'image', src: URL.createObjectURL(file), thumbnail: 'data:image/jpeg;base64,AA==' }, file };
+};
+
+// A project showing one upload as library item, scene media and media layer
+const projectShowing = (item) => {
+  const project = createDefaultProject();
+  const media = { type: item.type, src: item.src, fileId: item.fileId };
+  return {
+    ...project,
+    mediaLibrary: [item],
+    scenes: project.scenes.map((scene, index) => (index === 0
+      ? { ...scene, media, mediaLayers: [createMediaLayer(media)] }
+      : scene))
+  };
+};
+
+const sourcesOf = (project) => [
+  project.mediaLibrary[0].src,
+  project.scenes[0].media.src,
+  project.scenes[0].mediaLayers[0].src
+];
+
+describe('storeMediaFile', () => {
+  test('keeps the file in storage and references it from the item', async () => {
+    const { item, file } = uploadItem('media-store', 'pixels');
+    const stored = await storeMediaFile(item, file);
+
+    expect(stored).toEqual({ ...item, fileId: 'media-store' });
+    expect(storedFiles.get('media-store')).toBe(file);
+  });
+
+  test('reports files that storage refuses', async () => {
+    saveMediaFile.mockRejectedValueOnce(new Error('QuotaExceededError'));
+    const { item, file } = uploadItem('media-refused', 'pixels');
+
+    await expect(storeMediaFile(item, file)).rejects.toBeInstanceOf(MediaUploadError);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith(item.src);
+  });
+});
+
+describe('restoreMediaFiles', () => {
+  test('keeps the sources of files uploaded in this page', async () => {
+    const { item, file } = uploadItem('media-page', 'pixels');
+    const project = projectShowing(await storeMediaFile(item, file));
+
+    expect(sourcesOf(await restoreMediaFiles(project))).toEqual([item.src, item.src, item.src]);
+    expect(loadMediaFile).not.toHaveBeenCalled();
+  });
+
+  test('gives stored files a new object URL, once per file', async () => {
+    storedFiles.set('media-stored', new Blob(['pixels']));
+    const project = projectShowing({ id: 'media-stored', type: 'image', src: 'blob:old/1', thumbnail: '', fileId: 'media-stored' });
+
+    const restored = await restoreMediaFiles(project);
+
+    expect(sourcesOf(restored)).toEqual(['blob:test/1', 'blob:test/1', 'blob:test/1']);
+    expect(URL.createObjectURL).toHaveBeenCalledTimes(1);
+    expect(restored.scenes[1]).toEqual(project.scenes[1]);
+  });
+
+  test('leaves media whose file is missing alone', async () => {
+    const project = projectShowing({ id: 'media-missing', type: 'image', src: 'blob:old/2', thumbnail: '', fileId: 'media-missing' });
+    expect(sourcesOf(await restoreMediaFiles(project))).toEqual(['blob:old/2', 'blob:old/2', 'blob:old/2']);
+  });
+
+  test('moves files embedded in a project file into storage', async () => {
+    const project = projectShowing({ id: 'media-embedded', type: 'image', src: `data:image/png;base64,${btoa('pixels')}`, thumbnail: '', fileId: 'media-embedded' });
+
+    expect(sourcesOf(await restoreMediaFiles(project))).toEqual(['blob:test/1', 'blob:test/1', 'blob:test/1']);
+    const blob = storedFiles.get('media-embedded');
+    expect(blob.size).toBe('pixels'.length);
+    expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+  });
+});
+
+describe('restoreBrandKitFiles', () => {
+  test('gives stored kit assets a new object URL', async () => {
+    storedFiles.set('media-kit', new Blob(['logo']));
+    const kit = { id: 'kit-1', assets: [{ id: 'media-kit', type: 'image', src: 'blob:old/3', fileId: 'media-kit' }, { id: 'media-old', type: 'image', src: 'data:image/png;base64,AA==' }] };
+
+    const restored = await restoreBrandKitFiles(kit);
+
+    expect(restored.assets.map(asset => asset.src)).toEqual(['blob:test/1', 'data:image/png;base64,AA==']);
+  });
+});
+
+describe('embedMediaFiles', () => {
+  test('copies uploads into the project as data URLs', async () => {
+    const { item, file } = uploadItem('media-embed', 'pixels');
+    const project = projectShowing(await storeMediaFile(item, file));
+
+    const embedded = await embedMediaFiles(project);
+
+    const dataUrl = `data:image/png;base64,${btoa('pixels')}`;
+    expect(sourcesOf(embedded)).toEqual([dataUrl, dataUrl, dataUrl]);
+    expect(embedded.mediaLibrary[0].fileId).toBe('media-embed');
+    expect(embedded.scenes[1]).toEqual(project.scenes[1]);
+    expect(sourcesOf(project)).toEqual([item.src, item.src, item.src]);
+  });
+});
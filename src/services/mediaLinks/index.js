@@ -0,0 +1,179 @@
+/**
+ * Media Links
+ * 
+ * Recognizes links pasted into the media panel and turns them into media
+ * library items. A link is either a direct image or video file, or a page on
+ * a supported video site:
+ * 
+ *   { kind: 'image'|'video', url, fileName }
+ *   { kind: 'youtube'|'vimeo', url, videoId }
+ * 
+ * Titles, thumbnails and durations come from a pluggable lookup:
+ * 
+ *   lookup.resolve(link, { signal }) => Promise<{ title, thumbnail, width, height, duration }>
+ * 
+ * `width`, `height` and `duration` may be null when the lookup cannot tell.
+ * `resolve` rejects with a MediaLinkError when the media is unavailable, and
+ * with an AbortError when `signal` is aborted.
+ */
+import { createId } from '../../state/projectModel';
+import { getOrientation } from '../mediaUpload';
+import localLookup from './localLookup';
+import { createOEmbedLookup } from './oembedLookup';
+
+export { localLookup, createOEmbedLookup };
+
+// Display names of the supported video sites
+export const VIDEO_SITES = {
+  youtube: 'YouTube',
+  vimeo: 'Vimeo'
+};
+
+// File extensions recognized as direct media links
+const FILE_EXTENSIONS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+  video: ['mp4', 'm4v', 'mov', 'webm']
+};
+
+const YOUTUBE_HOSTS = ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtu.be'];
+const VIMEO_HOSTS = ['vimeo.com', 'www.vimeo.com', 'player.vimeo.com'];
+
+/**
+ * Error raised when a link cannot be imported; the message is shown next to
+ * the link field
+ */
+export class MediaLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MediaLinkError';
+  }
+}
+
+const getYouTubeId = (url) => {
+  const [first, second] = url.pathname.split('/').filter(Boolean);
+  let id = null;
+  if (url.hostname === 'youtu.be') id = first;
+  else if (first === 'watch') id = url.searchParams.get('v');
+  else if (['shorts', 'embed', 'live', 'v'].includes(first)) id = second;
+  return /^[\w-]{11}$/.test(id || '') ? id : null;
+};
+
+// File names keep their escapes when they are not valid percent-encoding
+const decodeFileName = (name) => {
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    return name;
+  }
+};
+
+// Vimeo video ids are the last numeric part of the path, which also covers
+// channel, group and player links
+const getVimeoId = (url) => (
+  url.pathname.split('/').filter(segment => /^\d+$/.test(segment)).pop() || null
+);
+
+/**
+ * Work out what a pasted link points to
+ * 
+ * @param {string} input - Text entered in the link field
+ * @returns {Object} Link description (see above)
+ * @throws {MediaLinkError} When the text is not a link the editor can import
+ */
+export const classifyMediaUrl = (input) => {
+  const text = String(input || '').trim();
+  if (!text) {
+    throw new MediaLinkError('Paste a link to an image or video file, or a YouTube or Vimeo video.');
+  }
+  let url;
+  try {
+    // Links copied without a scheme, e.g. "youtu.be/…", are treated as https
+    url = new URL(/^[a-z][a-z\d+.-]*:/i.test(text) ? text : `https://${text}`);
+  } catch (error) {
+    throw new MediaLinkError('That doesn\'t look like a web address.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new MediaLinkError('Only http and https links can be imported.');
+  }
+  if (!url.hostname.includes('.')) {
+    throw new MediaLinkError('That doesn\'t look like a web address.');
+  }
+
+  const host = url.hostname.toLowerCase();
+  if (YOUTUBE_HOSTS.includes(host)) {
+    const videoId = getYouTubeId(url);
+    if (!videoId) throw new MediaLinkError('This YouTube link doesn\'t point to a video.');
+    return { kind: 'youtube', url: `https://www.youtube.com/watch?v=${videoId}`, videoId };
+  }
+  if (VIMEO_HOSTS.includes(host)) {
+    const videoId = getVimeoId(url);
+    if (!videoId) throw new MediaLinkError('This Vimeo link doesn\'t point to a video.');
+    return { kind: 'vimeo', url: `https://vimeo.com/${videoId}`, videoId };
+  }
+
+  const fileName = decodeFileName(url.pathname.split('/').pop() || '');
+  const extension = (/\.([^.]+)$/.exec(fileName) || [])[1]?.toLowerCase();
+  const kind = Object.keys(FILE_EXTENSIONS).find(type => FILE_EXTENSIONS[type].includes(extension));
+  if (!kind) {
+    throw new MediaLinkError(
+      `Links to ${host} pages aren't supported. Use a direct link to an image or video file, or a YouTube or Vimeo video.`
+    );
+  }
+  return { kind, url: url.href, fileName };
+};
+
+/**
+ * Create the lookup configured for this build. Setting REACT_APP_OEMBED_URL
+ * sends oEmbed requests through that endpoint (for example a proxy adding
+ * CORS headers); otherwise each site's own oEmbed endpoint is used.
+ * 
+ * @param {Object} [config] - Overrides for the environment configuration
+ * @param {string} [config.endpoint] - oEmbed endpoint taking `url` and `format` parameters
+ * @returns {Object} Media lookup
+ */
+export const createMediaLookup = ({ endpoint = process.env.REACT_APP_OEMBED_URL } = {}) => (
+  typeof fetch === 'function' ? createOEmbedLookup({ endpoint }) : localLookup
+);
+
+/**
+ * Turn a resolved link into a media library item. Pages on video sites cannot
+ * be drawn into the video, so they are imported as a still of their thumbnail
+ * that keeps the page address and duration.
+ * 
+ * @param {Object} link - Link description from classifyMediaUrl
+ * @param {Object} details - Details from the lookup
+ * @returns {Object} Media library item
+ */
+export const toMediaItem = (link, details) => {
+  const isFile = link.kind === 'image' || link.kind === 'video';
+  const { width = null, height = null, duration = null } = details;
+  return {
+    id: createId('media'),
+    name: details.title,
+    type: isFile ? link.kind : 'image',
+    src: isFile ? link.url : details.thumbnail,
+    thumbnail: details.thumbnail,
+    width,
+    height,
+    duration,
+    orientation: width && height ? getOrientation(width, height) : null,
+    source: 'link',
+    url: link.url,
+    ...(!isFile && { site: link.kind })
+  };
+};
+
+/**
+ * Classify, look up and convert a pasted link in one step
+ * 
+ * @param {Object} lookup - Media lookup
+ * @param {string} input - Text entered in the link field
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} Media library item
+ * @throws {MediaLinkError} When the link is invalid or its media unavailable
+ */
+export const importMediaLink = async (lookup, input, options = {}) => {
+  const link = classifyMediaUrl(input);
+  const details = await lookup.resolve(link, options);
+  return toMediaItem(link, details);
+};
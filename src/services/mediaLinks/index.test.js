@@ -0,0 +1,57 @@
+import { classifyMediaUrl, importMediaLink, localLookup, MediaLinkError } from './index';
+
+describe('classifyMediaUrl', () => {
+  test.each([
+    ['https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10', { kind: 'youtube', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', videoId: 'dQw4w9WgXcQ' }],
+    ['youtu.be/dQw4w9WgXcQ', { kind: 'youtube', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', videoId: 'dQw4w9WgXcQ' }],
+    ['https://youtube.com/shorts/dQw4w9WgXcQ', { kind: 'youtube', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', videoId: 'dQw4w9WgXcQ' }],
+    ['https://player.vimeo.com/video/76979871', { kind: 'vimeo', url: 'https://vimeo.com/76979871', videoId: '76979871' }],
+    ['https://example.com/media/Beach%20Day.JPG?size=large', { kind: 'image', url: 'https://example.com/media/Beach%20Day.JPG?size=large', fileName: 'Beach Day.JPG' }],
+    ['http://example.com/clip.webm', { kind: 'video', url: 'http://example.com/clip.webm', fileName: 'clip.webm' }],
+  ])('%s', (input, link) => {
+    expect(classifyMediaUrl(input)).toEqual(link);
+  });
+
+  test.each([
+    ['', 'Paste a link to an image or video file, or a YouTube or Vimeo video.'],
+    ['not a link', 'That doesn\'t look like a web address.'],
+    ['ftp://example.com/clip.mp4', 'Only http and https links can be imported.'],
+    ['https://www.youtube.com/feed/trending', 'This YouTube link doesn\'t point to a video.'],
+    ['https://vimeo.com/channels/staffpicks', 'This Vimeo link doesn\'t point to a video.'],
+    ['https://example.com/about', 'Links to example.com pages aren\'t supported. Use a direct link to an image or video file, or a YouTube or Vimeo video.'],
+  ])('rejects %p', (input, message) => {
+    expect(() => classifyMediaUrl(input)).toThrow(new MediaLinkError(message));
+  });
+});
+
+describe('importMediaLink with the local lookup', () => {
+  test.each([
+    [
+      'https://youtu.be/dQw4w9WgXcQ',
+      { name: 'YouTube video dQw4w9WgXcQ', type: 'image', src: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg', site: 'youtube' }
+    ],
+    [
+      'https://example.com/photos/team.png',
+      { name: 'team', type: 'image', src: 'https://example.com/photos/team.png', thumbnail: 'https://example.com/photos/team.png' }
+    ],
+    ['https://example.com/clip.mp4', { name: 'clip', type: 'video', src: 'https://example.com/clip.mp4' }],
+  ])('imports %s', async (input, fields) => {
+    const item = await importMediaLink(localLookup, input);
+    expect(item).toMatchObject({ ...fields, width: null, height: null, duration: null, source: 'link' });
+    expect(item.id).toEqual(expect.any(String));
+  });
+
+  test('escapes file names in placeholder thumbnails', async () => {
+    const item = await importMediaLink(localLookup, 'https://example.com/%3Cb%3E%26%22x%22.mp4');
+    const svg = decodeURIComponent(item.thumbnail.split(',')[1]);
+    expect(item.name).toBe('<b>&"x"');
+    expect(svg).toContain('>&lt;b&gt;&amp;&quot;x&quot;.mp4</text>');
+  });
+
+  test('stops when the lookup is cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(importMediaLink(localLookup, 'https://example.com/clip.mp4', { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
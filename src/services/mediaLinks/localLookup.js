@@ -0,0 +1,72 @@
+/**
+ * Local media lookup.
+ * 
+ * Describes links from their address alone, without any network request, so
+ * imports work offline and give the same result every time. Titles come from
+ * the file name or video id; video sites get their standard thumbnail address
+ * (YouTube) or a placeholder. Dimensions and durations are left unknown.
+ */
+
+const PLACEHOLDER_COLORS = {
+  video: '#2c3e50',
+  vimeo: '#1ab7ea',
+  youtube: '#c4302b'
+};
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+// Labels come from file names in links, so they are escaped for the SVG markup
+const escapeXml = (text) => text.replace(/[&<>"]/g, character => XML_ESCAPES[character]);
+
+// Thumbnail used when the real one is unknown: a colored tile with a label
+const createPlaceholder = (kind, label) => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="320" height="180" viewBox="0 0 320 180">' +
+    `<rect width="320" height="180" fill="${PLACEHOLDER_COLORS[kind]}"/>` +
+    '<path d="M145 70 L145 110 L180 90 Z" fill="#fff" fill-opacity="0.8"/>' +
+    `<text x="160" y="150" text-anchor="middle" font-family="sans-serif" font-size="16" fill="#fff">${escapeXml(label)}</text></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+/**
+ * Details of a link that can be worked out from its address
+ * 
+ * @param {Object} link - Link description from classifyMediaUrl
+ * @returns {{title: string, thumbnail: string, width: null, height: null, duration: null}} Details
+ */
+export const describeLink = (link) => {
+  const unknown = { width: null, height: null, duration: null };
+  switch (link.kind) {
+    case 'youtube':
+      return {
+        ...unknown,
+        title: `YouTube video ${link.videoId}`,
+        thumbnail: `https://i.ytimg.com/vi/${link.videoId}/hqdefault.jpg`
+      };
+    case 'vimeo':
+      return { ...unknown, title: `Vimeo video ${link.videoId}`, thumbnail: createPlaceholder('vimeo', 'Vimeo') };
+    default: {
+      const title = link.fileName.replace(/\.[^.]+$/, '') || link.fileName;
+      return {
+        ...unknown,
+        title,
+        thumbnail: link.kind === 'image' ? link.url : createPlaceholder('video', link.fileName)
+      };
+    }
+  }
+};
+
+const localLookup = {
+  id: 'local',
+  name: 'Local lookup',
+
+  async resolve(link, { signal } = {}) {
+    if (signal?.aborted) {
+      const error = new Error('The lookup was cancelled.');
+      error.name = 'AbortError';
+      throw error;
+    }
+    return describeLink(link);
+  }
+};
+
+export default localLookup;
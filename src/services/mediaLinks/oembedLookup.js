@@ -0,0 +1,124 @@
+/**
+ * oEmbed media lookup.
+ * 
+ * Asks video sites for a page's title, thumbnail, size and duration through
+ * oEmbed (`GET endpoint?url=<page>&format=json`), and opens direct file links
+ * in a media element to measure them. When a site cannot be reached, for
+ * instance because it refuses cross-origin requests, the details fall back to
+ * what the local lookup can tell from the address.
+ */
+import { MediaLinkError } from './index';
+import { describeLink } from './localLookup';
+
+// oEmbed endpoints of the supported video sites
+const SITE_ENDPOINTS = {
+  youtube: 'https://www.youtube.com/oembed',
+  vimeo: 'https://vimeo.com/api/oembed.json'
+};
+
+// Time allowed for a direct file to report its size before it counts as unreachable
+const PROBE_TIMEOUT_MS = 15000;
+
+const abortError = () => {
+  const error = new Error('The lookup was cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+const positiveOrNull = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Open a direct file link in an image or video element and read its size
+ * (and length, for clips)
+ */
+const probeFile = (link, signal) => new Promise((resolve, reject) => {
+  const element = link.kind === 'video' ? document.createElement('video') : new Image();
+  const eventName = link.kind === 'video' ? 'loadedmetadata' : 'load';
+  let timer = null;
+  const cleanUp = () => {
+    clearTimeout(timer);
+    element.removeEventListener(eventName, onLoad);
+    element.removeEventListener('error', onError);
+    signal?.removeEventListener('abort', onAbort);
+    if (link.kind === 'video') {
+      element.removeAttribute('src');
+      element.load();
+    }
+  };
+  const onLoad = () => {
+    const details = link.kind === 'video'
+      ? { width: element.videoWidth, height: element.videoHeight, duration: positiveOrNull(element.duration) }
+      : { width: element.naturalWidth, height: element.naturalHeight, duration: null };
+    cleanUp();
+    resolve(details);
+  };
+  const onError = () => {
+    cleanUp();
+    reject(new MediaLinkError('The file at this link could not be opened. Check that it is public and still exists.'));
+  };
+  const onAbort = () => {
+    cleanUp();
+    reject(abortError());
+  };
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  timer = setTimeout(onError, PROBE_TIMEOUT_MS);
+  element.addEventListener(eventName, onLoad);
+  element.addEventListener('error', onError);
+  signal?.addEventListener('abort', onAbort);
+  if (link.kind === 'video') element.preload = 'metadata';
+  element.src = link.url;
+});
+
+/**
+ * Create a lookup using oEmbed
+ * 
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.endpoint] - oEmbed endpoint used for every site in place of their own
+ * @returns {Object} Media lookup
+ */
+export const createOEmbedLookup = ({ endpoint } = {}) => ({
+  id: 'oembed',
+  name: 'oEmbed lookup',
+
+  async resolve(link, { signal } = {}) {
+    const fallback = describeLink(link);
+    if (link.kind === 'image' || link.kind === 'video') {
+      const measured = await probeFile(link, signal);
+      return { ...fallback, ...measured };
+    }
+
+    const query = new URLSearchParams({ url: link.url, format: 'json' });
+    let response;
+    try {
+      response = await fetch(`${endpoint || SITE_ENDPOINTS[link.kind]}?${query}`, { signal });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      return fallback;
+    }
+    // oEmbed answers 401 for private videos and 404 for missing ones
+    if ([401, 403, 404].includes(response.status)) {
+      throw new MediaLinkError('This video is private, has been removed, or cannot be embedded.');
+    }
+    if (!response.ok) return fallback;
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      return fallback;
+    }
+    return {
+      title: typeof data.title === 'string' && data.title ? data.title : fallback.title,
+      thumbnail: typeof data.thumbnail_url === 'string' ? data.thumbnail_url : fallback.thumbnail,
+      width: positiveOrNull(data.width),
+      height: positiveOrNull(data.height),
+      duration: positiveOrNull(data.duration)
+    };
+  }
+});
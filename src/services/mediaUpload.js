@@ -0,0 +1,201 @@
+/**
+ * Media Upload
+ * 
+ * Checks images and video clips chosen by the user and prepares them for the
+ * media library: a small thumbnail (a scaled still, or a frame grabbed from
+ * the clip) plus the dimensions, duration and orientation of the media.
+ */
+import { createId } from '../state/projectModel';
+import { blobToDataUrl } from './playback/audioClips';
+
+// Largest file accepted, as advertised in the upload area
+export const MEDIA_UPLOAD_MAX_BYTES = 50 * 1024 * 1024;
+
+// Longest side of generated thumbnails, in pixels
+const THUMBNAIL_SIZE = 320;
+
+// Time allowed for the browser to open a file before it counts as unreadable
+const LOAD_TIMEOUT_MS = 15000;
+
+// Accepted formats by MIME type, with the extensions used when a browser
+// reports no type
+const SUPPORTED_FORMATS = [
+  { mimeType: 'image/jpeg', type: 'image', extensions: ['jpg', 'jpeg'] },
+  { mimeType: 'image/png', type: 'image', extensions: ['png'] },
+  { mimeType: 'video/mp4', type: 'video', extensions: ['mp4', 'm4v'] },
+  { mimeType: 'video/quicktime', type: 'video', extensions: ['mov'] }
+];
+
+// Value for the file input's accept attribute
+export const MEDIA_UPLOAD_ACCEPT = SUPPORTED_FORMATS
+  .flatMap(format => [format.mimeType, ...format.extensions.map(extension => `.${extension}`)])
+  .join(',');
+
+/**
+ * Error raised when an uploaded file cannot be added to the media library
+ */
+export class MediaUploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MediaUploadError';
+  }
+}
+
+/**
+ * Check a file's format and size before opening it
+ * 
+ * @param {File} file - Selected file
+ * @returns {'image'|'video'} Kind of media in the file
+ * @throws {MediaUploadError} When the file is not a supported format or is too large
+ */
+export const checkMediaFile = (file) => {
+  const extension = (/\.([^.]+)$/.exec(file.name) || [])[1]?.toLowerCase();
+  const format = SUPPORTED_FORMATS.find(option => (
+    file.type ? option.mimeType === file.type : option.extensions.includes(extension)
+  ));
+  if (!format) {
+    throw new MediaUploadError('Unsupported format. Use a JPG, PNG, MP4 or MOV file.');
+  }
+  if (file.size === 0) {
+    throw new MediaUploadError('The file is empty.');
+  }
+  if (file.size > MEDIA_UPLOAD_MAX_BYTES) {
+    throw new MediaUploadError(
+      `The file is ${(file.size / 1024 / 1024).toFixed(1)}MB. Files can be up to ${MEDIA_UPLOAD_MAX_BYTES / 1024 / 1024}MB.`
+    );
+  }
+  return format.type;
+};
+
+/**
+ * Orientation of media with the given dimensions
+ * 
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {'landscape'|'portrait'|'square'} Orientation
+ */
+export const getOrientation = (width, height) => {
+  if (width === height) return 'square';
+  return width > height ? 'landscape' : 'portrait';
+};
+
+/**
+ * Wait for one of an element's events, failing on error or timeout
+ */
+const waitForEvent = (element, eventName, failureMessage) => new Promise((resolve, reject) => {
+  let timer = null;
+  const cleanUp = () => {
+    clearTimeout(timer);
+    element.removeEventListener(eventName, onEvent);
+    element.removeEventListener('error', onError);
+  };
+  const onEvent = () => {
+    cleanUp();
+    resolve();
+  };
+  const onError = () => {
+    cleanUp();
+    reject(new MediaUploadError(failureMessage));
+  };
+  timer = setTimeout(onError, LOAD_TIMEOUT_MS);
+  element.addEventListener(eventName, onEvent);
+  element.addEventListener('error', onError);
+});
+
+/**
+ * Draw a scaled copy of an image or video frame as a JPEG data URL
+ */
+const drawThumbnail = (source, width, height) => {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.8);
+};
+
+const readImage = async (src, onProgress) => {
+  const image = new Image();
+  const loaded = waitForEvent(image, 'load', 'The image could not be read. The file may be damaged.');
+  image.src = src;
+  await loaded;
+  onProgress(0.7);
+  const { naturalWidth: width, naturalHeight: height } = image;
+  return { width, height, duration: null, thumbnail: drawThumbnail(image, width, height) };
+};
+
+const readVideo = async (src, onProgress) => {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+  const unreadable = 'The video could not be read. The file may be damaged or use a codec this browser cannot play.';
+  const loaded = waitForEvent(video, 'loadeddata', unreadable);
+  video.src = src;
+  try {
+    await loaded;
+    const { videoWidth: width, videoHeight: height, duration } = video;
+    if (!width || !height) throw new MediaUploadError('The file has no video picture.');
+    onProgress(0.5);
+    // Grab a frame a little way in; the very first frame is often black
+    const seeked = waitForEvent(video, 'seeked', unreadable);
+    video.currentTime = Math.min(1, duration / 4);
+    await seeked;
+    onProgress(0.8);
+    return {
+      width,
+      height,
+      duration: Number.isFinite(duration) ? Math.round(duration * 100) / 100 : null,
+      thumbnail: drawThumbnail(video, width, height)
+    };
+  } finally {
+    video.removeAttribute('src');
+    video.load();
+  }
+};
+
+/**
+ * Turn an uploaded file into a media library item
+ * 
+ * @param {File} file - Selected image or video file
+ * @param {Function} [onProgress] - Called with a fraction from 0 to 1 as the file is processed
+ * @returns {Promise<Object>} Item with id, name, type, src, thumbnail, width,
+ *   height, duration (null for images), orientation, size and source
+ * @throws {MediaUploadError} When the file is unsupported, too large or unreadable
+ */
+export const readMediaFile = async (file, onProgress = () => {}) => {
+  const type = checkMediaFile(file);
+  onProgress(0.2);
+  const src = URL.createObjectURL(file);
+  try {
+    const metadata = type === 'video' ? await readVideo(src, onProgress) : await readImage(src, onProgress);
+    onProgress(1);
+    return {
+      id: createId('media'),
+      name: file.name,
+      type,
+      src,
+      ...metadata,
+      orientation: getOrientation(metadata.width, metadata.height),
+      size: file.size,
+      source: 'upload'
+    };
+  } catch (error) {
+    URL.revokeObjectURL(src);
+    throw error;
+  }
+};
+
+/**
+ * Read a logo image as a data URL
+ * 
+ * @param {File} file - Selected image file
+ * @returns {Promise<string>} Data URL of the image
+ * @throws {MediaUploadError} When the file is not a supported image or is too large
+ */
+export const readLogoFile = async (file) => {
+  if (checkMediaFile(file) !== 'image') {
+    throw new MediaUploadError('Use a JPG or PNG image for the logo.');
+  }
+  return blobToDataUrl(file);
+};
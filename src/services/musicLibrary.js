@@ -0,0 +1,92 @@
+/**
+ * Music Library
+ * 
+ * Search, filtering and sorting of the music tracks listed in the audio
+ * panel. Categories and moods are taken from the tracks themselves so
+ * uploaded tracks appear in the filters without extra configuration.
+ */
+import { musicDurationRanges } from '../data/catalog';
+import { getTrackSeconds, getPlayableSeconds } from './playback/musicEngine';
+
+// Filters showing every track
+export const DEFAULT_MUSIC_FILTERS = {
+  query: '',
+  category: 'all',
+  mood: 'all',
+  durationRange: 'any',
+  sort: 'featured'
+};
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Categories of a list of tracks, in the order they first appear
+ * 
+ * @param {Array} tracks - Music tracks
+ * @returns {string[]} Category names
+ */
+export const getTrackCategories = (tracks) => unique(tracks.map(track => track.category));
+
+/**
+ * Moods of a list of tracks, in the order they first appear
+ * 
+ * @param {Array} tracks - Music tracks
+ * @returns {string[]} Mood names
+ */
+export const getTrackMoods = (tracks) => unique(tracks.map(track => track.mood));
+
+/**
+ * Whether a track lasts at least as long as the video from its start offset,
+ * so it plays to the end without looping
+ * 
+ * @param {Object} track - Music track
+ * @param {number} videoDuration - Length of the video in seconds
+ * @returns {boolean} True when the track covers the whole video
+ */
+export const fitsVideo = (track, videoDuration) => getPlayableSeconds(track) >= videoDuration;
+
+const matchesQuery = (track, query) => {
+  const text = [track.name, track.category, track.mood].filter(Boolean).join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+/**
+ * Order tracks for the "Best fit" sort: tracks covering the video come
+ * first, closest to its length; shorter tracks follow, longest first
+ */
+const compareFit = (videoDuration) => (a, b) => {
+  const aFits = fitsVideo(a, videoDuration);
+  const bFits = fitsVideo(b, videoDuration);
+  if (aFits !== bFits) return aFits ? -1 : 1;
+  const aSeconds = getPlayableSeconds(a);
+  const bSeconds = getPlayableSeconds(b);
+  return aFits ? aSeconds - bSeconds : bSeconds - aSeconds;
+};
+
+const comparators = {
+  name: () => (a, b) => a.name.localeCompare(b.name),
+  shortest: () => (a, b) => getTrackSeconds(a) - getTrackSeconds(b),
+  longest: () => (a, b) => getTrackSeconds(b) - getTrackSeconds(a),
+  fit: compareFit
+};
+
+/**
+ * Tracks matching the library filters, in the chosen order
+ * 
+ * @param {Array} tracks - Music tracks in featured order
+ * @param {Object} filters - Filters shaped like DEFAULT_MUSIC_FILTERS
+ * @param {number} videoDuration - Length of the video in seconds
+ * @returns {Array} Matching tracks
+ */
+export const filterTracks = (tracks, filters, videoDuration) => {
+  const range = musicDurationRanges.find(option => option.id === filters.durationRange) || musicDurationRanges[0];
+  const matching = tracks.filter(track => {
+    const seconds = getTrackSeconds(track);
+    return matchesQuery(track, filters.query) &&
+      (filters.category === 'all' || track.category === filters.category) &&
+      (filters.mood === 'all' || track.mood === filters.mood) &&
+      seconds >= range.min && seconds < range.max;
+  });
+  const compare = comparators[filters.sort];
+  return compare ? [...matching].sort(compare(videoDuration)) : matching;
+};
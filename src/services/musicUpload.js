@@ -0,0 +1,125 @@
+/**
+ * Music Upload
+ * 
+ * Turns an audio file chosen by the user into a custom music track. The file
+ * is decoded once to check that it is playable and to measure it; the
+ * original encoding is kept in the project as a data URL so the track plays
+ * back at full quality after saving and reopening.
+ */
+import { decodeAudio, blobToDataUrl } from './playback/audioClips';
+import { createId } from '../state/projectModel';
+import { formatTime } from '../utils/time';
+
+// Category custom tracks are listed under
+export const CUSTOM_TRACK_CATEGORY = 'Custom';
+
+// Largest file accepted; the audio is stored inside the project
+export const MUSIC_UPLOAD_MAX_BYTES = 20 * 1024 * 1024;
+
+// Shortest track worth using as background music, in seconds
+const MIN_TRACK_SECONDS = 1;
+
+// Number of bars in a track's waveform
+export const WAVEFORM_BARS = 120;
+
+// File extensions browsers can generally decode
+const SUPPORTED_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'opus', 'm4a', 'aac', 'flac', 'webm'];
+
+/**
+ * Error raised when an uploaded file cannot be used as music
+ */
+export class MusicUploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MusicUploadError';
+  }
+}
+
+const getExtension = (fileName) => {
+  const match = /\.([^.]+)$/.exec(fileName);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Check a file's type and size before decoding it
+ * 
+ * @param {File} file - Selected file
+ * @throws {MusicUploadError} When the file is not a supported audio file
+ */
+export const checkMusicFile = (file) => {
+  const isAudioType = file.type.startsWith('audio/');
+  if (!isAudioType && !SUPPORTED_EXTENSIONS.includes(getExtension(file.name))) {
+    throw new MusicUploadError(
+      `"${file.name}" is not an audio file. Use an MP3, WAV, OGG, M4A, AAC or FLAC file.`
+    );
+  }
+  if (file.size === 0) {
+    throw new MusicUploadError(`"${file.name}" is empty.`);
+  }
+  if (file.size > MUSIC_UPLOAD_MAX_BYTES) {
+    throw new MusicUploadError(
+      `"${file.name}" is ${(file.size / 1024 / 1024).toFixed(1)}MB. Music files can be up to ${MUSIC_UPLOAD_MAX_BYTES / 1024 / 1024}MB.`
+    );
+  }
+};
+
+/**
+ * Loudest level in evenly sized slices of the audio, scaled so the loudest
+ * slice is 1
+ * 
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {number} [count] - Number of slices
+ * @returns {number[]} Peak per slice from 0 to 1
+ */
+export const computePeaks = (buffer, count = WAVEFORM_BARS) => {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, index) => buffer.getChannelData(index));
+  const sliceLength = Math.max(1, Math.floor(buffer.length / count));
+  const peaks = Array.from({ length: count }, (_, slice) => {
+    let peak = 0;
+    const end = Math.min(buffer.length, (slice + 1) * sliceLength);
+    channels.forEach(samples => {
+      for (let index = slice * sliceLength; index < end; index += 1) {
+        peak = Math.max(peak, Math.abs(samples[index]));
+      }
+    });
+    return peak;
+  });
+  const loudest = Math.max(...peaks);
+  return peaks.map(peak => (loudest > 0 ? Math.round((peak / loudest) * 100) / 100 : 0));
+};
+
+/**
+ * Decode an uploaded file into a custom music track
+ * 
+ * @param {File} file - Selected audio file
+ * @returns {Promise<Object>} Track with id, name, category, duration (m:ss),
+ *   seconds, src (data URL), peaks and startOffset
+ * @throws {MusicUploadError} When the file is unsupported, corrupt or too short
+ */
+export const readMusicFile = async (file) => {
+  checkMusicFile(file);
+
+  let buffer;
+  try {
+    buffer = await decodeAudio(file);
+  } catch (error) {
+    throw new MusicUploadError(
+      `"${file.name}" could not be decoded. The file may be damaged or in a format this browser does not support.`
+    );
+  }
+  if (buffer.duration < MIN_TRACK_SECONDS) {
+    throw new MusicUploadError(`"${file.name}" is too short to use as background music.`);
+  }
+
+  return {
+    id: createId('track'),
+    name: file.name.replace(/\.[^.]+$/, '') || 'Custom track',
+    category: CUSTOM_TRACK_CATEGORY,
+    duration: formatTime(buffer.duration),
+    seconds: Math.round(buffer.duration * 100) / 100,
+    src: await blobToDataUrl(file),
+    peaks: computePeaks(buffer),
+    // Where playback starts within the track, in seconds
+    startOffset: 0
+  };
+};
@@ -0,0 +1,162 @@
+/**
+ * Audio Clips
+ * 
+ * Decoding, silence trimming and WAV encoding for recorded narration. Takes
+ * are stored in the project as mono WAV data URLs so they survive saving,
+ * autosave and reopening without a separate media store.
+ */
+
+// Sample rate takes are stored at; plenty for speech and keeps files small
+export const CLIP_SAMPLE_RATE = 22050;
+
+// Level below which audio counts as silence (linear amplitude)
+const SILENCE_THRESHOLD = 0.02;
+
+// Silence kept before and after the speech when trimming, in seconds
+const TRIM_PADDING = 0.15;
+
+const getAudioContextClass = () => window.AudioContext || window.webkitAudioContext;
+
+/**
+ * Decode encoded audio (a recording, an uploaded file or a data URL)
+ * 
+ * @param {Blob|ArrayBuffer|string} source - Audio data or URL
+ * @returns {Promise<AudioBuffer>} Decoded audio
+ */
+export const decodeAudio = async (source) => {
+  let data = source;
+  if (typeof source === 'string') data = await (await fetch(source)).arrayBuffer();
+  else if (source instanceof Blob) data = await source.arrayBuffer();
+
+  const AudioContextClass = getAudioContextClass();
+  const context = new AudioContextClass();
+  try {
+    return await context.decodeAudioData(data);
+  } finally {
+    context.close();
+  }
+};
+
+/**
+ * Mix an audio buffer down to mono at the clip sample rate
+ * 
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @returns {Promise<AudioBuffer>} Mono buffer at CLIP_SAMPLE_RATE
+ */
+export const toMonoClip = async (buffer) => {
+  const length = Math.max(1, Math.ceil(buffer.duration * CLIP_SAMPLE_RATE));
+  const context = new OfflineAudioContext(1, length, CLIP_SAMPLE_RATE);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(context.destination);
+  source.start();
+  return context.startRendering();
+};
+
+/**
+ * Find where speech starts and ends in a mono buffer
+ * 
+ * @param {AudioBuffer} buffer - Mono audio
+ * @returns {{start: number, end: number}|null} Times in seconds, or null when the take is silent
+ */
+export const findSpeechBounds = (buffer) => {
+  const samples = buffer.getChannelData(0);
+  let first = -1;
+  let last = -1;
+  for (let index = 0; index < samples.length; index += 1) {
+    if (Math.abs(samples[index]) >= SILENCE_THRESHOLD) {
+      if (first === -1) first = index;
+      last = index;
+    }
+  }
+  if (first === -1) return null;
+  const padding = TRIM_PADDING * buffer.sampleRate;
+  return {
+    start: Math.max(0, first - padding) / buffer.sampleRate,
+    end: Math.min(samples.length, last + 1 + padding) / buffer.sampleRate
+  };
+};
+
+/**
+ * Copy part of a mono buffer
+ * 
+ * @param {AudioBuffer} buffer - Mono audio
+ * @param {number} start - Start time in seconds
+ * @param {number} end - End time in seconds
+ * @returns {AudioBuffer} The selected part
+ */
+export const sliceBuffer = (buffer, start, end) => {
+  const from = Math.floor(start * buffer.sampleRate);
+  const to = Math.max(from + 1, Math.floor(end * buffer.sampleRate));
+  const slice = new AudioBuffer({ numberOfChannels: 1, length: to - from, sampleRate: buffer.sampleRate });
+  slice.copyToChannel(buffer.getChannelData(0).slice(from, to), 0);
+  return slice;
+};
+
+/**
+ * Encode a mono buffer as 16-bit PCM WAV
+ * 
+ * @param {AudioBuffer} buffer - Mono audio
+ * @returns {Blob} WAV file
+ */
+export const encodeWav = (buffer) => {
+  const samples = buffer.getChannelData(0);
+  const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+  const writeString = (offset, text) => {
+    for (let index = 0; index < text.length; index += 1) view.setUint8(offset + index, text.charCodeAt(index));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((sample, index) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    view.setInt16(44 + index * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+  });
+
+  return new Blob([view], { type: 'audio/wav' });
+};
+
+/**
+ * Read a blob as a data URL
+ * 
+ * @param {Blob} blob - Data to read
+ * @returns {Promise<string>} Data URL
+ */
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Turn a microphone recording into a stored take: mono, silence trimmed
+ * from both ends, encoded as a WAV data URL
+ * 
+ * @param {Blob} recording - Audio recorded by MediaRecorder
+ * @returns {Promise<{src: string, duration: number, trimmed: number}>}
+ *   Take with its length and the seconds of silence removed
+ * @throws {Error} When the recording contains no sound
+ */
+export const processRecording = async (recording) => {
+  const mono = await toMonoClip(await decodeAudio(recording));
+  const bounds = findSpeechBounds(mono);
+  if (!bounds) throw new Error('The recording is silent. Check that the right microphone is selected.');
+  const take = sliceBuffer(mono, bounds.start, bounds.end);
+  return {
+    src: await blobToDataUrl(encodeWav(take)),
+    duration: Math.round(take.duration * 100) / 100,
+    trimmed: Math.round((mono.duration - take.duration) * 10) / 10
+  };
+};
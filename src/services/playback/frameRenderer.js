@@ -0,0 +1,217 @@
+/**
+ * Frame Renderer
+ * 
+ * Draws the frame of a project at a given time onto a 2D canvas context:
+ * the scene's image or video clip, a title card for scenes without media,
+ * picture-in-picture layers, text overlays, transitions between scenes,
+ * subtitles and the brand logo. Used by the preview player and by video
+ * export so both produce the same picture.
+ */
+import { getSceneAtTime, getSceneTimings, getTransitionAt } from '../../state/projectModel';
+import { drawTransition } from './transitions';
+import { drawTextLayers, drawSubtitle } from './textRenderer';
+import { getCueAt } from '../subtitles';
+import { getFontOption } from '../../data/catalog';
+
+// Margin between the logo and the frame edge, as a fraction of the frame width
+const LOGO_MARGIN = 0.03;
+// Margin and border of picture-in-picture layers, as a fraction of the frame width
+const PIP_MARGIN = 0.03;
+const PIP_BORDER = 0.004;
+// Allowed drift between a clip and the timeline before the clip is re-seeked
+const VIDEO_SYNC_TOLERANCE = 0.3;
+
+/**
+ * Scale a format preset to fit within a maximum width and height
+ * 
+ * @param {{width: number, height: number}} preset - Format preset
+ * @param {number} maxWidth - Maximum width in pixels
+ * @param {number} [maxHeight=maxWidth] - Maximum height in pixels
+ * @returns {{width: number, height: number}} Size with even dimensions
+ */
+export const fitSize = (preset, maxWidth, maxHeight = maxWidth) => {
+  const scale = Math.min(maxWidth / preset.width, maxHeight / preset.height, 1);
+  const even = (value) => Math.max(2, Math.round((value * scale) / 2) * 2);
+  return { width: even(preset.width), height: even(preset.height) };
+};
+
+/**
+ * Draw a source so it covers the whole target area, cropping as needed
+ */
+const drawCover = (ctx, source, sourceWidth, sourceHeight, width, height) => {
+  if (!sourceWidth || !sourceHeight) return;
+  const scale = Math.max(width / sourceWidth, height / sourceHeight);
+  const drawWidth = sourceWidth * scale;
+  const drawHeight = sourceHeight * scale;
+  ctx.drawImage(source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+};
+
+const drawTitleCard = (ctx, project, index, width, height) => {
+  const { primaryColor, textColor, fonts } = project.branding;
+  ctx.fillStyle = primaryColor;
+  ctx.fillRect(0, 0, width, height);
+  // Scenes with their own text only get the brand background
+  if (project.scenes[index].textLayers.length > 0) return;
+  ctx.fillStyle = textColor;
+  ctx.font = `600 ${Math.round(Math.min(width, height) * 0.08)}px ${getFontOption(fonts.heading).family}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`Scene ${index + 1}`, width / 2, height / 2);
+};
+
+const drawMediaLayers = (ctx, layers, media, width, height) => {
+  layers.forEach(layer => {
+    const element = media.get(layer.type, layer.src);
+    if (!element) return;
+    const sourceWidth = layer.type === 'video' ? element.videoWidth : element.naturalWidth;
+    const sourceHeight = layer.type === 'video' ? element.videoHeight : element.naturalHeight;
+    if (!sourceWidth || !sourceHeight) return;
+
+    const layerWidth = width * (layer.size / 100);
+    const layerHeight = Math.min(layerWidth * (sourceHeight / sourceWidth), height * 0.9);
+    const margin = width * PIP_MARGIN;
+    const [vertical, horizontal] = layer.position.split('-');
+    const x = horizontal === 'left' ? margin : width - layerWidth - margin;
+    const y = vertical === 'top' ? margin : height - layerHeight - margin;
+
+    const border = Math.max(1, width * PIP_BORDER);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(x - border, y - border, layerWidth + border * 2, layerHeight + border * 2);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, layerWidth, layerHeight);
+    ctx.clip();
+    ctx.translate(x, y);
+    drawCover(ctx, element, sourceWidth, sourceHeight, layerWidth, layerHeight);
+    ctx.restore();
+  });
+};
+
+const drawLogo = (ctx, logo, image, width, height) => {
+  const logoWidth = width * (logo.size / 100);
+  const logoHeight = logoWidth * (image.naturalHeight / image.naturalWidth);
+  const margin = width * LOGO_MARGIN;
+  const [vertical, horizontal] = logo.position === 'center' ? ['center', 'center'] : logo.position.split('-');
+
+  const x = horizontal === 'left' ? margin
+    : horizontal === 'right' ? width - logoWidth - margin
+      : (width - logoWidth) / 2;
+  const y = vertical === 'top' ? margin
+    : vertical === 'bottom' ? height - logoHeight - margin
+      : (height - logoHeight) / 2;
+
+  ctx.save();
+  ctx.globalAlpha = logo.opacity / 100;
+  ctx.drawImage(image, x, y, logoWidth, logoHeight);
+  ctx.restore();
+};
+
+/**
+ * Keep scene video clips in step with the timeline
+ * 
+ * @param {Object} media - Media cache
+ * @param {Array} visible - Scenes on screen, as returned by renderFrame
+ * @param {boolean} playing - Whether the timeline is playing
+ */
+export const syncVideos = (media, visible, playing) => {
+  const targets = new Map();
+  visible.forEach(({ scene, localTime }) => {
+    if (scene.media?.type === 'video') targets.set(scene.media.src, localTime);
+    scene.mediaLayers
+      .filter(layer => layer.type === 'video')
+      .forEach(layer => targets.set(layer.src, localTime));
+  });
+
+  media.videos().forEach(video => {
+    const src = [...targets.keys()].find(key => video.src === key || video.currentSrc === key);
+    if (src === undefined) {
+      if (!video.paused) video.pause();
+      return;
+    }
+    const localTime = targets.get(src);
+    const target = video.duration ? localTime % video.duration : localTime;
+    if (Math.abs(video.currentTime - target) > VIDEO_SYNC_TOLERANCE || !playing) {
+      if (Math.abs(video.currentTime - target) > 0.01) video.currentTime = target;
+    }
+    if (playing && video.paused) {
+      video.play().catch(() => {});
+    } else if (!playing && !video.paused) {
+      video.pause();
+    }
+  });
+};
+
+/**
+ * Draw one scene, with its media and text layers, over the whole frame
+ */
+const drawScene = (ctx, project, index, localTime, width, height, media) => {
+  const sceneMedia = project.scenes[index].media;
+  const element = sceneMedia ? media.get(sceneMedia.type, sceneMedia.src) : null;
+  if (element && sceneMedia.type === 'video') {
+    drawCover(ctx, element, element.videoWidth, element.videoHeight, width, height);
+  } else if (element) {
+    drawCover(ctx, element, element.naturalWidth, element.naturalHeight, width, height);
+  } else if (!sceneMedia) {
+    drawTitleCard(ctx, project, index, width, height);
+  }
+  drawMediaLayers(ctx, project.scenes[index].mediaLayers, media, width, height);
+  drawTextLayers(ctx, project.scenes[index], localTime, project.branding, width, height);
+};
+
+/**
+ * Draw the frame of a project at a point in time
+ * 
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} options - Render options
+ * @param {Object} options.project - Project document
+ * @param {number} options.time - Time in seconds
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Canvas height
+ * @param {Object} options.media - Media cache
+ * @param {boolean} [options.showSubtitles=false] - Draw the subtitle cue at this time
+ * @returns {Array<{scene: Object, index: number, localTime: number}>} Scenes on
+ *   screen (two during a transition)
+ */
+export const renderFrame = (ctx, { project, time, width, height, media, showSubtitles = false }) => {
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, width, height);
+
+  const { scenes } = project;
+  const current = getSceneAtTime(scenes, time);
+  if (!current) return [];
+
+  let visible;
+  const transition = getTransitionAt(scenes, time);
+  if (transition) {
+    const timings = getSceneTimings(scenes);
+    const { fromIndex, toIndex } = transition;
+    visible = [fromIndex, toIndex].map(index => ({
+      scene: scenes[index],
+      index,
+      localTime: Math.max(0, time - timings[index].start)
+    }));
+    drawTransition(
+      ctx,
+      transition.type,
+      transition.progress,
+      () => drawScene(ctx, project, fromIndex, visible[0].localTime, width, height, media),
+      () => drawScene(ctx, project, toIndex, visible[1].localTime, width, height, media),
+      width,
+      height
+    );
+  } else {
+    visible = [{ scene: current.scene, index: current.index, localTime: current.localTime }];
+    drawScene(ctx, project, current.index, current.localTime, width, height, media);
+  }
+
+  if (showSubtitles) {
+    const cue = getCueAt(project.subtitles.cues, time);
+    if (cue) drawSubtitle(ctx, cue.text, width, height, project.branding.fonts.body);
+  }
+
+  const { logo } = project.branding;
+  const logoImage = logo.src ? media.get('image', logo.src) : null;
+  if (logoImage) drawLogo(ctx, logo, logoImage, width, height);
+
+  return visible;
+};
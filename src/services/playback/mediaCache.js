@@ -0,0 +1,136 @@
+/**
+ * Media Cache
+ * 
+ * Loads the images and video clips used by scenes once and hands out the
+ * ready elements to the frame renderer. Elements are requested with CORS so
+ * that canvases drawing them stay exportable; hosts that refuse CORS are
+ * retried without it so the preview still shows them.
+ */
+
+/**
+ * Create a cache of media elements
+ * 
+ * @param {Function} [onReady] - Called whenever a new element finishes loading
+ * @returns {{get: Function, whenLoaded: Function, isTainted: Function, videos: Function, dispose: Function}} Cache
+ */
+export const createMediaCache = (onReady = () => {}) => {
+  const entries = new Map();
+
+  const load = (type, src) => {
+    const entry = { type, ready: false, error: false, tainted: false, element: null };
+    let settle;
+    entry.settled = new Promise(resolve => {
+      settle = resolve;
+    });
+
+    if (type === 'video') {
+      const video = document.createElement('video');
+      video.crossOrigin = 'anonymous';
+      video.preload = 'auto';
+      video.playsInline = true;
+      video.loop = true;
+      video.addEventListener('loadeddata', () => {
+        entry.ready = true;
+        settle();
+        onReady();
+      }, { once: true });
+      // Redraw after scrubbing so the new frame shows while paused
+      video.addEventListener('seeked', () => onReady());
+      video.addEventListener('error', () => {
+        entry.error = true;
+        settle();
+      }, { once: true });
+      video.src = src;
+      entry.element = video;
+    } else {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        entry.ready = true;
+        settle();
+        onReady();
+      };
+      image.onerror = () => {
+        if (image.crossOrigin) {
+          entry.tainted = true;
+          image.removeAttribute('crossorigin');
+          image.src = src;
+        } else {
+          entry.error = true;
+          settle();
+        }
+      };
+      image.src = src;
+      entry.element = image;
+    }
+    return entry;
+  };
+
+  const getEntry = (type, src) => {
+    const key = `${type}:${src}`;
+    if (!entries.has(key)) entries.set(key, load(type, src));
+    return entries.get(key);
+  };
+
+  return {
+    /**
+     * Get a loaded element, starting the load on first request
+     * 
+     * @param {'image'|'video'} type - Media type
+     * @param {string} src - Media URL
+     * @returns {HTMLImageElement|HTMLVideoElement|null} Element once it is ready
+     */
+    get(type, src) {
+      if (!src) return null;
+      const entry = getEntry(type, src);
+      return entry.ready ? entry.element : null;
+    },
+
+    /**
+     * Wait until a piece of media has loaded or failed
+     * 
+     * @param {'image'|'video'} type - Media type
+     * @param {string} src - Media URL
+     * @returns {Promise<boolean>} Whether the media can be drawn
+     */
+    whenLoaded(type, src) {
+      const entry = getEntry(type, src);
+      return entry.settled.then(() => entry.ready);
+    },
+
+    /**
+     * Whether any loaded media came from a host that refused CORS, which
+     * makes canvases that draw it unusable for export
+     * 
+     * @returns {boolean} True when some media is tainted
+     */
+    isTainted() {
+      return [...entries.values()].some(entry => entry.ready && entry.tainted);
+    },
+
+    /**
+     * All video elements in the cache
+     * 
+     * @returns {HTMLVideoElement[]} Videos
+     */
+    videos() {
+      return [...entries.values()]
+        .filter(entry => entry.type === 'video')
+        .map(entry => entry.element);
+    },
+
+    /**
+     * Stop all videos and release their resources
+     */
+    dispose() {
+      entries.forEach(entry => {
+        if (entry.type === 'video') {
+          entry.element.pause();
+          entry.element.removeAttribute('src');
+          entry.element.load();
+        }
+      });
+      entries.clear();
+    }
+  };
+};
@@ -0,0 +1,370 @@
+/**
+ * Music Engine
+ * 
+ * Plays the background music of a project through Web Audio. Built-in tracks
+ * are synthesized from their catalog description into a loop and uploaded
+ * tracks are decoded from the audio stored in the project; the gain of
+ * the music follows one envelope (volume, fade-in, fade-out and ducking
+ * under narration) that is scheduled the same way for the preview and for
+ * the exported mix.
+ */
+import { musicTracks } from '../../data/catalog';
+import { getSceneTimings, getTotalDuration } from '../../state/projectModel';
+import { parseTime } from '../../utils/time';
+import { decodeAudio } from './audioClips';
+
+// Sample rate built-in tracks are synthesized at
+const SYNTH_SAMPLE_RATE = 44100;
+
+// Time taken to duck under narration and to come back up, in seconds
+export const DUCK_RAMP_SECONDS = 0.3;
+
+// Narration segments closer together than this stay ducked in between
+const DUCK_BRIDGE_SECONDS = 0.6;
+
+// Decoded or synthesized track audio by track id
+const bufferCache = new Map();
+
+/**
+ * Find a music track by id
+ * 
+ * @param {string|null} trackId - Track id
+ * @param {Array} [tracks] - Tracks to search
+ * @returns {Object|null} Track, or null for no music
+ */
+export const getTrack = (trackId, tracks = musicTracks) =>
+  tracks.find(track => track.id === trackId) || null;
+
+/**
+ * Tracks a project can use: the built-in tracks followed by its uploads
+ * 
+ * @param {Object} project - Project document
+ * @returns {Array} Music tracks
+ */
+export const getMusicLibrary = (project) => [...musicTracks, ...project.customTracks];
+
+/**
+ * The track chosen for a project's background music
+ * 
+ * @param {Object} project - Project document
+ * @returns {Object|null} Track, or null for no music
+ */
+export const getProjectTrack = (project) => getTrack(project.music.trackId, getMusicLibrary(project));
+
+/**
+ * Length of a track in seconds
+ * 
+ * @param {Object} track - Music track
+ * @returns {number} Duration in seconds
+ */
+export const getTrackSeconds = (track) => track.seconds ?? parseTime(track.duration);
+
+/**
+ * Length of a track from its start offset to its end, in seconds
+ * 
+ * @param {Object} track - Music track
+ * @returns {number} Playable duration in seconds
+ */
+export const getPlayableSeconds = (track) => Math.max(0, getTrackSeconds(track) - (track.startOffset || 0));
+
+const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * MIDI notes of a chord name such as "Am", "Bb", "F#m" or "Cmaj7", voiced
+ * around middle C
+ */
+const parseChord = (name) => {
+  const match = /^([A-G])(b|#)?(m(?!aj))?(maj7|7)?$/.exec(name);
+  if (!match) return [60, 64, 67];
+  const [, letter, accidental, minor, seventh] = match;
+  let root = 48 + NOTE_OFFSETS[letter] + (accidental === '#' ? 1 : 0) - (accidental === 'b' ? 1 : 0);
+  if (root < 48) root += 12;
+  const notes = [root, root + (minor ? 3 : 4), root + 7];
+  if (seventh === 'maj7') notes.push(root + 11);
+  if (seventh === '7') notes.push(root + 10);
+  return notes;
+};
+
+const midiToFrequency = (note) => 440 * 2 ** ((note - 69) / 12);
+
+/**
+ * Schedule one note with a simple attack/release envelope
+ */
+const playNote = (context, { frequency, start, length, wave, level, attack = 0.01, release = 0.2 }) => {
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.type = wave;
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(0, start);
+  gain.gain.linearRampToValueAtTime(level, start + attack);
+  gain.gain.setValueAtTime(level, Math.max(start + attack, start + length - release));
+  gain.gain.linearRampToValueAtTime(0, start + length);
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.start(start);
+  oscillator.stop(start + length + 0.01);
+};
+
+/**
+ * Schedule a kick drum hit
+ */
+const playKick = (context, start) => {
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.frequency.setValueAtTime(120, start);
+  oscillator.frequency.exponentialRampToValueAtTime(40, start + 0.15);
+  gain.gain.setValueAtTime(0.5, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.start(start);
+  oscillator.stop(start + 0.21);
+};
+
+/**
+ * Synthesize one pass through a built-in track's chord progression
+ * 
+ * @param {Object} synth - Track synthesis description from the catalog
+ * @returns {Promise<AudioBuffer>} Seamlessly loopable audio
+ */
+export const synthesizeLoop = (synth) => {
+  const beat = 60 / synth.bpm;
+  const bar = beat * 4;
+  const length = Math.ceil(bar * synth.chords.length * SYNTH_SAMPLE_RATE);
+  const context = new OfflineAudioContext(2, length, SYNTH_SAMPLE_RATE);
+  // Harsh waves are played quieter so every track sits at a similar level
+  const level = { sine: 0.2, triangle: 0.18, square: 0.06, sawtooth: 0.07 }[synth.wave] || 0.1;
+
+  synth.chords.forEach((name, index) => {
+    const notes = parseChord(name);
+    const barStart = index * bar;
+    // Bass on the root for the whole bar
+    playNote(context, {
+      frequency: midiToFrequency(notes[0] - 12),
+      start: barStart,
+      length: bar,
+      wave: 'sine',
+      level: 0.25,
+      release: 0.3
+    });
+
+    if (synth.style === 'pad') {
+      notes.forEach(note => playNote(context, {
+        frequency: midiToFrequency(note),
+        start: barStart,
+        length: bar,
+        wave: synth.wave,
+        level: level * 0.7,
+        attack: bar / 4,
+        release: bar / 4
+      }));
+    } else if (synth.style === 'arpeggio') {
+      for (let step = 0; step < 8; step += 1) {
+        playNote(context, {
+          frequency: midiToFrequency(notes[step % notes.length] + 12),
+          start: barStart + step * (beat / 2),
+          length: beat / 2,
+          wave: synth.wave,
+          level
+        });
+      }
+    } else {
+      for (let step = 0; step < 8; step += 1) {
+        notes.forEach(note => playNote(context, {
+          frequency: midiToFrequency(note),
+          start: barStart + step * (beat / 2),
+          length: beat / 4,
+          wave: synth.wave,
+          level: level * 0.6,
+          release: 0.05
+        }));
+      }
+      for (let kick = 0; kick < 4; kick += 1) playKick(context, barStart + kick * beat);
+    }
+  });
+
+  return context.startRendering();
+};
+
+/**
+ * Load the audio of a track once per session, decoding uploaded tracks and
+ * synthesizing built-in ones
+ * 
+ * @param {Object} track - Music track
+ * @returns {Promise<AudioBuffer>} Track audio
+ */
+export const loadTrackBuffer = (track) => {
+  if (!bufferCache.has(track.id)) {
+    const loading = track.src ? decodeAudio(track.src) : synthesizeLoop(track.synth);
+    // Let a failed load be retried
+    loading.catch(() => bufferCache.delete(track.id));
+    bufferCache.set(track.id, loading);
+  }
+  return bufferCache.get(track.id);
+};
+
+/**
+ * Time ranges where narration plays, with nearby segments joined
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @returns {Array<{start: number, end: number}>} Narration ranges in seconds
+ */
+export const getNarrationRanges = (scenes) => {
+  const timings = getSceneTimings(scenes);
+  return scenes.reduce((ranges, scene, index) => {
+    if (!scene.narration) return ranges;
+    const { start } = timings[index];
+    const end = Math.min(start + scene.narration.duration, timings[index].end);
+    const last = ranges[ranges.length - 1];
+    if (last && start - last.end < DUCK_BRIDGE_SECONDS) last.end = Math.max(last.end, end);
+    else ranges.push({ start, end });
+    return ranges;
+  }, []);
+};
+
+/**
+ * Time the music ends: the end of the video, or the end of the track when
+ * it is played once and is shorter than the video
+ * 
+ * @param {Object} project - Project document
+ * @returns {number} End time in seconds
+ */
+export const getMusicEnd = (project) => {
+  const duration = getTotalDuration(project.scenes);
+  const track = getProjectTrack(project);
+  return project.music.fit === 'trim' && track ? Math.min(getPlayableSeconds(track), duration) : duration;
+};
+
+/**
+ * Music gain at a point in the video, from 0 to 1
+ * 
+ * @param {Object} music - Project music settings
+ * @param {Array} ranges - Narration ranges from getNarrationRanges
+ * @param {number} duration - Time the music ends, in seconds
+ * @param {number} time - Time in seconds
+ * @returns {number} Gain
+ */
+export const getMusicGainAt = (music, ranges, duration, time) => {
+  const fadeIn = music.fadeIn > 0 ? Math.min(time / music.fadeIn, 1) : 1;
+  const fadeOut = music.fadeOut > 0 ? Math.min((duration - time) / music.fadeOut, 1) : 1;
+  let duck = 1;
+  if (music.ducking) {
+    const ducked = music.duckLevel / 100;
+    ranges.forEach(({ start, end }) => {
+      // 0 outside the range, 1 inside it, ramping at both edges
+      const depth = Math.min(
+        Math.max((time - (start - DUCK_RAMP_SECONDS)) / DUCK_RAMP_SECONDS, 0),
+        Math.max((end + DUCK_RAMP_SECONDS - time) / DUCK_RAMP_SECONDS, 0),
+        1
+      );
+      duck = Math.min(duck, 1 - depth * (1 - ducked));
+    });
+  }
+  return Math.max(0, Math.min(fadeIn, fadeOut)) * duck * (music.volume / 100);
+};
+
+/**
+ * Breakpoints of the music gain over the whole video. Gain changes linearly
+ * between consecutive points.
+ * 
+ * @param {Object} project - Project document
+ * @returns {Array<{time: number, gain: number}>} Points in time order
+ */
+export const getMusicEnvelope = (project) => {
+  const { music, scenes } = project;
+  const duration = getMusicEnd(project);
+  const ranges = getNarrationRanges(scenes);
+  const times = [0, music.fadeIn, duration - music.fadeOut, duration];
+  if (music.ducking) {
+    ranges.forEach(({ start, end }) => {
+      times.push(start - DUCK_RAMP_SECONDS, start, end, end + DUCK_RAMP_SECONDS);
+    });
+  }
+  return [...new Set(times.map(time => Math.min(Math.max(time, 0), duration)))]
+    .sort((a, b) => a - b)
+    .map(time => ({ time, gain: getMusicGainAt(music, ranges, duration, time) }));
+};
+
+/**
+ * Start a looping source at a position measured from the track's start
+ * offset; loops return to the offset rather than to the top of the file
+ */
+const startFromOffset = (source, startOffset, position, when) => {
+  const { buffer } = source;
+  const loopStart = Math.min(startOffset, Math.max(0, buffer.duration - 0.01));
+  source.loop = true;
+  source.loopStart = loopStart;
+  source.loopEnd = buffer.duration;
+  source.start(when, loopStart + (position % (buffer.duration - loopStart)));
+};
+
+/**
+ * Start the project's music on a Web Audio graph
+ * 
+ * @param {BaseAudioContext} context - Audio context to play in
+ * @param {AudioNode} destination - Node the music is connected to
+ * @param {AudioBuffer} buffer - Track audio from loadTrackBuffer
+ * @param {Object} project - Project document
+ * @param {Object} [options] - Scheduling options
+ * @param {number} [options.when] - Context time to start at (defaults to now)
+ * @param {number} [options.offset] - Video time to start from, in seconds
+ * @returns {{stop: Function}} Handle stopping the music
+ */
+export const scheduleMusic = (context, destination, buffer, project, { when = context.currentTime, offset = 0 } = {}) => {
+  const { music, scenes } = project;
+  const track = getProjectTrack(project);
+  const duration = getMusicEnd(project);
+  const remaining = duration - offset;
+  if (remaining <= 0) return { stop() {} };
+
+  const source = context.createBufferSource();
+  const gain = context.createGain();
+  source.buffer = buffer;
+  source.connect(gain).connect(destination);
+
+  const envelope = getMusicEnvelope(project);
+  const ranges = getNarrationRanges(scenes);
+  gain.gain.setValueAtTime(getMusicGainAt(music, ranges, duration, offset), when);
+  envelope
+    .filter(point => point.time > offset)
+    .forEach(point => gain.gain.linearRampToValueAtTime(point.gain, when + point.time - offset));
+
+  startFromOffset(source, track?.startOffset || 0, offset, when);
+  source.stop(when + remaining);
+
+  return {
+    stop() {
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+      source.disconnect();
+      gain.disconnect();
+    }
+  };
+};
+
+/**
+ * Play a track on its own, looping from its start offset, for auditioning
+ * it in the music list
+ * 
+ * @param {Object} track - Music track
+ * @param {number} volume - Volume from 0 to 100
+ * @returns {Promise<{stop: Function}>} Handle stopping the preview
+ */
+export const playTrackPreview = async (track, volume) => {
+  const buffer = await loadTrackBuffer(track);
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const gain = context.createGain();
+  gain.gain.value = volume / 100;
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+  source.connect(gain).connect(context.destination);
+  startFromOffset(source, track.startOffset || 0, 0, context.currentTime);
+  return {
+    stop() {
+      source.stop();
+      context.close();
+    }
+  };
+};
@@ -0,0 +1,175 @@
+/**
+ * Text Renderer
+ * 
+ * Draws a scene's text layers onto a canvas, including their entry and exit
+ * animations, and subtitle cues. Positions and sizes are relative to the frame so overlays look
+ * the same in the preview and in exports of any resolution.
+ */
+import { resolveBrandColor } from '../../state/projectModel';
+import { getFontOption } from '../../data/catalog';
+
+// Length of entry and exit animations, in seconds
+export const TEXT_ANIMATION_SECONDS = 0.4;
+// Distance from the frame edge, as a fraction of the frame size
+const EDGE_MARGIN = 0.06;
+// Lines never get wider than this fraction of the frame width
+const MAX_LINE_WIDTH = 0.84;
+
+const ease = (progress) => 1 - (1 - progress) * (1 - progress);
+
+/**
+ * Break text into lines that fit a width, honouring explicit line breaks
+ */
+const wrapLines = (ctx, text, maxWidth) => text.split('\n').flatMap(paragraph => {
+  const lines = [];
+  let line = '';
+  paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  lines.push(line);
+  return lines;
+});
+
+/**
+ * Animation state of a layer at a time within its scene
+ * 
+ * @param {Object} layer - Text layer
+ * @param {number} localTime - Seconds since the scene started
+ * @param {number} sceneDuration - Scene length in seconds
+ * @returns {{alpha: number, offset: number, scale: number}|null} Null when the layer is hidden
+ */
+export const getTextLayerState = (layer, localTime, sceneDuration) => {
+  const end = layer.end === null ? sceneDuration : Math.min(layer.end, sceneDuration);
+  if (localTime < layer.start || localTime >= end) return null;
+
+  const entering = layer.animationIn === 'none' ? 1 : Math.min((localTime - layer.start) / TEXT_ANIMATION_SECONDS, 1);
+  const leaving = layer.animationOut === 'none' ? 1 : Math.min((end - localTime) / TEXT_ANIMATION_SECONDS, 1);
+  const state = { alpha: 1, offset: 0, scale: 1 };
+
+  [[layer.animationIn, entering], [layer.animationOut, leaving]].forEach(([animation, progress]) => {
+    if (progress >= 1) return;
+    const eased = ease(progress);
+    state.alpha = Math.min(state.alpha, eased);
+    if (animation === 'slide') state.offset = Math.max(state.offset, 1 - eased);
+    if (animation === 'pop') state.scale = Math.min(state.scale, 0.6 + 0.4 * eased);
+  });
+  return state;
+};
+
+/**
+ * Lay out a text layer in a frame without drawing it. Sets the layer's font
+ * on the context.
+ * 
+ * @param {CanvasRenderingContext2D} ctx - Context used to measure the text
+ * @param {Object} layer - Text layer
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {{lines: string[], fontSize: number, padding: number, lineHeight: number,
+ *   x: number, y: number, blockWidth: number, blockHeight: number}} Layout, in pixels
+ */
+export const layoutTextLayer = (ctx, layer, width, height) => {
+  const font = getFontOption(layer.fontId);
+  const fontSize = Math.round((layer.size / 100) * height);
+  const padding = layer.background ? fontSize * 0.4 : 0;
+  const lineHeight = fontSize * 1.2;
+
+  ctx.font = `${font.weight} ${fontSize}px ${font.family}`;
+  const lines = wrapLines(ctx, layer.text, width * MAX_LINE_WIDTH - padding * 2);
+  const blockWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+  const blockHeight = lines.length * lineHeight + padding * 2;
+
+  const marginX = width * EDGE_MARGIN;
+  const marginY = height * EDGE_MARGIN;
+  const x = layer.align === 'left' ? marginX
+    : layer.align === 'right' ? width - marginX - blockWidth
+      : (width - blockWidth) / 2;
+  const y = layer.position === 'top' ? marginY
+    : layer.position === 'bottom' ? height - marginY - blockHeight
+      : (height - blockHeight) / 2;
+  return { lines, fontSize, padding, lineHeight, x, y, blockWidth, blockHeight };
+};
+
+/**
+ * Draw the text layers of a scene
+ * 
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} scene - Scene whose layers are drawn
+ * @param {number} localTime - Seconds since the scene started
+ * @param {Object} branding - Project branding used to resolve colors
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ */
+export const drawTextLayers = (ctx, scene, localTime, branding, width, height) => {
+  (scene.textLayers || []).forEach(layer => {
+    const state = getTextLayerState(layer, localTime, scene.duration);
+    if (!state || !layer.text.trim()) return;
+
+    ctx.save();
+    ctx.textBaseline = 'middle';
+    const { lines, fontSize, padding, lineHeight, x, y, blockWidth, blockHeight } = layoutTextLayer(ctx, layer, width, height);
+
+    // Animate around the centre of the block; scene transitions may already
+    // have faded the context
+    ctx.globalAlpha *= state.alpha;
+    ctx.translate(x + blockWidth / 2, y + blockHeight / 2 + state.offset * fontSize);
+    ctx.scale(state.scale, state.scale);
+    ctx.translate(-blockWidth / 2, -blockHeight / 2);
+
+    const background = resolveBrandColor(layer.background, branding);
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, blockWidth, blockHeight);
+    } else {
+      // Keep plain text readable over busy images
+      ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+      ctx.shadowBlur = fontSize * 0.25;
+    }
+
+    ctx.fillStyle = resolveBrandColor(layer.color, branding) || '#ffffff';
+    ctx.textAlign = layer.align;
+    const textX = layer.align === 'left' ? padding
+      : layer.align === 'right' ? blockWidth - padding
+        : blockWidth / 2;
+    lines.forEach((line, index) => {
+      ctx.fillText(line, textX, padding + lineHeight * (index + 0.5));
+    });
+    ctx.restore();
+  });
+};
+
+/**
+ * Draw a subtitle cue centred near the bottom of the frame
+ * 
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {string} text - Cue text
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {string} [fontId] - Font of the cue text (the brand body font)
+ */
+export const drawSubtitle = (ctx, text, width, height, fontId) => {
+  const fontSize = Math.round(Math.min(width, height) * 0.05);
+  const lineHeight = fontSize * 1.25;
+  const padding = fontSize * 0.3;
+
+  ctx.save();
+  ctx.font = `500 ${fontSize}px ${getFontOption(fontId).family}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const lines = wrapLines(ctx, text, width * MAX_LINE_WIDTH);
+  const bottom = height - height * EDGE_MARGIN;
+  lines.forEach((line, index) => {
+    const y = bottom - (lines.length - index - 0.5) * lineHeight;
+    const lineWidth = ctx.measureText(line).width + padding * 2;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect((width - lineWidth) / 2, y - lineHeight / 2, lineWidth, lineHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(line, width / 2, y);
+  });
+  ctx.restore();
+};
@@ -0,0 +1,62 @@
+import { drawTextLayers } from './textRenderer';
+import { drawTransition } from './transitions';
+import { createScene, createTextLayer } from '../../state/projectModel';
+
+const branding = { primaryColor: '#3498db', secondaryColor: '#e74c3c', textColor: '#ffffff' };
+
+// Stand-in for a 2D context that records the opacity of each piece of text
+const createRecordingContext = () => {
+  const stack = [];
+  const ctx = {
+    globalAlpha: 1,
+    drawn: [],
+    save() {
+      stack.push(ctx.globalAlpha);
+    },
+    restore() {
+      ctx.globalAlpha = stack.pop();
+    },
+    measureText: (text) => ({ width: text.length * 10 }),
+    fillText(text) {
+      ctx.drawn.push({ text, alpha: ctx.globalAlpha });
+    },
+    translate() {},
+    scale() {},
+    fillRect() {},
+    beginPath() {},
+    rect() {},
+    clip() {}
+  };
+  return ctx;
+};
+
+const sceneWithText = (text) => createScene({ textLayers: [createTextLayer({ text })] });
+
+describe('drawTextLayers', () => {
+  test.each([
+    ['crossfade', 0.25, { Outgoing: 1, Incoming: 0.25 }],
+    ['fade-black', 0.25, { Outgoing: 0.5 }],
+    ['fade-black', 0.75, { Incoming: 0.5 }],
+    ['zoom', 0.25, { Incoming: 1, Outgoing: 0.75 }],
+    ['slide', 0.25, { Outgoing: 1, Incoming: 1 }],
+  ])('fades text with the scene during a %s at %p', (type, progress, expected) => {
+    const ctx = createRecordingContext();
+    const drawFrom = () => drawTextLayers(ctx, sceneWithText('Outgoing'), 4, branding, 640, 360);
+    const drawTo = () => drawTextLayers(ctx, sceneWithText('Incoming'), 1, branding, 640, 360);
+
+    drawTransition(ctx, type, progress, drawFrom, drawTo, 640, 360);
+
+    expect(Object.fromEntries(ctx.drawn.map(({ text, alpha }) => [text, alpha]))).toEqual(expected);
+    expect(ctx.globalAlpha).toBe(1);
+  });
+
+  test('combines the transition with the text entry animation', () => {
+    const ctx = createRecordingContext();
+    // Halfway through the fade-in: eased to 0.75
+    const drawTo = () => drawTextLayers(ctx, sceneWithText('Incoming'), 0.2, branding, 640, 360);
+
+    drawTransition(ctx, 'crossfade', 0.5, () => {}, drawTo, 640, 360);
+
+    expect(ctx.drawn).toEqual([{ text: 'Incoming', alpha: 0.375 }]);
+  });
+});
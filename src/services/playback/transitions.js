@@ -0,0 +1,96 @@
+/**
+ * Scene Transitions
+ * 
+ * Canvas drawing for each transition type in `transitionTypes`. A drawer
+ * receives the transition progress (0 to 1) and two callbacks that draw the
+ * outgoing and incoming scenes over the whole frame.
+ */
+
+// Ease in and out so movement starts and ends gently
+const ease = (progress) => progress * progress * (3 - 2 * progress);
+
+const withState = (ctx, draw) => {
+  ctx.save();
+  draw();
+  ctx.restore();
+};
+
+const transitionDrawers = {
+  crossfade: (ctx, progress, drawFrom, drawTo) => {
+    drawFrom();
+    withState(ctx, () => {
+      ctx.globalAlpha = progress;
+      drawTo();
+    });
+  },
+
+  'fade-black': (ctx, progress, drawFrom, drawTo) => {
+    // The frame is already black; fade the outgoing scene out, then the incoming one in
+    withState(ctx, () => {
+      ctx.globalAlpha = progress < 0.5 ? 1 - progress * 2 : progress * 2 - 1;
+      if (progress < 0.5) {
+        drawFrom();
+      } else {
+        drawTo();
+      }
+    });
+  },
+
+  slide: (ctx, progress, drawFrom, drawTo, width) => {
+    const offset = ease(progress) * width;
+    withState(ctx, () => {
+      ctx.translate(-offset, 0);
+      drawFrom();
+    });
+    withState(ctx, () => {
+      ctx.translate(width - offset, 0);
+      drawTo();
+    });
+  },
+
+  wipe: (ctx, progress, drawFrom, drawTo, width, height) => {
+    drawFrom();
+    withState(ctx, () => {
+      ctx.beginPath();
+      ctx.rect(0, 0, ease(progress) * width, height);
+      ctx.clip();
+      drawTo();
+    });
+  },
+
+  zoom: (ctx, progress, drawFrom, drawTo, width, height) => {
+    drawTo();
+    withState(ctx, () => {
+      const scale = 1 + ease(progress);
+      ctx.globalAlpha = 1 - progress;
+      ctx.translate(width / 2, height / 2);
+      ctx.scale(scale, scale);
+      ctx.translate(-width / 2, -height / 2);
+      drawFrom();
+    });
+  }
+};
+
+/**
+ * Draw a frame part way through a transition
+ * 
+ * Unknown types fall back to a hard cut at the halfway point.
+ * 
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {string} type - Transition type id
+ * @param {number} progress - Progress from 0 to 1
+ * @param {Function} drawFrom - Draws the outgoing scene
+ * @param {Function} drawTo - Draws the incoming scene
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ */
+export const drawTransition = (ctx, type, progress, drawFrom, drawTo, width, height) => {
+  const drawer = transitionDrawers[type];
+  if (drawer) {
+    drawer(ctx, progress, drawFrom, drawTo, width, height);
+  } else if (progress < 0.5) {
+    drawFrom();
+  } else {
+    drawTo();
+  }
+};
@@ -0,0 +1,242 @@
+/**
+ * Video Renderer
+ * 
+ * Renders the finished video in the browser: the composed frames are drawn
+ * in real time onto an offscreen canvas, clip audio, recorded narration and
+ * background music are mixed through Web Audio, and the combined stream is
+ * encoded with MediaRecorder as WebM. Generated speech without recorded audio
+ * cannot be captured and is left out.
+ */
+import { getSceneTimings, getTotalDuration } from '../../state/projectModel';
+import { getFormatPreset, getQualityOption } from '../../data/catalog';
+import { toFileStem } from '../../utils/download';
+import { createMediaCache } from './mediaCache';
+import { renderFrame, syncVideos } from './frameRenderer';
+import { decodeAudio } from './audioClips';
+import { getProjectTrack, loadTrackBuffer, scheduleMusic } from './musicEngine';
+
+export const RENDER_FPS = 30;
+
+// Preferred encodings, best first
+const MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+
+/**
+ * Error raised when a video cannot be rendered
+ */
+export class RenderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RenderError';
+  }
+}
+
+const createAbortError = () => {
+  const error = new Error('Rendering was cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Pick the best WebM encoding this browser can record
+ * 
+ * @returns {string|null} MIME type, or null when recording is unsupported
+ */
+export const getSupportedMimeType = () => {
+  if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement === 'undefined') return null;
+  if (!HTMLCanvasElement.prototype.captureStream) return null;
+  return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+};
+
+/**
+ * Output frame size for a format preset at an export quality
+ * 
+ * @param {string} presetId - Format preset id
+ * @param {string} qualityId - Export quality id
+ * @returns {{width: number, height: number}} Size with even dimensions
+ */
+export const getRenderSize = (presetId, qualityId) => {
+  const preset = getFormatPreset(presetId);
+  const { shortSide } = getQualityOption(qualityId);
+  const scale = shortSide / Math.min(preset.width, preset.height);
+  const even = (value) => Math.round((value * scale) / 2) * 2;
+  return { width: even(preset.width), height: even(preset.height) };
+};
+
+/**
+ * File name for a rendered project
+ * 
+ * @param {Object} project - Project document
+ * @param {{width: number, height: number}} size - Output size
+ * @returns {string} File name such as "untitled-video-1280x720.webm"
+ */
+export const getRenderFileName = (project, { width, height }) =>
+  `${toFileStem(project.name)}-${width}x${height}.webm`;
+
+/**
+ * Load every image, clip and logo the project uses
+ * 
+ * @param {Object} project - Project document
+ * @param {Object} media - Media cache
+ * @returns {Promise<boolean[]>} Whether each piece of media can be drawn
+ */
+export const preloadMedia = (project, media) => {
+  const sources = project.scenes.flatMap(scene => [
+    ...(scene.media ? [[scene.media.type, scene.media.src]] : []),
+    ...scene.mediaLayers.map(layer => [layer.type, layer.src])
+  ]);
+  if (project.branding.logo.src) sources.push(['image', project.branding.logo.src]);
+  return Promise.all(sources.map(([type, src]) => media.whenLoaded(type, src)));
+};
+
+/**
+ * Route the audio of every clip, recorded take and the music into a single
+ * recordable stream. Takes and music are loaded up front and scheduled by
+ * `start`, which is called when recording begins.
+ */
+const createAudioMix = async (project, media) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  const context = new AudioContextClass();
+  const destination = context.createMediaStreamDestination();
+  media.videos().forEach(video => {
+    video.muted = false;
+    context.createMediaElementSource(video).connect(destination);
+  });
+
+  const timings = getSceneTimings(project.scenes);
+  const takes = await Promise.all(project.scenes.map(async (scene, index) => (
+    scene.narration?.src
+      ? { buffer: await decodeAudio(scene.narration.src), start: timings[index].start, end: timings[index].end }
+      : null
+  )));
+
+  const track = getProjectTrack(project);
+  const music = track ? await loadTrackBuffer(track) : null;
+
+  const start = () => {
+    const now = context.currentTime;
+    if (music) scheduleMusic(context, destination, music, project, { when: now });
+    takes.filter(Boolean).forEach(({ buffer, start: sceneStart, end }) => {
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(destination);
+      source.start(now + sceneStart, 0, Math.min(buffer.duration, end - sceneStart));
+    });
+  };
+
+  return { context, stream: destination.stream, start };
+};
+
+/**
+ * Render a project to a WebM video
+ * 
+ * Rendering runs in real time, so it takes as long as the video itself.
+ * 
+ * @param {Object} project - Project document
+ * @param {Object} [options] - Render options
+ * @param {AbortSignal} [options.signal] - Cancels the render
+ * @param {Function} [options.onProgress] - Called with (elapsedSeconds, totalSeconds)
+ * @returns {Promise<{blob: Blob, fileName: string}>} Encoded video
+ * @throws {RenderError} When the browser cannot record or the media cannot be exported
+ */
+export const renderVideo = async (project, { signal, onProgress = () => {} } = {}) => {
+  const mimeType = getSupportedMimeType();
+  if (!mimeType) {
+    throw new RenderError('This browser cannot record video. Try a recent version of Chrome, Edge or Firefox.');
+  }
+  const duration = getTotalDuration(project.scenes);
+  if (duration <= 0) throw new RenderError('Add at least one scene before rendering.');
+
+  const size = getRenderSize(project.format.presetId, project.exportOptions.quality);
+  const { bitrate } = getQualityOption(project.exportOptions.quality);
+  const canvas = document.createElement('canvas');
+  canvas.width = size.width;
+  canvas.height = size.height;
+  const ctx = canvas.getContext('2d');
+  const media = createMediaCache();
+  const frameOptions = {
+    project,
+    width: size.width,
+    height: size.height,
+    media,
+    showSubtitles: project.subtitles.burnIn
+  };
+  let audio = null;
+
+  try {
+    await preloadMedia(project, media);
+    if (signal?.aborted) throw createAbortError();
+    if (media.isTainted()) {
+      throw new RenderError('Some media is hosted on a site that does not allow it to be exported. Upload the file instead.');
+    }
+
+    audio = await createAudioMix(project, media);
+    if (signal?.aborted) throw createAbortError();
+    const tracks = [
+      ...canvas.captureStream(RENDER_FPS).getVideoTracks(),
+      ...(audio ? audio.stream.getAudioTracks() : [])
+    ];
+    const recorder = new MediaRecorder(new MediaStream(tracks), {
+      mimeType,
+      videoBitsPerSecond: bitrate
+    });
+
+    const blob = await new Promise((resolve, reject) => {
+      const chunks = [];
+      let timer = null;
+      let startedAt = 0;
+
+      const finish = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', handleAbort);
+        if (recorder.state !== 'inactive') recorder.stop();
+      };
+
+      const handleAbort = () => {
+        finish();
+        reject(createAbortError());
+      };
+
+      const drawNext = () => {
+        const elapsed = Math.min((performance.now() - startedAt) / 1000, duration);
+        const visible = renderFrame(ctx, { ...frameOptions, time: elapsed });
+        syncVideos(media, visible, elapsed < duration);
+        onProgress(elapsed, duration);
+        if (elapsed >= duration) {
+          finish();
+          return;
+        }
+        timer = setTimeout(drawNext, 1000 / RENDER_FPS);
+      };
+
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.onstop = () => {
+        if (!signal?.aborted) resolve(new Blob(chunks, { type: 'video/webm' }));
+      };
+      recorder.onerror = (event) => {
+        finish();
+        reject(new RenderError(`Recording failed: ${event.error?.message || 'unknown error'}.`));
+      };
+
+      signal?.addEventListener('abort', handleAbort);
+      // Draw the first frame before recording so the video does not open on black
+      renderFrame(ctx, { ...frameOptions, time: 0 });
+      recorder.start(1000);
+      if (audio) audio.start();
+      startedAt = performance.now();
+      drawNext();
+    });
+
+    return { blob, fileName: getRenderFileName(project, size) };
+  } finally {
+    media.dispose();
+    if (audio) audio.context.close();
+  }
+};
+
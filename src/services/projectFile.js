@@ -0,0 +1,493 @@
+/**
+ * Project Files
+ * 
+ * Serializes the editing state (project document plus chat history) to a
+ * versioned JSON file and reads such files back. Files written by older
+ * versions of the app are upgraded step by step through `migrations` before
+ * being validated against the current schema.
+ */
+import {
+  transitionTypes,
+  fontOptions,
+  textAnimations,
+  textPositions,
+  musicFitOptions,
+  pipPositions
+} from '../data/catalog';
+
+// Identifies a JSON file as a VideoVista project
+export const PROJECT_FILE_TYPE = 'videovista-project';
+
+// Current schema version written by `serializeProjectFile`
+export const PROJECT_SCHEMA_VERSION = 12;
+
+// File name suffix used for saved projects
+export const PROJECT_FILE_EXTENSION = '.videovista.json';
+
+/**
+ * Forward migrations keyed by the version they upgrade from. Each migration
+ * receives a file at version N and returns the same file at version N + 1.
+ */
+export const migrations = {
+  // v2 replaced the global transitionsEnabled switch with a transition per scene
+  1: (file) => {
+    // Malformed files are left for validation to report
+    if (!isObject(file.project) || !Array.isArray(file.project.scenes)) return file;
+    const { transitionsEnabled, ...project } = file.project;
+    const transition = transitionsEnabled === false
+      ? { type: 'cut', duration: 0 }
+      : { type: 'crossfade', duration: 0.5 };
+    return {
+      ...file,
+      project: {
+        ...project,
+        scenes: project.scenes.map(scene => ({ ...scene, transition: { ...transition } }))
+      }
+    };
+  },
+  // v3 added text overlays to scenes
+  2: (file) => {
+    if (!isObject(file.project) || !Array.isArray(file.project.scenes)) return file;
+    return {
+      ...file,
+      project: {
+        ...file.project,
+        scenes: file.project.scenes.map(scene => ({ ...scene, textLayers: [] }))
+      }
+    };
+  },
+  // v4 added the subtitle track
+  3: (file) => {
+    if (!isObject(file.project)) return file;
+    return {
+      ...file,
+      project: { ...file.project, subtitles: { cues: [], showInPreview: true, burnIn: false } }
+    };
+  },
+  // v5 split the single voice-over script into one segment per scene. Whole
+  // sentences are shared out over the scenes in order.
+  4: (file) => {
+    if (!isObject(file.project) || !Array.isArray(file.project.scenes) || file.project.scenes.length === 0) return file;
+    const { script, ...project } = file.project;
+    const sentences = typeof script === 'string'
+      ? (script.match(/[^.!?\n]+[.!?]*/g) || []).map(sentence => sentence.trim()).filter(Boolean)
+      : [];
+    const sceneCount = project.scenes.length;
+    const segments = project.scenes.map(() => []);
+    sentences.forEach((sentence, index) => {
+      segments[Math.floor(index * sceneCount / sentences.length)].push(sentence);
+    });
+    return {
+      ...file,
+      project: {
+        ...project,
+        scenes: project.scenes.map((scene, index) => ({ ...scene, script: segments[index].join(' ') }))
+      }
+    };
+  },
+  // v6 stored generated narration clips on scenes
+  5: (file) => {
+    if (!isObject(file.project) || !Array.isArray(file.project.scenes)) return file;
+    return {
+      ...file,
+      project: {
+        ...file.project,
+        scenes: file.project.scenes.map(scene => ({ ...scene, narration: null }))
+      }
+    };
+  },
+  // v7 added fades, fitting and ducking to the background music
+  6: (file) => {
+    if (!isObject(file.project) || !isObject(file.project.music)) return file;
+    return {
+      ...file,
+      project: {
+        ...file.project,
+        music: { fadeIn: 1, fadeOut: 2, fit: 'loop', ducking: true, duckLevel: 30, ...file.project.music }
+      }
+    };
+  },
+  // v8 added music tracks uploaded by the user
+  7: (file) => {
+    if (!isObject(file.project)) return file;
+    return { ...file, project: { ...file.project, customTracks: [] } };
+  },
+  // v9 added picture-in-picture media layers to scenes
+  8: (file) => {
+    if (!isObject(file.project) || !Array.isArray(file.project.scenes)) return file;
+    return {
+      ...file,
+      project: {
+        ...file.project,
+        scenes: file.project.scenes.map(scene => ({ ...scene, mediaLayers: [] }))
+      }
+    };
+  },
+  // v10 added brand kits and brand fonts
+  9: (file) => {
+    if (!isObject(file.project) || !isObject(file.project.branding)) return file;
+    return {
+      ...file,
+      project: {
+        ...file.project,
+        brandKitId: null,
+        branding: { ...file.project.branding, fonts: { heading: 'inter', body: 'inter' } }
+      }
+    };
+  },
+  // v11 dropped the video and scene length settings; the length of a video
+  // is the sum of its scene durations
+  10: (file) => {
+    if (!isObject(file.project) || !isObject(file.project.format)) return file;
+    const { videoDuration, sceneDuration, ...format } = file.project.format;
+    return { ...file, project: { ...file.project, format } };
+  },
+  // v12 dropped the output file format; exports are always WebM
+  11: (file) => {
+    if (!isObject(file.project) || !isObject(file.project.exportOptions)) return file;
+    const { fileFormat, ...exportOptions } = file.project.exportOptions;
+    return { ...file, project: { ...file.project, exportOptions } };
+  }
+};
+
+/**
+ * Error raised when a project file cannot be opened
+ */
+export class ProjectFileError extends Error {
+  /**
+   * @param {string} message - Summary of the problem
+   * @param {string[]} [details] - One readable line per validation problem
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ProjectFileError';
+    this.details = details;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Collects validation problems with the path of the offending field
+ */
+const createChecker = () => {
+  const errors = [];
+  return {
+    errors,
+    check(condition, path, message) {
+      if (!condition) errors.push(`${path} ${message}`);
+      return condition;
+    }
+  };
+};
+
+const oneOf = (options) => `must be one of ${options.map(option => `"${option.id}"`).join(', ')}`;
+const isOption = (options, value) => options.some(option => option.id === value);
+
+const validateTextLayer = (layer, path, check) => {
+  if (!check(isObject(layer), path, 'must be an object')) return;
+  check(typeof layer.id === 'string' && layer.id !== '', `${path}.id`, 'must be a non-empty string');
+  check(typeof layer.text === 'string', `${path}.text`, 'must be a string');
+  check(isOption(textPositions, layer.position), `${path}.position`, oneOf(textPositions));
+  check(['left', 'center', 'right'].includes(layer.align), `${path}.align`, 'must be "left", "center" or "right"');
+  check(isOption(fontOptions, layer.fontId), `${path}.fontId`, oneOf(fontOptions));
+  check(isNumber(layer.size) && layer.size > 0, `${path}.size`, 'must be a positive number');
+  check(typeof layer.color === 'string', `${path}.color`, 'must be a string');
+  check(layer.background === null || typeof layer.background === 'string', `${path}.background`, 'must be a string or null');
+  check(isOption(textAnimations, layer.animationIn), `${path}.animationIn`, oneOf(textAnimations));
+  check(isOption(textAnimations, layer.animationOut), `${path}.animationOut`, oneOf(textAnimations));
+  check(isNumber(layer.start) && layer.start >= 0, `${path}.start`, 'must be a number of seconds');
+  check(layer.end === null || (isNumber(layer.end) && layer.end > layer.start), `${path}.end`, 'must be null or a time after start');
+};
+
+// Attribution and license carried by stock media
+const validateCredit = (credit, path, check) => {
+  if (!check(isObject(credit), path, 'must be an object')) return;
+  check(typeof credit.author === 'string', `${path}.author`, 'must be a string');
+  check(typeof credit.license === 'string', `${path}.license`, 'must be a string');
+  ['provider', 'sourceUrl', 'licenseUrl'].forEach(key => {
+    if (credit[key] !== undefined && credit[key] !== null) {
+      check(typeof credit[key] === 'string', `${path}.${key}`, 'must be a string or null');
+    }
+  });
+};
+
+// Uploads reference their file in browser storage
+const validateFileId = (entry, path, check) => {
+  if (entry.fileId !== undefined) {
+    check(typeof entry.fileId === 'string' && entry.fileId !== '', `${path}.fileId`, 'must be a non-empty string');
+  }
+};
+
+const validateMediaLayer = (layer, path, check) => {
+  if (!check(isObject(layer), path, 'must be an object')) return;
+  check(typeof layer.id === 'string' && layer.id !== '', `${path}.id`, 'must be a non-empty string');
+  check(['image', 'video'].includes(layer.type), `${path}.type`, 'must be "image" or "video"');
+  check(typeof layer.src === 'string' && layer.src !== '', `${path}.src`, 'must be a non-empty string');
+  check(isOption(pipPositions, layer.position), `${path}.position`, oneOf(pipPositions));
+  check(isNumber(layer.size) && layer.size > 0 && layer.size <= 100, `${path}.size`, 'must be a percentage of the frame width');
+  validateFileId(layer, path, check);
+  if (layer.credit !== undefined) validateCredit(layer.credit, `${path}.credit`, check);
+};
+
+const validateNarration = (narration, path, check) => {
+  if (!check(isObject(narration), path, 'must be an object or null')) return;
+  check(typeof narration.id === 'string' && narration.id !== '', `${path}.id`, 'must be a non-empty string');
+  check(['tts', 'recording'].includes(narration.source), `${path}.source`, 'must be "tts" or "recording"');
+  check(typeof narration.text === 'string', `${path}.text`, 'must be a string');
+  check(isNumber(narration.duration) && narration.duration >= 0, `${path}.duration`, 'must be a number of seconds');
+  check(narration.src === null || typeof narration.src === 'string', `${path}.src`, 'must be a string or null');
+};
+
+const validateCustomTrack = (track, path, check) => {
+  if (!check(isObject(track), path, 'must be an object')) return;
+  check(typeof track.id === 'string' && track.id !== '', `${path}.id`, 'must be a non-empty string');
+  check(typeof track.name === 'string', `${path}.name`, 'must be a string');
+  check(typeof track.category === 'string', `${path}.category`, 'must be a string');
+  check(typeof track.duration === 'string', `${path}.duration`, 'must be a string');
+  check(typeof track.src === 'string' && track.src !== '', `${path}.src`, 'must be a non-empty string');
+  if (check(isNumber(track.seconds) && track.seconds > 0, `${path}.seconds`, 'must be a positive number of seconds')) {
+    check(isNumber(track.startOffset) && track.startOffset >= 0 && track.startOffset < track.seconds, `${path}.startOffset`, 'must be a time within the track');
+  }
+  check(Array.isArray(track.peaks) && track.peaks.every(isNumber), `${path}.peaks`, 'must be a list of numbers');
+};
+
+const validateMediaItem = (item, path, check) => {
+  if (!check(isObject(item), path, 'must be an object')) return;
+  check(typeof item.id === 'string' && item.id !== '', `${path}.id`, 'must be a non-empty string');
+  check(['image', 'video'].includes(item.type), `${path}.type`, 'must be "image" or "video"');
+  check(typeof item.src === 'string', `${path}.src`, 'must be a string');
+  check(typeof item.thumbnail === 'string', `${path}.thumbnail`, 'must be a string');
+  validateFileId(item, path, check);
+  // Metadata is missing from items added before uploads were measured
+  ['width', 'height', 'duration'].forEach(key => {
+    if (item[key] !== undefined && item[key] !== null) {
+      check(isNumber(item[key]) && item[key] > 0, `${path}.${key}`, 'must be a positive number or null');
+    }
+  });
+  if (item.credit !== undefined) validateCredit(item.credit, `${path}.credit`, check);
+};
+
+const validateScene = (scene, path, check) => {
+  if (!check(isObject(scene), path, 'must be an object')) return;
+  check(typeof scene.id === 'string' && scene.id !== '', `${path}.id`, 'must be a non-empty string');
+  check(isNumber(scene.duration) && scene.duration > 0, `${path}.duration`, 'must be a positive number of seconds');
+  check(typeof scene.thumbnail === 'string', `${path}.thumbnail`, 'must be a string');
+  check(typeof scene.script === 'string', `${path}.script`, 'must be a string');
+  if (scene.narration !== null) validateNarration(scene.narration, `${path}.narration`, check);
+  if (scene.media !== null && scene.media !== undefined) {
+    if (check(isObject(scene.media), `${path}.media`, 'must be an object or null')) {
+      check(['image', 'video'].includes(scene.media.type), `${path}.media.type`, 'must be "image" or "video"');
+      check(typeof scene.media.src === 'string', `${path}.media.src`, 'must be a string');
+      validateFileId(scene.media, `${path}.media`, check);
+      if (scene.media.credit !== undefined) validateCredit(scene.media.credit, `${path}.media.credit`, check);
+    }
+  }
+  if (check(isObject(scene.transition), `${path}.transition`, 'must be an object')) {
+    check(isOption(transitionTypes, scene.transition.type), `${path}.transition.type`, oneOf(transitionTypes));
+    check(isNumber(scene.transition.duration) && scene.transition.duration >= 0, `${path}.transition.duration`, 'must be a number of seconds');
+  }
+  if (check(Array.isArray(scene.textLayers), `${path}.textLayers`, 'must be a list')) {
+    scene.textLayers.forEach((layer, index) => validateTextLayer(layer, `${path}.textLayers[${index}]`, check));
+  }
+  if (check(Array.isArray(scene.mediaLayers), `${path}.mediaLayers`, 'must be a list')) {
+    scene.mediaLayers.forEach((layer, index) => validateMediaLayer(layer, `${path}.mediaLayers[${index}]`, check));
+  }
+};
+
+/**
+ * Validate a project document against the current schema
+ * 
+ * @param {Object} project - Project document
+ * @returns {string[]} Readable validation errors (empty when valid)
+ */
+export const validateProject = (project) => {
+  const { errors, check } = createChecker();
+  if (!check(isObject(project), 'project', 'must be an object')) return errors;
+
+  check(typeof project.name === 'string', 'project.name', 'must be a string');
+
+  if (check(Array.isArray(project.scenes), 'project.scenes', 'must be a list')) {
+    check(project.scenes.length > 0, 'project.scenes', 'must contain at least one scene');
+    project.scenes.forEach((scene, index) => validateScene(scene, `project.scenes[${index}]`, check));
+  }
+
+  if (check(isObject(project.voice), 'project.voice', 'must be an object')) {
+    check(typeof project.voice.voiceId === 'string', 'project.voice.voiceId', 'must be a string');
+    ['speed', 'pitch', 'emphasis'].forEach(key => {
+      const value = project.voice[key];
+      check(isNumber(value) && value >= 0 && value <= 100, `project.voice.${key}`, 'must be a number from 0 to 100');
+    });
+  }
+
+  if (check(isObject(project.music), 'project.music', 'must be an object')) {
+    check(project.music.trackId === null || typeof project.music.trackId === 'string', 'project.music.trackId', 'must be a string or null');
+    check(isNumber(project.music.volume), 'project.music.volume', 'must be a number');
+    ['fadeIn', 'fadeOut'].forEach(key => {
+      const value = project.music[key];
+      check(isNumber(value) && value >= 0, `project.music.${key}`, 'must be a number of seconds');
+    });
+    check(isOption(musicFitOptions, project.music.fit), 'project.music.fit', oneOf(musicFitOptions));
+    check(typeof project.music.ducking === 'boolean', 'project.music.ducking', 'must be true or false');
+    check(isNumber(project.music.duckLevel) && project.music.duckLevel >= 0 && project.music.duckLevel <= 100, 'project.music.duckLevel', 'must be a number from 0 to 100');
+  }
+
+  if (check(Array.isArray(project.customTracks), 'project.customTracks', 'must be a list')) {
+    project.customTracks.forEach((track, index) => validateCustomTrack(track, `project.customTracks[${index}]`, check));
+  }
+
+  if (check(isObject(project.format), 'project.format', 'must be an object')) {
+    check(typeof project.format.presetId === 'string', 'project.format.presetId', 'must be a string');
+  }
+
+  check(project.brandKitId === null || typeof project.brandKitId === 'string', 'project.brandKitId', 'must be a string or null');
+
+  if (check(isObject(project.branding), 'project.branding', 'must be an object')) {
+    ['primaryColor', 'secondaryColor', 'textColor'].forEach(key => {
+      check(typeof project.branding[key] === 'string', `project.branding.${key}`, 'must be a string');
+    });
+    if (check(isObject(project.branding.fonts), 'project.branding.fonts', 'must be an object')) {
+      ['heading', 'body'].forEach(key => {
+        check(isOption(fontOptions, project.branding.fonts[key]), `project.branding.fonts.${key}`, oneOf(fontOptions));
+      });
+    }
+    if (check(isObject(project.branding.logo), 'project.branding.logo', 'must be an object')) {
+      check(!project.branding.logo.src || typeof project.branding.logo.src === 'string', 'project.branding.logo.src', 'must be a string or null');
+      check(typeof project.branding.logo.position === 'string', 'project.branding.logo.position', 'must be a string');
+      check(isNumber(project.branding.logo.size), 'project.branding.logo.size', 'must be a number');
+      check(isNumber(project.branding.logo.opacity), 'project.branding.logo.opacity', 'must be a number');
+    }
+  }
+
+  if (check(isObject(project.exportOptions), 'project.exportOptions', 'must be an object')) {
+    check(typeof project.exportOptions.quality === 'string', 'project.exportOptions.quality', 'must be a string');
+    check(Array.isArray(project.exportOptions.platforms), 'project.exportOptions.platforms', 'must be a list');
+  }
+
+  if (check(isObject(project.subtitles), 'project.subtitles', 'must be an object')) {
+    const { subtitles } = project;
+    check(typeof subtitles.showInPreview === 'boolean', 'project.subtitles.showInPreview', 'must be true or false');
+    check(typeof subtitles.burnIn === 'boolean', 'project.subtitles.burnIn', 'must be true or false');
+    if (check(Array.isArray(subtitles.cues), 'project.subtitles.cues', 'must be a list')) {
+      subtitles.cues.forEach((cue, index) => {
+        const path = `project.subtitles.cues[${index}]`;
+        if (!check(isObject(cue), path, 'must be an object')) return;
+        check(typeof cue.id === 'string' && cue.id !== '', `${path}.id`, 'must be a non-empty string');
+        check(typeof cue.text === 'string', `${path}.text`, 'must be a string');
+        check(isNumber(cue.start) && cue.start >= 0, `${path}.start`, 'must be a number of seconds');
+        check(isNumber(cue.end) && cue.end > cue.start, `${path}.end`, 'must be a time after start');
+      });
+    }
+  }
+
+  if (check(Array.isArray(project.mediaLibrary), 'project.mediaLibrary', 'must be a list')) {
+    project.mediaLibrary.forEach((item, index) => validateMediaItem(item, `project.mediaLibrary[${index}]`, check));
+  }
+
+  return errors;
+};
+
+const validateChatHistory = (messages) => {
+  const { errors, check } = createChecker();
+  if (!check(Array.isArray(messages), 'chatHistory', 'must be a list')) return errors;
+  messages.forEach((message, index) => {
+    const path = `chatHistory[${index}]`;
+    if (!check(isObject(message), path, 'must be an object')) return;
+    check(['user', 'ai'].includes(message.type), `${path}.type`, 'must be "user" or "ai"');
+    check(typeof message.content === 'string', `${path}.content`, 'must be a string');
+    check(!Number.isNaN(Date.parse(message.timestamp)), `${path}.timestamp`, 'must be a date');
+  });
+  return errors;
+};
+
+/**
+ * Serialize the editing state to the project file format
+ * 
+ * @param {Object} project - Project document
+ * @param {Array} chatHistory - Chat messages shown in the editor
+ * @returns {string} JSON text
+ */
+export const serializeProjectFile = (project, chatHistory = []) => JSON.stringify({
+  type: PROJECT_FILE_TYPE,
+  schemaVersion: PROJECT_SCHEMA_VERSION,
+  savedAt: new Date().toISOString(),
+  project,
+  // Replies still streaming are left out; they cannot be resumed
+  chatHistory: chatHistory
+    .filter(message => !message.pending)
+    .map(message => ({
+      ...message,
+      timestamp: new Date(message.timestamp).toISOString()
+    }))
+}, null, 2);
+
+/**
+ * Upgrade a parsed file to the current schema version
+ * 
+ * @param {Object} file - Parsed project file
+ * @returns {Object} File at PROJECT_SCHEMA_VERSION
+ * @throws {ProjectFileError} When the file is too new or cannot be migrated
+ */
+export const migrateProjectFile = (file) => {
+  const version = file.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ProjectFileError('This project file has no valid schema version.');
+  }
+  if (version > PROJECT_SCHEMA_VERSION) {
+    throw new ProjectFileError(
+      `This project was saved by a newer version of the editor (schema ${version}). ` +
+      `This version can open files up to schema ${PROJECT_SCHEMA_VERSION}.`
+    );
+  }
+
+  let migrated = file;
+  for (let from = version; from < PROJECT_SCHEMA_VERSION; from += 1) {
+    const migrate = migrations[from];
+    if (!migrate) {
+      throw new ProjectFileError(`No upgrade is available from schema ${from} to ${from + 1}.`);
+    }
+    migrated = { ...migrate(migrated), schemaVersion: from + 1 };
+  }
+  return migrated;
+};
+
+/**
+ * Parse, migrate and validate the text of a project file
+ * 
+ * @param {string} text - File contents
+ * @returns {{project: Object, chatHistory: Array}} Editing state (timestamps as Dates)
+ * @throws {ProjectFileError} When the file is not a usable project
+ */
+export const parseProjectFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ProjectFileError('This file is not valid JSON.', [error.message]);
+  }
+
+  if (!isObject(data) || data.type !== PROJECT_FILE_TYPE) {
+    throw new ProjectFileError('This file is not a VideoVista project.');
+  }
+
+  const file = migrateProjectFile(data);
+  const chatHistory = file.chatHistory || [];
+  const errors = [...validateProject(file.project), ...validateChatHistory(chatHistory)];
+  if (errors.length > 0) {
+    throw new ProjectFileError('This project file contains invalid data.', errors);
+  }
+
+  return {
+    project: file.project,
+    chatHistory: chatHistory.map(message => ({ ...message, timestamp: new Date(message.timestamp) }))
+  };
+};
+
+/**
+ * Read a project from a File chosen by the user
+ * 
+ * @param {File} file - Selected file
+ * @returns {Promise<{project: Object, chatHistory: Array}>} Editing state
+ */
+export const readProjectFile = async (file) => parseProjectFile(await file.text());
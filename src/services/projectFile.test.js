@@ -0,0 +1,150 @@
+import {
+  PROJECT_FILE_TYPE,
+  PROJECT_SCHEMA_VERSION,
+  ProjectFileError,
+  parseProjectFile,
+  serializeProjectFile,
+  validateProject
+} from './projectFile';
+import { createDefaultProject, createInitialChatHistory } from '../state/projectModel';
+
+// A project as saved by the first version of the editor
+const createVersion1Project = (overrides = {}) => ({
+  id: 'project-1',
+  name: 'Launch video',
+  script: 'One. Two! Three? Four.',
+  transitionsEnabled: true,
+  scenes: ['scene-1', 'scene-2', 'scene-3'].map(id => ({
+    id,
+    duration: 5,
+    thumbnail: `${id}.png`,
+    media: { type: 'image', src: `${id}.jpg` }
+  })),
+  voice: { voiceId: 'v1', speed: 50, pitch: 50, emphasis: 50 },
+  music: { trackId: 'm1', volume: 60 },
+  format: { presetId: 'f3', videoDuration: 30, sceneDuration: 5 },
+  branding: {
+    primaryColor: '#3498db',
+    secondaryColor: '#e74c3c',
+    textColor: '#ffffff',
+    logo: { src: null, position: 'bottom-right', size: 15, opacity: 100 }
+  },
+  exportOptions: { quality: 'standard', fileFormat: 'mp4', platforms: ['youtube'] },
+  mediaLibrary: [],
+  ...overrides
+});
+
+const toFile = (project, schemaVersion = 1, fields = {}) => JSON.stringify({
+  type: PROJECT_FILE_TYPE,
+  schemaVersion,
+  project,
+  chatHistory: [],
+  ...fields
+});
+
+const openError = (text) => {
+  try {
+    parseProjectFile(text);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the file to be rejected');
+};
+
+describe('parseProjectFile migrations', () => {
+  test(`upgrades a version 1 file to version ${PROJECT_SCHEMA_VERSION}`, () => {
+    const { project } = parseProjectFile(toFile(createVersion1Project()));
+
+    expect(validateProject(project)).toEqual([]);
+    expect(project).not.toHaveProperty('script');
+    expect(project).not.toHaveProperty('transitionsEnabled');
+    expect(project.scenes).toEqual(['scene-1', 'scene-2', 'scene-3'].map((id, index) => ({
+      id,
+      duration: 5,
+      thumbnail: `${id}.png`,
+      media: { type: 'image', src: `${id}.jpg` },
+      transition: { type: 'crossfade', duration: 0.5 },
+      textLayers: [],
+      script: ['One. Two!', 'Three?', 'Four.'][index],
+      narration: null,
+      mediaLayers: []
+    })));
+    expect(project.subtitles).toEqual({ cues: [], showInPreview: true, burnIn: false });
+    expect(project.music).toEqual({ trackId: 'm1', volume: 60, fadeIn: 1, fadeOut: 2, fit: 'loop', ducking: true, duckLevel: 30 });
+    expect(project.customTracks).toEqual([]);
+    expect(project.brandKitId).toBeNull();
+    expect(project.branding.fonts).toEqual({ heading: 'inter', body: 'inter' });
+    expect(project.format).toEqual({ presetId: 'f3' });
+    expect(project.exportOptions).toEqual({ quality: 'standard', platforms: ['youtube'] });
+  });
+
+  test.each([
+    [true, { type: 'crossfade', duration: 0.5 }],
+    [false, { type: 'cut', duration: 0 }],
+  ])('turns transitionsEnabled %p into a transition on every scene', (transitionsEnabled, transition) => {
+    const { project } = parseProjectFile(toFile(createVersion1Project({ transitionsEnabled })));
+    expect(project.scenes.map(scene => scene.transition)).toEqual([transition, transition, transition]);
+  });
+
+  test.each([
+    ['', ['', '', '']],
+    ['Only one sentence.', ['Only one sentence.', '', '']],
+    ['A. B. C. D. E. F.', ['A. B.', 'C. D.', 'E. F.']],
+  ])('shares the script %p out over the scenes', (script, segments) => {
+    const { project } = parseProjectFile(toFile(createVersion1Project({ script })));
+    expect(project.scenes.map(scene => scene.script)).toEqual(segments);
+  });
+
+  test('keeps music settings that are already present', () => {
+    const { project } = parseProjectFile(toFile(createVersion1Project({
+      music: { trackId: null, volume: 40, fit: 'trim', ducking: false }
+    })));
+    expect(project.music).toEqual({ trackId: null, volume: 40, fadeIn: 1, fadeOut: 2, fit: 'trim', ducking: false, duckLevel: 30 });
+  });
+});
+
+describe('parseProjectFile errors', () => {
+  test.each([
+    ['text that is not JSON', '{ nope', 'This file is not valid JSON.'],
+    ['another kind of file', JSON.stringify({ type: 'something-else', schemaVersion: 1 }), 'This file is not a VideoVista project.'],
+    ['a missing schema version', toFile(createVersion1Project(), 1, { schemaVersion: undefined }), 'This project file has no valid schema version.'],
+    ['a schema version of 0', toFile(createVersion1Project(), 0), 'This project file has no valid schema version.'],
+    [
+      'a newer schema version',
+      toFile(createVersion1Project(), PROJECT_SCHEMA_VERSION + 1),
+      `This project was saved by a newer version of the editor (schema ${PROJECT_SCHEMA_VERSION + 1}). ` +
+        `This version can open files up to schema ${PROJECT_SCHEMA_VERSION}.`
+    ],
+  ])('rejects %s', (name, text, message) => {
+    const error = openError(text);
+    expect(error).toBeInstanceOf(ProjectFileError);
+    expect(error.message).toBe(message);
+  });
+
+  test('lists each invalid field', () => {
+    const project = createVersion1Project({ name: 7 });
+    project.scenes[1].duration = -1;
+    const error = openError(toFile(project, 1, {
+      chatHistory: [{ type: 'bot', content: 'Hi', timestamp: 'yesterday' }]
+    }));
+    expect(error.message).toBe('This project file contains invalid data.');
+    expect(error.details).toEqual([
+      'project.name must be a string',
+      'project.scenes[1].duration must be a positive number of seconds',
+      'chatHistory[0].type must be "user" or "ai"',
+      'chatHistory[0].timestamp must be a date'
+    ]);
+  });
+});
+
+describe('serializeProjectFile', () => {
+  test('writes files that open unchanged', () => {
+    const project = createDefaultProject();
+    const chatHistory = createInitialChatHistory();
+    const opened = parseProjectFile(serializeProjectFile(project, [...chatHistory, { type: 'ai', content: '…', timestamp: new Date(), pending: true }]));
+
+    expect(JSON.parse(serializeProjectFile(project)).schemaVersion).toBe(PROJECT_SCHEMA_VERSION);
+    expect(opened.project).toEqual(project);
+    expect(opened.chatHistory).toEqual(chatHistory);
+  });
+});
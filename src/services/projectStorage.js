@@ -0,0 +1,249 @@
+/**
+ * Project Storage
+ * 
+ * Persists autosaved projects in IndexedDB so editing sessions survive page
+ * reloads and can be resumed later. Records hold the project in the same
+ * format as project files, so stored drafts go through the same migrations
+ * and validation when they are opened.
+ * 
+ * Record shape: { id, name, sceneCount, updatedAt, savedAt, fingerprint, data }
+ * - updatedAt: last time the stored content changed (ms since epoch)
+ * - savedAt: last time the project was saved to a file (0 if never)
+ * - fingerprint: hash of the content, used to skip writes that change nothing
+ * 
+ * Brand kits shared by all projects are kept in a second store, one record
+ * per kit as created by createBrandKit plus its updatedAt time. A third store
+ * holds the files of uploaded media as { id, blob } records, so projects and
+ * kits only keep a reference to them (see mediaFiles).
+ */
+import { serializeProjectFile, parseProjectFile } from './projectFile';
+
+const DB_NAME = 'videovista';
+const DB_VERSION = 3;
+const STORE_NAME = 'projects';
+const BRAND_KIT_STORE_NAME = 'brandKits';
+const MEDIA_FILE_STORE_NAME = 'mediaFiles';
+
+let dbPromise = null;
+
+/**
+ * Cheap string hash (djb2) used to detect unchanged content
+ * 
+ * @param {string} text - Text to hash
+ * @returns {string} Hash in base 36
+ */
+const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Whether IndexedDB can be used in this environment
+ * 
+ * @returns {boolean}
+ */
+export const isStorageAvailable = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('updatedAt', 'updatedAt');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(BRAND_KIT_STORE_NAME, { keyPath: 'id' });
+        }
+        if (event.oldVersion < 3) {
+          db.createObjectStore(MEDIA_FILE_STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a single request against one of the stores
+ * 
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} makeRequest - Receives the store and returns an IDBRequest
+ * @param {string} [storeName] - Store to use (defaults to the projects store)
+ * @returns {Promise<*>} Result of the request
+ */
+const withStore = async (mode, makeRequest, storeName = STORE_NAME) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Autosave a project and its chat history
+ * 
+ * @param {Object} project - Project document
+ * @param {Array} chatHistory - Chat messages
+ * @returns {Promise<void>}
+ */
+export const saveDraft = async (project, chatHistory) => {
+  if (!isStorageAvailable()) return;
+  const fingerprint = hashString(JSON.stringify([project, chatHistory]));
+  const existing = await getProjectRecord(project.id);
+  if (existing && existing.fingerprint === fingerprint) return;
+  await withStore('readwrite', store => store.put({
+    id: project.id,
+    name: project.name,
+    sceneCount: project.scenes.length,
+    updatedAt: Date.now(),
+    savedAt: existing ? existing.savedAt : 0,
+    fingerprint,
+    data: serializeProjectFile(project, chatHistory)
+  }));
+};
+
+/**
+ * Record that a project has been saved to a file
+ * 
+ * @param {string} projectId - Project id
+ * @returns {Promise<void>}
+ */
+export const markProjectSaved = async (projectId) => {
+  if (!isStorageAvailable()) return;
+  const record = await getProjectRecord(projectId);
+  if (!record) return;
+  await withStore('readwrite', store => store.put({ ...record, savedAt: Date.now() }));
+};
+
+/**
+ * Get the stored record for a project
+ * 
+ * @param {string} projectId - Project id
+ * @returns {Promise<Object|undefined>} Stored record
+ */
+export const getProjectRecord = async (projectId) => {
+  if (!isStorageAvailable()) return undefined;
+  return withStore('readonly', store => store.get(projectId));
+};
+
+/**
+ * List stored projects, most recently edited first
+ * 
+ * @param {number} [limit=10] - Maximum number of records
+ * @returns {Promise<Array>} Records without their data payload
+ */
+export const listRecentProjects = async (limit = 10) => {
+  if (!isStorageAvailable()) return [];
+  const records = await withStore('readonly', store => store.getAll());
+  return records
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, limit)
+    .map(({ data, ...summary }) => summary);
+};
+
+/**
+ * Most recent draft that has changes not saved to a file
+ * 
+ * @returns {Promise<Object|null>} Record summary or null
+ */
+export const findUnsavedDraft = async () => {
+  const [latest] = await listRecentProjects(1);
+  return latest && latest.updatedAt > latest.savedAt ? latest : null;
+};
+
+/**
+ * Load a stored project
+ * 
+ * @param {string} projectId - Project id
+ * @returns {Promise<{project: Object, chatHistory: Array}>} Editing state
+ * @throws {ProjectFileError} When the stored data is no longer valid
+ */
+export const loadStoredProject = async (projectId) => {
+  const record = await getProjectRecord(projectId);
+  if (!record) {
+    throw new Error('This project is no longer stored in the browser.');
+  }
+  return parseProjectFile(record.data);
+};
+
+/**
+ * Remove a stored project
+ * 
+ * @param {string} projectId - Project id
+ * @returns {Promise<void>}
+ */
+export const deleteStoredProject = async (projectId) => {
+  if (!isStorageAvailable()) return;
+  await withStore('readwrite', store => store.delete(projectId));
+};
+
+/**
+ * List stored brand kits, oldest first
+ * 
+ * @returns {Promise<Array>} Brand kits
+ */
+export const listBrandKits = async () => {
+  if (!isStorageAvailable()) return [];
+  const kits = await withStore('readonly', store => store.getAll(), BRAND_KIT_STORE_NAME);
+  return kits.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+/**
+ * Store a brand kit, replacing any earlier version
+ * 
+ * @param {Object} kit - Brand kit
+ * @returns {Promise<void>}
+ */
+export const saveBrandKit = async (kit) => {
+  if (!isStorageAvailable()) return;
+  await withStore('readwrite', store => store.put({ ...kit, updatedAt: Date.now() }), BRAND_KIT_STORE_NAME);
+};
+
+/**
+ * Remove a stored brand kit
+ * 
+ * @param {string} kitId - Brand kit id
+ * @returns {Promise<void>}
+ */
+export const deleteBrandKit = async (kitId) => {
+  if (!isStorageAvailable()) return;
+  await withStore('readwrite', store => store.delete(kitId), BRAND_KIT_STORE_NAME);
+};
+
+/**
+ * Store the file of an uploaded image or video
+ * 
+ * @param {string} fileId - Id the file is referenced by
+ * @param {Blob} blob - File contents
+ * @returns {Promise<void>}
+ */
+export const saveMediaFile = async (fileId, blob) => {
+  if (!isStorageAvailable()) return;
+  await withStore('readwrite', store => store.put({ id: fileId, blob }), MEDIA_FILE_STORE_NAME);
+};
+
+/**
+ * Load the file of an uploaded image or video
+ * 
+ * @param {string} fileId - Id the file is referenced by
+ * @returns {Promise<Blob|null>} File contents, or null when it is not stored
+ */
+export const loadMediaFile = async (fileId) => {
+  if (!isStorageAvailable()) return null;
+  const record = await withStore('readonly', store => store.get(fileId), MEDIA_FILE_STORE_NAME);
+  return record ? record.blob : null;
+};
@@ -0,0 +1,60 @@
+/**
+ * Script Segments
+ * 
+ * The voice-over script is stored as one segment per scene. Where the whole
+ * script is edited as a single text, each segment is preceded by a divider
+ * line such as "[Scene 2]" so the text can be split back into segments.
+ */
+
+// Divider line introducing a scene's segment, e.g. "[Scene 2]"
+const DIVIDER_PATTERN = /^\[Scene (\d+)\][^\S\n]*(?:\n|$)/gim;
+
+/**
+ * Divider line for a scene
+ * 
+ * @param {number} index - Zero-based scene index
+ * @returns {string} Divider text
+ */
+export const formatSceneDivider = (index) => `[Scene ${index + 1}]`;
+
+/**
+ * Join the scene segments into one text with a divider before each segment
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @returns {string} Full script with dividers
+ */
+export const formatScriptWithDividers = (scenes) => scenes
+  .map((scene, index) => `${formatSceneDivider(index)}\n${scene.script}`)
+  .join('\n\n');
+
+/**
+ * Split a script with dividers back into one segment per scene
+ * 
+ * Text before the first divider belongs to scene 1 and dividers for scenes
+ * that do not exist add to the last scene. Scenes whose divider was removed
+ * get an empty segment. Formatting the result with `formatScriptWithDividers`
+ * gives back the same text as long as every divider is present and in order.
+ * 
+ * @param {string} text - Full script with dividers
+ * @param {number} sceneCount - Number of scenes in the project
+ * @returns {string[]} Script segment per scene
+ */
+export const parseScriptWithDividers = (text, sceneCount) => {
+  if (sceneCount === 0) return [];
+  const parts = Array.from({ length: sceneCount }, () => []);
+  const dividers = [...text.matchAll(DIVIDER_PATTERN)];
+
+  const leading = (dividers.length > 0 ? text.slice(0, dividers[0].index) : text).trim();
+  if (leading) parts[0].push(leading);
+
+  dividers.forEach((divider, position) => {
+    const next = dividers[position + 1];
+    let segment = text.slice(divider.index + divider[0].length, next ? next.index : text.length);
+    // Drop the blank line that separates this segment from the next divider
+    if (next) segment = segment.replace(/\n\n?$/, '');
+    const sceneIndex = Math.min(Math.max(Number(divider[1]), 1), sceneCount) - 1;
+    parts[sceneIndex].push(segment);
+  });
+
+  return parts.map(segments => segments.join('\n\n'));
+};
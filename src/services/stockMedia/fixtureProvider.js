@@ -0,0 +1,155 @@
+/**
+ * Offline fixture stock provider.
+ * 
+ * Serves a bundled catalog so stock search, filtering and paging work
+ * without a network connection and give the same results every time.
+ * Images are generated SVG artwork; video items share a public-domain sample
+ * clip, which is the only part that needs a connection to play.
+ */
+
+// Public-domain clip used for every fixture video
+const SAMPLE_CLIP_URL = 'https://interactive-examples.mdn.mozilla.net/media/cc0-videos/flower.mp4';
+
+const CC0_LICENSE = {
+  license: 'CC0 1.0',
+  licenseUrl: 'https://creativecommons.org/publicdomain/zero/1.0/'
+};
+
+// Frame size of fixture media by orientation
+const SIZES = {
+  landscape: { width: 1920, height: 1080 },
+  portrait: { width: 1080, height: 1920 },
+  square: { width: 1080, height: 1080 }
+};
+
+// Subjects in the catalog; each is offered in every orientation, and those
+// with a duration as a video clip as well
+const TOPICS = [
+  { title: 'City skyline at dusk', tags: ['city', 'urban', 'evening', 'buildings'], colors: ['#1e3c72', '#f0932b'], duration: 12 },
+  { title: 'Mountain lake', tags: ['nature', 'water', 'landscape', 'outdoors'], colors: ['#0f766e', '#a5f3fc'] },
+  { title: 'Team meeting', tags: ['business', 'office', 'people', 'work'], colors: ['#334155', '#38bdf8'], duration: 9 },
+  { title: 'Coffee on a desk', tags: ['coffee', 'work', 'morning', 'lifestyle'], colors: ['#6b4226', '#f5deb3'] },
+  { title: 'Ocean waves', tags: ['nature', 'water', 'sea', 'beach'], colors: ['#075985', '#7dd3fc'], duration: 15 },
+  { title: 'Laptop and code', tags: ['technology', 'software', 'work', 'computer'], colors: ['#111827', '#22c55e'] },
+  { title: 'Forest path', tags: ['nature', 'trees', 'green', 'outdoors'], colors: ['#14532d', '#bef264'], duration: 10 },
+  { title: 'Shopping bags', tags: ['retail', 'shopping', 'sale', 'lifestyle'], colors: ['#9d174d', '#fbcfe8'] },
+  { title: 'Running at sunrise', tags: ['fitness', 'sport', 'morning', 'people'], colors: ['#b45309', '#fde68a'], duration: 8 },
+  { title: 'Abstract gradient', tags: ['abstract', 'background', 'colorful'], colors: ['#7c3aed', '#f472b6'] },
+  { title: 'Fresh salad', tags: ['food', 'healthy', 'green', 'lifestyle'], colors: ['#15803d', '#fef08a'] },
+  { title: 'Night traffic', tags: ['city', 'cars', 'night', 'urban'], colors: ['#020617', '#ef4444'], duration: 11 },
+  { title: 'Desert dunes', tags: ['nature', 'sand', 'landscape', 'warm'], colors: ['#c2410c', '#fed7aa'] },
+  { title: 'Smartphone in hand', tags: ['technology', 'mobile', 'people', 'app'], colors: ['#1f2937', '#a78bfa'], duration: 7 },
+  { title: 'Snowy peaks', tags: ['nature', 'winter', 'mountains', 'cold'], colors: ['#1e40af', '#f8fafc'] },
+  { title: 'Handshake', tags: ['business', 'deal', 'people', 'trust'], colors: ['#0f172a', '#fbbf24'] },
+  { title: 'Flower close-up', tags: ['nature', 'flowers', 'spring', 'colorful'], colors: ['#be185d', '#fde047'], duration: 14 },
+  { title: 'Classroom', tags: ['education', 'school', 'people', 'learning'], colors: ['#166534', '#fef3c7'] },
+  { title: 'Warehouse shelves', tags: ['logistics', 'business', 'industry', 'retail'], colors: ['#44403c', '#fb923c'] },
+  { title: 'Starry sky', tags: ['night', 'space', 'stars', 'background'], colors: ['#0b1026', '#6366f1'], duration: 16 }
+];
+
+/**
+ * Artwork for a fixture image: a two-color gradient with the subject's title
+ */
+const createArtwork = (topic, { width, height }) => {
+  const [from, to] = topic.colors;
+  const fontSize = Math.round(Math.min(width, height) * 0.07);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${from}"/>` +
+    `<stop offset="1" stop-color="${to}"/></linearGradient></defs>` +
+    `<rect width="${width}" height="${height}" fill="url(#g)"/>` +
+    `<circle cx="${width * 0.75}" cy="${height * 0.3}" r="${Math.min(width, height) * 0.18}" fill="#fff" fill-opacity="0.15"/>` +
+    `<text x="50%" y="85%" text-anchor="middle" font-family="sans-serif" font-size="${fontSize}" fill="#fff" fill-opacity="0.85">` +
+    `${topic.title}</text></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+/**
+ * Build the whole fixture catalog
+ */
+const buildCatalog = () => TOPICS.flatMap((topic, topicIndex) => (
+  Object.entries(SIZES).flatMap(([orientation, size]) => {
+    const artwork = createArtwork(topic, size);
+    const base = {
+      name: topic.title,
+      tags: topic.tags,
+      orientation,
+      width: size.width,
+      height: size.height,
+      thumbnail: artwork
+    };
+    const image = {
+      ...base,
+      id: `fixture-${topicIndex + 1}-${orientation}-image`,
+      type: 'image',
+      src: artwork,
+      duration: null,
+      credit: { author: 'VideoVista Studio', provider: 'Fixture Stock', sourceUrl: null, ...CC0_LICENSE }
+    };
+    if (!topic.duration) return [image];
+    const video = {
+      ...base,
+      id: `fixture-${topicIndex + 1}-${orientation}-video`,
+      type: 'video',
+      src: SAMPLE_CLIP_URL,
+      previewSrc: SAMPLE_CLIP_URL,
+      duration: topic.duration,
+      credit: { author: 'MDN Web Docs', provider: 'Fixture Stock', sourceUrl: SAMPLE_CLIP_URL, ...CC0_LICENSE }
+    };
+    return [image, video];
+  })
+));
+
+const matchesQuery = (item, query) => {
+  const text = [item.name, ...item.tags].join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+/**
+ * Create a fixture provider
+ * 
+ * @param {Object} [options] - Provider options
+ * @param {number} [options.latency=250] - Simulated response time in milliseconds
+ * @returns {Object} Stock media provider
+ */
+export const createFixtureProvider = ({ latency = 250 } = {}) => {
+  const catalog = buildCatalog();
+
+  return {
+    id: 'fixture',
+    name: 'Fixture Stock',
+
+    search({ query = '', type = 'all', orientation = null, page = 1, perPage = 12, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        const abortError = () => {
+          const error = new Error('The search was cancelled.');
+          error.name = 'AbortError';
+          return error;
+        };
+        if (signal?.aborted) {
+          reject(abortError());
+          return;
+        }
+        const timer = setTimeout(() => {
+          const matching = catalog.filter(item => (
+            matchesQuery(item, query) &&
+            (type === 'all' || item.type === type) &&
+            (!orientation || item.orientation === orientation)
+          ));
+          const start = (page - 1) * perPage;
+          resolve({
+            items: matching.slice(start, start + perPage),
+            page,
+            total: matching.length,
+            hasMore: start + perPage < matching.length
+          });
+        }, latency);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(abortError());
+        }, { once: true });
+      });
+    }
+  };
+};
+
+export default createFixtureProvider();
@@ -0,0 +1,49 @@
+/**
+ * Stock Media Providers
+ * 
+ * Stock media in the media panel comes from a pluggable provider:
+ * 
+ *   provider.search(request) => Promise<{ items, page, total, hasMore }>
+ * 
+ *   request = {
+ *     query        - free text; every word must match the item
+ *     type         - 'all', 'image' or 'video'
+ *     orientation  - 'landscape', 'portrait', 'square', or null for any
+ *     page         - page number, starting at 1
+ *     perPage      - items per page
+ *     signal       - aborting it cancels the search with an AbortError
+ *   }
+ * 
+ * Items are shaped like media library items ({ id, name, type, src,
+ * thumbnail, width, height, duration, orientation }) plus an optional
+ * `previewSrc` for video hover previews and a `credit` describing the
+ * attribution and license ({ author, provider, sourceUrl, license,
+ * licenseUrl }). The credit travels with the item into the project.
+ */
+import fixtureProvider from './fixtureProvider';
+import { getFormatPreset } from '../../data/catalog';
+import { getOrientation } from '../mediaUpload';
+
+export { createFixtureProvider } from './fixtureProvider';
+
+// Stock results requested per page
+export const STOCK_PAGE_SIZE = 12;
+
+/**
+ * Create the provider configured for this build; currently the bundled
+ * offline fixture provider
+ * 
+ * @returns {Object} Stock media provider
+ */
+export const createStockMediaProvider = () => fixtureProvider;
+
+/**
+ * Orientation of stock media matching a project's format
+ * 
+ * @param {string} presetId - Format preset id
+ * @returns {'landscape'|'portrait'|'square'} Orientation
+ */
+export const getFormatOrientation = (presetId) => {
+  const preset = getFormatPreset(presetId);
+  return getOrientation(preset.width, preset.height);
+};
@@ -0,0 +1,249 @@
+/**
+ * Subtitles
+ * 
+ * Reads and writes SubRip (.srt) and WebVTT (.vtt) caption files, and builds
+ * a first set of cues from the voice-over script. Cues are plain objects:
+ * { id, start, end, text } with times in seconds.
+ */
+import { createId, getSceneTimings } from '../state/projectModel';
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+// Shortest cue generated from the script, in seconds
+const MIN_CUE_SECONDS = 1;
+
+/**
+ * Error raised when a subtitle file cannot be read
+ */
+export class SubtitleFileError extends Error {
+  /**
+   * @param {string} message - Summary of the problem
+   * @param {string[]} [details] - One readable line per problem, starting with its line number
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'SubtitleFileError';
+    this.details = details;
+  }
+}
+
+/**
+ * Create a subtitle cue
+ * 
+ * @param {Object} overrides - Cue fields
+ * @returns {Object} Cue
+ */
+export const createCue = (overrides = {}) => ({
+  id: createId('cue'),
+  start: 0,
+  end: 2,
+  text: '',
+  ...overrides
+});
+
+/**
+ * Format seconds as a caption timestamp
+ * 
+ * @param {number} seconds - Time in seconds
+ * @param {'srt'|'vtt'} format - Target format (SRT uses a decimal comma)
+ * @returns {string} Timestamp such as "00:01:02,500"
+ */
+export const formatTimestamp = (seconds, format) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const separator = format === 'srt' ? ',' : '.';
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * Parse a caption timestamp ("01:02.5", "00:01:02,500")
+ * 
+ * @param {string} value - Timestamp
+ * @returns {number|null} Seconds, or null when the value is not a timestamp
+ */
+export const parseTimestamp = (value) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/.exec(value.trim());
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, fraction = '0'] = match;
+  if (Number(minutes) > 59 || Number(seconds) > 59) return null;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+const sortCues = (cues) => [...cues].sort((a, b) => a.start - b.start);
+
+/**
+ * Write cues as an SRT file
+ * 
+ * @param {Array} cues - Subtitle cues
+ * @returns {string} File contents
+ */
+export const formatSrt = (cues) => sortCues(cues)
+  .map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start, 'srt')} --> ${formatTimestamp(cue.end, 'srt')}`,
+    cue.text
+  ].join('\n'))
+  .join('\n\n') + '\n';
+
+/**
+ * Write cues as a WebVTT file
+ * 
+ * @param {Array} cues - Subtitle cues
+ * @returns {string} File contents
+ */
+export const formatVtt = (cues) => ['WEBVTT', ...sortCues(cues).map(cue => [
+  `${formatTimestamp(cue.start, 'vtt')} --> ${formatTimestamp(cue.end, 'vtt')}`,
+  cue.text
+].join('\n'))].join('\n\n') + '\n';
+
+/**
+ * Parse the text of an SRT or WebVTT file
+ * 
+ * Blocks are separated by blank lines. Cue numbers, VTT cue identifiers and
+ * cue settings are accepted and ignored, as are VTT NOTE, STYLE and REGION
+ * blocks. Every malformed block is reported with its line number.
+ * 
+ * @param {string} text - File contents
+ * @param {'srt'|'vtt'} format - File format
+ * @returns {Array} Cues in time order
+ * @throws {SubtitleFileError} When the file contains malformed cues
+ */
+export const parseSubtitles = (text, format) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const errors = [];
+  const cues = [];
+  let index = 0;
+
+  if (format === 'vtt') {
+    if (!/^WEBVTT(?:[ \t].*)?$/.test(lines[0] || '')) {
+      throw new SubtitleFileError('This is not a WebVTT file.', ['Line 1: the file must start with "WEBVTT"']);
+    }
+    // Skip the header block
+    while (index < lines.length && lines[index].trim() !== '') index += 1;
+  }
+
+  while (index < lines.length) {
+    // Collect the next block of non-empty lines
+    while (index < lines.length && lines[index].trim() === '') index += 1;
+    if (index >= lines.length) break;
+    const blockStart = index;
+    const block = [];
+    while (index < lines.length && lines[index].trim() !== '') {
+      block.push(lines[index]);
+      index += 1;
+    }
+
+    if (format === 'vtt' && /^(NOTE|STYLE|REGION)\b/.test(block[0])) continue;
+
+    // The timing line may follow a cue number or identifier
+    const timingOffset = block[0].includes('-->') ? 0 : 1;
+    const timingLine = block[timingOffset];
+    const lineNumber = blockStart + timingOffset + 1;
+    if (!timingLine || !timingLine.includes('-->')) {
+      errors.push(`Line ${blockStart + 1}: expected a timing line such as "00:00:01,000 --> 00:00:03,000"`);
+      continue;
+    }
+
+    const [startText, rest] = timingLine.split('-->');
+    // VTT cue settings ("align:start") follow the end time
+    const endText = rest.trim().split(/\s+/)[0] || '';
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (start === null) {
+      errors.push(`Line ${lineNumber}: "${startText.trim()}" is not a valid start time`);
+      continue;
+    }
+    if (end === null) {
+      errors.push(`Line ${lineNumber}: "${endText}" is not a valid end time`);
+      continue;
+    }
+    if (end <= start) {
+      errors.push(`Line ${lineNumber}: the end time must be after the start time`);
+      continue;
+    }
+
+    const cueText = block.slice(timingOffset + 1).join('\n').trim();
+    if (!cueText) {
+      errors.push(`Line ${lineNumber}: the cue has no text`);
+      continue;
+    }
+    cues.push(createCue({ start, end, text: cueText }));
+  }
+
+  if (errors.length > 0) {
+    throw new SubtitleFileError(
+      `The ${format.toUpperCase()} file has ${errors.length} ${errors.length === 1 ? 'problem' : 'problems'}.`,
+      errors
+    );
+  }
+  if (cues.length === 0) {
+    throw new SubtitleFileError('The file does not contain any cues.');
+  }
+  return sortCues(cues);
+};
+
+/**
+ * Read cues from a File chosen by the user, detecting the format from its name
+ * 
+ * @param {File} file - Selected .srt or .vtt file
+ * @returns {Promise<Array>} Cues in time order
+ */
+export const readSubtitleFile = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (!SUBTITLE_FORMATS.includes(extension)) {
+    throw new SubtitleFileError('Choose an .srt or .vtt subtitle file.');
+  }
+  return parseSubtitles(await file.text(), extension);
+};
+
+/**
+ * Split one scene's script into cues spread over the scene
+ * 
+ * Each sentence becomes a cue whose length is proportional to its word count.
+ */
+const generateSceneCues = (script, sceneStart, sceneEnd) => {
+  const sentences = (script.match(/[^.!?\n]+[.!?]*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+  const duration = sceneEnd - sceneStart;
+  if (sentences.length === 0 || duration <= 0) return [];
+
+  const wordCounts = sentences.map(sentence => sentence.split(/\s+/).length);
+  const totalWords = wordCounts.reduce((sum, count) => sum + count, 0);
+  let cursor = sceneStart;
+  return sentences.map((sentence, index) => {
+    const length = Math.max((wordCounts[index] / totalWords) * duration, MIN_CUE_SECONDS);
+    const start = Math.min(cursor, sceneEnd);
+    const end = index === sentences.length - 1 ? sceneEnd : Math.min(start + length, sceneEnd);
+    cursor = end;
+    return createCue({
+      start: Math.round(start * 1000) / 1000,
+      end: Math.round(end * 1000) / 1000,
+      text: sentence
+    });
+  }).filter(cue => cue.end > cue.start);
+};
+
+/**
+ * Build cues from the voice-over script, keeping each scene's narration
+ * within that scene's time range
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @returns {Array} Cues in time order
+ */
+export const generateCuesFromScenes = (scenes) => {
+  const timings = getSceneTimings(scenes);
+  return scenes.flatMap((scene, index) => generateSceneCues(scene.script, timings[index].start, timings[index].end));
+};
+
+/**
+ * Find the cue showing at a point in time
+ * 
+ * @param {Array} cues - Subtitle cues
+ * @param {number} time - Time in seconds
+ * @returns {Object|null} Cue, or null when no cue is showing
+ */
+export const getCueAt = (cues, time) => cues.find(cue => time >= cue.start && time < cue.end) || null;
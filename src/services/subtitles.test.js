@@ -0,0 +1,73 @@
+import { formatSrt, formatVtt, parseSubtitles, SubtitleFileError } from './subtitles';
+
+// Joins lines so the line numbers in the expectations are easy to count
+const file = (...lines) => lines.join('\n');
+
+const parseError = (text, format) => {
+  try {
+    parseSubtitles(text, format);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the file to be rejected');
+};
+
+describe('parseSubtitles', () => {
+  test.each([
+    ['srt', file('1', '00:00:01,000 --> 00:00:03,000', 'Hello', '', '2', '00:00:03,500 --> 00:00:05,000', 'Two', 'lines')],
+    ['vtt', file('WEBVTT - captions', '', 'NOTE written by hand', '', 'intro', '00:01.000 --> 00:03.000 align:start', 'Hello', '', '00:00:03.500 --> 00:00:05.000', 'Two', 'lines')],
+  ])('reads %s cues', (format, text) => {
+    expect(parseSubtitles(text, format).map(({ start, end, text: cueText }) => ({ start, end, text: cueText }))).toEqual([
+      { start: 1, end: 3, text: 'Hello' },
+      { start: 3.5, end: 5, text: 'Two\nlines' }
+    ]);
+  });
+
+  test.each([
+    ['srt', 'a missing timing line', file('1', 'Hello'), 'Line 1: expected a timing line such as "00:00:01,000 --> 00:00:03,000"'],
+    ['srt', 'a bad start time', file('1', '00:00:aa,000 --> 00:00:03,000', 'Hello'), 'Line 2: "00:00:aa,000" is not a valid start time'],
+    ['srt', 'a bad end time', file('1', '00:00:01,000 --> 00:61:00,000', 'Hello'), 'Line 2: "00:61:00,000" is not a valid end time'],
+    ['srt', 'an end before the start', file('1', '00:00:03,000 --> 00:00:01,000', 'Hello'), 'Line 2: the end time must be after the start time'],
+    ['srt', 'a cue without text', file('1', '00:00:01,000 --> 00:00:03,000'), 'Line 2: the cue has no text'],
+    ['srt', 'a problem after other cues', file('1', '00:00:01,000 --> 00:00:03,000', 'Hello', '', '', '2', '00:00:04,000 --> 00:00:04,000', 'Again'), 'Line 7: the end time must be after the start time'],
+    ['vtt', 'a missing header', file('00:01.000 --> 00:03.000', 'Hello'), 'Line 1: the file must start with "WEBVTT"'],
+    ['vtt', 'a bad cue after a note', file('WEBVTT', '', 'NOTE', 'two lines', '', '00:03.000 --> 00:01.000', 'Hello'), 'Line 6: the end time must be after the start time'],
+    ['vtt', 'a bad cue after an identifier', file('WEBVTT', '', 'intro', '00:01.000 --> soon', 'Hello'), 'Line 4: "soon" is not a valid end time'],
+  ])('reports %s: %s', (format, name, text, detail) => {
+    const error = parseError(text, format);
+    expect(error).toBeInstanceOf(SubtitleFileError);
+    expect(error.details).toEqual([detail]);
+  });
+
+  test('reports every malformed cue', () => {
+    const error = parseError(file('1', 'Hello', '', '2', '00:00:03,000 --> 00:00:01,000', 'Bye'), 'srt');
+    expect(error.message).toBe('The SRT file has 2 problems.');
+    expect(error.details).toEqual([
+      'Line 1: expected a timing line such as "00:00:01,000 --> 00:00:03,000"',
+      'Line 5: the end time must be after the start time'
+    ]);
+  });
+
+  test('rejects a file without cues', () => {
+    expect(parseError('WEBVTT\n\nNOTE nothing here\n', 'vtt').message).toBe('The file does not contain any cues.');
+  });
+});
+
+describe('formatSrt and formatVtt', () => {
+  const cues = [
+    { id: 'b', start: 3.5, end: 65.25, text: 'Second' },
+    { id: 'a', start: 0, end: 2, text: 'First' }
+  ];
+
+  test.each([
+    ['srt', formatSrt, '1\n00:00:00,000 --> 00:00:02,000\nFirst\n\n2\n00:00:03,500 --> 00:01:05,250\nSecond\n'],
+    ['vtt', formatVtt, 'WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nFirst\n\n00:00:03.500 --> 00:01:05.250\nSecond\n'],
+  ])('writes %s files that read back the same', (format, write, expected) => {
+    const text = write(cues);
+    expect(text).toBe(expected);
+    expect(parseSubtitles(text, format).map(cue => [cue.start, cue.end, cue.text])).toEqual([
+      [0, 2, 'First'],
+      [3.5, 65.25, 'Second']
+    ]);
+  });
+});
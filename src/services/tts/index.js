@@ -0,0 +1,82 @@
+/**
+ * Text-to-Speech Engines
+ * 
+ * Narration is produced by a pluggable engine:
+ * 
+ *   engine.speak(text, voice, { signal }) => Promise<void>
+ *   engine.synthesize(text, voice, { signal }) => Promise<{ duration, src }>
+ *   engine.stop()
+ * 
+ * `voice` is the project's voice settings ({ voiceId, speed, pitch, emphasis }
+ * with sliders from 0 to 100). `speak` reads the text aloud and resolves when
+ * it has finished; aborting `signal` or calling `stop` cuts it short and
+ * rejects with an AbortError. `synthesize` produces a narration clip: its
+ * length in seconds and an audio URL, or a null `src` when the engine can only
+ * speak live (the browser engine cannot capture its own output, so its clips
+ * are spoken again whenever they are played).
+ */
+import { createId } from '../../state/projectModel';
+import { createSpeechSynthesisEngine } from './speechSynthesisEngine';
+import { createStubEngine } from './stubEngine';
+
+export { createSpeechSynthesisEngine, createStubEngine };
+export { estimateSpeechDuration, getSpeechParams } from './speechParams';
+
+// Sentence read when previewing a voice
+export const VOICE_SAMPLE_TEXT = 'Hi there! This is how your video will sound with my voice.';
+
+/**
+ * Create the engine available in this browser: speech synthesis when the
+ * browser supports it, the silent stub engine otherwise
+ * 
+ * @returns {Object} Text-to-speech engine
+ */
+export const createTtsEngine = () => (
+  typeof window !== 'undefined' && window.speechSynthesis
+    ? createSpeechSynthesisEngine(window.speechSynthesis)
+    : createStubEngine()
+);
+
+/**
+ * Generate the narration clip for a scene's script
+ * 
+ * @param {Object} engine - Text-to-speech engine
+ * @param {string} text - Script segment to read
+ * @param {Object} voice - Project voice settings
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} Narration clip stored on the scene
+ */
+export const generateNarration = async (engine, text, voice, options = {}) => {
+  const { duration, src } = await engine.synthesize(text, voice, options);
+  return {
+    id: createId('narration'),
+    source: 'tts',
+    engineId: engine.id,
+    text,
+    voiceId: voice.voiceId,
+    speed: voice.speed,
+    pitch: voice.pitch,
+    emphasis: voice.emphasis,
+    duration,
+    src
+  };
+};
+
+/**
+ * Whether a scene's narration still matches its script and the current voice
+ * settings. Recorded takes are kept as they are and always count as current.
+ * 
+ * @param {Object|null} narration - Clip stored on the scene
+ * @param {string} text - Scene script
+ * @param {Object} voice - Project voice settings
+ * @returns {boolean} True when the clip is up to date
+ */
+export const isNarrationCurrent = (narration, text, voice) => Boolean(narration) && (
+  narration.source === 'recording' || (
+    narration.text === text &&
+    narration.voiceId === voice.voiceId &&
+    narration.speed === voice.speed &&
+    narration.pitch === voice.pitch &&
+    narration.emphasis === voice.emphasis
+  )
+);
@@ -0,0 +1,58 @@
+import { createStubEngine, estimateSpeechDuration, generateNarration, isNarrationCurrent } from './index';
+
+const voice = { voiceId: 'v1', speed: 50, pitch: 50, emphasis: 50 };
+const text = 'Our product helps customers achieve their goals faster.';
+
+describe('generateNarration', () => {
+  test('stores the clip with the settings it was made with', async () => {
+    const engine = createStubEngine();
+    const narration = await generateNarration(engine, text, voice);
+
+    expect(engine.requests).toEqual([{ type: 'synthesize', text, voice }]);
+    expect(narration).toEqual({
+      id: expect.any(String),
+      source: 'tts',
+      engineId: 'stub',
+      text,
+      voiceId: 'v1',
+      speed: 50,
+      pitch: 50,
+      emphasis: 50,
+      duration: estimateSpeechDuration(text, voice),
+      src: null
+    });
+    expect(narration.duration).toBeGreaterThan(0);
+  });
+
+  test('stops when the request is cancelled', async () => {
+    const engine = createStubEngine();
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(generateNarration(engine, text, voice, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(engine.requests).toEqual([]);
+  });
+});
+
+describe('isNarrationCurrent', () => {
+  const narration = { source: 'tts', text, ...voice };
+
+  test.each([
+    ['no clip', null, text, voice, false],
+    ['a matching clip', narration, text, voice, true],
+    ['an edited script', narration, `${text} Now.`, voice, false],
+    ['another voice', narration, text, { ...voice, voiceId: 'v2' }, false],
+    ['a faster voice', narration, text, { ...voice, speed: 70 }, false],
+    ['a recording', { source: 'recording', text: '' }, text, { ...voice, pitch: 10 }, true],
+  ])('%s', (name, clip, script, settings, expected) => {
+    expect(isNarrationCurrent(clip, script, settings)).toBe(expected);
+  });
+});
+
+describe('estimateSpeechDuration', () => {
+  test('is shorter for faster voices and zero for empty text', () => {
+    expect(estimateSpeechDuration(text, { ...voice, speed: 100 })).toBeLessThan(estimateSpeechDuration(text, voice));
+    expect(estimateSpeechDuration('   ', voice)).toBe(0);
+  });
+});
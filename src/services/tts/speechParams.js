@@ -0,0 +1,63 @@
+/**
+ * Speech Parameters
+ * 
+ * Helpers shared by the text-to-speech engines for turning the project's
+ * voice settings into speech parameters and timing.
+ */
+import { voiceOptions } from '../../data/catalog';
+
+// Typical narration pace at normal speed, in words per second
+const WORDS_PER_SECOND = 2.5;
+
+/**
+ * Same error shape fetch() uses when a request is aborted
+ */
+export const createAbortError = () => {
+  const error = new Error('Speech was stopped.');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Convert the voice settings into speech parameters
+ * 
+ * Speed and pitch are centred on 50 (normal); speed spans half to double
+ * speed. Emphasis sets how much louder and higher exclamations and questions
+ * are read than the rest of the script.
+ * 
+ * @param {Object} voice - Project voice settings
+ * @returns {{rate: number, pitch: number, emphasis: number, option: Object}} Speech parameters
+ */
+export const getSpeechParams = (voice) => {
+  const option = voiceOptions.find(item => item.id === voice.voiceId) || voiceOptions[0];
+  return {
+    rate: 2 ** ((voice.speed - 50) / 50) * option.tone.rate,
+    pitch: Math.min(Math.max((voice.pitch / 50) * option.tone.pitch, 0), 2),
+    emphasis: voice.emphasis / 100,
+    option
+  };
+};
+
+/**
+ * Split text into sentences, each read as its own utterance
+ * 
+ * @param {string} text - Text to read
+ * @returns {string[]} Sentences
+ */
+export const splitSentences = (text) => (text.match(/[^.!?\n]+[.!?]*/g) || [])
+  .map(sentence => sentence.trim())
+  .filter(Boolean);
+
+/**
+ * Estimate how long the text takes to read with the given settings
+ * 
+ * @param {string} text - Text to read
+ * @param {Object} voice - Project voice settings
+ * @returns {number} Duration in seconds
+ */
+export const estimateSpeechDuration = (text, voice) => {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  if (words === 0) return 0;
+  const { rate } = getSpeechParams(voice);
+  return Math.round((words / (WORDS_PER_SECOND * rate)) * 10) / 10;
+};
@@ -0,0 +1,92 @@
+/**
+ * Browser speech-synthesis engine.
+ * 
+ * Reads text through the Web Speech API one sentence at a time so emphasis
+ * can be applied per sentence. The browser picks the installed voice that
+ * best matches the chosen voice option's language and gender.
+ */
+import { createAbortError, estimateSpeechDuration, getSpeechParams, splitSentences } from './speechParams';
+
+/**
+ * Pick the installed voice closest to a voice option
+ */
+const pickVoice = (voices, option) => {
+  const language = voices.filter(voice => voice.lang.startsWith(option.lang));
+  const candidates = language.length > 0 ? language : voices;
+  const matching = candidates.filter(voice => voice.name.toLowerCase().includes(option.gender));
+  const pool = matching.length > 0 ? matching : candidates;
+  return pool[option.variant % Math.max(pool.length, 1)] || null;
+};
+
+/**
+ * Create an engine backed by `window.speechSynthesis`
+ * 
+ * @param {SpeechSynthesis} synth - Speech synthesis controller
+ * @returns {Object} Text-to-speech engine
+ */
+export const createSpeechSynthesisEngine = (synth) => {
+  // Rejects the utterance chain currently being spoken
+  let cancelCurrent = null;
+
+  const stop = () => {
+    if (cancelCurrent) cancelCurrent();
+    synth.cancel();
+  };
+
+  const speakSentence = (sentence, params, installedVoice) => new Promise((resolve, reject) => {
+    const utterance = new window.SpeechSynthesisUtterance(sentence);
+    // Exclamations and questions are read louder and higher as emphasis rises
+    const stressed = /[!?]$/.test(sentence);
+    utterance.rate = params.rate;
+    utterance.pitch = Math.min(params.pitch + (stressed ? params.emphasis * 0.4 : 0), 2);
+    utterance.volume = stressed ? 1 : 1 - params.emphasis * 0.3;
+    if (installedVoice) {
+      utterance.voice = installedVoice;
+      utterance.lang = installedVoice.lang;
+    }
+    utterance.onend = () => resolve();
+    utterance.onerror = (event) => {
+      if (event.error === 'canceled' || event.error === 'interrupted') reject(createAbortError());
+      else reject(new Error(`Speech synthesis failed (${event.error}).`));
+    };
+    synth.speak(utterance);
+  });
+
+  return {
+    id: 'speech-synthesis',
+    name: 'Browser voices',
+
+    async speak(text, voice, { signal } = {}) {
+      stop();
+      if (signal?.aborted) throw createAbortError();
+      const params = getSpeechParams(voice);
+      const installedVoice = pickVoice(synth.getVoices(), params.option);
+
+      let cancelled = false;
+      const cancel = () => {
+        cancelled = true;
+        synth.cancel();
+      };
+      cancelCurrent = cancel;
+      signal?.addEventListener('abort', cancel, { once: true });
+      try {
+        for (const sentence of splitSentences(text)) {
+          if (cancelled) throw createAbortError();
+          await speakSentence(sentence, params, installedVoice);
+        }
+        if (cancelled) throw createAbortError();
+      } finally {
+        signal?.removeEventListener('abort', cancel);
+        if (cancelCurrent === cancel) cancelCurrent = null;
+      }
+    },
+
+    // Browser speech cannot be recorded, so clips are spoken live on playback
+    async synthesize(text, voice, { signal } = {}) {
+      if (signal?.aborted) throw createAbortError();
+      return { duration: estimateSpeechDuration(text, voice), src: null };
+    },
+
+    stop
+  };
+};
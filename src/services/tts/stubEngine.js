@@ -0,0 +1,36 @@
+/**
+ * Silent stub engine.
+ * 
+ * Used where speech synthesis is unavailable and in tests. Nothing is read
+ * aloud; every request is recorded in `engine.requests` and speaking resolves
+ * straight away. Clips get the estimated duration of the text.
+ */
+import { createAbortError, estimateSpeechDuration } from './speechParams';
+
+/**
+ * Create a stub engine
+ * 
+ * @returns {Object} Text-to-speech engine with a `requests` log
+ */
+export const createStubEngine = () => {
+  const requests = [];
+
+  return {
+    id: 'stub',
+    name: 'Silent voice',
+    requests,
+
+    async speak(text, voice, { signal } = {}) {
+      if (signal?.aborted) throw createAbortError();
+      requests.push({ type: 'speak', text, voice });
+    },
+
+    async synthesize(text, voice, { signal } = {}) {
+      if (signal?.aborted) throw createAbortError();
+      requests.push({ type: 'synthesize', text, voice });
+      return { duration: estimateSpeechDuration(text, voice), src: null };
+    },
+
+    stop() {}
+  };
+};
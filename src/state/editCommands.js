@@ -0,0 +1,163 @@
+/**
+ * Edit Commands
+ * 
+ * Converts typed edit commands (produced by the chat command parser or an
+ * assistant backend) into labelled project actions plus a short summary of
+ * what changed. Commands from a backend are not trusted: any command whose
+ * fields are missing or out of range is ignored.
+ */
+import { projectReducer, setScenes, updateFormat, updateMusic, updateBranding } from './projectReducer';
+import { withHistoryLabel } from './history';
+import { reorderScenes, duplicateScene, deleteScene, insertScene, addTextLayer } from './sceneOperations';
+import { createTextLayer, MIN_SCENE_SECONDS, MAX_SCENE_SECONDS } from './projectModel';
+import { formatPresets, musicTracks, brandColorFields, textPositions } from '../data/catalog';
+import { parseColor } from '../utils/color';
+
+const MOVE_POSITIONS = ['start', 'end', 'before', 'after'];
+
+// Whether a value is an integer index from 0 up to (not including) length
+const isIndex = (value, length) => Number.isInteger(value) && value >= 0 && value < length;
+
+const describeTrack = (trackId, tracks) => {
+  const track = tracks.find(item => item.id === trackId);
+  return track ? `"${track.name}"` : 'the selected track';
+};
+
+/**
+ * Build the project action for a single edit command
+ * 
+ * @param {Object} project - Project the command applies to
+ * @param {Object} command - Edit command
+ * @param {Array} [tracks] - Music tracks that can be chosen
+ * @returns {{action: Object, summary: string}|null} Action and summary, or null if nothing
+ *   changes or the command is malformed
+ */
+export const buildEditAction = (project, command, tracks = musicTracks) => {
+  const { scenes } = project;
+  const sceneLabel = (index) => `scene ${index + 1}`;
+
+  switch (command.type) {
+    case 'moveScene': {
+      const { sceneIndex, position, targetIndex } = command;
+      if (!isIndex(sceneIndex, scenes.length) || !MOVE_POSITIONS.includes(position)) return null;
+      if ((position === 'before' || position === 'after') && !isIndex(targetIndex, scenes.length)) return null;
+      let toIndex;
+      if (position === 'start') toIndex = 0;
+      else if (position === 'end') toIndex = scenes.length - 1;
+      else {
+        // Index of the target once the moved scene has been taken out
+        const adjustedTarget = targetIndex > sceneIndex ? targetIndex - 1 : targetIndex;
+        toIndex = position === 'before' ? adjustedTarget : adjustedTarget + 1;
+      }
+      const next = reorderScenes(scenes, sceneIndex, toIndex);
+      if (next === scenes) return null;
+      const where = position === 'start' || position === 'end'
+        ? `to the ${position}`
+        : `${position} ${sceneLabel(targetIndex)}`;
+      const summary = `Moved ${sceneLabel(sceneIndex)} ${where}`;
+      return { action: withHistoryLabel(setScenes(next), summary), summary };
+    }
+    case 'setSceneDuration': {
+      const { seconds } = command;
+      if (!isIndex(command.sceneIndex, scenes.length)) return null;
+      if (typeof seconds !== 'number' || !(seconds >= MIN_SCENE_SECONDS && seconds <= MAX_SCENE_SECONDS)) return null;
+      const scene = scenes[command.sceneIndex];
+      if (scene.duration === seconds) return null;
+      const next = scenes.map(item => (item.id === scene.id ? { ...item, duration: seconds } : item));
+      const summary = `Set ${sceneLabel(command.sceneIndex)} to ${seconds} seconds (was ${scene.duration})`;
+      return { action: withHistoryLabel(setScenes(next), summary), summary };
+    }
+    case 'deleteScene': {
+      if (!isIndex(command.sceneIndex, scenes.length)) return null;
+      const scene = scenes[command.sceneIndex];
+      const next = deleteScene(scenes, scene.id);
+      if (next === scenes) return null;
+      const summary = `Deleted ${sceneLabel(command.sceneIndex)}`;
+      return { action: withHistoryLabel(setScenes(next), summary), summary };
+    }
+    case 'duplicateScene': {
+      if (!isIndex(command.sceneIndex, scenes.length)) return null;
+      const scene = scenes[command.sceneIndex];
+      const summary = `Duplicated ${sceneLabel(command.sceneIndex)}`;
+      return { action: withHistoryLabel(setScenes(duplicateScene(scenes, scene.id)), summary), summary };
+    }
+    case 'addScene': {
+      const index = command.index === undefined ? scenes.length : command.index;
+      // A new scene can also go after the last one
+      if (!isIndex(index, scenes.length + 1)) return null;
+      const summary = `Added a blank scene as ${sceneLabel(index)}`;
+      return { action: withHistoryLabel(setScenes(insertScene(scenes, index)), summary), summary };
+    }
+    case 'setFormat': {
+      const preset = formatPresets.find(item => item.id === command.presetId);
+      if (!preset || project.format.presetId === preset.id) return null;
+      const summary = `Switched the format to ${preset.name}`;
+      return { action: withHistoryLabel(updateFormat({ presetId: preset.id }), summary), summary };
+    }
+    case 'setMusic': {
+      const changes = {};
+      const parts = [];
+      if (command.trackId !== undefined && command.trackId !== null && !tracks.some(track => track.id === command.trackId)) {
+        return null;
+      }
+      if (command.volume !== undefined && (typeof command.volume !== 'number' || !(command.volume >= 0 && command.volume <= 100))) {
+        return null;
+      }
+      if (command.trackId !== undefined && command.trackId !== project.music.trackId) {
+        changes.trackId = command.trackId;
+        parts.push(command.trackId === null
+          ? 'removed the background music'
+          : `switched the music to ${describeTrack(command.trackId, tracks)}`);
+      }
+      if (command.volume !== undefined && command.volume !== project.music.volume) {
+        changes.volume = command.volume;
+        parts.push(`set the music volume to ${command.volume}%`);
+      }
+      if (parts.length === 0) return null;
+      const summary = parts.join(' and ').replace(/^./, letter => letter.toUpperCase());
+      return { action: withHistoryLabel(updateMusic(changes), summary), summary };
+    }
+    case 'setBrandColor': {
+      const field = brandColorFields.find(item => item.key === command.colorKey);
+      const color = typeof command.value === 'string' ? parseColor(command.value) : null;
+      if (!field || !color || project.branding[command.colorKey] === color) return null;
+      const summary = `Changed the ${field.name.toLowerCase()} color to ${color}`;
+      return { action: withHistoryLabel(updateBranding({ [command.colorKey]: color }), summary), summary };
+    }
+    case 'addText': {
+      const position = command.position || 'bottom';
+      if (!isIndex(command.sceneIndex, scenes.length) || typeof command.text !== 'string' || !command.text.trim()) return null;
+      if (!textPositions.some(item => item.id === position)) return null;
+      const scene = scenes[command.sceneIndex];
+      const next = addTextLayer(scenes, scene.id, createTextLayer({ text: command.text, position, fontId: project.branding.fonts.heading }));
+      const summary = `Added "${command.text}" at the ${position} of ${sceneLabel(command.sceneIndex)}`;
+      return { action: withHistoryLabel(setScenes(next), summary), summary };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Apply a list of edit commands in order
+ * 
+ * Each command sees the project as left by the previous one, so "delete
+ * scene 1 and move scene 2 to the end" refers to scenes after the deletion.
+ * 
+ * @param {Object} project - Current project
+ * @param {Array} commands - Edit commands
+ * @param {Array} [tracks] - Music tracks that can be chosen
+ * @returns {{actions: Array, summaries: string[], project: Object}} Actions to dispatch and resulting project
+ */
+export const applyEditCommands = (project, commands, tracks = musicTracks) => commands.reduce(
+  (result, command) => {
+    const built = buildEditAction(result.project, command, tracks);
+    if (!built) return result;
+    return {
+      actions: [...result.actions, built.action],
+      summaries: [...result.summaries, built.summary],
+      project: projectReducer(result.project, built.action)
+    };
+  },
+  { actions: [], summaries: [], project }
+);
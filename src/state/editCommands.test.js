@@ -0,0 +1,54 @@
+import { applyEditCommands, buildEditAction } from './editCommands';
+import { createDefaultProject } from './projectModel';
+
+describe('buildEditAction', () => {
+  const project = createDefaultProject();
+
+  test.each([
+    ['an unknown command', { type: 'renameScene', sceneIndex: 0 }],
+    ['a move with a NaN scene', { type: 'moveScene', sceneIndex: NaN, position: 'start' }],
+    ['a move with an unknown position', { type: 'moveScene', sceneIndex: 0, position: 'middle' }],
+    ['a move without a target', { type: 'moveScene', sceneIndex: 0, position: 'before' }],
+    ['a move with a fractional target', { type: 'moveScene', sceneIndex: 0, position: 'after', targetIndex: 1.5 }],
+    ['a move that changes nothing', { type: 'moveScene', sceneIndex: 0, position: 'start' }],
+    ['a duration given as text', { type: 'setSceneDuration', sceneIndex: 0, seconds: '6' }],
+    ['a duration below the minimum', { type: 'setSceneDuration', sceneIndex: 0, seconds: 0 }],
+    ['a duration above the maximum', { type: 'setSceneDuration', sceneIndex: 0, seconds: 61 }],
+    ['a duration for a missing scene', { type: 'setSceneDuration', sceneIndex: 3, seconds: 6 }],
+    ['deleting a missing scene', { type: 'deleteScene', sceneIndex: -1 }],
+    ['duplicating a scene given as text', { type: 'duplicateScene', sceneIndex: '1' }],
+    ['adding a scene past the end', { type: 'addScene', index: 4 }],
+    ['adding a scene at a fractional index', { type: 'addScene', index: 1.5 }],
+    ['an unknown format', { type: 'setFormat', presetId: 'f9' }],
+    ['an unknown track', { type: 'setMusic', trackId: 'nope' }],
+    ['a music volume over 100', { type: 'setMusic', volume: 120 }],
+    ['an unknown brand color', { type: 'setBrandColor', colorKey: 'accentColor', value: '#112233' }],
+    ['a brand color that is not a color', { type: 'setBrandColor', colorKey: 'textColor', value: 'sky blue' }],
+    ['empty text', { type: 'addText', sceneIndex: 0, text: '  ', position: 'top' }],
+    ['text at an unknown position', { type: 'addText', sceneIndex: 0, text: 'Hi', position: 'corner' }],
+  ])('ignores %s', (name, command) => {
+    expect(buildEditAction(project, command)).toBeNull();
+  });
+
+  test('stores brand colors as hex codes', () => {
+    const { summary } = buildEditAction(project, { type: 'setBrandColor', colorKey: 'primaryColor', value: 'rgb(17, 34, 51)' });
+    expect(summary).toBe('Changed the primary color to #112233');
+  });
+});
+
+describe('applyEditCommands', () => {
+  test('applies each command to the project left by the previous one', () => {
+    const project = createDefaultProject();
+    const [first, second, third] = project.scenes.map(scene => scene.id);
+    const result = applyEditCommands(project, [
+      { type: 'moveScene', sceneIndex: 2, position: 'before', targetIndex: 0 },
+      { type: 'moveScene', sceneIndex: NaN, position: 'end' },
+      { type: 'setSceneDuration', sceneIndex: 0, seconds: 8 }
+    ]);
+
+    expect(result.summaries).toEqual(['Moved scene 3 before scene 1', 'Set scene 1 to 8 seconds (was 5)']);
+    expect(result.actions).toHaveLength(2);
+    expect(result.project.scenes.map(scene => scene.id)).toEqual([third, first, second]);
+    expect(result.project.scenes[0].duration).toBe(8);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Edit History
+ * 
+ * Wraps the project reducer so that every project action becomes an undoable
+ * command. Each history entry stores the project as it was before the command
+ * together with a human readable label.
+ * 
+ * Commands that share a `coalesceKey` and arrive in quick succession (such as
+ * the stream of change events fired while dragging a slider) are merged into a
+ * single entry. Tool panels open a transaction while they are visible so that
+ * "Cancel" can roll back everything done since the panel was opened.
+ */
+import { ActionTypes } from './projectReducer';
+
+export const HistoryActionTypes = {
+  UNDO: 'HISTORY_UNDO',
+  REDO: 'HISTORY_REDO',
+  JUMP: 'HISTORY_JUMP',
+  BEGIN_TRANSACTION: 'HISTORY_BEGIN_TRANSACTION',
+  COMMIT_TRANSACTION: 'HISTORY_COMMIT_TRANSACTION',
+  ROLLBACK_TRANSACTION: 'HISTORY_ROLLBACK_TRANSACTION'
+};
+
+// Commands with the same coalesce key closer together than this are merged
+export const COALESCE_WINDOW_MS = 1000;
+
+// Maximum number of undo steps kept in memory
+const MAX_HISTORY = 100;
+
+// Labels used when an action does not provide its own
+const defaultLabels = {
+  [ActionTypes.SET_SCENES]: 'Edit scenes',
+  [ActionTypes.UPDATE_SCENE]: 'Edit scene',
+  [ActionTypes.SET_SCENE_SCRIPTS]: 'Edit script',
+  [ActionTypes.SET_NARRATIONS]: 'Generate narration',
+  [ActionTypes.UPDATE_VOICE]: 'Change voice',
+  [ActionTypes.UPDATE_MUSIC]: 'Change music',
+  [ActionTypes.UPDATE_FORMAT]: 'Change format',
+  [ActionTypes.UPDATE_BRANDING]: 'Change branding',
+  [ActionTypes.SET_BRAND_KIT]: 'Change brand kit',
+  [ActionTypes.UPDATE_EXPORT_OPTIONS]: 'Change export options',
+  [ActionTypes.UPDATE_SUBTITLES]: 'Edit subtitles',
+  [ActionTypes.ADD_MEDIA_ITEMS]: 'Add media'
+};
+
+// Action creators
+export const undo = () => ({ type: HistoryActionTypes.UNDO });
+export const redo = () => ({ type: HistoryActionTypes.REDO });
+export const jumpToHistory = (index) => ({ type: HistoryActionTypes.JUMP, index });
+export const beginTransaction = () => ({ type: HistoryActionTypes.BEGIN_TRANSACTION });
+export const commitTransaction = () => ({ type: HistoryActionTypes.COMMIT_TRANSACTION });
+export const rollbackTransaction = () => ({ type: HistoryActionTypes.ROLLBACK_TRANSACTION });
+
+/**
+ * Attach a history label (and optional coalesce key) to a project action
+ * 
+ * @param {Object} action - Project action
+ * @param {string} label - Label shown in the history list
+ * @param {string} [coalesceKey] - Key used to merge continuous edits
+ * @returns {Object} Action with history metadata
+ */
+export const withHistoryLabel = (action, label, coalesceKey) => ({
+  ...action,
+  meta: { ...action.meta, label, coalesceKey }
+});
+
+/**
+ * Create the initial history state
+ * 
+ * @param {Object} project - Project to start from
+ * @returns {Object} History state
+ */
+export const createHistory = (project) => ({
+  past: [],
+  present: project,
+  future: [],
+  transaction: null
+});
+
+const stepBack = (state) => {
+  if (state.past.length === 0) return state;
+  const previous = state.past[state.past.length - 1];
+  return {
+    ...state,
+    past: state.past.slice(0, -1),
+    present: previous.project,
+    future: [{ label: previous.label, project: state.present }, ...state.future]
+  };
+};
+
+const stepForward = (state) => {
+  if (state.future.length === 0) return state;
+  const [next, ...future] = state.future;
+  return {
+    ...state,
+    past: [...state.past, { label: next.label, project: state.present, timestamp: 0 }],
+    present: next.project,
+    future
+  };
+};
+
+/**
+ * Wrap a project reducer with undo/redo history
+ * 
+ * @param {Function} reducer - Project reducer
+ * @returns {Function} Reducer operating on history state
+ */
+export const withHistory = (reducer) => (state, action) => {
+  switch (action.type) {
+    case HistoryActionTypes.UNDO:
+      return stepBack(state);
+    case HistoryActionTypes.REDO:
+      return stepForward(state);
+    case HistoryActionTypes.JUMP: {
+      // Index counts applied steps: 0 is the oldest state, past.length the present
+      let next = state;
+      while (next.past.length > action.index && next.past.length > 0) next = stepBack(next);
+      while (next.past.length < action.index && next.future.length > 0) next = stepForward(next);
+      return next;
+    }
+    case HistoryActionTypes.BEGIN_TRANSACTION:
+      return {
+        ...state,
+        transaction: { past: state.past, present: state.present, future: state.future }
+      };
+    case HistoryActionTypes.COMMIT_TRANSACTION:
+      return { ...state, transaction: null };
+    case HistoryActionTypes.ROLLBACK_TRANSACTION:
+      if (!state.transaction) return state;
+      return { ...state.transaction, transaction: null };
+    case ActionTypes.LOAD_PROJECT:
+      // Loading a different project starts a fresh history
+      return createHistory(reducer(state.present, action));
+    default: {
+      const present = reducer(state.present, action);
+      if (present === state.present) return state;
+
+      const label = action.meta?.label || defaultLabels[action.type] || 'Edit';
+      const coalesceKey = action.meta?.coalesceKey;
+      const timestamp = Date.now();
+      const last = state.past[state.past.length - 1];
+      const transactionStart = state.transaction ? state.transaction.past.length : 0;
+
+      // Merge continuous edits of the same control into the previous step,
+      // which then describes the latest value
+      if (
+        coalesceKey &&
+        last &&
+        last.coalesceKey === coalesceKey &&
+        state.future.length === 0 &&
+        state.past.length > transactionStart &&
+        timestamp - last.timestamp < COALESCE_WINDOW_MS
+      ) {
+        return {
+          ...state,
+          past: [...state.past.slice(0, -1), { ...last, label, timestamp }],
+          present
+        };
+      }
+
+      return {
+        ...state,
+        past: [...state.past, { label, coalesceKey, timestamp, project: state.present }].slice(-MAX_HISTORY),
+        present,
+        future: []
+      };
+    }
+  }
+};
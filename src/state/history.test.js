@@ -0,0 +1,47 @@
+import { COALESCE_WINDOW_MS, createHistory, undo, withHistory, withHistoryLabel } from './history';
+import { projectReducer, updateMusic } from './projectReducer';
+import { createDefaultProject } from './projectModel';
+
+const reducer = withHistory(projectReducer);
+
+const setVolume = (volume) => withHistoryLabel(updateMusic({ volume }), `Set music volume to ${volume}%`, 'music-volume');
+
+describe('withHistory', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('merges a drag into one step labelled with the final value', () => {
+    const start = createHistory(createDefaultProject());
+    const dragged = [61, 62, 63, 64].reduce((state, volume) => {
+      now += 16;
+      return reducer(state, setVolume(volume));
+    }, start);
+
+    expect(dragged.past.map(entry => entry.label)).toEqual(['Set music volume to 64%']);
+    expect(dragged.present.music.volume).toBe(64);
+
+    const undone = reducer(dragged, undo());
+    expect(undone.present).toBe(start.present);
+    expect(undone.future.map(entry => entry.label)).toEqual(['Set music volume to 64%']);
+  });
+
+  test.each([
+    ['with another coalesce key', () => withHistoryLabel(updateMusic({ volume: 70 }), 'Set music volume to 70%', 'other'), 0],
+    ['without a coalesce key', () => withHistoryLabel(updateMusic({ volume: 70 }), 'Set music volume to 70%'), 0],
+    ['after the coalesce window', () => setVolume(70), COALESCE_WINDOW_MS],
+  ])('keeps separate steps for edits %s', (name, createAction, delay) => {
+    const first = reducer(createHistory(createDefaultProject()), setVolume(61));
+    now += delay;
+    const second = reducer(first, createAction());
+
+    expect(second.past.map(entry => entry.label)).toEqual(['Set music volume to 61%', 'Set music volume to 70%']);
+  });
+});
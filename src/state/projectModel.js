@@ -0,0 +1,314 @@
+/**
+ * Project Model
+ * 
+ * Defines the single project document edited by ChatEditor, the tool panels
+ * and VideoPreview, plus helpers for creating scenes and deriving timing.
+ */
+
+// Default still used for generated scenes until real media is attached
+export const SAMPLE_SCENE_IMAGE =
+  'https://images.unsplash.com/photo-1529156069898-49953e39b3ac?ixlib=rb-1.2.1&auto=format&fit=crop&w=1050&q=80';
+
+// Length given to newly created scenes, in seconds
+export const DEFAULT_SCENE_DURATION = 5;
+
+// Shortest and longest scene lengths the editor allows, in seconds
+export const MIN_SCENE_SECONDS = 1;
+export const MAX_SCENE_SECONDS = 60;
+
+// Transition given to new scenes; it plays at the boundary into the next scene
+export const DEFAULT_TRANSITION = { type: 'crossfade', duration: 0.5 };
+
+// Shortest and longest transition lengths, in seconds
+export const MIN_TRANSITION_SECONDS = 0.2;
+export const MAX_TRANSITION_SECONDS = 2;
+
+let idCounter = 0;
+
+/**
+ * Create a unique identifier for project entities
+ * 
+ * @param {string} prefix - Entity prefix, e.g. 'scene'
+ * @returns {string} Unique id
+ */
+export const createId = (prefix) => {
+  idCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter.toString(36)}`;
+};
+
+/**
+ * Create a text layer shown on top of a scene
+ * 
+ * Colors are either a branding key ('primaryColor', 'secondaryColor',
+ * 'textColor'), which follows later brand changes, or a hex value. A null
+ * background draws the text without a box. A null end keeps the text on
+ * screen until the scene ends.
+ * 
+ * @param {Object} overrides - Layer fields to override
+ * @returns {Object} Text layer
+ */
+export const createTextLayer = (overrides = {}) => ({
+  id: createId('text'),
+  text: 'Your text here',
+  position: 'bottom',
+  align: 'center',
+  fontId: 'inter',
+  size: 8,
+  color: 'textColor',
+  background: 'primaryColor',
+  animationIn: 'fade',
+  animationOut: 'fade',
+  start: 0,
+  end: null,
+  ...overrides
+});
+
+/**
+ * Create a picture-in-picture layer showing an image or clip in a corner of
+ * a scene. Size is the layer width as a percentage of the frame width.
+ * 
+ * @param {Object} overrides - Layer fields to override (type and src at least)
+ * @returns {Object} Media layer
+ */
+export const createMediaLayer = (overrides = {}) => ({
+  id: createId('pip'),
+  type: 'image',
+  src: '',
+  position: 'bottom-right',
+  size: 30,
+  ...overrides
+});
+
+/**
+ * Resolve a layer color to a CSS color
+ * 
+ * @param {string|null} value - Branding key, hex value or null
+ * @param {Object} branding - Project branding
+ * @returns {string|null} CSS color, or null for none
+ */
+export const resolveBrandColor = (value, branding) => {
+  if (!value) return null;
+  return Object.prototype.hasOwnProperty.call(branding, value) ? branding[value] : value;
+};
+
+/**
+ * Create a scene with sensible defaults
+ * 
+ * @param {Object} overrides - Scene fields to override
+ * @returns {Object} Scene object
+ */
+export const createScene = (overrides = {}) => ({
+  id: createId('scene'),
+  thumbnail: 'https://via.placeholder.com/120x68/333/fff?text=New+Scene',
+  media: null,
+  duration: DEFAULT_SCENE_DURATION,
+  transition: { ...DEFAULT_TRANSITION },
+  textLayers: [],
+  // Picture-in-picture images and clips drawn over the scene's own media
+  mediaLayers: [],
+  // Voice-over narration spoken while this scene is on screen
+  script: '',
+  // Narration clip generated or recorded for the script, or null
+  narration: null,
+  ...overrides
+});
+
+/**
+ * Create the default project document
+ * 
+ * @returns {Object} Project document
+ */
+export const createDefaultProject = () => ({
+  id: createId('project'),
+  name: 'Untitled Video',
+  scenes: [1, 2, 3].map(number => createScene({
+    thumbnail: `https://via.placeholder.com/120x68/333/fff?text=Scene+${number}`,
+    media: { type: 'image', src: SAMPLE_SCENE_IMAGE },
+    script: number === 1
+      ? 'Our product helps customers achieve their goals faster and with less effort than traditional methods.'
+      : ''
+  })),
+  voice: {
+    voiceId: 'v1',
+    speed: 50,
+    pitch: 50,
+    emphasis: 50
+  },
+  music: {
+    trackId: 'm1',
+    volume: 60,
+    // Fade lengths in seconds
+    fadeIn: 1,
+    fadeOut: 2,
+    // 'loop' fills the video, 'trim' plays the track once
+    fit: 'loop',
+    // Lower the music to duckLevel percent while narration plays
+    ducking: true,
+    duckLevel: 30
+  },
+  // Music uploaded by the user, listed after the built-in tracks
+  customTracks: [],
+  format: {
+    presetId: 'f3'
+  },
+  // Brand kit the branding, music and voice were taken from, or null
+  brandKitId: null,
+  branding: {
+    primaryColor: '#3498db',
+    secondaryColor: '#e74c3c',
+    textColor: '#ffffff',
+    // Heading font for text overlays and title cards, body font for subtitles
+    fonts: { heading: 'inter', body: 'inter' },
+    logo: {
+      src: null,
+      position: 'bottom-right',
+      size: 15,
+      opacity: 100
+    }
+  },
+  exportOptions: {
+    quality: 'standard',
+    platforms: ['youtube', 'instagram']
+  },
+  // Captions for the voice-over, shown over the preview and optionally burned into exports
+  subtitles: {
+    cues: [],
+    showInPreview: true,
+    burnIn: false
+  },
+  mediaLibrary: []
+});
+
+/**
+ * Create a brand kit: a reusable set of branding shared by projects. Music
+ * and voice ids may be null to leave a project's choice unchanged; assets are
+ * media library items whose files are kept in browser storage (see
+ * services/mediaFiles).
+ * 
+ * @param {Object} overrides - Kit fields to override
+ * @returns {Object} Brand kit
+ */
+export const createBrandKit = (overrides = {}) => ({
+  id: createId('brandkit'),
+  name: 'New brand kit',
+  logo: null,
+  colors: { primaryColor: '#3498db', secondaryColor: '#e74c3c', textColor: '#ffffff' },
+  fonts: { heading: 'inter', body: 'inter' },
+  musicTrackId: null,
+  voiceId: null,
+  assets: [],
+  // Applied to videos started from the home page
+  isDefault: false,
+  createdAt: Date.now(),
+  ...overrides
+});
+
+/**
+ * Create the chat history shown when a project is first opened
+ * 
+ * @returns {Array} Chat messages
+ */
+export const createInitialChatHistory = () => [
+  {
+    id: 1,
+    type: 'ai',
+    content: 'What would you like to change about your video?',
+    timestamp: new Date()
+  }
+];
+
+/**
+ * Compute the start and end time of every scene
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @returns {Array<{id: string, start: number, end: number}>} Timing per scene
+ */
+export const getSceneTimings = (scenes) => {
+  let cursor = 0;
+  return scenes.map(scene => {
+    const start = cursor;
+    cursor += scene.duration;
+    return { id: scene.id, start, end: cursor };
+  });
+};
+
+/**
+ * Find the scene playing at a point in time
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {number} time - Time in seconds from the start of the video
+ * @returns {{scene: Object, index: number, start: number, end: number, localTime: number}|null}
+ *   Scene details, or null when there are no scenes
+ */
+export const getSceneAtTime = (scenes, time) => {
+  if (scenes.length === 0) return null;
+  const timings = getSceneTimings(scenes);
+  let index = timings.findIndex(timing => time < timing.end);
+  if (index === -1) index = scenes.length - 1;
+  const { start, end } = timings[index];
+  return { scene: scenes[index], index, start, end, localTime: Math.max(0, time - start) };
+};
+
+/**
+ * Attribution for the stock media used in the scenes, one entry per author
+ * and license
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @returns {Array<Object>} Credits ({ author, provider, sourceUrl, license, licenseUrl })
+ */
+export const getMediaCredits = (scenes) => {
+  const credits = new Map();
+  scenes.forEach(scene => {
+    [scene.media, ...scene.mediaLayers].forEach(media => {
+      if (!media?.credit) return;
+      const key = `${media.credit.author}|${media.credit.license}`;
+      if (!credits.has(key)) credits.set(key, media.credit);
+    });
+  });
+  return [...credits.values()];
+};
+
+/**
+ * Find the transition playing at a point in time
+ * 
+ * A scene's transition is centred on the boundary into the following scene
+ * and never lasts longer than either of the two scenes.
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {number} time - Time in seconds from the start of the video
+ * @returns {{type: string, progress: number, fromIndex: number, toIndex: number}|null}
+ *   Transition details with progress from 0 to 1, or null between transitions
+ */
+export const getTransitionAt = (scenes, time) => {
+  const timings = getSceneTimings(scenes);
+  for (let index = 0; index < scenes.length - 1; index += 1) {
+    const { type, duration } = scenes[index].transition || {};
+    if (!type || type === 'cut') continue;
+    const length = Math.min(duration, scenes[index].duration, scenes[index + 1].duration);
+    const start = timings[index].end - length / 2;
+    if (length > 0 && time >= start && time < start + length) {
+      return { type, progress: (time - start) / length, fromIndex: index, toIndex: index + 1 };
+    }
+  }
+  return null;
+};
+
+/**
+ * Full voice-over script, read scene by scene
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @returns {string} Script segments of all scenes joined by blank lines
+ */
+export const getFullScript = (scenes) => scenes
+  .map(scene => scene.script.trim())
+  .filter(Boolean)
+  .join('\n\n');
+
+/**
+ * Total running time of the project in seconds
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @returns {number} Duration in seconds
+ */
+export const getTotalDuration = (scenes) =>
+  scenes.reduce((total, scene) => total + scene.duration, 0);
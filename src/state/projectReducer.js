@@ -0,0 +1,139 @@
+/**
+ * Project Reducer
+ * 
+ * All edits to the project document go through these actions so that every
+ * component sees the same state. Action creators are exported alongside the
+ * reducer and should be preferred over building action objects by hand.
+ */
+
+export const ActionTypes = {
+  LOAD_PROJECT: 'LOAD_PROJECT',
+  SET_SCENES: 'SET_SCENES',
+  UPDATE_SCENE: 'UPDATE_SCENE',
+  SET_SCENE_SCRIPTS: 'SET_SCENE_SCRIPTS',
+  SET_NARRATIONS: 'SET_NARRATIONS',
+  UPDATE_VOICE: 'UPDATE_VOICE',
+  UPDATE_MUSIC: 'UPDATE_MUSIC',
+  ADD_CUSTOM_TRACK: 'ADD_CUSTOM_TRACK',
+  UPDATE_CUSTOM_TRACK: 'UPDATE_CUSTOM_TRACK',
+  REMOVE_CUSTOM_TRACK: 'REMOVE_CUSTOM_TRACK',
+  UPDATE_FORMAT: 'UPDATE_FORMAT',
+  UPDATE_BRANDING: 'UPDATE_BRANDING',
+  SET_BRAND_KIT: 'SET_BRAND_KIT',
+  UPDATE_EXPORT_OPTIONS: 'UPDATE_EXPORT_OPTIONS',
+  UPDATE_SUBTITLES: 'UPDATE_SUBTITLES',
+  ADD_MEDIA_ITEMS: 'ADD_MEDIA_ITEMS'
+};
+
+// Action creators
+export const loadProject = (project) => ({ type: ActionTypes.LOAD_PROJECT, project });
+export const setScenes = (scenes) => ({ type: ActionTypes.SET_SCENES, scenes });
+export const updateScene = (sceneId, changes) => ({ type: ActionTypes.UPDATE_SCENE, sceneId, changes });
+export const setSceneScripts = (scripts) => ({ type: ActionTypes.SET_SCENE_SCRIPTS, scripts });
+export const setNarrations = (narrations) => ({ type: ActionTypes.SET_NARRATIONS, narrations });
+export const updateVoice = (changes) => ({ type: ActionTypes.UPDATE_VOICE, changes });
+export const updateMusic = (changes) => ({ type: ActionTypes.UPDATE_MUSIC, changes });
+export const addCustomTrack = (track) => ({ type: ActionTypes.ADD_CUSTOM_TRACK, track });
+export const updateCustomTrack = (trackId, changes) => ({ type: ActionTypes.UPDATE_CUSTOM_TRACK, trackId, changes });
+export const removeCustomTrack = (trackId) => ({ type: ActionTypes.REMOVE_CUSTOM_TRACK, trackId });
+export const updateFormat = (changes) => ({ type: ActionTypes.UPDATE_FORMAT, changes });
+export const updateBranding = (changes) => ({ type: ActionTypes.UPDATE_BRANDING, changes });
+export const setBrandKit = (kit) => ({ type: ActionTypes.SET_BRAND_KIT, kit });
+export const updateExportOptions = (changes) => ({ type: ActionTypes.UPDATE_EXPORT_OPTIONS, changes });
+export const updateSubtitles = (changes) => ({ type: ActionTypes.UPDATE_SUBTITLES, changes });
+export const addMediaItems = (items) => ({ type: ActionTypes.ADD_MEDIA_ITEMS, items });
+
+/**
+ * Apply an action to the project document
+ * 
+ * @param {Object} project - Current project
+ * @param {Object} action - Action created by one of the creators above
+ * @returns {Object} Next project
+ */
+export const projectReducer = (project, action) => {
+  switch (action.type) {
+    case ActionTypes.LOAD_PROJECT:
+      return action.project;
+    case ActionTypes.SET_SCENES:
+      return { ...project, scenes: action.scenes };
+    case ActionTypes.UPDATE_SCENE:
+      return {
+        ...project,
+        scenes: project.scenes.map(scene =>
+          scene.id === action.sceneId ? { ...scene, ...action.changes } : scene
+        )
+      };
+    case ActionTypes.SET_SCENE_SCRIPTS: {
+      // One script segment per scene, in scene order
+      const changed = project.scenes.some((scene, index) =>
+        index < action.scripts.length && scene.script !== action.scripts[index]
+      );
+      if (!changed) return project;
+      return {
+        ...project,
+        scenes: project.scenes.map((scene, index) => (
+          index < action.scripts.length ? { ...scene, script: action.scripts[index] } : scene
+        ))
+      };
+    }
+    case ActionTypes.SET_NARRATIONS:
+      // Narration clips (or null) keyed by scene id; scenes removed meanwhile are skipped
+      return {
+        ...project,
+        scenes: project.scenes.map(scene => (
+          Object.prototype.hasOwnProperty.call(action.narrations, scene.id)
+            ? { ...scene, narration: action.narrations[scene.id] }
+            : scene
+        ))
+      };
+    case ActionTypes.UPDATE_VOICE:
+      return { ...project, voice: { ...project.voice, ...action.changes } };
+    case ActionTypes.UPDATE_MUSIC:
+      return { ...project, music: { ...project.music, ...action.changes } };
+    case ActionTypes.ADD_CUSTOM_TRACK:
+      return { ...project, customTracks: [...project.customTracks, action.track] };
+    case ActionTypes.UPDATE_CUSTOM_TRACK:
+      return {
+        ...project,
+        customTracks: project.customTracks.map(track =>
+          track.id === action.trackId ? { ...track, ...action.changes } : track
+        )
+      };
+    case ActionTypes.REMOVE_CUSTOM_TRACK:
+      // Removing the track in use leaves the video without music
+      return {
+        ...project,
+        customTracks: project.customTracks.filter(track => track.id !== action.trackId),
+        music: project.music.trackId === action.trackId ? { ...project.music, trackId: null } : project.music
+      };
+    case ActionTypes.UPDATE_FORMAT:
+      return { ...project, format: { ...project.format, ...action.changes } };
+    case ActionTypes.UPDATE_BRANDING:
+      return { ...project, branding: { ...project.branding, ...action.changes } };
+    case ActionTypes.SET_BRAND_KIT: {
+      // A null kit unlinks the project and keeps its current branding
+      const { kit } = action;
+      if (!kit) return { ...project, brandKitId: null };
+      return {
+        ...project,
+        brandKitId: kit.id,
+        branding: {
+          ...project.branding,
+          ...kit.colors,
+          fonts: { ...kit.fonts },
+          logo: { ...project.branding.logo, src: kit.logo }
+        },
+        music: kit.musicTrackId ? { ...project.music, trackId: kit.musicTrackId } : project.music,
+        voice: kit.voiceId ? { ...project.voice, voiceId: kit.voiceId } : project.voice
+      };
+    }
+    case ActionTypes.UPDATE_EXPORT_OPTIONS:
+      return { ...project, exportOptions: { ...project.exportOptions, ...action.changes } };
+    case ActionTypes.UPDATE_SUBTITLES:
+      return { ...project, subtitles: { ...project.subtitles, ...action.changes } };
+    case ActionTypes.ADD_MEDIA_ITEMS:
+      return { ...project, mediaLibrary: [...project.mediaLibrary, ...action.items] };
+    default:
+      return project;
+  }
+};
@@ -0,0 +1,239 @@
+/**
+ * Scene Operations
+ * 
+ * Pure helpers that return a new scene list. Used by ScenesPanel, TextPanel,
+ * MediaPanel and by any other code that needs to restructure the scene list.
+ */
+import { createId, createScene, createMediaLayer, MIN_SCENE_SECONDS, MAX_SCENE_SECONDS } from './projectModel';
+
+// Corners picture-in-picture layers fill, in order, so several do not overlap
+const PIP_CORNERS = ['bottom-right', 'top-right', 'bottom-left', 'top-left'];
+
+/**
+ * Move a scene from one position to another
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {number} fromIndex - Current index of the scene
+ * @param {number} toIndex - Index the scene should end up at
+ * @returns {Array} Reordered scenes (the same array if the move is a no-op)
+ */
+export const reorderScenes = (scenes, fromIndex, toIndex) => {
+  if (
+    !Number.isInteger(fromIndex) || !Number.isInteger(toIndex) ||
+    fromIndex === toIndex ||
+    fromIndex < 0 || fromIndex >= scenes.length ||
+    toIndex < 0 || toIndex >= scenes.length
+  ) {
+    return scenes;
+  }
+  const next = [...scenes];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
+
+/**
+ * Move a scene one step earlier or later
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene to move
+ * @param {'up'|'down'} direction - Direction to move in
+ * @returns {Array} Reordered scenes
+ */
+export const moveScene = (scenes, sceneId, direction) => {
+  const index = scenes.findIndex(scene => scene.id === sceneId);
+  if (index === -1) return scenes;
+  return reorderScenes(scenes, index, direction === 'up' ? index - 1 : index + 1);
+};
+
+/**
+ * Insert a copy of a scene directly after the original. Its layers and
+ * narration clip get ids of their own, so edits that look them up by id only
+ * ever touch one scene.
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene to copy
+ * @returns {Array} Scenes including the copy
+ */
+export const duplicateScene = (scenes, sceneId) => {
+  const index = scenes.findIndex(scene => scene.id === sceneId);
+  if (index === -1) return scenes;
+  const original = scenes[index];
+  const copy = {
+    ...original,
+    id: createId('scene'),
+    transition: { ...original.transition },
+    textLayers: original.textLayers.map(layer => ({ ...layer, id: createId('text') })),
+    mediaLayers: original.mediaLayers.map(layer => ({ ...layer, id: createId('pip') })),
+    narration: original.narration && { ...original.narration, id: createId('narration') }
+  };
+  return [...scenes.slice(0, index + 1), copy, ...scenes.slice(index + 1)];
+};
+
+/**
+ * Remove a scene, never leaving the project without scenes
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene to remove
+ * @returns {Array} Remaining scenes
+ */
+export const deleteScene = (scenes, sceneId) => {
+  if (scenes.length <= 1) return scenes;
+  return scenes.filter(scene => scene.id !== sceneId);
+};
+
+/**
+ * Insert a blank scene
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {number} [index] - Position to insert at (defaults to the end)
+ * @param {Object} [overrides] - Fields for the new scene
+ * @returns {Array} Scenes including the new one
+ */
+export const insertScene = (scenes, index = scenes.length, overrides = {}) => {
+  const next = [...scenes];
+  next.splice(index, 0, createScene(overrides));
+  return next;
+};
+
+/**
+ * Apply a change to the text layers of one scene
+ */
+const mapTextLayers = (scenes, sceneId, update) => scenes.map(scene =>
+  scene.id === sceneId ? { ...scene, textLayers: update(scene.textLayers) } : scene
+);
+
+/**
+ * Add a text layer on top of a scene
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene
+ * @param {Object} layer - Layer created with createTextLayer
+ * @returns {Array} Updated scenes
+ */
+export const addTextLayer = (scenes, sceneId, layer) =>
+  mapTextLayers(scenes, sceneId, layers => [...layers, layer]);
+
+/**
+ * Change fields of a text layer
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene
+ * @param {string} layerId - ID of the layer
+ * @param {Object} changes - Fields to change
+ * @returns {Array} Updated scenes
+ */
+export const updateTextLayer = (scenes, sceneId, layerId, changes) =>
+  mapTextLayers(scenes, sceneId, layers => layers.map(layer =>
+    layer.id === layerId ? { ...layer, ...changes } : layer
+  ));
+
+/**
+ * Remove a text layer
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene
+ * @param {string} layerId - ID of the layer
+ * @returns {Array} Updated scenes
+ */
+export const removeTextLayer = (scenes, sceneId, layerId) =>
+  mapTextLayers(scenes, sceneId, layers => layers.filter(layer => layer.id !== layerId));
+
+/**
+ * Media reference for an item, keeping the attribution and license of
+ * stock media and the stored file of uploads with it
+ */
+const toMediaRef = (item) => ({
+  type: item.type,
+  src: item.src,
+  ...(item.fileId && { fileId: item.fileId }),
+  ...(item.credit && { credit: { ...item.credit } })
+});
+
+/**
+ * Scene fields showing a media library item as the scene's visual
+ */
+const getMediaFields = (item) => ({
+  media: toMediaRef(item),
+  thumbnail: item.thumbnail
+});
+
+/**
+ * Add one scene per media item at the end, in the order given. Scenes made
+ * from clips last as long as the clip, within the allowed scene length.
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {Array} items - Media library items
+ * @returns {Array} Scenes including the new ones
+ */
+export const appendMediaScenes = (scenes, items) => [
+  ...scenes,
+  ...items.map(item => createScene({
+    ...getMediaFields(item),
+    ...(item.type === 'video' && item.duration
+      ? { duration: Math.min(Math.max(Math.round(item.duration * 10) / 10, MIN_SCENE_SECONDS), MAX_SCENE_SECONDS) }
+      : {})
+  }))
+];
+
+/**
+ * Show a media item as a scene's visual in place of its current one
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene
+ * @param {Object} item - Media library item
+ * @returns {Array} Updated scenes
+ */
+export const replaceSceneMedia = (scenes, sceneId, item) => scenes.map(scene =>
+  scene.id === sceneId ? { ...scene, ...getMediaFields(item) } : scene
+);
+
+/**
+ * Apply a change to the media layers of one scene
+ */
+const mapMediaLayers = (scenes, sceneId, update) => scenes.map(scene =>
+  scene.id === sceneId ? { ...scene, mediaLayers: update(scene.mediaLayers) } : scene
+);
+
+/**
+ * Add media items as picture-in-picture layers on a scene, in the order
+ * given, each in the next free corner
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene
+ * @param {Array} items - Media library items
+ * @returns {Array} Updated scenes
+ */
+export const addMediaLayers = (scenes, sceneId, items) =>
+  mapMediaLayers(scenes, sceneId, layers => [
+    ...layers,
+    ...items.map((item, index) => createMediaLayer({
+      ...toMediaRef(item),
+      position: PIP_CORNERS[(layers.length + index) % PIP_CORNERS.length]
+    }))
+  ]);
+
+/**
+ * Change fields of a media layer
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene
+ * @param {string} layerId - ID of the layer
+ * @param {Object} changes - Fields to change
+ * @returns {Array} Updated scenes
+ */
+export const updateMediaLayer = (scenes, sceneId, layerId, changes) =>
+  mapMediaLayers(scenes, sceneId, layers => layers.map(layer =>
+    layer.id === layerId ? { ...layer, ...changes } : layer
+  ));
+
+/**
+ * Remove a media layer
+ * 
+ * @param {Array} scenes - Ordered list of scenes
+ * @param {string} sceneId - ID of the scene
+ * @param {string} layerId - ID of the layer
+ * @returns {Array} Updated scenes
+ */
+export const removeMediaLayer = (scenes, sceneId, layerId) =>
+  mapMediaLayers(scenes, sceneId, layers => layers.filter(layer => layer.id !== layerId));
@@ -0,0 +1,78 @@
+import { duplicateScene, reorderScenes } from './sceneOperations';
+import { createMediaLayer, createScene, createTextLayer } from './projectModel';
+
+const createScenes = () => [
+  createScene({
+    script: 'Welcome.',
+    textLayers: [createTextLayer({ text: 'Hello' }), createTextLayer({ text: 'Shop now', position: 'top' })],
+    mediaLayers: [createMediaLayer({ type: 'image', src: 'logo.png' })],
+    narration: { id: 'narration-1', source: 'tts', text: 'Welcome.', duration: 1, src: null }
+  }),
+  createScene({ script: 'Goodbye.' })
+];
+
+// Every id used by a scene and the layers and clip inside it
+const collectIds = (scene) => [
+  scene.id,
+  ...scene.textLayers.map(layer => layer.id),
+  ...scene.mediaLayers.map(layer => layer.id),
+  ...(scene.narration ? [scene.narration.id] : [])
+];
+
+// A scene with every id blanked, for comparing copies
+const withoutIds = (scene) => ({
+  ...scene,
+  id: null,
+  textLayers: scene.textLayers.map(layer => ({ ...layer, id: null })),
+  mediaLayers: scene.mediaLayers.map(layer => ({ ...layer, id: null })),
+  narration: scene.narration && { ...scene.narration, id: null }
+});
+
+describe('reorderScenes', () => {
+  test.each([
+    ['a NaN source', NaN, 0],
+    ['a NaN target', 0, NaN],
+    ['a fractional index', 0.5, 1],
+    ['an index past the end', 0, 2],
+    ['the same index', 1, 1],
+  ])('leaves the scenes alone for %s', (name, fromIndex, toIndex) => {
+    const scenes = createScenes();
+    expect(reorderScenes(scenes, fromIndex, toIndex)).toBe(scenes);
+  });
+
+  test('moves a scene', () => {
+    const scenes = createScenes();
+    expect(reorderScenes(scenes, 1, 0)).toEqual([scenes[1], scenes[0]]);
+  });
+});
+
+describe('duplicateScene', () => {
+  test('inserts a copy after the original', () => {
+    const scenes = createScenes();
+    const next = duplicateScene(scenes, scenes[0].id);
+
+    expect(next).toHaveLength(3);
+    expect(next[0]).toBe(scenes[0]);
+    expect(next[2]).toBe(scenes[1]);
+    expect(withoutIds(next[1])).toEqual(withoutIds(scenes[0]));
+  });
+
+  test('gives the copy, its layers and its narration ids of their own', () => {
+    const scenes = createScenes();
+    const next = duplicateScene(scenes, scenes[0].id);
+    const ids = next.flatMap(collectIds);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(next[1].transition).not.toBe(scenes[0].transition);
+  });
+
+  test('keeps a missing narration empty', () => {
+    const scenes = createScenes();
+    expect(duplicateScene(scenes, scenes[1].id)[2].narration).toBeNull();
+  });
+
+  test('ignores an unknown scene', () => {
+    const scenes = createScenes();
+    expect(duplicateScene(scenes, 'scene-missing')).toBe(scenes);
+  });
+});
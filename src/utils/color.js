@@ -0,0 +1,228 @@
+/**
+ * Color helpers shared by the color pickers and contrast checks: parsing and
+ * formatting hex, RGB and HSL colors, WCAG contrast ratios, and picking the
+ * main colors out of image pixels.
+ */
+
+// WCAG 2.1 AA minimum contrast for normal-size text
+export const MIN_TEXT_CONTRAST = 4.5;
+
+// Notations a color can be entered and shown in
+export const colorFormats = [
+  { id: 'hex', name: 'HEX', example: '#1a2b3c' },
+  { id: 'rgb', name: 'RGB', example: 'rgb(26, 43, 60)' },
+  { id: 'hsl', name: 'HSL', example: 'hsl(210, 40%, 17%)' },
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const toHexPart = (value) => Math.round(clamp(value, 0, 255)).toString(16).padStart(2, '0');
+
+/**
+ * Format a color as a lowercase six-digit hex code
+ * 
+ * @param {{r: number, g: number, b: number}} rgb - Channels from 0 to 255
+ * @returns {string} Hex code such as "#1a2b3c"
+ */
+export const toHex = ({ r, g, b }) => `#${toHexPart(r)}${toHexPart(g)}${toHexPart(b)}`;
+
+/**
+ * Read a hex code ("#abc" or "#aabbcc", the "#" optional)
+ * 
+ * @param {string} hex - Hex code
+ * @returns {{r: number, g: number, b: number}|null} Channels, or null when invalid
+ */
+export const hexToRgb = (hex) => {
+  const match = /^#?([\da-f]{3}|[\da-f]{6})$/i.exec(String(hex).trim());
+  if (!match) return null;
+  const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16)
+  };
+};
+
+/**
+ * Convert RGB channels to hue (0-360), saturation and lightness (0-100)
+ */
+export const rgbToHsl = ({ r, g, b }) => {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l: l * 100 };
+
+  const delta = max - min;
+  const s = l > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  let h;
+  if (max === red) h = (green - blue) / delta + (green < blue ? 6 : 0);
+  else if (max === green) h = (blue - red) / delta + 2;
+  else h = (red - green) / delta + 4;
+  return { h: h * 60, s: s * 100, l: l * 100 };
+};
+
+/**
+ * Convert hue (0-360), saturation and lightness (0-100) to RGB channels
+ */
+export const hslToRgb = ({ h, s, l }) => {
+  const saturation = s / 100;
+  const lightness = l / 100;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const channel = (n) => {
+    const k = (n + h / 30) % 12;
+    return 255 * (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return { r: Math.round(channel(0)), g: Math.round(channel(8)), b: Math.round(channel(4)) };
+};
+
+// Comma or space separated numbers, optionally wrapped in rgb(...) / hsl(...)
+const readNumbers = (text, name) => {
+  const match = new RegExp(`^(?:${name}a?\\(([^)]*)\\)|([^()]*))$`, 'i').exec(text);
+  if (!match) return null;
+  const parts = (match[1] ?? match[2]).split(/[\s,/]+/).filter(Boolean);
+  if (parts.length !== 3) return null;
+  return parts;
+};
+
+/**
+ * Read a color typed in any of the supported notations. Bare numbers
+ * ("26, 43, 60") are read in the notation given by `format`.
+ * 
+ * @param {string} input - Text entered by the user
+ * @param {'hex'|'rgb'|'hsl'} [format='hex'] - Notation of the field
+ * @returns {string|null} Hex code, or null when the text is not a valid color
+ */
+export const parseColor = (input, format = 'hex') => {
+  const text = String(input || '').trim();
+  if (!text) return null;
+
+  const hex = hexToRgb(text);
+  if (hex && (text.startsWith('#') || format === 'hex')) return toHex(hex);
+
+  const isHsl = /^hsl/i.test(text) || (format === 'hsl' && !/^rgb/i.test(text));
+  const parts = readNumbers(text, isHsl ? 'hsl' : 'rgb');
+  if (!parts) return null;
+
+  if (isHsl) {
+    const [h, s, l] = parts.map(part => part.replace(/(deg|%)$/i, ''));
+    const values = [h, s, l].map(Number);
+    if (values.some(value => !Number.isFinite(value))) return null;
+    if (values[1] < 0 || values[1] > 100 || values[2] < 0 || values[2] > 100) return null;
+    return toHex(hslToRgb({ h: ((values[0] % 360) + 360) % 360, s: values[1], l: values[2] }));
+  }
+  const values = parts.map(Number);
+  if (values.some(value => !Number.isInteger(value) || value < 0 || value > 255)) return null;
+  return toHex({ r: values[0], g: values[1], b: values[2] });
+};
+
+/**
+ * Show a hex color in a notation
+ * 
+ * @param {string} hex - Hex code
+ * @param {'hex'|'rgb'|'hsl'} format - Notation
+ * @returns {string} Formatted color, or the input when it is not a hex code
+ */
+export const formatColor = (hex, format) => {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return hex;
+  if (format === 'rgb') return `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
+  if (format === 'hsl') {
+    const { h, s, l } = rgbToHsl(rgb);
+    return `hsl(${Math.round(h)}, ${Math.round(s)}%, ${Math.round(l)}%)`;
+  }
+  return toHex(rgb);
+};
+
+/**
+ * Relative luminance as defined by WCAG
+ * 
+ * @param {{r: number, g: number, b: number}} rgb - Channels from 0 to 255
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+export const getLuminance = ({ r, g, b }) => {
+  const linear = (value) => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+};
+
+/**
+ * WCAG contrast ratio between two colors
+ * 
+ * @param {string} first - Hex code
+ * @param {string} second - Hex code
+ * @returns {number|null} Ratio from 1 to 21, or null when a color is invalid
+ */
+export const getContrastRatio = (first, second) => {
+  const a = hexToRgb(first);
+  const b = hexToRgb(second);
+  if (!a || !b) return null;
+  const [light, dark] = [getLuminance(a), getLuminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+/**
+ * Format a contrast ratio the way WCAG tools show it
+ * 
+ * @param {number} ratio - Contrast ratio
+ * @returns {string} Ratio such as "3.2:1"
+ */
+export const formatContrast = (ratio) => `${(Math.floor(ratio * 10) / 10).toFixed(1)}:1`;
+
+/**
+ * Average color of a block of pixels
+ * 
+ * @param {Uint8ClampedArray} data - RGBA pixels, as in ImageData
+ * @returns {string|null} Hex code, or null when every pixel is transparent
+ */
+export const getAverageColor = (data) => {
+  const sum = { r: 0, g: 0, b: 0 };
+  let count = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    sum.r += data[i];
+    sum.g += data[i + 1];
+    sum.b += data[i + 2];
+    count += 1;
+  }
+  return count ? toHex({ r: sum.r / count, g: sum.g / count, b: sum.b / count }) : null;
+};
+
+// Colors closer than this (RGB distance) count as the same palette entry
+const PALETTE_MIN_DISTANCE = 48;
+
+/**
+ * The most common distinct colors of an image, most common first.
+ * Transparent pixels are ignored and similar shades are grouped together.
+ * 
+ * @param {Uint8ClampedArray} data - RGBA pixels, as in ImageData
+ * @param {number} [count=5] - Largest number of colors returned
+ * @returns {string[]} Hex codes
+ */
+export const getDominantColors = (data, count = 5) => {
+  // Group pixels into buckets of 16 shades per channel
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue;
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    bucket.count += 1;
+    buckets.set(key, bucket);
+  }
+
+  const palette = [];
+  [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .some(bucket => {
+      const color = { r: bucket.r / bucket.count, g: bucket.g / bucket.count, b: bucket.b / bucket.count };
+      const distinct = palette.every(other => Math.hypot(other.r - color.r, other.g - color.g, other.b - color.b) >= PALETTE_MIN_DISTANCE);
+      if (distinct) palette.push(color);
+      return palette.length >= count;
+    });
+  return palette.map(toHex);
+};
@@ -0,0 +1,65 @@
+import { formatColor, getContrastRatio, formatContrast, parseColor } from './color';
+
+describe('parseColor', () => {
+  test.each([
+    ['#112233', 'hex', '#112233'],
+    ['#ABC', 'hex', '#aabbcc'],
+    ['abc', 'hex', '#aabbcc'],
+    ['  #1a2b3c  ', 'rgb', '#1a2b3c'],
+    ['rgb(26, 43, 60)', 'hex', '#1a2b3c'],
+    ['RGBA(26 43 60)', 'hex', '#1a2b3c'],
+    ['26, 43, 60', 'rgb', '#1a2b3c'],
+    ['26, 43, 60', 'hex', '#1a2b3c'],
+    ['hsl(0, 100%, 50%)', 'hex', '#ff0000'],
+    ['hsl(120deg 100% 25%)', 'hex', '#008000'],
+    ['-120, 100, 50', 'hsl', '#0000ff'],
+    ['0, 0, 100', 'hsl', '#ffffff'],
+  ])('reads %p as %s', (input, format, expected) => {
+    expect(parseColor(input, format)).toBe(expected);
+  });
+
+  test.each([
+    ['', 'hex'],
+    [null, 'hex'],
+    ['#12345', 'hex'],
+    ['#ggg', 'hex'],
+    ['blue', 'hex'],
+    ['rgb(256, 0, 0)', 'hex'],
+    ['rgb(1.5, 0, 0)', 'hex'],
+    ['rgb(0, 0)', 'hex'],
+    ['hsl(0, 120%, 50%)', 'hex'],
+    ['hsl(0, 50%, x)', 'hex'],
+    ['abc', 'rgb'],
+  ])('rejects %p in %s', (input, format) => {
+    expect(parseColor(input, format)).toBeNull();
+  });
+});
+
+describe('formatColor', () => {
+  test.each([
+    ['hex', '#1a2b3c'],
+    ['rgb', 'rgb(26, 43, 60)'],
+    ['hsl', 'hsl(210, 40%, 17%)'],
+  ])('shows #1A2B3C as %s', (format, expected) => {
+    expect(formatColor('#1A2B3C', format)).toBe(expected);
+  });
+
+  test('leaves text that is not a hex code alone', () => {
+    expect(formatColor('nope', 'rgb')).toBe('nope');
+  });
+});
+
+describe('getContrastRatio', () => {
+  test.each([
+    ['#000000', '#ffffff', '21.0:1'],
+    ['#ffffff', '#000000', '21.0:1'],
+    ['#777777', '#ffffff', '4.4:1'],
+    ['#3498db', '#3498db', '1.0:1'],
+  ])('%s on %s is %s', (first, second, expected) => {
+    expect(formatContrast(getContrastRatio(first, second))).toBe(expected);
+  });
+
+  test('is null when a color is invalid', () => {
+    expect(getContrastRatio('#000000', 'black')).toBeNull();
+  });
+});
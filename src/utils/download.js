@@ -0,0 +1,35 @@
+/**
+ * Browser download helpers.
+ */
+
+/**
+ * Offer a Blob to the user as a file download
+ * 
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Turn a project name into a safe file name stem
+ * 
+ * @param {string} name - Human readable name
+ * @returns {string} Lowercase, dash separated name (never empty)
+ */
+export const toFileStem = (name) => {
+  const stem = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return stem || 'untitled-video';
+};
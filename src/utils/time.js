@@ -0,0 +1,28 @@
+/**
+ * Time formatting helpers shared by the editor and preview components.
+ */
+
+/**
+ * Format a number of seconds as m:ss
+ * 
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time, e.g. 75 -> "1:15"
+ */
+export const formatTime = (seconds) => {
+  const safeSeconds = Math.max(0, Math.floor(seconds || 0));
+  const minutes = Math.floor(safeSeconds / 60);
+  const remainder = safeSeconds % 60;
+  return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Parse an m:ss string into seconds
+ * 
+ * @param {string} value - Time string such as "2:30"
+ * @returns {number} Time in seconds (0 if the value cannot be parsed)
+ */
+export const parseTime = (value) => {
+  const match = /^(\d+):(\d{1,2})$/.exec(String(value).trim());
+  if (!match) return 0;
+  return Number(match[1]) * 60 + Number(match[2]);
+};